@@ -12,48 +12,94 @@ if (activatedChains.length === 0) {
   process.exit(1);
 }
 
+// Optional per-chain overrides of the relayer retry policy (see lib/retry.js),
+// e.g. BASE_SEPOLIA_RETRY_MAX_ATTEMPTS=10
+function retryPolicy(envPrefix) {
+  const overrides = {
+    maxAttempts: process.env[`${envPrefix}_RETRY_MAX_ATTEMPTS`],
+    baseDelayMs: process.env[`${envPrefix}_RETRY_BASE_DELAY_MS`],
+    maxDelayMs: process.env[`${envPrefix}_RETRY_MAX_DELAY_MS`],
+  };
+
+  return Object.fromEntries(
+    Object.entries(overrides)
+      .filter(([, value]) => value !== undefined && value !== "")
+      .map(([name, value]) => [name, Number(value)])
+  );
+}
+
+// Blocks a source event must be buried under before the relayer requests a
+// proof for it, overridable per chain, e.g. BASE_SEPOLIA_CONFIRMATIONS=10
+function confirmations(envPrefix, defaultDepth) {
+  const name = `${envPrefix}_CONFIRMATIONS`;
+  const override = process.env[name];
+  if (override === undefined || override === "") {
+    return defaultDepth;
+  }
+  if (!/^\d+$/.test(override.trim())) {
+    throw new Error(
+      `Invalid ${name}: expected a non-negative integer, got "${override}"`
+    );
+  }
+  return Number(override);
+}
+
 const CHAINS = {
   "optimism-sepolia": {
     name: "Optimism Sepolia",
     rpcUrl: process.env.OPTIMISM_SEPOLIA_RPC,
     contractAddress: process.env.OPTIMISM_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 11155420,
+    retry: retryPolicy("OPTIMISM_SEPOLIA"),
+    confirmations: confirmations("OPTIMISM_SEPOLIA", 5),
   },
   "base-sepolia": {
     name: "Base Sepolia",
     rpcUrl: process.env.BASE_SEPOLIA_RPC,
     contractAddress: process.env.BASE_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 84532,
+    retry: retryPolicy("BASE_SEPOLIA"),
+    confirmations: confirmations("BASE_SEPOLIA", 5),
   },
   "mode-sepolia": {
     name: "Mode Sepolia",
     rpcUrl: process.env.MODE_SEPOLIA_RPC,
     contractAddress: process.env.MODE_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 919,
+    retry: retryPolicy("MODE_SEPOLIA"),
+    confirmations: confirmations("MODE_SEPOLIA", 5),
   },
   "bob-sepolia": {
     name: "Bob Sepolia",
     rpcUrl: process.env.BOB_SEPOLIA_RPC,
     contractAddress: process.env.BOB_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 808813,
+    retry: retryPolicy("BOB_SEPOLIA"),
+    confirmations: confirmations("BOB_SEPOLIA", 5),
   },
   "ink-sepolia": {
     name: "Ink Sepolia",
     rpcUrl: process.env.INK_SEPOLIA_RPC,
     contractAddress: process.env.INK_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 763373,
+    retry: retryPolicy("INK_SEPOLIA"),
+    confirmations: confirmations("INK_SEPOLIA", 5),
   },
   "unichain-sepolia": {
     name: "UniChain Sepolia",
     rpcUrl: process.env.UNICHAIN_SEPOLIA_RPC,
     contractAddress: process.env.UNICHAIN_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 1301,
+    retry: retryPolicy("UNICHAIN_SEPOLIA"),
+    confirmations: confirmations("UNICHAIN_SEPOLIA", 5),
   },
   "mantle-sepolia": {
     name: "Mantle Sepolia",
     rpcUrl: process.env.MANTLE_SEPOLIA_RPC,
     contractAddress: process.env.MANTLE_TESTNET_CONTRACT_ADDRESS,
     chainId: 5003,
+    retry: retryPolicy("MANTLE_SEPOLIA"),
+    confirmations: confirmations("MANTLE_SEPOLIA", 5),
   },
 };
 
@@ -0,0 +1,8 @@
+require("dotenv").config();
+
+// Polymer proof API. Point POLYMER_API_URL at `npm run mock:polymer` (e.g.
+// http://localhost:8550) to request proofs of logs on local hardhat nodes
+const POLYMER_API_URL =
+  process.env.POLYMER_API_URL || "https://proof.testnet.polymer.zone/";
+
+module.exports = { POLYMER_API_URL };
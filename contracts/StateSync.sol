@@ -16,19 +16,100 @@ interface IPolymerProver {
 }
 
 contract StateSync {
+    // Signatures of the events setValueFromSource accepts
+    bytes32 private constant VALUE_SET_SIGNATURE =
+        keccak256(
+            "ValueSet(address,string,bytes,uint256,bytes32,uint256,uint256)"
+        );
+    bytes32 private constant VALUE_DELETED_SIGNATURE =
+        keccak256("ValueDeleted(address,string,uint256,bytes32,uint256)");
+    bytes32 private constant VALUES_SET_SIGNATURE =
+        keccak256(
+            "ValuesSet(address,string[],bytes[],uint256,bytes32,uint256[])"
+        );
+    bytes32 private constant KEY_ACL_UPDATED_SIGNATURE =
+        keccak256(
+            "KeyAclUpdated(address,string,address,address[],uint256,bytes32,uint256)"
+        );
+    bytes32 private constant KEY_RETENTION_UPDATED_SIGNATURE =
+        keccak256(
+            "KeyRetentionUpdated(address,string,uint256,uint256,bytes32,uint256)"
+        );
+
+    // EIP-712 typed data for setValueWithSig
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant SET_VALUE_TYPEHASH =
+        keccak256(
+            "SetValue(address owner,string key,bytes value,uint256 nonce,uint256 deadline)"
+        );
+    // Largest s value of a non-malleable signature (EIP-2)
+    uint256 private constant MAX_SIGNATURE_S =
+        0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // Upper bound on writers per key, keeps ACL updates within gas limits
+    uint256 public constant MAX_KEY_WRITERS = 10;
+    // Upper bound on entries per setValues call, keeps batches provable and
+    // within the gas limit of destination chains
+    uint256 public constant MAX_BATCH_SIZE = 100;
+    // Upper bound on versions retained per key, bounds the storage of a key
+    uint256 public constant MAX_RETENTION_DEPTH = 100;
+
+    // A past version of a key, kept for getValueAtVersion
+    struct RetainedValue {
+        uint256 version;
+        bool deleted;
+        bytes value;
+    }
+
     // Polymer prover contract
     IPolymerProver public immutable polymerProver;
 
+    // Account allowed to manage the trusted peer registry
+    address public owner;
+    // Mapping from source chain ID => trusted StateSync deployment on that chain
+    mapping(uint32 => address) public peers;
+
     // Mapping from keccak256(abi.encodePacked(originalSender, key)) => value
+    // originalSender is the key's namespace: the account that created it
     mapping(bytes32 => bytes) private store;
-    // Mapping to track original senders for each key
+    // Mapping to track the current owner of each key (transferable)
     mapping(bytes32 => address) private keyOwners;
-    // Mapping to track nonces for each sender
+    // Mapping to track the accounts allowed to write each key besides its owner
+    mapping(bytes32 => address[]) private keyWriterList;
+    mapping(bytes32 => mapping(address => bool)) private keyWriters;
+    // Mapping to track versions of each key's owner and writers
+    mapping(bytes32 => uint256) private keyAclVersions;
+    // Mapping to track nonces for each namespace, shared by all events of its
+    // keys so proof hashes never collide whoever writes them
     mapping(address => uint256) private nonces;
     // Mapping to track used proof hashes
     mapping(bytes32 => bool) private usedProofHashes;
     // Mapping to track versions for each key
     mapping(bytes32 => uint256) private keyVersions;
+    // Mapping to track keys whose latest version is a deletion (tombstone)
+    mapping(bytes32 => bool) private deletedKeys;
+    // Mapping to track when the latest value of each key expires, as a unix
+    // timestamp (0: never)
+    mapping(bytes32 => uint256) private keyExpiries;
+    // Mapping from owner => hashed keys they own, for enumeration. A transfer
+    // moves the last key of the old owner's list into the freed slot
+    mapping(address => bytes32[]) private ownedKeys;
+    // Mapping to track the position of each key in its owner's list
+    mapping(bytes32 => uint256) private ownedKeyIndex;
+    // Mapping to track the namespace and key string behind each hashed key
+    mapping(bytes32 => address) private keyNamespaces;
+    mapping(bytes32 => string) private keyNames;
+    // Mapping to track how many versions of each key are readable, the latest
+    // included (0 keeps only the latest)
+    mapping(bytes32 => uint256) private keyRetention;
+    // Mapping to track versions of each key's retention depth
+    mapping(bytes32 => uint256) private keyRetentionVersions;
+    // Ring buffer of retained versions per key, version N in slot N % depth
+    mapping(bytes32 => mapping(uint256 => RetainedValue))
+        private retainedValues;
 
     // Example events for demonstration
     event OnlyTopics(
@@ -51,13 +132,131 @@ contract StateSync {
         bytes value, // not indexed (data)
         uint256 nonce, // not indexed (data)
         bytes32 indexed hashedKey, // indexed (topic)
-        uint256 version // not indexed (data)
+        uint256 version, // not indexed (data)
+        uint256 expiresAt // not indexed (data), 0 when the value never expires
     );
 
     event ValueUpdated(bytes32 indexed hashedKey, bytes value, uint256 version);
 
+    // Emitted once for a setValues batch, relayed like ValueSet. batchHash is
+    // keccak256(abi.encode(sender, keys)) and keeps the 3-topic layout
+    event ValuesSet(
+        address indexed sender, // indexed (topic)
+        string[] keys, // not indexed (data)
+        bytes[] values, // not indexed (data)
+        uint256 nonce, // not indexed (data)
+        bytes32 indexed batchHash, // indexed (topic)
+        uint256[] versions // not indexed (data)
+    );
+
+    // Emitted when a key is deleted on this chain, relayed like ValueSet
+    event ValueDeleted(
+        address indexed sender, // indexed (topic)
+        string key, // not indexed (data)
+        uint256 nonce, // not indexed (data)
+        bytes32 indexed hashedKey, // indexed (topic)
+        uint256 version // not indexed (data)
+    );
+
+    // Emitted when a deletion from another chain is applied
+    event ValueRemoved(bytes32 indexed hashedKey, uint256 version);
+
+    // Emitted with the full owner and writer list of a key whenever they
+    // change on this chain, relayed like ValueSet
+    event KeyAclUpdated(
+        address indexed sender, // indexed (topic), namespace of the key
+        string key, // not indexed (data)
+        address owner, // not indexed (data)
+        address[] writers, // not indexed (data)
+        uint256 nonce, // not indexed (data)
+        bytes32 indexed hashedKey, // indexed (topic)
+        uint256 version // not indexed (data), ACL version
+    );
+
+    // Emitted when an owner and writer list from another chain is applied
+    event KeyAclSynced(
+        bytes32 indexed hashedKey,
+        address owner,
+        address[] writers,
+        uint256 version
+    );
+
+    // Emitted when the retention depth of a key changes on this chain,
+    // relayed like ValueSet so every chain retains the same versions
+    event KeyRetentionUpdated(
+        address indexed sender, // indexed (topic), namespace of the key
+        string key, // not indexed (data)
+        uint256 depth, // not indexed (data)
+        uint256 nonce, // not indexed (data)
+        bytes32 indexed hashedKey, // indexed (topic)
+        uint256 version // not indexed (data), retention version
+    );
+
+    // Emitted when a retention depth from another chain is applied
+    event KeyRetentionSynced(
+        bytes32 indexed hashedKey,
+        uint256 depth,
+        uint256 version
+    );
+
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event PeerSet(uint32 indexed chainId, address indexed peer);
+    event PeerRemoved(uint32 indexed chainId, address indexed peer);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+
     constructor(address _polymerProver) {
         polymerProver = IPolymerProver(_polymerProver);
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    // Hand over management of the peer registry
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "New owner is the zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    // Trust the StateSync deployment at `peer` as the source for `chainId`
+    function setPeer(uint32 chainId, address peer) external onlyOwner {
+        require(peer != address(0), "Peer is the zero address");
+        peers[chainId] = peer;
+        emit PeerSet(chainId, peer);
+    }
+
+    // Stop accepting proofs from `chainId`
+    function removePeer(uint32 chainId) external onlyOwner {
+        address peer = peers[chainId];
+        require(peer != address(0), "Peer not set");
+        delete peers[chainId];
+        emit PeerRemoved(chainId, peer);
+    }
+
+    // EIP-712 domain separator of this deployment, signed by setValueWithSig
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("StateSync"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    // Nonce the next event of a namespace will carry, and the one a
+    // setValueWithSig signature for it must cover
+    function getNonce(address namespace) external view returns (uint256) {
+        return nonces[namespace];
     }
 
     // Get the current version of a key
@@ -76,40 +275,465 @@ contract StateSync {
         return keyVersions[hashedKey];
     }
 
-    // Set or update a value
+    // Set or update a value in the caller's own namespace
     function setValue(string calldata key, bytes calldata value) external {
-        bytes32 hashedKey = keccak256(abi.encodePacked(msg.sender, key));
+        _setValue(msg.sender, msg.sender, key, value, 0);
+    }
+
+    // Set or update a value of another namespace, as its owner or a writer
+    function setValueFor(
+        address namespace,
+        string calldata key,
+        bytes calldata value
+    ) external {
+        _setValue(msg.sender, namespace, key, value, 0);
+    }
+
+    // Set or update a value that reads as absent from `expiresAt` (a unix
+    // timestamp) on, on every chain. The expiry is part of the ValueSet event
+    function setExpiringValue(
+        string calldata key,
+        bytes calldata value,
+        uint256 expiresAt
+    ) external {
+        _setValue(msg.sender, msg.sender, key, value, expiresAt);
+    }
+
+    // setExpiringValue for another namespace, as its owner or a writer
+    function setExpiringValueFor(
+        address namespace,
+        string calldata key,
+        bytes calldata value,
+        uint256 expiresAt
+    ) external {
+        _setValue(msg.sender, namespace, key, value, expiresAt);
+    }
+
+    // setValue that reverts unless the key is still at `expectedVersion` (0
+    // for a new key), so concurrent writers cannot overwrite each other
+    // unknowingly. Versions are per chain: writes made on other chains only
+    // count once delivered here
+    function setValueIfVersion(
+        string calldata key,
+        bytes calldata value,
+        uint256 expectedVersion
+    ) external {
+        _checkVersion(msg.sender, key, expectedVersion);
+        _setValue(msg.sender, msg.sender, key, value, 0);
+    }
+
+    // setValueIfVersion for another namespace, as its owner or a writer
+    function setValueForIfVersion(
+        address namespace,
+        string calldata key,
+        bytes calldata value,
+        uint256 expectedVersion
+    ) external {
+        _checkVersion(namespace, key, expectedVersion);
+        _setValue(msg.sender, namespace, key, value, 0);
+    }
+
+    // Set or update a value in `signer`'s namespace on their behalf, e.g. by a
+    // relayer paying the gas. The EIP-712 signature covers the namespace's
+    // current nonce, so it can be used once and is invalidated by any other
+    // write in the namespace
+    function setValueWithSig(
+        address signer,
+        string calldata key,
+        bytes calldata value,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SET_VALUE_TYPEHASH,
+                signer,
+                keccak256(bytes(key)),
+                keccak256(value),
+                nonces[signer],
+                deadline
+            )
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)
+        );
+        require(
+            _recoverSigner(digest, signature) == signer,
+            "Invalid signature"
+        );
+
+        _setValue(signer, signer, key, value, 0);
+    }
+
+    // Set or update many values of the caller's namespace in one transaction
+    function setValues(
+        string[] calldata keys,
+        bytes[] calldata values
+    ) external {
+        _setValues(msg.sender, keys, values);
+    }
+
+    // Set or update many values of another namespace, as owner or writer
+    function setValuesFor(
+        address namespace,
+        string[] calldata keys,
+        bytes[] calldata values
+    ) external {
+        _setValues(namespace, keys, values);
+    }
+
+    // Delete a value. The key keeps its owner and gets a new version, so the
+    // deletion is ordered against writes on every chain
+    function deleteValue(string calldata key) external {
+        _deleteValue(msg.sender, key);
+    }
+
+    // Delete a value of another namespace, as its owner or a writer
+    function deleteValueFor(address namespace, string calldata key) external {
+        _deleteValue(namespace, key);
+    }
+
+    // Hand a key over to another account, e.g. to rotate an operator wallet.
+    // The key stays in its namespace, so readers keep using the same address
+    function transferKeyOwnership(
+        address namespace,
+        string calldata key,
+        address newOwner
+    ) external {
+        bytes32 hashedKey = _onlyKeyOwner(namespace, key);
+        require(newOwner != address(0), "New owner is the zero address");
 
-        // If key exists, only original sender can update
+        _setKeyOwner(hashedKey, namespace, key, newOwner);
+        _emitKeyAcl(namespace, key, hashedKey);
+    }
+
+    // Allow `writer` to set and delete a key
+    function addKeyWriter(
+        address namespace,
+        string calldata key,
+        address writer
+    ) external {
+        bytes32 hashedKey = _onlyKeyOwner(namespace, key);
+        require(writer != address(0), "Writer is the zero address");
+        require(!keyWriters[hashedKey][writer], "Already a writer");
+        require(
+            keyWriterList[hashedKey].length < MAX_KEY_WRITERS,
+            "Too many writers"
+        );
+
+        keyWriters[hashedKey][writer] = true;
+        keyWriterList[hashedKey].push(writer);
+        _emitKeyAcl(namespace, key, hashedKey);
+    }
+
+    // Revoke a writer
+    function removeKeyWriter(
+        address namespace,
+        string calldata key,
+        address writer
+    ) external {
+        bytes32 hashedKey = _onlyKeyOwner(namespace, key);
+        require(keyWriters[hashedKey][writer], "Not a writer");
+
+        address[] storage writers = keyWriterList[hashedKey];
+        for (uint256 i = 0; i < writers.length; i++) {
+            if (writers[i] == writer) {
+                writers[i] = writers[writers.length - 1];
+                writers.pop();
+                break;
+            }
+        }
+        keyWriters[hashedKey][writer] = false;
+        _emitKeyAcl(namespace, key, hashedKey);
+    }
+
+    // Keep the last `depth` versions of a key readable with
+    // getValueAtVersion, the latest included. 0 turns retention off. The
+    // current version is retained right away, earlier ones are not recovered
+    function setKeyRetention(
+        address namespace,
+        string calldata key,
+        uint256 depth
+    ) external {
+        bytes32 hashedKey = _onlyKeyOwner(namespace, key);
+        require(depth <= MAX_RETENTION_DEPTH, "Retention depth too large");
+
+        keyRetention[hashedKey] = depth;
+        _retainCurrentVersion(hashedKey);
+
+        uint256 currentNonce = nonces[namespace]++;
+        uint256 newVersion = keyRetentionVersions[hashedKey] + 1;
+        keyRetentionVersions[hashedKey] = newVersion;
+
+        emit KeyRetentionUpdated(
+            namespace,
+            key,
+            depth,
+            currentNonce,
+            hashedKey,
+            newVersion
+        );
+    }
+
+    function _setValue(
+        address writer,
+        address namespace,
+        string calldata key,
+        bytes calldata value,
+        uint256 expiresAt
+    ) internal {
+        require(
+            expiresAt == 0 || expiresAt > block.timestamp,
+            "Expiry must be in the future"
+        );
+        (bytes32 hashedKey, uint256 newVersion) = _writeValue(
+            writer,
+            namespace,
+            key,
+            value
+        );
+        keyExpiries[hashedKey] = expiresAt;
+        uint256 currentNonce = nonces[namespace]++;
+
+        // Emit topic-only event (easier to query, more gas efficient)
+        emit OnlyTopics(namespace, hashedKey, newVersion);
+
+        // Main event with both topics and data
+        emit ValueSet(
+            namespace,
+            key,
+            value,
+            currentNonce,
+            hashedKey,
+            newVersion,
+            expiresAt
+        );
+
+        // Emit data-only event (harder to query, less gas efficient)
+        emit OnlyData(key, value, currentNonce, "State updated successfully");
+    }
+
+    // Writes every entry like setValue, but emits a single ValuesSet event so
+    // the whole batch is relayed with one proof
+    function _setValues(
+        address namespace,
+        string[] calldata keys,
+        bytes[] calldata values
+    ) internal {
+        require(
+            keys.length == values.length,
+            "Keys and values length mismatch"
+        );
+        require(keys.length > 0, "Empty batch");
+        require(keys.length <= MAX_BATCH_SIZE, "Batch too large");
+
+        uint256[] memory versions = new uint256[](keys.length);
+        for (uint256 i = 0; i < keys.length; i++) {
+            (, versions[i]) = _writeValue(
+                msg.sender,
+                namespace,
+                keys[i],
+                values[i]
+            );
+        }
+        uint256 currentNonce = nonces[namespace]++;
+
+        emit ValuesSet(
+            namespace,
+            keys,
+            values,
+            currentNonce,
+            keccak256(abi.encode(namespace, keys)),
+            versions
+        );
+    }
+
+    function _checkVersion(
+        address namespace,
+        string calldata key,
+        uint256 expectedVersion
+    ) internal view {
+        require(
+            keyVersions[keccak256(abi.encodePacked(namespace, key))] ==
+                expectedVersion,
+            "Key version mismatch"
+        );
+    }
+
+    // Store a value, without expiry, after checking `writer` may write it
+    function _writeValue(
+        address writer,
+        address namespace,
+        string calldata key,
+        bytes calldata value
+    ) internal returns (bytes32 hashedKey, uint256 newVersion) {
+        hashedKey = keccak256(abi.encodePacked(namespace, key));
+
+        // If key exists, only its owner and writers can update it. New keys
+        // can only be created in the writer's own namespace
         if (keyOwners[hashedKey] != address(0)) {
             require(
-                keyOwners[hashedKey] == msg.sender,
+                _canWrite(hashedKey, writer),
                 "Not authorized to update this key"
             );
         } else {
-            keyOwners[hashedKey] = msg.sender;
+            require(namespace == writer, "Not authorized to update this key");
+            _setKeyOwner(hashedKey, namespace, key, writer);
         }
 
         store[hashedKey] = value;
-        uint256 currentNonce = nonces[msg.sender]++;
+        deletedKeys[hashedKey] = false;
+        delete keyExpiries[hashedKey];
+        newVersion = keyVersions[hashedKey] + 1;
+        keyVersions[hashedKey] = newVersion;
+        _retainVersion(hashedKey, newVersion, value, false);
+    }
+
+    function _deleteValue(address namespace, string calldata key) internal {
+        bytes32 hashedKey = keccak256(abi.encodePacked(namespace, key));
+
+        require(keyOwners[hashedKey] != address(0), "Key does not exist");
+        require(
+            _canWrite(hashedKey, msg.sender),
+            "Not authorized to update this key"
+        );
+        require(!deletedKeys[hashedKey], "Key already deleted");
+
+        delete store[hashedKey];
+        deletedKeys[hashedKey] = true;
+        delete keyExpiries[hashedKey];
+        uint256 currentNonce = nonces[namespace]++;
         uint256 newVersion = keyVersions[hashedKey] + 1;
         keyVersions[hashedKey] = newVersion;
+        _retainVersion(hashedKey, newVersion, "", true);
 
-        // Emit topic-only event (easier to query, more gas efficient)
-        emit OnlyTopics(msg.sender, hashedKey, newVersion);
+        emit ValueDeleted(namespace, key, currentNonce, hashedKey, newVersion);
+    }
 
-        // Main event with both topics and data
-        emit ValueSet(
-            msg.sender,
+    function _canWrite(
+        bytes32 hashedKey,
+        address account
+    ) internal view returns (bool) {
+        return
+            keyOwners[hashedKey] == account || keyWriters[hashedKey][account];
+    }
+
+    function _recoverSigner(
+        bytes32 digest,
+        bytes calldata signature
+    ) internal pure returns (address signer) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := calldataload(signature.offset)
+            s := calldataload(add(signature.offset, 32))
+            v := byte(0, calldataload(add(signature.offset, 64)))
+        }
+        require(uint256(s) <= MAX_SIGNATURE_S, "Invalid signature");
+
+        signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+    }
+
+    function _onlyKeyOwner(
+        address namespace,
+        string calldata key
+    ) internal view returns (bytes32 hashedKey) {
+        hashedKey = keccak256(abi.encodePacked(namespace, key));
+        require(
+            keyOwners[hashedKey] == msg.sender,
+            "Caller is not the key owner"
+        );
+    }
+
+    // Change the owner of a key, keeping the per-owner key lists in step. The
+    // first owner also records the namespace and key string behind the hash
+    function _setKeyOwner(
+        bytes32 hashedKey,
+        address namespace,
+        string memory key,
+        address newOwner
+    ) internal {
+        address previousOwner = keyOwners[hashedKey];
+        if (previousOwner == newOwner) {
+            return;
+        }
+
+        if (previousOwner == address(0)) {
+            keyNamespaces[hashedKey] = namespace;
+            keyNames[hashedKey] = key;
+        } else {
+            bytes32[] storage previousKeys = ownedKeys[previousOwner];
+            uint256 index = ownedKeyIndex[hashedKey];
+            bytes32 lastKey = previousKeys[previousKeys.length - 1];
+            previousKeys[index] = lastKey;
+            ownedKeyIndex[lastKey] = index;
+            previousKeys.pop();
+        }
+
+        keyOwners[hashedKey] = newOwner;
+        ownedKeyIndex[hashedKey] = ownedKeys[newOwner].length;
+        ownedKeys[newOwner].push(hashedKey);
+    }
+
+    // Record a version in the ring buffer of a key that retains versions
+    function _retainVersion(
+        bytes32 hashedKey,
+        uint256 version,
+        bytes memory value,
+        bool deleted
+    ) internal {
+        uint256 depth = keyRetention[hashedKey];
+        if (depth == 0) {
+            return;
+        }
+        RetainedValue storage retained = retainedValues[hashedKey][
+            version % depth
+        ];
+        retained.version = version;
+        retained.deleted = deleted;
+        retained.value = value;
+    }
+
+    // Slots move when the depth changes, so the current version is recorded
+    // again under the new depth
+    function _retainCurrentVersion(bytes32 hashedKey) internal {
+        uint256 version = keyVersions[hashedKey];
+        if (version > 0) {
+            _retainVersion(
+                hashedKey,
+                version,
+                store[hashedKey],
+                deletedKeys[hashedKey]
+            );
+        }
+    }
+
+    // Publish the full owner and writer list, so every chain converges on the
+    // latest ACL version regardless of the order updates arrive in
+    function _emitKeyAcl(
+        address namespace,
+        string calldata key,
+        bytes32 hashedKey
+    ) internal {
+        uint256 currentNonce = nonces[namespace]++;
+        uint256 newVersion = keyAclVersions[hashedKey] + 1;
+        keyAclVersions[hashedKey] = newVersion;
+
+        emit KeyAclUpdated(
+            namespace,
             key,
-            value,
+            keyOwners[hashedKey],
+            keyWriterList[hashedKey],
             currentNonce,
             hashedKey,
             newVersion
         );
-
-        // Emit data-only event (harder to query, less gas efficient)
-        emit OnlyData(key, value, currentNonce, "State updated successfully");
     }
 
     /**
@@ -124,31 +748,43 @@ contract StateSync {
      *    - topics (bytes): Concatenated event topics (3 x 32 bytes)
      *    - unindexedData (bytes): ABI-encoded non-indexed event parameters
      *
-     * 2. Topics Decoding (3 x 32 bytes):
-     *    - topics[0]: Event signature hash (keccak256 of event signature)
+     * 2. Source Validation:
+     *    - sourceChainId must have a registered peer
+     *    - sourceContract must be the peer registered for sourceChainId
+     *
+     * 3. Topics Decoding (3 x 32 bytes):
+     *    - topics[0]: Event signature hash (ValueSet, ValuesSet, ValueDeleted, KeyAclUpdated or KeyRetentionUpdated)
      *    - topics[1]: Indexed sender address (padded to 32 bytes)
      *    - topics[2]: Indexed hashedKey (bytes32)
      *
-     * 3. Unindexed Data Decoding:
-     *    Original Event: ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
-     *    Decoded as: (string, bytes, uint256, uint256)
+     * 4. Unindexed Data Decoding:
+     *    ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)
+     *    Decoded as: (string, bytes, uint256, uint256, uint256)
      *    - string: key (skipped as we use hashedKey from topics)
      *    - bytes: value to store
      *    - uint256: nonce for replay protection
      *    - uint256: version for state updates
+     *    - uint256: expiry of the value (0: never)
+     *    ValueDeleted(address indexed sender, string key, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
+     *    Decoded as: (string, uint256, uint256), the value is cleared
+     *    KeyAclUpdated events are handed to _applyKeyAclFromSource,
+     *    KeyRetentionUpdated events to _applyKeyRetentionFromSource, ValuesSet
+     *    batches to _applyValuesFromSource
      *
-     * 4. Replay Protection:
+     * 5. Replay Protection:
      *    - Creates unique proofHash from: sourceChainId + sourceContract + hashedKey + nonce
      *    - Checks if proofHash was previously used
      *
-     * 5. Version Control:
+     * 6. Version Control:
      *    - Ensures new version is higher than current version
      *    - Updates version in storage
      *
-     * 6. State Update:
-     *    - Stores value using hashedKey
+     * 7. State Update:
+     *    - Stores the value and its expiry, or clears them and marks the key
+     *      deleted
+     *    - Retains the version if the key retains versions
      *    - Sets key owner if not already set
-     *    - Emits ValueUpdated event
+     *    - Emits ValueUpdated or ValueRemoved event
      */
     function setValueFromSource(bytes calldata proof) external {
         // Step 1: Validate and decode the proof using Polymer's prover
@@ -160,7 +796,14 @@ contract StateSync {
             bytes memory unindexedData
         ) = polymerProver.validateEvent(proof);
 
-        // Step 2: Split concatenated topics into individual 32-byte values
+        // Step 2: Only accept events emitted by our own deployments
+        // Without this, any contract on any chain emitting a look-alike ValueSet
+        // event could write into this store
+        address trustedPeer = peers[sourceChainId];
+        require(trustedPeer != address(0), "Unknown source chain");
+        require(sourceContract == trustedPeer, "Untrusted source contract");
+
+        // Step 3: Split concatenated topics into individual 32-byte values
         bytes32[] memory topicsArray = new bytes32[](3); // [eventSig, sender, hashedKey]
         require(topics.length >= 96, "Invalid topics length"); // 3 * 32 bytes
 
@@ -183,55 +826,253 @@ contract StateSync {
             }
         }
 
-        // Step 3: Verify this is the correct event type
+        // Step 4: Verify this is the correct event type
         // This check is crucial for security:
-        // 1. Ensures we're processing a ValueSet event, not any other event type
+        // 1. Ensures we're processing one of the source events above, not any other event type
         // 2. Prevents processing of events from different contracts with same parameter structure
         // 3. Validates the exact parameter types and order match our expected format
-        bytes32 expectedSelector = keccak256(
-            "ValueSet(address,string,bytes,uint256,bytes32,uint256)"
+        bool isDeletion = topicsArray[0] == VALUE_DELETED_SIGNATURE;
+        bool isAclUpdate = topicsArray[0] == KEY_ACL_UPDATED_SIGNATURE;
+        bool isBatch = topicsArray[0] == VALUES_SET_SIGNATURE;
+        require(
+            isDeletion ||
+                isAclUpdate ||
+                isBatch ||
+                topicsArray[0] == KEY_RETENTION_UPDATED_SIGNATURE ||
+                topicsArray[0] == VALUE_SET_SIGNATURE,
+            "Invalid event signature"
         );
-        require(topicsArray[0] == expectedSelector, "Invalid event signature");
 
-        // Step 4: Extract indexed parameters from topics
+        // Step 5: Extract indexed parameters from topics
         // Convert the padded address from bytes32 to address type
         address sender = address(uint160(uint256(topicsArray[1])));
         // Get the hashedKey directly (already bytes32)
         bytes32 hashedKey = topicsArray[2];
 
-        // Step 5: Decode non-indexed event parameters
-        // Original event: ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
-        (
-            ,
-            // skip key (we use hashedKey from topics)
-            bytes memory value, // actual value to store
-            uint256 nonce, // used for replay protection
-            uint256 version // used for version control
-        ) = abi.decode(unindexedData, (string, bytes, uint256, uint256));
-
-        // Step 6: Create and verify unique proof hash for replay protection
-        bytes32 proofHash = keccak256(
-            abi.encodePacked(sourceChainId, sourceContract, hashedKey, nonce)
-        );
-        require(!usedProofHashes[proofHash], "hashKey already used");
-        usedProofHashes[proofHash] = true;
+        // Owner and writer changes are versioned separately from values
+        if (isAclUpdate) {
+            _applyKeyAclFromSource(
+                sourceChainId,
+                sourceContract,
+                sender,
+                hashedKey,
+                unindexedData
+            );
+            return;
+        }
 
-        // Step 7: Version control check
+        // So is the retention depth
+        if (topicsArray[0] == KEY_RETENTION_UPDATED_SIGNATURE) {
+            _applyKeyRetentionFromSource(
+                sourceChainId,
+                sourceContract,
+                sender,
+                hashedKey,
+                unindexedData
+            );
+            return;
+        }
+
+        // For batches, the third topic is the batch hash
+        if (isBatch) {
+            _applyValuesFromSource(
+                sourceChainId,
+                sourceContract,
+                sender,
+                hashedKey,
+                unindexedData
+            );
+            return;
+        }
+
+        // Step 6: Decode non-indexed event parameters
+        string memory key;
+        bytes memory value;
+        uint256 nonce;
+        uint256 version;
+        // Expiries are stored as soon as they are decoded, which keeps the
+        // stack shallow. A failed check below reverts them with the rest
+        if (isDeletion) {
+            // ValueDeleted(address indexed sender, string key, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
+            (key, nonce, version) = abi.decode(
+                unindexedData,
+                (string, uint256, uint256)
+            );
+            delete keyExpiries[hashedKey];
+        } else {
+            uint256 expiresAt;
+            // ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)
+            (
+                key, // only recorded for new keys, hashedKey comes from topics
+                value, // actual value to store
+                nonce, // used for replay protection
+                version, // used for version control
+                expiresAt // applied as is, even if already in the past
+            ) = abi.decode(
+                unindexedData,
+                (string, bytes, uint256, uint256, uint256)
+            );
+            keyExpiries[hashedKey] = expiresAt;
+        }
+
+        // Step 7: Create and verify unique proof hash for replay protection
+        _useProofHash(sourceChainId, sourceContract, hashedKey, nonce);
+
+        // Step 8: Version control check
         require(
             version > keyVersions[hashedKey],
             "Version must be newer than current version"
         );
         keyVersions[hashedKey] = version;
 
-        // Step 8: Update state
+        // Step 9: Update state
+        // A deletion leaves a tombstone: the key keeps its owner and version
         store[hashedKey] = value;
+        deletedKeys[hashedKey] = isDeletion;
         // Set the key owner if this is the first time this key is being used
         if (keyOwners[hashedKey] == address(0)) {
-            keyOwners[hashedKey] = sender;
+            _setKeyOwner(hashedKey, sender, key, sender);
         }
+        _retainVersion(hashedKey, version, value, isDeletion);
 
-        // Step 9: Emit event for indexing and tracking
-        emit ValueUpdated(hashedKey, value, version);
+        // Step 10: Emit event for indexing and tracking
+        if (isDeletion) {
+            emit ValueRemoved(hashedKey, version);
+        } else {
+            emit ValueUpdated(hashedKey, value, version);
+        }
+    }
+
+    // Replace the owner and writers of a key with the list from a
+    // KeyAclUpdated event, unless a newer list was already applied
+    function _applyKeyAclFromSource(
+        uint32 sourceChainId,
+        address sourceContract,
+        address sender,
+        bytes32 hashedKey,
+        bytes memory unindexedData
+    ) internal {
+        // KeyAclUpdated(address indexed sender, string key, address owner, address[] writers, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
+        (
+            string memory key,
+            address newOwner,
+            address[] memory writers,
+            uint256 nonce,
+            uint256 version
+        ) = abi.decode(
+                unindexedData,
+                (string, address, address[], uint256, uint256)
+            );
+
+        _useProofHash(sourceChainId, sourceContract, hashedKey, nonce);
+
+        require(
+            version > keyAclVersions[hashedKey],
+            "ACL version must be newer than current version"
+        );
+        keyAclVersions[hashedKey] = version;
+
+        _setKeyOwner(hashedKey, sender, key, newOwner);
+        address[] storage currentWriters = keyWriterList[hashedKey];
+        for (uint256 i = 0; i < currentWriters.length; i++) {
+            keyWriters[hashedKey][currentWriters[i]] = false;
+        }
+        delete keyWriterList[hashedKey];
+        for (uint256 i = 0; i < writers.length; i++) {
+            if (!keyWriters[hashedKey][writers[i]]) {
+                keyWriters[hashedKey][writers[i]] = true;
+                currentWriters.push(writers[i]);
+            }
+        }
+
+        emit KeyAclSynced(hashedKey, newOwner, writers, version);
+    }
+
+    // Apply the retention depth of a KeyRetentionUpdated event, unless a
+    // newer depth was already applied
+    function _applyKeyRetentionFromSource(
+        uint32 sourceChainId,
+        address sourceContract,
+        address sender,
+        bytes32 hashedKey,
+        bytes memory unindexedData
+    ) internal {
+        // KeyRetentionUpdated(address indexed sender, string key, uint256 depth, uint256 nonce, bytes32 indexed hashedKey, uint256 version)
+        (string memory key, uint256 depth, uint256 nonce, uint256 version) = abi
+            .decode(unindexedData, (string, uint256, uint256, uint256));
+
+        _useProofHash(sourceChainId, sourceContract, hashedKey, nonce);
+
+        require(
+            version > keyRetentionVersions[hashedKey],
+            "Retention version must be newer than current version"
+        );
+        keyRetentionVersions[hashedKey] = version;
+
+        keyRetention[hashedKey] = depth;
+        _retainCurrentVersion(hashedKey);
+        if (keyOwners[hashedKey] == address(0)) {
+            _setKeyOwner(hashedKey, sender, key, sender);
+        }
+
+        emit KeyRetentionSynced(hashedKey, depth, version);
+    }
+
+    // Apply every entry of a ValuesSet batch in this transaction. Entries
+    // whose key already has the same or a newer version here are skipped, so
+    // one stale key does not hold back the rest of the batch
+    function _applyValuesFromSource(
+        uint32 sourceChainId,
+        address sourceContract,
+        address sender,
+        bytes32 batchHash,
+        bytes memory unindexedData
+    ) internal {
+        // ValuesSet(address indexed sender, string[] keys, bytes[] values, uint256 nonce, bytes32 indexed batchHash, uint256[] versions)
+        (
+            string[] memory keys,
+            bytes[] memory values,
+            uint256 nonce,
+            uint256[] memory versions
+        ) = abi.decode(unindexedData, (string[], bytes[], uint256, uint256[]));
+        require(
+            keys.length == values.length && keys.length == versions.length,
+            "Keys and values length mismatch"
+        );
+
+        _useProofHash(sourceChainId, sourceContract, batchHash, nonce);
+
+        for (uint256 i = 0; i < keys.length; i++) {
+            bytes32 hashedKey = keccak256(abi.encodePacked(sender, keys[i]));
+            if (versions[i] <= keyVersions[hashedKey]) {
+                continue;
+            }
+
+            keyVersions[hashedKey] = versions[i];
+            store[hashedKey] = values[i];
+            deletedKeys[hashedKey] = false;
+            delete keyExpiries[hashedKey];
+            if (keyOwners[hashedKey] == address(0)) {
+                _setKeyOwner(hashedKey, sender, keys[i], sender);
+            }
+            _retainVersion(hashedKey, versions[i], values[i], false);
+
+            emit ValueUpdated(hashedKey, values[i], versions[i]);
+        }
+    }
+
+    // Every source event carries a nonce unique within its namespace
+    function _useProofHash(
+        uint32 sourceChainId,
+        address sourceContract,
+        bytes32 hashedKey,
+        uint256 nonce
+    ) internal {
+        bytes32 proofHash = keccak256(
+            abi.encodePacked(sourceChainId, sourceContract, hashedKey, nonce)
+        );
+        require(!usedProofHashes[proofHash], "hashKey already used");
+        usedProofHashes[proofHash] = true;
     }
 
     // Query a value
@@ -243,8 +1084,211 @@ contract StateSync {
         return store[hashedKey];
     }
 
+    // Whether the latest version of a key is a deletion
+    function isDeleted(
+        address originalSender,
+        string calldata key
+    ) external view returns (bool) {
+        bytes32 hashedKey = keccak256(abi.encodePacked(originalSender, key));
+        return deletedKeys[hashedKey];
+    }
+
+    // Query a value, reporting expired and deleted keys as absent. `found` is
+    // false, and `value` empty, when the key was never set, is deleted or its
+    // value expired. getValue returns the stored value regardless of expiry
+    function getLiveValue(
+        address originalSender,
+        string calldata key
+    ) external view returns (bytes memory value, bool found) {
+        bytes32 hashedKey = keccak256(abi.encodePacked(originalSender, key));
+        return _liveValue(hashedKey);
+    }
+
+    // getLiveValue by hashed key
+    function getLiveValueByHash(
+        bytes32 hashedKey
+    ) external view returns (bytes memory value, bool found) {
+        return _liveValue(hashedKey);
+    }
+
+    function _liveValue(
+        bytes32 hashedKey
+    ) internal view returns (bytes memory, bool) {
+        if (
+            keyOwners[hashedKey] == address(0) ||
+            deletedKeys[hashedKey] ||
+            _isExpired(hashedKey)
+        ) {
+            return ("", false);
+        }
+        return (store[hashedKey], true);
+    }
+
+    function _isExpired(bytes32 hashedKey) internal view returns (bool) {
+        uint256 expiresAt = keyExpiries[hashedKey];
+        return expiresAt != 0 && expiresAt <= block.timestamp;
+    }
+
+    // Whether the latest value of a key has expired
+    function isExpired(
+        address originalSender,
+        string calldata key
+    ) external view returns (bool) {
+        return _isExpired(keccak256(abi.encodePacked(originalSender, key)));
+    }
+
+    // Whether the latest value of a key has expired, by its hashed key
+    function isExpiredByHash(bytes32 hashedKey) external view returns (bool) {
+        return _isExpired(hashedKey);
+    }
+
+    // Get when the latest value of a key expires (0: never)
+    function getKeyExpiry(bytes32 hashedKey) external view returns (uint256) {
+        return keyExpiries[hashedKey];
+    }
+
+    // Query a value by its hashed key, for readers that do not know the
+    // key's namespace or name
+    function getValueByHash(
+        bytes32 hashedKey
+    ) external view returns (bytes memory) {
+        return store[hashedKey];
+    }
+
+    // Whether the latest version of a key is a deletion, by its hashed key
+    function isDeletedByHash(bytes32 hashedKey) external view returns (bool) {
+        return deletedKeys[hashedKey];
+    }
+
+    // Query the value a key had at `version`. `retained` is false when that
+    // version is not readable here: never reached, out of the retention
+    // depth, or skipped by this chain because a newer version arrived first
+    function getValueAtVersion(
+        address originalSender,
+        string calldata key,
+        uint256 version
+    ) external view returns (bytes memory value, bool deleted, bool retained) {
+        bytes32 hashedKey = keccak256(abi.encodePacked(originalSender, key));
+        return _valueAtVersion(hashedKey, version);
+    }
+
+    // getValueAtVersion by hashed key
+    function getValueAtVersionByHash(
+        bytes32 hashedKey,
+        uint256 version
+    ) external view returns (bytes memory value, bool deleted, bool retained) {
+        return _valueAtVersion(hashedKey, version);
+    }
+
+    function _valueAtVersion(
+        bytes32 hashedKey,
+        uint256 version
+    ) internal view returns (bytes memory, bool, bool) {
+        uint256 currentVersion = keyVersions[hashedKey];
+        if (version == 0 || version > currentVersion) {
+            return ("", false, false);
+        }
+        if (version == currentVersion) {
+            return (store[hashedKey], deletedKeys[hashedKey], true);
+        }
+
+        uint256 depth = keyRetention[hashedKey];
+        if (currentVersion - version >= depth) {
+            return ("", false, false);
+        }
+        RetainedValue storage retained = retainedValues[hashedKey][
+            version % depth
+        ];
+        if (retained.version != version) {
+            return ("", false, false);
+        }
+        return (retained.value, retained.deleted, true);
+    }
+
+    // Get how many versions of a key are readable, the latest included
+    function getKeyRetention(
+        bytes32 hashedKey
+    ) external view returns (uint256) {
+        return keyRetention[hashedKey];
+    }
+
+    // Get the current version of a key's retention depth
+    function getKeyRetentionVersion(
+        bytes32 hashedKey
+    ) external view returns (uint256) {
+        return keyRetentionVersions[hashedKey];
+    }
+
     // Get the owner of a key
     function getKeyOwner(bytes32 hashedKey) external view returns (address) {
         return keyOwners[hashedKey];
     }
+
+    // Get the accounts allowed to write a key besides its owner
+    function getKeyWriters(
+        bytes32 hashedKey
+    ) external view returns (address[] memory) {
+        return keyWriterList[hashedKey];
+    }
+
+    // Whether `account` may set and delete a key
+    function canWrite(
+        bytes32 hashedKey,
+        address account
+    ) external view returns (bool) {
+        return _canWrite(hashedKey, account);
+    }
+
+    // Get the current version of a key's owner and writer list
+    function getKeyAclVersion(
+        bytes32 hashedKey
+    ) external view returns (uint256) {
+        return keyAclVersions[hashedKey];
+    }
+
+    // Get the namespace and key string behind a hashed key, for keys written
+    // or synced to this chain
+    function getKeyName(
+        bytes32 hashedKey
+    ) external view returns (address namespace, string memory key) {
+        return (keyNamespaces[hashedKey], keyNames[hashedKey]);
+    }
+
+    // Number of keys `account` owns on this chain, deleted keys included
+    function getOwnedKeyCount(address account) external view returns (uint256) {
+        return ownedKeys[account].length;
+    }
+
+    // Page through the keys `account` owns, `limit` at a time from `offset`.
+    // Ownership transfers reorder the list, so pages read across transfers
+    // can skip or repeat a key
+    function getOwnedKeys(
+        address account,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (
+            bytes32[] memory hashedKeys,
+            address[] memory namespaces,
+            string[] memory keys
+        )
+    {
+        bytes32[] storage owned = ownedKeys[account];
+        uint256 count = offset < owned.length ? owned.length - offset : 0;
+        if (count > limit) {
+            count = limit;
+        }
+
+        hashedKeys = new bytes32[](count);
+        namespaces = new address[](count);
+        keys = new string[](count);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 hashedKey = owned[offset + i];
+            hashedKeys[i] = hashedKey;
+            namespaces[i] = keyNamespaces[hashedKey];
+            keys[i] = keyNames[hashedKey];
+        }
+    }
 }
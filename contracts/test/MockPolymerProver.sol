@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../StateSync.sol";
+
+/**
+ * @notice Stand-in for the Polymer prover in hardhat tests and local networks
+ * @dev Proofs are built locally by lib/mock-prover.js, for the hardhat tests
+ *      and for the local proof API (scripts/mock-polymer-api.js):
+ *
+ *   proof = abi.encode(uint32 chainId, address emitter, bytes topics,
+ *                      bytes data, bytes signature)
+ *
+ * where `topics` is the concatenation of the log's topics (as returned by the
+ * real prover) and `signature` is an EIP-191 signature by `signer` over
+ * keccak256(abi.encode(chainId, emitter, topics, data)). The signature stands
+ * in for Polymer's attestation: tests can only deliver logs the test key
+ * vouched for, and tampering with any field invalidates the proof.
+ */
+contract MockPolymerProver is IPolymerProver {
+    // Test key whose signatures are accepted as proofs
+    address public immutable signer;
+
+    constructor(address _signer) {
+        signer = _signer;
+    }
+
+    function validateEvent(
+        bytes calldata proof
+    )
+        external
+        view
+        returns (
+            uint32 chainId,
+            address emittingContract,
+            bytes memory topics,
+            bytes memory data
+        )
+    {
+        bytes memory signature;
+        (chainId, emittingContract, topics, data, signature) = abi.decode(
+            proof,
+            (uint32, address, bytes, bytes, bytes)
+        );
+
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19Ethereum Signed Message:\n32",
+                keccak256(abi.encode(chainId, emittingContract, topics, data))
+            )
+        );
+        require(_recover(digest, signature) == signer, "Invalid proof");
+    }
+
+    function _recover(
+        bytes32 digest,
+        bytes memory signature
+    ) internal pure returns (address) {
+        require(signature.length == 65, "Invalid proof");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        return ecrecover(digest, v, r, s);
+    }
+}
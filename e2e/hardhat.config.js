@@ -0,0 +1,17 @@
+// Config of the hardhat nodes booted by e2e/harness.js: the project config,
+// with the chain ID of the testnet the node stands in for (E2E_CHAIN_ID) and
+// a block every second on top of automining, so the relayer sees confirmations
+// pile up like on a live chain.
+const config = require("../hardhat.config");
+
+module.exports = {
+  ...config,
+  paths: { ...config.paths, root: ".." },
+  networks: {
+    ...config.networks,
+    hardhat: {
+      chainId: Number(process.env.E2E_CHAIN_ID),
+      mining: { auto: true, interval: 1000 },
+    },
+  },
+};
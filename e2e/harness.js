@@ -0,0 +1,317 @@
+/**
+ * End-to-end harness
+ * ==================
+ *
+ * Boots a local stand-in for the whole deployment: one hardhat node per chain
+ * (with the chain ID of the testnet it replaces), StateSync and a
+ * MockPolymerProver on each, peers set both ways, the local proof API
+ * (scripts/mock-polymer-api.js) and the relayer itself (scripts/relayer.js),
+ * configured through the same environment variables as in production.
+ *
+ * Every process is a child of the test run and is stopped by PID.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { getMockProverSigner } = require("../lib/mock-prover");
+
+const ROOT = path.join(__dirname, "..");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/cli");
+
+// First account of every hardhat node, deploys the contracts and pays for
+// the relayer's transactions
+const DEPLOYER_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+// Second account, writes the values under test. Kept apart from the relayer's
+// account so their nonces never collide
+const USER_KEY =
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+// Chains of config/chains.js the nodes stand in for. Ports are kept away from
+// the default 8545 so a node started by hand does not get in the way
+const E2E_CHAINS = [
+  { key: "optimism-sepolia", chainId: 11155420, port: 18545 },
+  { key: "base-sepolia", chainId: 84532, port: 18546 },
+  { key: "mode-sepolia", chainId: 919, port: 18547 },
+];
+const MOCK_POLYMER_PORT = 18550;
+const RELAYER_HTTP_PORT = 18560;
+
+// How long a node, the proof API or the relayer may take to come up
+const STARTUP_TIMEOUT_MS = 60 * 1000;
+
+// Services still running, stopped when the test run exits however it ends
+const running = new Set();
+process.on("exit", () => {
+  for (const service of running) {
+    service.child.kill("SIGKILL");
+  }
+});
+
+// Compiled by `hardhat test` before the harness runs
+function readArtifact(sourcePath, name) {
+  return JSON.parse(
+    fs.readFileSync(
+      path.join(ROOT, "artifacts/contracts", sourcePath, `${name}.json`),
+      "utf8"
+    )
+  );
+}
+
+// Prefix of the environment variables of a chain, e.g. BASE_SEPOLIA
+function envPrefix(chainKey) {
+  return chainKey.toUpperCase().replace("-", "_");
+}
+
+/**
+ * Poll `condition` until it returns a truthy value
+ * @returns {Promise<*>} The value returned by `condition`
+ */
+async function waitFor(
+  condition,
+  { timeout = 60 * 1000, interval = 500 } = {}
+) {
+  const deadline = Date.now() + timeout;
+  let lastError;
+  while (Date.now() < deadline) {
+    try {
+      const result = await condition();
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  throw new Error(
+    `Timed out after ${timeout}ms${
+      lastError ? ` (last error: ${lastError.message})` : ""
+    }`
+  );
+}
+
+/**
+ * A node script run as a child process, with its output kept for assertions
+ * and for the failure report
+ */
+class Service {
+  /**
+   * @param {string} name - Shown in the output dump
+   * @param {string[]} args - Arguments to node
+   * @param {object} env - Added to the environment of the test run
+   */
+  constructor(name, args, env = {}) {
+    this.name = name;
+    this.args = args;
+    this.env = env;
+    this.output = "";
+    this.child = null;
+  }
+
+  /**
+   * Start the process and wait until its output matches `ready`
+   */
+  async start(ready) {
+    this.child = spawn(process.execPath, this.args, {
+      cwd: ROOT,
+      env: { ...process.env, ...this.env, FORCE_COLOR: "0" },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const append = (chunk) => {
+      this.output += chunk;
+    };
+    this.child.stdout.on("data", append);
+    this.child.stderr.on("data", append);
+    running.add(this);
+    this.exited = new Promise((resolve) =>
+      this.child.on("exit", () => {
+        running.delete(this);
+        resolve();
+      })
+    );
+
+    await this.waitForOutput(ready, STARTUP_TIMEOUT_MS);
+    return this;
+  }
+
+  /**
+   * Wait until the output (from `offset` on) matches `pattern`
+   */
+  async waitForOutput(pattern, timeout = 60 * 1000, offset = 0) {
+    let exited = false;
+    this.exited.then(() => {
+      exited = true;
+    });
+    await waitFor(
+      () => {
+        if (exited) {
+          throw new Error(`${this.name} exited early:\n${this.output}`);
+        }
+        return pattern.test(this.output.slice(offset));
+      },
+      { timeout, interval: 100 }
+    ).catch((error) => {
+      throw new Error(`${this.name}: waiting for ${pattern}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Stop the process. SIGKILL simulates a crash
+   */
+  async stop(signal = "SIGTERM") {
+    if (!this.child || this.child.exitCode !== null) {
+      return;
+    }
+    this.child.kill(signal);
+    await this.exited;
+  }
+}
+
+/**
+ * Boot a hardhat node standing in for `chain`, and deploy StateSync with a
+ * mock prover on it
+ */
+async function startChain(chain) {
+  const node = await new Service(
+    `node ${chain.key}`,
+    [
+      HARDHAT_CLI,
+      "--config",
+      path.join(__dirname, "hardhat.config.js"),
+      "node",
+      "--port",
+      String(chain.port),
+    ],
+    { E2E_CHAIN_ID: String(chain.chainId) }
+  ).start(/Started HTTP and WebSocket JSON-RPC server/);
+
+  try {
+    return await deployChain(chain, node);
+  } catch (error) {
+    await node.stop();
+    throw error;
+  }
+}
+
+async function deployChain(chain, node) {
+  const rpcUrl = `http://127.0.0.1:${chain.port}`;
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
+    staticNetwork: true,
+  });
+  const wallet = new ethers.Wallet(DEPLOYER_KEY, provider);
+
+  const proverArtifact = readArtifact(
+    "test/MockPolymerProver.sol",
+    "MockPolymerProver"
+  );
+  const prover = await new ethers.ContractFactory(
+    proverArtifact.abi,
+    proverArtifact.bytecode,
+    wallet
+  ).deploy(getMockProverSigner().address);
+  await prover.waitForDeployment();
+
+  const stateSyncArtifact = readArtifact("StateSync.sol", "StateSync");
+  const stateSync = await new ethers.ContractFactory(
+    stateSyncArtifact.abi,
+    stateSyncArtifact.bytecode,
+    wallet
+  ).deploy(await prover.getAddress());
+  await stateSync.waitForDeployment();
+
+  return {
+    ...chain,
+    node,
+    rpcUrl,
+    provider,
+    stateSync,
+    address: await stateSync.getAddress(),
+    // StateSync connected to the user account
+    user: stateSync.connect(new ethers.Wallet(USER_KEY, provider)),
+  };
+}
+
+/**
+ * Boot the nodes, deploy the contracts and make every chain a peer of every
+ * other one
+ * @param {object[]} [chains] - Defaults to E2E_CHAINS
+ */
+async function startNetwork(chains = E2E_CHAINS) {
+  const started = [];
+  try {
+    // One after the other, hardhat nodes are heavy to boot
+    for (const chain of chains) {
+      started.push(await startChain(chain));
+    }
+
+    for (const chain of started) {
+      for (const peer of started.filter((other) => other !== chain)) {
+        await (
+          await chain.stateSync.setPeer(peer.chainId, peer.address)
+        ).wait();
+      }
+    }
+  } catch (error) {
+    await Promise.all(started.map((chain) => chain.node.stop()));
+    throw error;
+  }
+
+  return {
+    chains: started,
+    stateDir: fs.mkdtempSync(path.join(os.tmpdir(), "state-sync-e2e-")),
+
+    // Environment of the proof API and the relayer
+    env(overrides = {}) {
+      const env = {
+        ACTIVATED_CHAINS: started.map((chain) => chain.key).join(","),
+        PRIVATE_KEY: DEPLOYER_KEY,
+        POLYMER_API_URL: `http://127.0.0.1:${MOCK_POLYMER_PORT}`,
+        MOCK_POLYMER_PORT: String(MOCK_POLYMER_PORT),
+        RELAYER_HTTP_PORT: String(RELAYER_HTTP_PORT),
+        RELAYER_STATE_FILE: path.join(this.stateDir, "state.jsonl"),
+      };
+      for (const chain of started) {
+        const prefix = envPrefix(chain.key);
+        env[`${prefix}_RPC`] = chain.rpcUrl;
+        env[`${prefix}_CONTRACT_ADDRESS`] = chain.address;
+        env[`${prefix}_CONFIRMATIONS`] = "1";
+        // Fail fast instead of waiting out production backoffs
+        env[`${prefix}_RETRY_BASE_DELAY_MS`] = "500";
+      }
+      return { ...env, ...overrides };
+    },
+
+    startProofApi(overrides = {}) {
+      return new Service(
+        "mock polymer api",
+        [path.join(ROOT, "scripts/mock-polymer-api.js")],
+        this.env(overrides)
+      ).start(/Mock Polymer API listening/);
+    },
+
+    startRelayer(overrides = {}) {
+      return new Service(
+        "relayer",
+        [path.join(ROOT, "scripts/relayer.js")],
+        this.env(overrides)
+      ).start(/All listeners started successfully/);
+    },
+
+    async stop() {
+      await Promise.all(started.map((chain) => chain.node.stop()));
+      fs.rmSync(this.stateDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  E2E_CHAINS,
+  Service,
+  startNetwork,
+  waitFor,
+};
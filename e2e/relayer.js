@@ -0,0 +1,523 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { encodeProof } = require("../lib/mock-prover");
+const { RelayerStore, DELIVERY_STATUS } = require("../lib/relayer-store");
+const { signSetValue } = require("../lib/signed-writes");
+const { startNetwork, waitFor } = require("./harness");
+
+// Jobs stay pending long enough to stop the relayer while it waits for one
+const PROOF_DELAY_MS = 3000;
+// Time for a write to reach every other chain
+const SYNC_TIMEOUT_MS = 90 * 1000;
+
+function hashKey(owner, key) {
+  return ethers.keccak256(
+    ethers.solidityPacked(["address", "string"], [owner, key])
+  );
+}
+
+// Value, version and owner of a key on one chain
+async function readKey(chain, owner, key) {
+  const [value, version, keyOwner] = await Promise.all([
+    chain.stateSync.getValue(owner, key),
+    chain.stateSync.getKeyVersion(owner, key),
+    chain.stateSync.getKeyOwner(hashKey(owner, key)),
+  ]);
+  return { value: ethers.toUtf8String(value), version, owner: keyOwner };
+}
+
+// Wait until every chain agrees with the source on a key
+async function expectConverged(chains, source, owner, key) {
+  const expected = await readKey(source, owner, key);
+  await waitFor(
+    async () => {
+      const entries = await Promise.all(
+        chains.map((chain) => readKey(chain, owner, key))
+      );
+      return entries.every((entry) => entry.version === expected.version);
+    },
+    { timeout: SYNC_TIMEOUT_MS }
+  );
+
+  for (const chain of chains) {
+    expect(await readKey(chain, owner, key)).to.deep.equal(expected);
+  }
+  return expected;
+}
+
+// setValue from the user account, returns the ValueSet log
+async function setValue(chain, key, value) {
+  const receipt = await (
+    await chain.user.setValue(key, ethers.toUtf8Bytes(value))
+  ).wait();
+  return receipt.logs.find(
+    (log) => chain.stateSync.interface.parseLog(log)?.name === "ValueSet"
+  );
+}
+
+// Events recorded by the relayer for a source transaction
+function recordedEvents(store, chain, txHash) {
+  return store
+    .load()
+    .getEventsByChain(chain.chainId)
+    .filter((event) => event.transactionHash === txHash);
+}
+
+// JSON-RPC call to the mock Polymer API, returns the response body
+async function callProofApi(network, method, params) {
+  const response = await fetch(network.env().POLYMER_API_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  return response.json();
+}
+
+// Call the relayer's signed write endpoint, returns the status and body
+async function requestSignedWrite(network, method, path, body) {
+  const response = await fetch(
+    `http://127.0.0.1:${network.env().RELAYER_HTTP_PORT}${path}`,
+    {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    }
+  );
+  return { status: response.status, body: await response.json() };
+}
+
+describe("Relayer (end to end)", function () {
+  // Booting the nodes takes a while on a small machine
+  this.timeout(5 * 60 * 1000);
+
+  let network;
+  let proofApi;
+  let relayer;
+  let optimism;
+  let base;
+  let mode;
+  let user;
+
+  before(async function () {
+    network = await startNetwork();
+    [optimism, base, mode] = network.chains;
+    user = await optimism.user.runner.getAddress();
+
+    proofApi = await network.startProofApi({
+      MOCK_POLYMER_DELAY_MS: String(PROOF_DELAY_MS),
+    });
+    relayer = await network.startRelayer();
+  });
+
+  afterEach(function () {
+    // Leave the logs behind when a scenario fails
+    if (this.currentTest.state === "failed") {
+      console.log(`\n--- relayer ---\n${relayer?.output}`);
+      console.log(`\n--- mock polymer api ---\n${proofApi?.output}`);
+    }
+  });
+
+  after(async function () {
+    await relayer?.stop();
+    await proofApi?.stop();
+    await network?.stop();
+  });
+
+  it("syncs the value, version and owner of a write to every other chain", async function () {
+    await setValue(optimism, "greeting", "hello");
+
+    const entry = await expectConverged(
+      [base, mode],
+      optimism,
+      user,
+      "greeting"
+    );
+    expect(entry).to.deep.equal({ value: "hello", version: 1n, owner: user });
+
+    // And back from another source
+    await setValue(mode, "greeting", "hello again");
+    await expectConverged([optimism, base], mode, user, "greeting");
+  });
+
+  it("syncs retention so past versions are readable on every chain", async function () {
+    await setValue(optimism, "rate", "1");
+    await (await optimism.user.setKeyRetention(user, "rate", 3)).wait();
+    const hashedKey = hashKey(user, "rate");
+    await waitFor(
+      async () => {
+        const depths = await Promise.all(
+          [base, mode].map((chain) =>
+            chain.stateSync.getKeyRetention(hashedKey)
+          )
+        );
+        return depths.every((depth) => depth === 3n);
+      },
+      { timeout: SYNC_TIMEOUT_MS }
+    );
+
+    await setValue(optimism, "rate", "2");
+    await setValue(optimism, "rate", "3");
+    await expectConverged([base, mode], optimism, user, "rate");
+
+    for (const chain of [optimism, base, mode]) {
+      const values = await Promise.all(
+        [1, 2, 3].map(async (version) => {
+          const [value, , retained] = await chain.stateSync.getValueAtVersion(
+            user,
+            "rate",
+            version
+          );
+          return retained && ethers.toUtf8String(value);
+        })
+      );
+      expect(values).to.deep.equal(["1", "2", "3"]);
+    }
+  });
+
+  it("skips values that expire before they can be delivered", async function () {
+    // Within the relayer's default margin of 60 seconds
+    const latest = await optimism.user.runner.provider.getBlock("latest");
+    const receipt = await (
+      await optimism.user.setExpiringValue(
+        "session",
+        ethers.toUtf8Bytes("short"),
+        latest.timestamp + 30
+      )
+    ).wait();
+    const log = receipt.logs.find(
+      (log) => optimism.stateSync.interface.parseLog(log)?.name === "ValueSet"
+    );
+
+    const eventId = `${log.blockHash}-${log.transactionHash}-${log.index}`;
+    const store = new RelayerStore(network.env().RELAYER_STATE_FILE);
+    const deliveries = await waitFor(
+      () => {
+        const loaded = store.load();
+        const records = [base, mode].map((chain) =>
+          loaded.getDelivery(eventId, chain.chainId)
+        );
+        return (
+          records.every(
+            (record) => record?.status === DELIVERY_STATUS.CONFIRMED
+          ) && records
+        );
+      },
+      { timeout: SYNC_TIMEOUT_MS }
+    );
+    expect(deliveries.map((delivery) => delivery.outcome)).to.deep.equal([
+      "expired",
+      "expired",
+    ]);
+    for (const chain of [base, mode]) {
+      expect(await chain.stateSync.getKeyVersion(user, "session")).to.equal(0n);
+    }
+
+    // Values that outlive their delivery are synced with their expiry
+    const expiresAt = latest.timestamp + 3600;
+    await (
+      await optimism.user.setExpiringValue(
+        "session",
+        ethers.toUtf8Bytes("long"),
+        expiresAt
+      )
+    ).wait();
+    await expectConverged([base, mode], optimism, user, "session");
+    for (const chain of [base, mode]) {
+      expect(
+        await chain.stateSync.getKeyExpiry(hashKey(user, "session"))
+      ).to.equal(BigInt(expiresAt));
+    }
+  });
+
+  it("finishes a delivery interrupted by a crash after restarting", async function () {
+    const offset = relayer.output.length;
+    await setValue(base, "crash", "in flight");
+
+    // Kill the relayer while it waits for the proof
+    await relayer.waitForOutput(
+      /Proof requested for log/,
+      SYNC_TIMEOUT_MS,
+      offset
+    );
+    await relayer.stop("SIGKILL");
+    expect((await readKey(optimism, user, "crash")).version).to.equal(0n);
+
+    relayer = await network.startRelayer();
+    await expectConverged([optimism, mode], base, user, "crash");
+  });
+
+  it("keeps the newest value when an older update arrives last", async function () {
+    await relayer.stop();
+
+    // Two writes while the relayer is down
+    const first = await setValue(optimism, "order", "first");
+    const second = await setValue(optimism, "order", "second");
+
+    // Someone else delivers the second write to Base before the relayer
+    // catches up on both
+    const proof = await encodeProof({
+      chainId: optimism.chainId,
+      emitter: second.address,
+      topics: ethers.concat(second.topics),
+      data: second.data,
+    });
+    await (await base.stateSync.setValueFromSource(proof)).wait();
+
+    relayer = await network.startRelayer();
+    const entry = await expectConverged([base, mode], optimism, user, "order");
+    expect(entry.value).to.equal("second");
+    expect(entry.version).to.equal(2n);
+
+    // The late delivery of the first write is recorded as already applied,
+    // not dead-lettered
+    const eventId = `${first.blockHash}-${first.transactionHash}-${first.index}`;
+    const store = new RelayerStore(network.env().RELAYER_STATE_FILE);
+    const delivery = await waitFor(() => {
+      const record = store.load().getDelivery(eventId, base.chainId);
+      return record?.status === DELIVERY_STATUS.CONFIRMED && record;
+    });
+    expect(delivery.outcome).to.equal("already-applied");
+    expect(store.getDeliveriesByStatus(DELIVERY_STATUS.FAILED)).to.be.empty;
+  });
+
+  it("submits signed writes in nonce order and rejects invalid ones", async function () {
+    const wallet = optimism.user.runner;
+    const nonce = Number(await optimism.stateSync.getNonce(user));
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    const sign = (overrides) =>
+      signSetValue(wallet, {
+        chainId: optimism.chainId,
+        contractAddress: optimism.address,
+        key: "signed",
+        value: ethers.toUtf8Bytes("first"),
+        nonce,
+        deadline,
+        ...overrides,
+      });
+    const post = (body) =>
+      requestSignedWrite(network, "POST", "/signed-writes", body);
+
+    const first = await sign();
+    const second = await sign({
+      value: ethers.toUtf8Bytes("second"),
+      nonce: nonce + 1,
+    });
+    const queued = [];
+    for (const write of [first, second]) {
+      const { status, body } = await post(write);
+      expect(status).to.equal(202);
+      queued.push(body.id);
+    }
+
+    for (const id of queued) {
+      const record = await waitFor(async () => {
+        const { body } = await requestSignedWrite(
+          network,
+          "GET",
+          `/signed-writes/${id}`
+        );
+        return body.status !== "queued" && body.status !== "submitted" && body;
+      });
+      expect(record.status).to.equal("confirmed");
+    }
+    expect(await readKey(optimism, user, "signed")).to.include({
+      value: "second",
+      version: 2n,
+    });
+
+    // Replayed, forged, expired and malformed writes are turned away
+    const forged = await sign({ nonce: nonce + 2 });
+    const rejected = [
+      [first, 400, `Nonce ${nonce} already used`],
+      [
+        { ...forged, value: ethers.hexlify(ethers.toUtf8Bytes("forged")) },
+        400,
+        "Invalid signature",
+      ],
+      [await sign({ nonce: nonce + 2, deadline: 1 }), 400, "Signature expired"],
+      [{ ...forged, signature: "0x1234" }, 400, "signature must be"],
+      ["{not json", 400, ""],
+      [await sign({ chainId: 1, nonce: nonce + 2 }), 404, "is not relayed"],
+    ];
+    for (const [body, status, error] of rejected) {
+      const response = await post(body);
+      expect(response.status).to.equal(status);
+      expect(response.body.error).to.include(error);
+    }
+
+    expect(
+      await requestSignedWrite(network, "GET", "/signed-writes/unknown")
+    ).to.deep.equal({ status: 404, body: { error: "Unknown signed write" } });
+    expect(
+      (await requestSignedWrite(network, "GET", "/other")).status
+    ).to.equal(404);
+  });
+
+  it("keeps relaying when the signed write endpoint is off or its port is taken", async function () {
+    // The mock Polymer API holds the port
+    await relayer.stop();
+    relayer = await network.startRelayer({
+      RELAYER_HTTP_PORT: network.env().MOCK_POLYMER_PORT,
+    });
+    await relayer.waitForOutput(/Signed write endpoint unavailable/);
+    await setValue(optimism, "endpoint", "port taken");
+    await expectConverged([base, mode], optimism, user, "endpoint");
+
+    await relayer.stop();
+    relayer = await network.startRelayer({ RELAYER_HTTP_PORT: "" });
+    await expect(requestSignedWrite(network, "GET", "/signed-writes/unknown"))
+      .to.be.rejected;
+    await setValue(optimism, "endpoint", "off");
+    await expectConverged([base, mode], optimism, user, "endpoint");
+
+    await relayer.stop();
+    relayer = await network.startRelayer();
+  });
+
+  it("relays the logs that replace an event reorged out below the checkpoint", async function () {
+    const store = new RelayerStore(network.env().RELAYER_STATE_FILE);
+    const destinations = [base, mode];
+    // The destinations reject the write for good, after its proof was fetched
+    for (const chain of destinations) {
+      await (await chain.stateSync.removePeer(optimism.chainId)).wait();
+    }
+
+    const snapshot = await optimism.provider.send("evm_snapshot", []);
+    const log = await setValue(optimism, "reorged", "lost");
+    const [orphan] = await waitFor(() => {
+      const events = recordedEvents(store, optimism, log.transactionHash);
+      return (
+        events.length > 0 &&
+        destinations.every(
+          (chain) =>
+            store.getDelivery(events[0].eventId, chain.chainId).status ===
+            DELIVERY_STATUS.FAILED
+        ) &&
+        events
+      );
+    });
+    await optimism.provider.send("hardhat_mine", ["0x3"]);
+    await waitFor(
+      () => store.load().getCheckpoint(optimism.chainId) >= log.blockNumber + 3
+    );
+    for (const chain of destinations) {
+      await (
+        await chain.stateSync.setPeer(optimism.chainId, optimism.address)
+      ).wait();
+    }
+
+    // The replacement chain has another write at the same position, which
+    // must not be delivered with the cached proof of the orphan
+    await optimism.provider.send("evm_setIntervalMining", [0]);
+    await optimism.provider.send("evm_revert", [snapshot]);
+    const gap =
+      log.blockNumber - 1 - (await optimism.provider.getBlockNumber());
+    if (gap > 0) {
+      await optimism.provider.send("hardhat_mine", [ethers.toQuantity(gap)]);
+    }
+    const replaced = await setValue(optimism, "reorged", "replacement");
+    await optimism.provider.send("evm_setIntervalMining", [1000]);
+    expect(replaced.blockNumber).to.equal(log.blockNumber);
+    expect(replaced.transactionIndex).to.equal(log.transactionIndex);
+
+    // Caught by the periodic reorg check
+    await waitFor(() => store.load().getEvent(orphan.eventId).orphaned, {
+      timeout: SYNC_TIMEOUT_MS,
+    });
+
+    const entry = await expectConverged(
+      destinations,
+      optimism,
+      user,
+      "reorged"
+    );
+    expect(entry.value).to.equal("replacement");
+    expect(
+      recordedEvents(store, optimism, replaced.transactionHash)
+    ).to.have.length(1);
+  });
+
+  it("waits for the confirmation depth and drops events reorged out before it", async function () {
+    const store = new RelayerStore(network.env().RELAYER_STATE_FILE);
+    await relayer.stop();
+    relayer = await network.startRelayer({
+      OPTIMISM_SEPOLIA_CONFIRMATIONS: "10",
+    });
+
+    // Seen, then reorged out before reaching the depth
+    let offset = relayer.output.length;
+    const snapshot = await optimism.provider.send("evm_snapshot", []);
+    const dropped = await setValue(optimism, "confirmed", "dropped");
+    await relayer.waitForOutput(
+      /waiting for 10 confirmation\(s\)/,
+      SYNC_TIMEOUT_MS,
+      offset
+    );
+    await optimism.provider.send("evm_revert", [snapshot]);
+    await relayer.waitForOutput(
+      /block was reorged out/,
+      SYNC_TIMEOUT_MS,
+      offset
+    );
+    expect(recordedEvents(store, optimism, dropped.transactionHash)).to.be
+      .empty;
+
+    // Held back while fewer than 10 blocks deep
+    offset = relayer.output.length;
+    const kept = await setValue(optimism, "confirmed", "kept");
+    await relayer.waitForOutput(
+      /waiting for 10 confirmation\(s\)/,
+      SYNC_TIMEOUT_MS,
+      offset
+    );
+    expect(recordedEvents(store, optimism, kept.transactionHash)).to.be.empty;
+
+    await expectConverged([base, mode], optimism, user, "confirmed");
+    const [event] = recordedEvents(store, optimism, kept.transactionHash);
+    expect(store.getCheckpoint(optimism.chainId)).to.be.at.least(
+      event.blockNumber
+    );
+  });
+
+  it("serves proof jobs from pending to complete until they expire", async function () {
+    await proofApi.stop();
+    proofApi = await network.startProofApi({
+      MOCK_POLYMER_DELAY_MS: String(PROOF_DELAY_MS),
+      MOCK_POLYMER_JOB_TTL_MS: "2000",
+    });
+
+    const log = await setValue(optimism, "proven", "yes");
+    const receipt = await optimism.provider.getTransactionReceipt(
+      log.transactionHash
+    );
+    const { result: jobId } = await callProofApi(network, "log_requestProof", [
+      optimism.chainId,
+      log.blockNumber,
+      receipt.index,
+      receipt.logs.findIndex((receiptLog) => receiptLog.index === log.index),
+    ]);
+
+    const query = () => callProofApi(network, "log_queryProof", [jobId]);
+    expect((await query()).result).to.include({
+      jobID: jobId,
+      status: "pending",
+    });
+    const { result: job } = await waitFor(async () => {
+      const response = await query();
+      return response.result.status !== "pending" && response;
+    });
+    expect(job.status).to.equal("complete");
+    expect(job.proof).to.be.a("string").that.is.not.empty;
+
+    // Forgotten once the TTL is over, like jobs that never existed
+    const expired = await waitFor(async () => {
+      const response = await query();
+      return response.error && response;
+    });
+    const unknown = await callProofApi(network, "log_queryProof", [999999]);
+    for (const response of [expired, unknown]) {
+      expect(response.error.message).to.equal("job not found");
+    }
+  });
+});
@@ -26,49 +26,51 @@ module.exports = {
   },
   // Explicitly include only V2
   includeFiles: ["contracts/StateSync.sol"],
+  // RPC URLs fall back to "" so tasks that don't touch these networks (e.g.
+  // `npm test`) also work without a .env file
   networks: {
     optimismSepolia: {
-      url: process.env.OPTIMISM_SEPOLIA_RPC,
+      url: process.env.OPTIMISM_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 11155420,
     },
     baseSepolia: {
-      url: process.env.BASE_SEPOLIA_RPC,
+      url: process.env.BASE_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 84532,
     },
     modeSepolia: {
-      url: process.env.MODE_SEPOLIA_RPC,
+      url: process.env.MODE_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 919,
     },
     bobSepolia: {
-      url: process.env.BOB_SEPOLIA_RPC,
+      url: process.env.BOB_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 808813,
     },
     inkSepolia: {
-      url: process.env.INK_SEPOLIA_RPC,
+      url: process.env.INK_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 763373,
     },
     unichainSepolia: {
-      url: process.env.UNICHAIN_SEPOLIA_RPC,
+      url: process.env.UNICHAIN_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 1301,
     },
     arbitrumSepolia: {
-      url: process.env.ARBITRUM_SEPOLIA_RPC,
+      url: process.env.ARBITRUM_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 421614,
     },
     everclearSepolia: {
-      url: process.env.EVERCLEAR_SEPOLIA_RPC,
+      url: process.env.EVERCLEAR_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 6398,
     },
     mantleSepolia: {
-      url: process.env.MANTLE_SEPOLIA_RPC,
+      url: process.env.MANTLE_SEPOLIA_RPC || "",
       accounts: [PRIVATE_KEY],
       chainId: 5003,
     },
@@ -0,0 +1,77 @@
+/**
+ * Address book
+ * ============
+ *
+ * Names for the team's service accounts, so scripts accept `--owner treasury`
+ * where they expect an address. The book is a JSON object of name => address,
+ * read from address-book.json at the repository root (or ADDRESS_BOOK_FILE):
+ *
+ *   { "treasury": "0x...", "oracle.ops": "0x..." }
+ *
+ * Names are case-insensitive, like ENS names. See address-book.example.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_ADDRESS_BOOK_FILE = path.join(__dirname, "../address-book.json");
+
+/**
+ * @param {string} [filePath] - Defaults to ADDRESS_BOOK_FILE or
+ *   address-book.json. A missing default file is an empty book, a missing
+ *   file that was asked for is an error
+ * @returns {Map<string, string>} Lower-cased name => checksummed address
+ */
+function loadAddressBook(filePath = process.env.ADDRESS_BOOK_FILE) {
+  const file = filePath || DEFAULT_ADDRESS_BOOK_FILE;
+  if (!filePath && !fs.existsSync(file)) {
+    return new Map();
+  }
+
+  const entries = Object.entries(JSON.parse(fs.readFileSync(file, "utf8")));
+  const book = new Map();
+  for (const [name, address] of entries) {
+    if (typeof address !== "string" || !ethers.isAddress(address)) {
+      throw new Error(`Invalid address for "${name}" in ${file}`);
+    }
+    book.set(name.toLowerCase(), ethers.getAddress(address));
+  }
+  return book;
+}
+
+/**
+ * Address of an address or of a name of the book
+ * @throws {Error} For names that are not in the book
+ */
+function resolveAddress(nameOrAddress, book) {
+  if (ethers.isAddress(nameOrAddress)) {
+    return ethers.getAddress(nameOrAddress);
+  }
+  const address = book.get(nameOrAddress.toLowerCase());
+  if (!address) {
+    throw new Error(
+      `"${nameOrAddress}" is neither an address nor a name of the address book`
+    );
+  }
+  return address;
+}
+
+/**
+ * First name of an address in the book, or null
+ */
+function lookupName(address, book) {
+  for (const [name, bookAddress] of book) {
+    if (bookAddress === ethers.getAddress(address)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_ADDRESS_BOOK_FILE,
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+};
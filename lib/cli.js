@@ -0,0 +1,144 @@
+/**
+ * Command line helpers
+ * ====================
+ *
+ * Shared by the scripts that prompt by default but can also run from flags,
+ * for CI jobs and pipelines (scripts/set.js, scripts/get.js). Flags are
+ * checked with the same validators as the inquirer questions they replace.
+ */
+
+const chalk = require("chalk");
+
+// Exit codes of the scripts, for callers that branch on the outcome
+const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure, e.g. a reverted transaction or an RPC error
+  ERROR: 1,
+  // Missing or invalid flags
+  USAGE: 2,
+  // The key has no value on any chain that was read
+  NOT_FOUND: 3,
+  // The chains disagree on the key's version
+  OUT_OF_SYNC: 4,
+  // Some chains could not be read, the others agree
+  UNREACHABLE: 5,
+  // The key is not at the version a compare-and-swap write expected
+  CONFLICT: 6,
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+    this.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
+// --valid-minutes for the `validMinutes` question
+function toFlag(name) {
+  return `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Everything piped to stdin, without its trailing newline
+ * @returns {Promise<string>}
+ */
+async function readStdin(stream = process.stdin) {
+  let data = "";
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    data += chunk;
+  }
+  return data.replace(/\r?\n$/, "");
+}
+
+/**
+ * Answers to inquirer questions, taken from flags instead of prompts. Follows
+ * the questions' `when`, `default`, `choices` and `validate`
+ * @param {object[]} questions
+ * @param {object} given - Question name => flag value
+ * @returns {Promise<object>} The answers
+ * @throws {UsageError} When a flag is missing or invalid
+ */
+async function answersFromFlags(questions, given) {
+  const answers = {};
+  for (const question of questions) {
+    const asked =
+      typeof question.when === "function"
+        ? await question.when(answers)
+        : question.when !== false;
+    if (!asked) {
+      continue;
+    }
+
+    const flag = toFlag(question.name);
+    let value = given[question.name];
+    if (value === undefined) {
+      if (question.default === undefined) {
+        throw new UsageError(`Missing ${flag}`);
+      }
+      value = question.default;
+    }
+
+    if (question.choices) {
+      const choices = question.choices.map((choice) => choice.value ?? choice);
+      if (!choices.includes(value)) {
+        throw new UsageError(
+          `${flag} must be one of: ${choices.join(", ")} (got "${value}")`
+        );
+      }
+    }
+    const valid = question.validate
+      ? await question.validate(String(value), answers)
+      : true;
+    if (valid !== true) {
+      throw new UsageError(`${flag}: ${valid}`);
+    }
+
+    answers[question.name] = value;
+  }
+  return answers;
+}
+
+/**
+ * JSON with bigints (versions, nonces) as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Report a failure and set the exit code. With `json`, the error goes to
+ * stdout as `{ "error": ... }` so callers always get a JSON document. Usage
+ * errors are printed without their stack, anything else through `print`
+ */
+function reportError(error, { json, print }) {
+  process.exitCode = error.exitCode ?? EXIT_CODES.ERROR;
+  if (json) {
+    console.log(
+      toJson({
+        error: error.shortMessage || error.message,
+        exitCode: process.exitCode,
+      })
+    );
+    return;
+  }
+  if (error instanceof UsageError) {
+    console.error(chalk.red("❌ Error:"), error.message);
+    return;
+  }
+  print(error);
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  readStdin,
+  answersFromFlags,
+  toJson,
+  reportError,
+};
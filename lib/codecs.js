@@ -0,0 +1,203 @@
+/**
+ * Value codecs
+ * ============
+ *
+ * StateSync stores values as raw bytes. A codec turns what a user types into
+ * those bytes, and the bytes back into something readable:
+ *
+ * - utf8: text, the default
+ * - hex: raw bytes given as 0x-prefixed hex
+ * - json: any JSON document, stored as compact UTF-8 JSON
+ * - number: an integer, stored ABI-encoded as an int256
+ * - abi:<type>: an ABI-encoded value of a Solidity type, given as JSON (or as
+ *   is for single values), e.g. abi:(address,uint256) with ["0x...", "100"]
+ * - file: the bytes of a file, given as its path (decoded as hex)
+ *
+ * The codec of a value can be recorded next to it, as the codec name in the
+ * key `<key>#codec` of the same namespace (see codecKey), so readers know how
+ * to decode it without being told. Keys ending in `#codec` are reserved for
+ * these records: the scripts refuse to write them as values, and leave them
+ * out of listings.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const DEFAULT_CODEC = "utf8";
+
+// Names of the codecs, for prompts and help texts
+const CODEC_NAMES = ["utf8", "hex", "json", "number", "abi:<type>", "file"];
+
+const CODEC_KEY_SUFFIX = "#codec";
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Plain arrays for ABI decoded values, which come as ethers Results
+function toPlain(value) {
+  return Array.isArray(value) ? [...value].map(toPlain) : value;
+}
+
+const CODECS = {
+  utf8: {
+    encode: (input) => ethers.toUtf8Bytes(input),
+    decode: (bytes) => ethers.toUtf8String(bytes),
+  },
+  hex: {
+    encode: (input) => {
+      if (!ethers.isHexString(input)) {
+        throw new Error("Expected 0x-prefixed hex with an even length");
+      }
+      return ethers.getBytes(input);
+    },
+    decode: (bytes) => ethers.hexlify(bytes),
+  },
+  json: {
+    encode: (input) => ethers.toUtf8Bytes(JSON.stringify(JSON.parse(input))),
+    decode: (bytes) => JSON.parse(ethers.toUtf8String(bytes)),
+  },
+  number: {
+    encode: (input) => {
+      if (!/^-?\d+$/.test(input.trim())) {
+        throw new Error("Expected an integer");
+      }
+      return ethers.getBytes(coder.encode(["int256"], [BigInt(input.trim())]));
+    },
+    decode: (bytes) => coder.decode(["int256"], bytes)[0],
+  },
+  file: {
+    encode: (input) => new Uint8Array(fs.readFileSync(input)),
+    decode: (bytes) => ethers.hexlify(bytes),
+  },
+};
+
+function abiCodec(type) {
+  // Throws on invalid types, so a bad codec fails before any input is read
+  const param = ethers.ParamType.from(type);
+  return {
+    encode: (input) => {
+      let value;
+      try {
+        value = JSON.parse(input);
+      } catch {
+        value = input;
+      }
+      return ethers.getBytes(coder.encode([param], [value]));
+    },
+    decode: (bytes) => toPlain(coder.decode([param], bytes)[0]),
+  };
+}
+
+/**
+ * Codec by name, e.g. "json" or "abi:(address,uint256)"
+ * @returns {{ name: string, encode: (input: string) => Uint8Array,
+ *   decode: (bytes: ethers.BytesLike) => * }}
+ * @throws {Error} For unknown codecs and invalid ABI types
+ */
+function getCodec(name = DEFAULT_CODEC) {
+  if (name.startsWith("abi:")) {
+    const type = name.slice("abi:".length);
+    try {
+      return { name, ...abiCodec(type) };
+    } catch (error) {
+      throw new Error(
+        `Invalid ABI type "${type}": ${error.shortMessage || error.message}`
+      );
+    }
+  }
+  if (!Object.hasOwn(CODECS, name)) {
+    throw new Error(
+      `Unknown codec "${name}", expected one of: ${CODEC_NAMES.join(", ")}`
+    );
+  }
+  return { name, ...CODECS[name] };
+}
+
+/**
+ * Encode `input` with a codec, with the codec named in the error
+ * @returns {Uint8Array}
+ */
+function encodeValue(input, name = DEFAULT_CODEC) {
+  const codec = getCodec(name);
+  try {
+    return codec.encode(input);
+  } catch (error) {
+    throw new Error(
+      `Invalid ${codec.name} value: ${error.shortMessage || error.message}`
+    );
+  }
+}
+
+/**
+ * Decode stored bytes with a codec
+ * @returns {*} A string, a bigint, or a JSON or ABI value
+ */
+function decodeValue(bytes, name = DEFAULT_CODEC) {
+  const codec = getCodec(name);
+  try {
+    return codec.decode(bytes);
+  } catch (error) {
+    throw new Error(
+      `Value is not valid ${codec.name}: ${error.shortMessage || error.message}`
+    );
+  }
+}
+
+/**
+ * Text of a decoded value: strings and numbers as they are, anything else as
+ * JSON with bigints as decimal strings
+ */
+function formatValue(value) {
+  if (typeof value === "string" || typeof value === "bigint") {
+    return value.toString();
+  }
+  return JSON.stringify(value, (key, item) =>
+    typeof item === "bigint" ? item.toString() : item
+  );
+}
+
+/**
+ * Readable form of stored bytes for logs. Decodes with `name` when given,
+ * otherwise shows the bytes as text when they are valid UTF-8 and as hex
+ * when not. Never throws
+ */
+function describeValue(bytes, name) {
+  if (name) {
+    try {
+      return formatValue(decodeValue(bytes, name));
+    } catch {
+      // Recorded codecs can be wrong, fall back to guessing
+    }
+  }
+  try {
+    return ethers.toUtf8String(bytes);
+  } catch {
+    return ethers.hexlify(bytes);
+  }
+}
+
+/**
+ * Key recording the codec of `key`
+ */
+function codecKey(key) {
+  return `${key}${CODEC_KEY_SUFFIX}`;
+}
+
+/**
+ * Whether `key` records the codec of another key
+ */
+function isCodecKey(key) {
+  return key.endsWith(CODEC_KEY_SUFFIX);
+}
+
+module.exports = {
+  DEFAULT_CODEC,
+  CODEC_NAMES,
+  CODEC_KEY_SUFFIX,
+  getCodec,
+  encodeValue,
+  decodeValue,
+  formatValue,
+  describeValue,
+  codecKey,
+  isCodecKey,
+};
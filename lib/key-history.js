@@ -0,0 +1,262 @@
+/**
+ * Key history
+ * ===========
+ *
+ * StateSync only stores the latest value of a key, so its history is rebuilt
+ * from logs: the source event that wrote each version on its origin chain
+ * (ValueSet, ValuesSet or ValueDeleted), and the ValueUpdated or ValueRemoved
+ * event each other chain emitted when it applied that version:
+ *
+ *   const client = new StateSyncClient({ chains: CHAINS });
+ *   const history = await getKeyHistory(client, hashKey(owner, "fee-bps"), {
+ *     namespace: owner,
+ *   });
+ *
+ * Only the last `lookbackBlocks` blocks of each chain are searched. A version
+ * written before that window is still listed, without its origin, when one of
+ * its deliveries is in the window.
+ */
+
+const { ethers } = require("ethers");
+
+const {
+  VALUE_SET_TOPIC,
+  VALUES_SET_TOPIC,
+  VALUE_DELETED_TOPIC,
+  VALUE_UPDATED_TOPIC,
+  VALUE_REMOVED_TOPIC,
+  getRecentLogs,
+} = require("./logs");
+const { DEFAULT_SCAN_OPTIONS } = require("./sync-audit");
+const { hashKey } = require("./state-sync-client");
+
+// What happened to a version on a chain other than its origin
+const VERSION_STATUS = {
+  DELIVERED: "delivered",
+  // Never applied, a newer version got there first
+  SUPERSEDED: "superseded",
+  PENDING: "pending",
+  UNREACHABLE: "unreachable",
+};
+
+// Logs of the key on one chain, as { chain, event, log, source, version,
+// value, deleted }, with the namespace and key of source events
+async function readChainLogs(client, chainKey, hashedKey, namespace, scan) {
+  const contract = client.getContract(chainKey);
+  const provider = client.getProvider(chainKey);
+  const address = await contract.getAddress();
+
+  const [writes, batches, applied] = await Promise.all([
+    getRecentLogs(
+      provider,
+      {
+        address,
+        topics: [[VALUE_SET_TOPIC, VALUE_DELETED_TOPIC], null, hashedKey],
+      },
+      scan
+    ),
+    // Batches are indexed by batch hash, so only their sender narrows them
+    getRecentLogs(
+      provider,
+      {
+        address,
+        topics: [
+          VALUES_SET_TOPIC,
+          namespace ? ethers.zeroPadValue(namespace, 32) : null,
+        ],
+      },
+      scan
+    ),
+    getRecentLogs(
+      provider,
+      {
+        address,
+        topics: [[VALUE_UPDATED_TOPIC, VALUE_REMOVED_TOPIC], hashedKey],
+      },
+      scan
+    ),
+  ]);
+
+  const records = [];
+  for (const log of [...writes, ...batches, ...applied]) {
+    const parsed = contract.interface.parseLog(log);
+    const base = { chain: chainKey, event: parsed.name, log };
+    if (parsed.name === "ValuesSet") {
+      const i = parsed.args[1].findIndex(
+        (key) => hashKey(parsed.args.sender, key) === hashedKey
+      );
+      if (i !== -1) {
+        records.push({
+          ...base,
+          source: true,
+          namespace: parsed.args.sender,
+          key: parsed.args[1][i],
+          version: parsed.args[5][i],
+          value: ethers.hexlify(parsed.args[2][i]),
+          deleted: false,
+        });
+      }
+    } else if (parsed.name === "ValueSet" || parsed.name === "ValueDeleted") {
+      records.push({
+        ...base,
+        source: true,
+        namespace: parsed.args.sender,
+        key: parsed.args.key,
+        version: parsed.args.version,
+        value: parsed.name === "ValueSet" ? parsed.args.value : null,
+        deleted: parsed.name === "ValueDeleted",
+      });
+    } else {
+      records.push({
+        ...base,
+        source: false,
+        version: parsed.args.version,
+        value: parsed.name === "ValueUpdated" ? parsed.args.value : null,
+        deleted: parsed.name === "ValueRemoved",
+      });
+    }
+  }
+  return records;
+}
+
+/**
+ * Every version of a key found in the logs, with its origin and when each
+ * other chain applied it
+ * @param {StateSyncClient} client
+ * @param {string} hashedKey
+ * @param {object} [options]
+ * @param {string} [options.namespace] - Owner of the key, narrows the search
+ *   for batches (without it, every batch in the window is fetched)
+ * @param {number} [options.lookbackBlocks]
+ * @param {number} [options.blockRange]
+ * @returns {Promise<object>} { hashedKey, namespace, key, versions,
+ *   unreachable }. Each version is { version, value (hex, null for
+ *   deletions), deleted, origin, deliveries }, oldest first. `origin` is
+ *   { chain, event, txHash, blockNumber, timestamp }, or null when the source
+ *   event is out of the window. Each delivery is { chain, status, txHash,
+ *   blockNumber, timestamp, latencySeconds }, for every chain but the origin.
+ *   `namespace` and `key` are null when no source event was found.
+ *   `unreachable` lists the chains that could not be read as { chain, error }
+ */
+async function getKeyHistory(client, hashedKey, options = {}) {
+  const scan = {
+    lookbackBlocks:
+      options.lookbackBlocks ?? DEFAULT_SCAN_OPTIONS.lookbackBlocks,
+    blockRange: options.blockRange ?? DEFAULT_SCAN_OPTIONS.blockRange,
+  };
+  const chainKeys = Object.keys(client.chains);
+
+  const reads = await Promise.all(
+    chainKeys.map(async (chainKey) => {
+      try {
+        const [records, entry] = await Promise.all([
+          readChainLogs(client, chainKey, hashedKey, options.namespace, scan),
+          client.getByHash(hashedKey, { chain: chainKey }),
+        ]);
+        return { chainKey, records, currentVersion: entry.version };
+      } catch (error) {
+        return { chainKey, error: error.message };
+      }
+    })
+  );
+  const records = reads.flatMap((read) => read.records || []);
+  const timestamps = await getTimestamps(client, records);
+  const describe = (record) =>
+    record && {
+      chain: record.chain,
+      event: record.event,
+      txHash: record.log.transactionHash,
+      blockNumber: record.log.blockNumber,
+      timestamp: timestamps.get(`${record.chain}:${record.log.blockNumber}`),
+    };
+
+  const versions = [...new Set(records.map((record) => record.version))].sort(
+    (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+  );
+  const history = versions.map((version) => {
+    const ofVersion = records.filter((record) => record.version === version);
+    const origin = describe(ofVersion.find((record) => record.source));
+    // Value and deletion as written, or as applied when the origin is unknown
+    const written = ofVersion.find((record) => record.source) || ofVersion[0];
+
+    const deliveries = reads
+      .filter(({ chainKey }) => chainKey !== origin?.chain)
+      .map((read) => {
+        const applied = describe(
+          ofVersion.find(
+            (record) => !record.source && record.chain === read.chainKey
+          )
+        );
+        return {
+          chain: read.chainKey,
+          status: getDeliveryStatus(read, version, applied),
+          txHash: applied?.txHash ?? null,
+          blockNumber: applied?.blockNumber ?? null,
+          timestamp: applied?.timestamp ?? null,
+          latencySeconds:
+            applied && origin ? applied.timestamp - origin.timestamp : null,
+        };
+      });
+
+    return {
+      version,
+      value: written.value === null ? null : ethers.hexlify(written.value),
+      deleted: written.deleted,
+      origin: origin ?? null,
+      deliveries,
+    };
+  });
+
+  const source = records.find((record) => record.source);
+  return {
+    hashedKey,
+    namespace: source?.namespace ?? options.namespace ?? null,
+    key: source?.key ?? null,
+    versions: history,
+    unreachable: reads
+      .filter((read) => read.error)
+      .map(({ chainKey, error }) => ({ chain: chainKey, error })),
+  };
+}
+
+function getDeliveryStatus(read, version, applied) {
+  if (applied) {
+    return VERSION_STATUS.DELIVERED;
+  }
+  if (read.error) {
+    return VERSION_STATUS.UNREACHABLE;
+  }
+  if (read.currentVersion > version) {
+    return VERSION_STATUS.SUPERSEDED;
+  }
+  // At this version but its event is older than the window
+  if (read.currentVersion === version) {
+    return VERSION_STATUS.DELIVERED;
+  }
+  return VERSION_STATUS.PENDING;
+}
+
+// Timestamps of the blocks of the records, by "chain:blockNumber"
+async function getTimestamps(client, records) {
+  const timestamps = new Map();
+  const blocks = new Map(
+    records.map((record) => [
+      `${record.chain}:${record.log.blockNumber}`,
+      record,
+    ])
+  );
+  await Promise.all(
+    [...blocks].map(async ([id, record]) => {
+      const block = await client
+        .getProvider(record.chain)
+        .getBlock(record.log.blockNumber);
+      timestamps.set(id, block.timestamp);
+    })
+  );
+  return timestamps;
+}
+
+module.exports = {
+  VERSION_STATUS,
+  getKeyHistory,
+};
@@ -0,0 +1,130 @@
+/**
+ * Log helpers
+ * ===========
+ *
+ * Polymer identifies a log by (chainId, blockNumber, txIndex, localLogIndex),
+ * where localLogIndex is the position of the log inside its transaction
+ * receipt. Providers on the other hand expose the block-wide (global) log
+ * index, so it has to be translated.
+ */
+
+const { ethers } = require("ethers");
+
+const VALUE_SET_TOPIC = ethers.id(
+  "ValueSet(address,string,bytes,uint256,bytes32,uint256,uint256)"
+);
+const VALUES_SET_TOPIC = ethers.id(
+  "ValuesSet(address,string[],bytes[],uint256,bytes32,uint256[])"
+);
+const VALUE_DELETED_TOPIC = ethers.id(
+  "ValueDeleted(address,string,uint256,bytes32,uint256)"
+);
+const KEY_ACL_UPDATED_TOPIC = ethers.id(
+  "KeyAclUpdated(address,string,address,address[],uint256,bytes32,uint256)"
+);
+const KEY_RETENTION_UPDATED_TOPIC = ethers.id(
+  "KeyRetentionUpdated(address,string,uint256,uint256,bytes32,uint256)"
+);
+
+// Events a destination emits once it applied a delivered value or deletion
+const VALUE_UPDATED_TOPIC = ethers.id("ValueUpdated(bytes32,bytes,uint256)");
+const VALUE_REMOVED_TOPIC = ethers.id("ValueRemoved(bytes32,uint256)");
+
+// Events the relayer proves and delivers to the other chains
+const SOURCE_EVENT_TOPICS = [
+  VALUE_SET_TOPIC,
+  VALUES_SET_TOPIC,
+  VALUE_DELETED_TOPIC,
+  KEY_ACL_UPDATED_TOPIC,
+  KEY_RETENTION_UPDATED_TOPIC,
+];
+
+/**
+ * Translate the block-wide index of a log into its position in the receipt
+ * @param {object} receipt - Transaction receipt containing the log
+ * @param {number} logIndex - Global log index (`log.index` in ethers v6)
+ * @returns {number} Local log index to request a proof for
+ */
+function getLocalLogIndex(receipt, logIndex) {
+  const localLogIndex = receipt.logs.findIndex(
+    (log) => Number(log.index) === Number(logIndex)
+  );
+
+  if (localLogIndex === -1) {
+    throw new Error(
+      `Log ${logIndex} not found in transaction ${
+        receipt.hash || receipt.transactionHash
+      }`
+    );
+  }
+
+  return localLogIndex;
+}
+
+/**
+ * Logs in a receipt with one of the given event topics, optionally only those
+ * emitted by `address`
+ * @returns {Array<{ log: object, localLogIndex: number }>}
+ */
+function findLogs(receipt, topics, address) {
+  return receipt.logs
+    .map((log, localLogIndex) => ({ log, localLogIndex }))
+    .filter(
+      ({ log }) =>
+        topics.includes(log.topics[0]) &&
+        (!address || log.address.toLowerCase() === address.toLowerCase())
+    );
+}
+
+function findValueSetLogs(receipt, address) {
+  return findLogs(receipt, [VALUE_SET_TOPIC], address);
+}
+
+// Logs of every event in SOURCE_EVENT_TOPICS, in receipt order
+function findSourceLogs(receipt, address) {
+  return findLogs(receipt, SOURCE_EVENT_TOPICS, address);
+}
+
+/**
+ * getLogs over the last `lookbackBlocks` blocks, split into requests of at
+ * most `blockRange` blocks since RPCs cap the range of a single request
+ * @param {ethers.Provider} provider
+ * @param {object} filter - getLogs filter without block range
+ * @param {object} options
+ * @param {number} options.lookbackBlocks
+ * @param {number} options.blockRange
+ * @returns {Promise<object[]>} Logs in chain order
+ */
+async function getRecentLogs(provider, filter, { lookbackBlocks, blockRange }) {
+  const latestBlock = await provider.getBlockNumber();
+  const logs = [];
+  for (
+    let start = Math.max(0, latestBlock - lookbackBlocks + 1);
+    start <= latestBlock;
+    start += blockRange
+  ) {
+    logs.push(
+      ...(await provider.getLogs({
+        ...filter,
+        fromBlock: start,
+        toBlock: Math.min(start + blockRange - 1, latestBlock),
+      }))
+    );
+  }
+  return logs;
+}
+
+module.exports = {
+  VALUE_SET_TOPIC,
+  VALUES_SET_TOPIC,
+  VALUE_DELETED_TOPIC,
+  KEY_ACL_UPDATED_TOPIC,
+  KEY_RETENTION_UPDATED_TOPIC,
+  VALUE_UPDATED_TOPIC,
+  VALUE_REMOVED_TOPIC,
+  SOURCE_EVENT_TOPICS,
+  getLocalLogIndex,
+  findValueSetLogs,
+  findSourceLogs,
+  getRecentLogs,
+};
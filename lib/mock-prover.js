@@ -0,0 +1,60 @@
+/**
+ * Mock Polymer proofs
+ * ===================
+ *
+ * Proof format of contracts/test/MockPolymerProver.sol, shared by the hardhat
+ * tests (test/helpers/polymer-proof.js) and the local proof API
+ * (scripts/mock-polymer-api.js):
+ *
+ *   proof = abi.encode(uint32 chainId, address emitter, bytes topics,
+ *                      bytes data, bytes signature)
+ *
+ * `signature` is an EIP-191 signature over
+ * keccak256(abi.encode(chainId, emitter, topics, data)) by the key the mock
+ * prover was deployed with.
+ */
+
+const { ethers } = require("ethers");
+
+// Default key of the mock prover. Public, never use it on a live network
+const MOCK_PROVER_KEY = ethers.id("state-sync mock prover");
+
+// Signer of mock proofs, overridable with MOCK_PROVER_KEY
+function getMockProverSigner() {
+  return new ethers.Wallet(process.env.MOCK_PROVER_KEY || MOCK_PROVER_KEY);
+}
+
+/**
+ * Encode and sign a mock proof
+ * @param {object} fields
+ * @param {number|bigint} fields.chainId - Source chain ID
+ * @param {string} fields.emitter - Address that emitted the log
+ * @param {string} fields.topics - Concatenated topics
+ * @param {string} fields.data - Unindexed log data
+ * @param {ethers.Signer} [signer] - Defaults to getMockProverSigner()
+ * @returns {Promise<string>} Proof bytes
+ */
+async function encodeProof(
+  { chainId, emitter, topics, data },
+  signer = getMockProverSigner()
+) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const digest = ethers.keccak256(
+    coder.encode(
+      ["uint32", "address", "bytes", "bytes"],
+      [chainId, emitter, topics, data]
+    )
+  );
+  const signature = await signer.signMessage(ethers.getBytes(digest));
+
+  return coder.encode(
+    ["uint32", "address", "bytes", "bytes", "bytes"],
+    [chainId, emitter, topics, data, signature]
+  );
+}
+
+module.exports = {
+  MOCK_PROVER_KEY,
+  getMockProverSigner,
+  encodeProof,
+};
@@ -0,0 +1,369 @@
+/**
+ * Polymer proof API client
+ * ========================
+ *
+ * Requests proofs of source logs from the Polymer proof API and waits for them:
+ *
+ *   const client = new PolymerProofClient();
+ *   const proof = await client.fetchProof({
+ *     chainId, blockNumber, txIndex, localLogIndex,
+ *   });
+ *   await destination.setValueFromSource(proof.hex);
+ *
+ * Failures are thrown as typed errors, all extending PolymerApiError:
+ * - PolymerRpcError: the API answered with a JSON-RPC error, with one subclass
+ *   per code (e.g. PolymerInvalidParamsError for an unsupported chain ID)
+ * - PolymerAuthError: the API key is missing or was rejected
+ * - PolymerHttpError: the API could not be reached or gave no JSON-RPC answer
+ * - ProofJobFailedError: the job ended with status "error", e.g. for a block
+ *   that does not exist yet
+ * - ProofTimeoutError: the job was still pending after the polling budget
+ * - ProofCancelledError: the caller aborted through an AbortSignal
+ */
+
+const axios = require("axios");
+
+const { POLYMER_API_URL } = require("../config/polymer");
+
+// JSON-RPC error codes returned by the API (see scripts/test/api-error.js)
+const RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+// Matches the proof polling the relayer has always used: every 2 seconds, up
+// to 10 times
+const DEFAULT_POLLING = {
+  intervalMs: 2000,
+  // Multiplies the interval after every pending answer, 1 polls at a fixed rate
+  backoffFactor: 1,
+  maxIntervalMs: 30 * 1000,
+  maxAttempts: 10,
+  // Overall budget for the job, on top of maxAttempts (null for none)
+  timeoutMs: null,
+};
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 30 * 1000;
+
+class PolymerApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status of the answer
+   * @param {number} [details.code] - JSON-RPC error code
+   * @param {*} [details.data] - Body or JSON-RPC error data
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status, code, data, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class PolymerRpcError extends PolymerApiError {}
+class PolymerParseError extends PolymerRpcError {}
+class PolymerInvalidRequestError extends PolymerRpcError {}
+class PolymerMethodNotFoundError extends PolymerRpcError {}
+class PolymerInvalidParamsError extends PolymerRpcError {}
+class PolymerInternalError extends PolymerRpcError {}
+class PolymerAuthError extends PolymerApiError {}
+class PolymerHttpError extends PolymerApiError {}
+
+class ProofJobFailedError extends PolymerApiError {
+  constructor(jobId, job) {
+    super(
+      `Proof job ${jobId} failed: ${job.failureReason || "unknown reason"}`,
+      { data: job }
+    );
+    this.jobId = jobId;
+    this.failureReason = job.failureReason;
+  }
+}
+
+class ProofTimeoutError extends PolymerApiError {
+  constructor(jobId, { attempts, elapsedMs, status }) {
+    super(
+      `Proof job ${jobId} still ${
+        status || "pending"
+      } after ${attempts} attempts (${elapsedMs}ms)`
+    );
+    this.jobId = jobId;
+    this.attempts = attempts;
+    this.elapsedMs = elapsedMs;
+  }
+}
+
+class ProofCancelledError extends PolymerApiError {
+  constructor(message = "Proof request cancelled") {
+    super(message);
+  }
+}
+
+const RPC_ERROR_CLASSES = {
+  [RPC_ERROR_CODES.PARSE_ERROR]: PolymerParseError,
+  [RPC_ERROR_CODES.INVALID_REQUEST]: PolymerInvalidRequestError,
+  [RPC_ERROR_CODES.METHOD_NOT_FOUND]: PolymerMethodNotFoundError,
+  [RPC_ERROR_CODES.INVALID_PARAMS]: PolymerInvalidParamsError,
+  [RPC_ERROR_CODES.INTERNAL_ERROR]: PolymerInternalError,
+};
+
+// Typed error for a JSON-RPC error object
+function createRpcError({ code, message, data }, status) {
+  const ErrorClass = RPC_ERROR_CLASSES[code] || PolymerRpcError;
+  return new ErrorClass(`Polymer API error ${code}: ${message}`, {
+    status,
+    code,
+    data,
+  });
+}
+
+// Resolve after `ms`, or reject as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ProofCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ProofCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Proof of a completed job
+ * @typedef {object} PolymerProof
+ * @property {number} jobId
+ * @property {string} hex - Proof bytes as a 0x-prefixed hex string, as passed
+ *   to setValueFromSource
+ * @property {string} base64 - Proof bytes as returned by the API
+ * @property {Uint8Array} bytes
+ * @property {number} size - Length of the proof in bytes
+ * @property {object} metadata - The rest of the job (status, chainId,
+ *   blockNumber, createdAt, ...)
+ * @property {number} attempts - Status queries it took
+ * @property {number} elapsedMs - Time from the first query to the proof
+ */
+function toProof(jobId, job, attempts, elapsedMs) {
+  const { proof: base64, ...metadata } = job;
+  const buffer = Buffer.from(base64, "base64");
+  return {
+    jobId,
+    hex: `0x${buffer.toString("hex")}`,
+    base64,
+    bytes: new Uint8Array(buffer),
+    size: buffer.length,
+    metadata,
+    attempts,
+    elapsedMs,
+  };
+}
+
+class PolymerProofClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - Defaults to POLYMER_API_URL
+   * @param {string} [options.apiKey] - Defaults to POLYMER_API_KEY
+   * @param {number} [options.requestTimeoutMs] - Timeout of every HTTP call
+   * @param {object} [options.polling] - Overrides of DEFAULT_POLLING
+   */
+  constructor({
+    url = POLYMER_API_URL,
+    apiKey = process.env.POLYMER_API_KEY,
+    requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+    polling = {},
+  } = {}) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.polling = { ...DEFAULT_POLLING, ...polling };
+    this.nextId = 1;
+  }
+
+  /**
+   * Send a JSON-RPC call
+   * @returns {Promise<*>} The `result` of the answer
+   * @throws {PolymerApiError}
+   */
+  async call(method, params, { signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(
+        this.url,
+        { jsonrpc: "2.0", id: this.nextId++, method, params },
+        {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: this.requestTimeoutMs,
+          signal,
+          // Error statuses are mapped below, with their JSON-RPC body
+          validateStatus: () => true,
+        }
+      );
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new ProofCancelledError();
+      }
+      throw new PolymerHttpError(`Polymer API unreachable: ${error.message}`, {
+        cause: error,
+      });
+    }
+
+    const { status, data } = response;
+    if (data?.error) {
+      throw createRpcError(data.error, status);
+    }
+    if (status === 401 || status === 403) {
+      throw new PolymerAuthError(
+        `Polymer API rejected the API key (HTTP ${status})`,
+        { status, data }
+      );
+    }
+    if (status !== 200 || data?.result === undefined) {
+      throw new PolymerHttpError(`Polymer API answered HTTP ${status}`, {
+        status,
+        data,
+      });
+    }
+    return data.result;
+  }
+
+  /**
+   * Start a proof job for a log
+   * @param {object} logId
+   * @param {number} logId.chainId - Source chain ID
+   * @param {number} logId.blockNumber - Source block number
+   * @param {number} logId.txIndex - Position of the transaction in the block
+   * @param {number} logId.localLogIndex - Position of the log in the receipt
+   * @returns {Promise<number>} Job ID
+   */
+  requestProof(
+    { chainId, blockNumber, txIndex, localLogIndex },
+    { signal } = {}
+  ) {
+    return this.call(
+      "log_requestProof",
+      [chainId, blockNumber, txIndex, localLogIndex],
+      { signal }
+    );
+  }
+
+  /**
+   * Current state of a job, as returned by the API
+   */
+  queryProof(jobId, { signal } = {}) {
+    return this.call("log_queryProof", [jobId], { signal });
+  }
+
+  /**
+   * Poll a job until its proof is ready
+   * @param {number} jobId
+   * @param {object} [options] - Overrides of the client's polling, plus:
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @param {(job: object, progress: object) => void} [options.onStatus] -
+   *   Called with every answer and { jobId, attempt, maxAttempts, elapsedMs }
+   * @returns {Promise<PolymerProof>}
+   * @throws {ProofJobFailedError|ProofTimeoutError|ProofCancelledError|PolymerApiError}
+   */
+  async waitForProof(jobId, { signal, onStatus, ...overrides } = {}) {
+    const polling = { ...this.polling, ...overrides };
+    const startedAt = Date.now();
+    let interval = polling.intervalMs;
+    let status;
+
+    for (let attempt = 1; attempt <= polling.maxAttempts; attempt++) {
+      await sleep(interval, signal);
+      interval = Math.min(
+        interval * polling.backoffFactor,
+        polling.maxIntervalMs
+      );
+
+      let job;
+      try {
+        job = await this.queryProof(jobId, { signal });
+      } catch (error) {
+        // A dropped connection does not lose the job, ask again next time
+        if (
+          error instanceof PolymerHttpError &&
+          attempt < polling.maxAttempts
+        ) {
+          continue;
+        }
+        throw error;
+      }
+
+      const elapsedMs = Date.now() - startedAt;
+      status = job.status;
+      onStatus?.(job, {
+        jobId,
+        attempt,
+        maxAttempts: polling.maxAttempts,
+        elapsedMs,
+      });
+
+      if (job.status === "complete" && job.proof) {
+        return toProof(jobId, job, attempt, elapsedMs);
+      }
+      if (job.status === "error") {
+        throw new ProofJobFailedError(jobId, job);
+      }
+      if (polling.timeoutMs !== null && elapsedMs >= polling.timeoutMs) {
+        throw new ProofTimeoutError(jobId, {
+          attempts: attempt,
+          elapsedMs,
+          status,
+        });
+      }
+    }
+
+    throw new ProofTimeoutError(jobId, {
+      attempts: polling.maxAttempts,
+      elapsedMs: Date.now() - startedAt,
+      status,
+    });
+  }
+
+  /**
+   * Request a proof for a log and wait until it is ready
+   * @param {object} logId - See requestProof
+   * @param {object} [options] - See waitForProof, plus `onRequested(jobId)`
+   * @returns {Promise<PolymerProof>}
+   */
+  async fetchProof(logId, { onRequested, ...options } = {}) {
+    const jobId = await this.requestProof(logId, options);
+    onRequested?.(jobId);
+    return this.waitForProof(jobId, options);
+  }
+}
+
+module.exports = {
+  RPC_ERROR_CODES,
+  DEFAULT_POLLING,
+  PolymerProofClient,
+  PolymerApiError,
+  PolymerRpcError,
+  PolymerParseError,
+  PolymerInvalidRequestError,
+  PolymerMethodNotFoundError,
+  PolymerInvalidParamsError,
+  PolymerInternalError,
+  PolymerAuthError,
+  PolymerHttpError,
+  ProofJobFailedError,
+  ProofTimeoutError,
+  ProofCancelledError,
+};
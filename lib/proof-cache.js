@@ -0,0 +1,104 @@
+/**
+ * Proof cache for the relayer
+ * ===========================
+ *
+ * A Polymer proof only depends on the source log, not on the destination it is
+ * submitted to. This cache makes sure every log identifier
+ * (chainId, blockNumber, txIndex, localLogIndex) is requested from the Polymer
+ * API once. Logs are also told apart by their block hash, so a log that
+ * replaced a reorged-out one at the same position gets a proof of its own:
+ *
+ * - Concurrent callers share the same in-flight job
+ * - Completed proofs are kept for `ttlMs` so later retries can reuse them
+ * - Failed jobs are evicted so the next caller starts a fresh request
+ */
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+class ProofCache {
+  /**
+   * @param {(logId: object) => Promise<string>} fetchProof - Requests and waits
+   *   for a proof, resolving with the proof bytes as a hex string
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - How long completed proofs are reused
+   */
+  constructor(fetchProof, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.fetchProof = fetchProof;
+    this.ttlMs = ttlMs;
+
+    // Map of log identifier => { promise, expiresAt }
+    this.entries = new Map();
+  }
+
+  static keyOf({ chainId, blockNumber, blockHash, txIndex, localLogIndex }) {
+    return `${chainId}-${blockNumber}-${blockHash}-${txIndex}-${localLogIndex}`;
+  }
+
+  /**
+   * Get the proof for a log, requesting it only if no job is in flight and no
+   * unexpired proof is cached
+   * @param {object} logId
+   * @param {number} logId.chainId - Source chain ID
+   * @param {number} logId.blockNumber - Source block number
+   * @param {string} logId.blockHash - Hash of the source block
+   * @param {number} logId.txIndex - Position of the transaction in the block
+   * @param {number} logId.localLogIndex - Position of the log in the receipt
+   * @returns {Promise<string>} Proof bytes as a hex string
+   */
+  get(logId) {
+    const key = ProofCache.keyOf(logId);
+    const entry = this.entries.get(key);
+
+    if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+      return entry.promise;
+    }
+
+    const newEntry = { promise: null, expiresAt: null };
+    newEntry.promise = this.fetchProof(logId).then(
+      (proof) => {
+        newEntry.expiresAt = Date.now() + this.ttlMs;
+        return proof;
+      },
+      (error) => {
+        // Only evict our own entry, a newer request may have replaced it
+        if (this.entries.get(key) === newEntry) {
+          this.entries.delete(key);
+        }
+        throw error;
+      }
+    );
+    this.entries.set(key, newEntry);
+    this.prune();
+
+    return newEntry.promise;
+  }
+
+  /**
+   * Whether a proof for this log is in flight or cached
+   */
+  has(logId) {
+    const entry = this.entries.get(ProofCache.keyOf(logId));
+    return (
+      !!entry && (entry.expiresAt === null || entry.expiresAt > Date.now())
+    );
+  }
+
+  /**
+   * Drop a cached proof, e.g. when the destination rejected it
+   */
+  invalidate(logId) {
+    this.entries.delete(ProofCache.keyOf(logId));
+  }
+
+  // Remove expired proofs so the cache does not grow unbounded
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { ProofCache };
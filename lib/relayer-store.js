@@ -0,0 +1,347 @@
+/**
+ * Durable relayer state
+ * =====================
+ *
+ * Append-only JSON lines file recording, for every source event and every
+ * destination chain, how far the delivery got. The relayer replays the file on
+ * startup so a restart neither drops nor duplicates deliveries.
+ *
+ * Record types:
+ * - checkpoint: { type, chainId, blockNumber } - every ValueSet up to and
+ *   including blockNumber has been recorded
+ * - event:      { type, eventId, chainId, blockNumber, ... } - a source event
+ * - delivery:   { type, eventId, destination, status, ... } - status change of
+ *   the delivery of an event to a destination chain
+ *
+ * Failed deliveries form the dead-letter queue, see scripts/dlq.js. Events
+ * whose block was reorged out are flagged `orphaned` and their unfinished
+ * deliveries cancelled.
+ *
+ * The relayer and `npm run dlq` append to the same file. A last line without
+ * its newline is either left by a crash or still being written by the other
+ * process: it is skipped, and only cut off if the file did not change since.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_STATE_FILE = path.join(__dirname, "../.relayer/state.jsonl");
+// Files with fewer records than this are never worth compacting
+const COMPACT_MIN_RECORDS = 1000;
+
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  PROOF_REQUESTED: "proof-requested",
+  PROOF_READY: "proof-ready",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  // The source event was reorged out before it was delivered
+  CANCELLED: "cancelled",
+};
+
+// Deliveries in these states need no further work
+const TERMINAL_STATUSES = [
+  DELIVERY_STATUS.CONFIRMED,
+  DELIVERY_STATUS.FAILED,
+  DELIVERY_STATUS.CANCELLED,
+];
+
+class RelayerStore {
+  /**
+   * @param {string} [filePath] - Location of the state file
+   */
+  constructor(filePath = process.env.RELAYER_STATE_FILE || DEFAULT_STATE_FILE) {
+    this.filePath = filePath;
+    this.reset();
+  }
+
+  reset() {
+    // chainId => last fully recorded block number
+    this.checkpoints = new Map();
+    // eventId => event record
+    this.events = new Map();
+    // `${eventId}:${destination}` => latest delivery record
+    this.deliveries = new Map();
+    // Offset of a truncated last line, cut off before the next append
+    this.truncatedAt = undefined;
+    // Size of the file when it was last read
+    this.loadedSize = 0;
+    // Records in the file, superseded ones included
+    this.recordCount = 0;
+  }
+
+  /**
+   * Rebuild the in-memory state from the file
+   */
+  load() {
+    this.reset();
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const content = fs.readFileSync(this.filePath, "utf8");
+    this.loadedSize = Buffer.byteLength(content);
+    const lines = content.split("\n");
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be unfinished, all others end with a newline
+        if (index === lines.length - 1) {
+          this.truncatedAt = this.loadedSize - Buffer.byteLength(line);
+          continue;
+        }
+        throw new Error(
+          `Corrupt relayer state at ${this.filePath}:${index + 1}: ${
+            error.message
+          }`
+        );
+      }
+      this.apply(record);
+      this.recordCount++;
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether the file holds many more records than the state they add up to
+   */
+  needsCompaction() {
+    const latest =
+      this.checkpoints.size + this.events.size + this.deliveries.size;
+    return this.recordCount > Math.max(latest * 2, COMPACT_MIN_RECORDS);
+  }
+
+  /**
+   * Rewrite the file with only the latest record of everything. The file is
+   * read again first, to keep what other processes appended
+   * @returns {boolean} False if the file changed while it was rewritten, it
+   *   is then left alone
+   */
+  compact() {
+    this.load();
+    const records = [
+      ...[...this.checkpoints].map(([chainId, blockNumber]) => ({
+        type: "checkpoint",
+        chainId,
+        blockNumber,
+      })),
+      ...this.events.values(),
+      ...this.deliveries.values(),
+    ];
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      records.map((record) => `${JSON.stringify(record)}\n`).join("")
+    );
+    if (fileSize(this.filePath) !== this.loadedSize) {
+      fs.rmSync(tmpPath);
+      return false;
+    }
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.loadedSize = fileSize(this.filePath);
+    this.recordCount = records.length;
+    this.truncatedAt = undefined;
+    return true;
+  }
+
+  apply(record) {
+    switch (record.type) {
+      case "checkpoint":
+        this.checkpoints.set(String(record.chainId), record.blockNumber);
+        break;
+      case "event":
+        this.events.set(record.eventId, record);
+        break;
+      case "delivery":
+        this.deliveries.set(
+          deliveryKey(record.eventId, record.destination),
+          record
+        );
+        break;
+      default:
+        throw new Error(`Unknown relayer state record type: ${record.type}`);
+    }
+  }
+
+  append(record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (this.truncatedAt !== undefined) {
+      // Grown since: the line was another process's record in the making
+      if (fileSize(this.filePath) === this.loadedSize) {
+        fs.truncateSync(this.filePath, this.truncatedAt);
+      }
+      this.truncatedAt = undefined;
+    }
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    this.apply(record);
+    this.recordCount++;
+    return record;
+  }
+
+  getCheckpoint(chainId) {
+    return this.checkpoints.get(String(chainId));
+  }
+
+  setCheckpoint(chainId, blockNumber) {
+    const current = this.getCheckpoint(chainId);
+    if (current !== undefined && current >= blockNumber) {
+      return;
+    }
+    this.append({ type: "checkpoint", chainId: String(chainId), blockNumber });
+  }
+
+  /**
+   * Move the checkpoint of a chain back, so the blocks after `blockNumber`
+   * are scanned again
+   */
+  rewindCheckpoint(chainId, blockNumber) {
+    const current = this.getCheckpoint(chainId);
+    if (current === undefined || current <= blockNumber) {
+      return;
+    }
+    this.append({ type: "checkpoint", chainId: String(chainId), blockNumber });
+  }
+
+  hasEvent(eventId) {
+    return this.events.has(eventId);
+  }
+
+  getEvent(eventId) {
+    return this.events.get(eventId);
+  }
+
+  /**
+   * Record a source event and a pending delivery for each destination
+   * @param {object} event - Serializable event data, must contain `eventId`
+   * @param {Array<number|string>} destinations - Destination chain IDs
+   */
+  recordEvent(event, destinations) {
+    this.append({ type: "event", ...event, recordedAt: Date.now() });
+    for (const destination of destinations) {
+      this.updateDelivery(event.eventId, destination, DELIVERY_STATUS.PENDING);
+    }
+  }
+
+  getEventsByChain(chainId) {
+    return [...this.events.values()].filter(
+      (event) => String(event.chainId) === String(chainId)
+    );
+  }
+
+  /**
+   * Add fields to a recorded event, e.g. flag it as orphaned
+   */
+  updateEvent(eventId, fields) {
+    const event = this.getEvent(eventId);
+    if (!event) {
+      throw new Error(`Unknown event: ${eventId}`);
+    }
+    return this.append({ ...event, ...fields, type: "event", eventId });
+  }
+
+  getDelivery(eventId, destination) {
+    return this.deliveries.get(deliveryKey(eventId, destination));
+  }
+
+  /**
+   * Record a status change of a delivery
+   * @param {string} eventId
+   * @param {number|string} destination - Destination chain ID
+   * @param {string} status - One of DELIVERY_STATUS
+   * @param {object} [details] - Extra fields such as txHash or error
+   */
+  updateDelivery(eventId, destination, status, details = {}) {
+    if (!Object.values(DELIVERY_STATUS).includes(status)) {
+      throw new Error(`Unknown delivery status: ${status}`);
+    }
+
+    const previous = this.getDelivery(eventId, destination);
+    return this.append({
+      ...previous,
+      // Errors only describe the status they were recorded with
+      error: undefined,
+      ...details,
+      type: "delivery",
+      eventId,
+      destination: String(destination),
+      status,
+      updatedAt: Date.now(),
+    });
+  }
+
+  getDeliveriesByStatus(status) {
+    return [...this.deliveries.values()].filter(
+      (delivery) => delivery.status === status
+    );
+  }
+
+  /**
+   * Failed deliveries (the dead-letter queue)
+   * @param {object} [filter]
+   * @param {string} [filter.target] - Only those of this event, given by
+   *   event ID or source transaction hash
+   * @param {number|string} [filter.destination] - Only those to this chain
+   */
+  getDeadLetters({ target, destination } = {}) {
+    return this.getDeliveriesByStatus(DELIVERY_STATUS.FAILED).filter(
+      (delivery) => {
+        if (destination && delivery.destination !== String(destination)) {
+          return false;
+        }
+        if (!target) {
+          return true;
+        }
+        const event = this.getEvent(delivery.eventId);
+        return (
+          delivery.eventId === target ||
+          event?.transactionHash?.toLowerCase() === target.toLowerCase()
+        );
+      }
+    );
+  }
+
+  /**
+   * Send a failed delivery back to the relayer with a fresh set of attempts
+   */
+  requeueDelivery(eventId, destination) {
+    return this.updateDelivery(eventId, destination, DELIVERY_STATUS.PENDING, {
+      attempts: 0,
+      nextAttemptAt: null,
+      requeuedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Deliveries that have not reached a terminal state yet
+   */
+  getUnfinishedDeliveries() {
+    return [...this.deliveries.values()].filter(
+      (delivery) => !TERMINAL_STATUSES.includes(delivery.status)
+    );
+  }
+}
+
+function fileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
+function deliveryKey(eventId, destination) {
+  return `${eventId}:${destination}`;
+}
+
+module.exports = {
+  RelayerStore,
+  DELIVERY_STATUS,
+  TERMINAL_STATUSES,
+};
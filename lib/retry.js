@@ -0,0 +1,128 @@
+/**
+ * Retry policies and error classification for relayer deliveries
+ * ==============================================================
+ *
+ * Every failed delivery is classified as:
+ * - benign:    the destination already has this update (or a newer one), so
+ *              there is nothing left to deliver
+ * - permanent: retrying cannot succeed without operator action, the delivery
+ *              goes straight to the dead-letter queue
+ * - retryable: anything else (RPC hiccups, proof timeouts, gas issues, ...),
+ *              retried with exponential backoff and jitter until the policy's
+ *              attempts are exhausted
+ */
+
+const ERROR_KIND = {
+  BENIGN: "benign",
+  PERMANENT: "permanent",
+  RETRYABLE: "retryable",
+};
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 5000,
+  maxDelayMs: 5 * 60 * 1000, // 5 minutes
+};
+
+// Revert reasons of setValueFromSource meaning the update is already applied
+const BENIGN_REASONS = [
+  "hashKey already used",
+  "Version must be newer than current version",
+  "ACL version must be newer than current version",
+  "Retention version must be newer than current version",
+];
+
+// Revert reasons that will not go away by retrying the same proof
+const PERMANENT_REASONS = [
+  "Invalid event signature",
+  "Invalid topics length",
+  "Unknown source chain",
+  "Untrusted source contract",
+];
+
+/**
+ * Merge a chain's retry overrides with the defaults
+ * @param {object} [chainConfig] - Chain entry from config/chains.js
+ */
+function getRetryPolicy(chainConfig) {
+  return { ...DEFAULT_RETRY_POLICY, ...(chainConfig?.retry || {}) };
+}
+
+/**
+ * Delay before the given retry attempt: exponential backoff capped at
+ * maxDelayMs, with "equal jitter" (half fixed, half random) so deliveries that
+ * failed together do not retry in lockstep
+ * @param {number} attempt - Number of attempts made so far (>= 1)
+ * @param {object} policy - Retry policy from getRetryPolicy
+ */
+function getBackoffDelay(attempt, policy, random = Math.random) {
+  const exponential = policy.baseDelayMs * 2 ** Math.max(attempt - 1, 0);
+  const capped = Math.min(exponential, policy.maxDelayMs);
+  return Math.round(capped / 2 + random() * (capped / 2));
+}
+
+// Best-effort extraction of a human readable reason from ethers/axios errors
+function getErrorReason(error) {
+  return (
+    error?.reason ||
+    error?.shortMessage ||
+    error?.message ||
+    String(error ?? "Unknown error")
+  );
+}
+
+/**
+ * Classify a delivery error
+ * @returns {{ kind: string, reason: string }}
+ */
+function classifyError(error) {
+  const reason = getErrorReason(error);
+  const haystack = [error?.reason, error?.shortMessage, error?.message]
+    .filter(Boolean)
+    .join(" ");
+
+  if (BENIGN_REASONS.some((benign) => haystack.includes(benign))) {
+    return { kind: ERROR_KIND.BENIGN, reason };
+  }
+
+  if (PERMANENT_REASONS.some((permanent) => haystack.includes(permanent))) {
+    return { kind: ERROR_KIND.PERMANENT, reason };
+  }
+
+  return { kind: ERROR_KIND.RETRYABLE, reason };
+}
+
+/**
+ * Decide what happens to a delivery after a failed attempt: nothing left to
+ * do (benign), dead-letter queue, or a retry after a backoff delay
+ * @param {*} error - Why the attempt failed
+ * @param {number} attempts - Number of attempts made so far, this one included
+ * @param {object} policy - Retry policy from getRetryPolicy
+ * @returns {{ kind: string, reason: string, deadLetter: boolean,
+ *   delay?: number }}
+ */
+function getRetryDecision(error, attempts, policy, random = Math.random) {
+  const { kind, reason } = classifyError(error);
+
+  if (kind === ERROR_KIND.BENIGN) {
+    return { kind, reason, deadLetter: false };
+  }
+  if (kind === ERROR_KIND.PERMANENT || attempts >= policy.maxAttempts) {
+    return { kind, reason, deadLetter: true };
+  }
+  return {
+    kind,
+    reason,
+    deadLetter: false,
+    delay: getBackoffDelay(attempts, policy, random),
+  };
+}
+
+module.exports = {
+  ERROR_KIND,
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  getBackoffDelay,
+  classifyError,
+  getRetryDecision,
+};
@@ -0,0 +1,240 @@
+/**
+ * Signed (gasless) writes
+ * =======================
+ *
+ * Instead of sending setValue itself, a key owner signs an EIP-712 `SetValue`
+ * message and hands it to someone else - usually the relayer - who submits it
+ * with `setValueWithSig` and pays the gas. The message covers the nonce of the
+ * owner's namespace (`StateSync.getNonce`), so every signature is good for a
+ * single write, and only while no other write lands in the namespace first.
+ *
+ * scripts/set.js produces signed writes. The relayer accepts them over HTTP
+ * and submits them through a SignedWriteQueue, one at a time per chain.
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const SET_VALUE_TYPES = {
+  SetValue: [
+    { name: "owner", type: "address" },
+    { name: "key", type: "string" },
+    { name: "value", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const SIGNED_WRITE_STATUS = {
+  QUEUED: "queued",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+};
+
+// EIP-712 domain of the StateSync deployment at `contractAddress`
+function getDomain(chainId, contractAddress) {
+  return {
+    name: "StateSync",
+    version: "1",
+    chainId,
+    verifyingContract: contractAddress,
+  };
+}
+
+/**
+ * Sign a write of `value` to `key` in the signer's namespace
+ * @param {ethers.Signer} signer - Key owner
+ * @param {object} write
+ * @param {number} write.chainId - Chain the write is submitted on
+ * @param {string} write.contractAddress - StateSync deployment on that chain
+ * @param {string} write.key
+ * @param {Uint8Array|string} write.value - Value bytes
+ * @param {bigint|number} write.nonce - Current nonce of the signer's namespace
+ * @param {bigint|number} write.deadline - Unix time after which the signature
+ *   is rejected
+ * @returns {Promise<object>} Signed write, as accepted by the relayer
+ */
+async function signSetValue(
+  signer,
+  { chainId, contractAddress, key, value, nonce, deadline }
+) {
+  const message = {
+    owner: await signer.getAddress(),
+    key,
+    value: ethers.hexlify(value),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(
+    getDomain(chainId, contractAddress),
+    SET_VALUE_TYPES,
+    message
+  );
+
+  return {
+    chainId,
+    owner: message.owner,
+    key,
+    value: message.value,
+    nonce: message.nonce.toString(),
+    deadline: message.deadline.toString(),
+    signature,
+  };
+}
+
+// Address that signed a write, to be compared with write.owner
+function recoverSigner(write, contractAddress) {
+  return ethers.verifyTypedData(
+    getDomain(write.chainId, contractAddress),
+    SET_VALUE_TYPES,
+    {
+      owner: write.owner,
+      key: write.key,
+      value: write.value,
+      nonce: write.nonce,
+      deadline: write.deadline,
+    },
+    write.signature
+  );
+}
+
+/**
+ * Validate the shape of a signed write received from a client
+ * @returns {object} The write with a checksummed owner and numeric chainId
+ * @throws {Error} Describing the first invalid field
+ */
+function parseSignedWrite(body) {
+  if (!body || typeof body !== "object") {
+    throw new Error("Expected a JSON object");
+  }
+  const { chainId, owner, key, value, nonce, deadline, signature } = body;
+
+  if (!Number.isSafeInteger(Number(chainId))) {
+    throw new Error("chainId must be a number");
+  }
+  if (!ethers.isAddress(owner)) {
+    throw new Error("owner must be an address");
+  }
+  if (typeof key !== "string" || !key.trim()) {
+    throw new Error("key cannot be empty");
+  }
+  if (!ethers.isHexString(value)) {
+    throw new Error("value must be a hex string");
+  }
+  for (const [name, field] of Object.entries({ nonce, deadline })) {
+    if (!/^\d+$/.test(String(field))) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error("signature must be 65 bytes of hex");
+  }
+
+  return {
+    chainId: Number(chainId),
+    owner: ethers.getAddress(owner),
+    key,
+    value,
+    nonce: String(nonce),
+    deadline: String(deadline),
+    signature,
+  };
+}
+
+class SignedWriteQueue {
+  /**
+   * @param {(write: object) => Promise<ethers.TransactionResponse>} submit -
+   *   Sends setValueWithSig for a write
+   * @param {object} [options]
+   * @param {number} [options.maxRecords] - Finished writes kept for status
+   *   queries before the oldest ones are forgotten
+   */
+  constructor(submit, { maxRecords = 1000 } = {}) {
+    this.submit = submit;
+    this.maxRecords = maxRecords;
+
+    // Map of id => status record, in submission order
+    this.records = new Map();
+    // Map of chainId => promise of the last write queued on that chain.
+    // Writes of one chain are sent one after the other, so signatures over
+    // consecutive nonces of a namespace are applied in the order received
+    this.tails = new Map();
+  }
+
+  /**
+   * Queue a validated write for submission
+   * @returns {object} Status record, updated as the write progresses
+   */
+  enqueue(write) {
+    const record = {
+      id: crypto.randomUUID(),
+      status: SIGNED_WRITE_STATUS.QUEUED,
+      chainId: write.chainId,
+      owner: write.owner,
+      key: write.key,
+      nonce: write.nonce,
+      createdAt: Date.now(),
+    };
+    this.records.set(record.id, record);
+    this.prune();
+
+    const tail = this.tails.get(write.chainId) || Promise.resolve();
+    this.tails.set(
+      write.chainId,
+      tail.then(() => this.process(write, record))
+    );
+
+    return record;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async process(write, record) {
+    try {
+      const tx = await this.submit(write);
+      Object.assign(record, {
+        status: SIGNED_WRITE_STATUS.SUBMITTED,
+        txHash: tx.hash,
+      });
+
+      const receipt = await tx.wait();
+      Object.assign(record, {
+        status: SIGNED_WRITE_STATUS.CONFIRMED,
+        blockNumber: receipt.blockNumber,
+      });
+    } catch (error) {
+      Object.assign(record, {
+        status: SIGNED_WRITE_STATUS.FAILED,
+        error: error.shortMessage || error.message,
+      });
+    }
+  }
+
+  // Forget the oldest finished writes once there are more than maxRecords
+  prune() {
+    for (const [id, record] of this.records) {
+      if (this.records.size <= this.maxRecords) {
+        return;
+      }
+      if (
+        record.status === SIGNED_WRITE_STATUS.CONFIRMED ||
+        record.status === SIGNED_WRITE_STATUS.FAILED
+      ) {
+        this.records.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  SET_VALUE_TYPES,
+  SIGNED_WRITE_STATUS,
+  getDomain,
+  signSetValue,
+  recoverSigner,
+  parseSignedWrite,
+  SignedWriteQueue,
+};
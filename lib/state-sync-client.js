@@ -0,0 +1,739 @@
+/**
+ * StateSync client
+ * ================
+ *
+ * Reads, writes and propagation tracking for application code, on top of a
+ * chain registry shaped like config/chains.js:
+ *
+ *   const { CHAINS } = require("../config/chains");
+ *   const client = new StateSyncClient({ chains: CHAINS, signer: wallet });
+ *
+ *   const write = await client.set("fee-bps", "30", {
+ *     chain: "optimism-sepolia",
+ *   });
+ *   await client.waitForPropagation(write.txHash, {
+ *     chain: "optimism-sepolia",
+ *   });
+ *   const entries = await client.getAll(wallet.address, "fee-bps");
+ *
+ * Services racing on the same key write with setIfVersion instead of set,
+ * which throws a VersionConflictError rather than overwriting a version they
+ * have not seen.
+ *
+ * Chains are referred to by their registry key or chain ID. A registry entry
+ * needs `chainId`, `contractAddress` and either `rpcUrl` or an ethers
+ * `provider`.
+ */
+
+const { ethers } = require("ethers");
+
+const CONTRACT_ABI = [
+  "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)",
+  "event ValuesSet(address indexed sender, string[] keys, bytes[] values, uint256 nonce, bytes32 indexed batchHash, uint256[] versions)",
+  "event ValueDeleted(address indexed sender, string key, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event ValueUpdated(bytes32 indexed hashedKey, bytes value, uint256 version)",
+  "event ValueRemoved(bytes32 indexed hashedKey, uint256 version)",
+  "event KeyAclUpdated(address indexed sender, string key, address owner, address[] writers, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "function setValue(string key, bytes value)",
+  "function setValueFor(address namespace, string key, bytes value)",
+  "function setExpiringValue(string key, bytes value, uint256 expiresAt)",
+  "function setExpiringValueFor(address namespace, string key, bytes value, uint256 expiresAt)",
+  "function setValueIfVersion(string key, bytes value, uint256 expectedVersion)",
+  "function setValueForIfVersion(address namespace, string key, bytes value, uint256 expectedVersion)",
+  "function getKeyVersionByHash(bytes32 hashedKey) view returns (uint256)",
+  "function getKeyOwner(bytes32 hashedKey) view returns (address)",
+  "function getValueByHash(bytes32 hashedKey) view returns (bytes)",
+  "function isDeletedByHash(bytes32 hashedKey) view returns (bool)",
+  "function isExpiredByHash(bytes32 hashedKey) view returns (bool)",
+  "function getKeyExpiry(bytes32 hashedKey) view returns (uint256)",
+  "function getKeyAclVersion(bytes32 hashedKey) view returns (uint256)",
+  "function getValueAtVersionByHash(bytes32 hashedKey, uint256 version) view returns (bytes value, bool deleted, bool retained)",
+  "function getKeyRetention(bytes32 hashedKey) view returns (uint256)",
+  "function getOwnedKeyCount(address account) view returns (uint256)",
+  "function getOwnedKeys(address account, uint256 offset, uint256 limit) view returns (bytes32[] hashedKeys, address[] namespaces, string[] keys)",
+  "function setValueFromSource(bytes proof)",
+];
+
+const CONTRACT_INTERFACE = new ethers.Interface(CONTRACT_ABI);
+
+// Keys fetched per getOwnedKeys call
+const OWNED_KEYS_PAGE_SIZE = 100;
+
+const DEFAULT_PROPAGATION_OPTIONS = {
+  timeoutMs: 10 * 60 * 1000, // 10 minutes
+  pollIntervalMs: 5000,
+  // Deliveries that landed up to this many blocks before the call are found
+  lookbackBlocks: 1000,
+};
+
+// Revert reason of setValueIfVersion when the key is at another version
+const VERSION_MISMATCH_REASON = "Key version mismatch";
+
+/**
+ * The key is not at the version a compare-and-swap write expected: another
+ * writer got there first, or the chain written on has not caught up yet
+ */
+class VersionConflictError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.chain - Chain the write targeted
+   * @param {bigint} details.expectedVersion
+   * @param {object} [details.versions] - Version of the key per chain read
+   * @param {Error} [details.cause] - Underlying revert
+   */
+  constructor(message, { chain, expectedVersion, versions = {}, cause }) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.chain = chain;
+    this.expectedVersion = expectedVersion;
+    this.versions = versions;
+  }
+}
+
+/**
+ * Whether a write reverted because the key was not at the expected version
+ */
+function isVersionMismatch(error) {
+  return (
+    error?.reason === VERSION_MISMATCH_REASON ||
+    Boolean(error?.message?.includes(VERSION_MISMATCH_REASON))
+  );
+}
+
+/**
+ * Storage key of `key` in the namespace of `owner`, as computed on-chain
+ */
+function hashKey(owner, key) {
+  return ethers.keccak256(
+    ethers.solidityPacked(["address", "string"], [owner, key])
+  );
+}
+
+// Strings are written as UTF-8, anything else as raw bytes
+function encodeValue(value) {
+  return typeof value === "string"
+    ? ethers.toUtf8Bytes(value)
+    : ethers.getBytes(value);
+}
+
+function decodeText(value) {
+  try {
+    return ethers.toUtf8String(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Key updates written by a source transaction, with the event each
+ * destination emits once it has applied them
+ * @returns {{ hashedKey: string, version: bigint, event: string }[]}
+ */
+function getWrittenKeys(receipt, contractAddress) {
+  const updates = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) {
+      continue;
+    }
+    const parsed = CONTRACT_INTERFACE.parseLog(log);
+    if (parsed?.name === "ValueSet") {
+      updates.push({
+        hashedKey: parsed.args.hashedKey,
+        version: parsed.args.version,
+        event: "ValueUpdated",
+      });
+    } else if (parsed?.name === "ValuesSet") {
+      parsed.args[1].forEach((key, i) => {
+        updates.push({
+          hashedKey: hashKey(parsed.args.sender, key),
+          version: parsed.args[5][i],
+          event: "ValueUpdated",
+        });
+      });
+    } else if (parsed?.name === "ValueDeleted") {
+      updates.push({
+        hashedKey: parsed.args.hashedKey,
+        version: parsed.args.version,
+        event: "ValueRemoved",
+      });
+    }
+  }
+  return updates;
+}
+
+/**
+ * Whether the chains of a getAll result agree on a key
+ * @param {object[]} entries - Result of getAll, of the latest or a past
+ *   version
+ * @returns {{ found: boolean, inSync: boolean, versions: bigint[],
+ *   unreachable: string[] }} `found` when the key has a value on at least one
+ *   chain, `inSync` when every chain that could be read is at the same
+ *   current version, `unreachable` lists the chains that could not be read
+ */
+function compareEntries(entries) {
+  const read = entries.filter((entry) => !entry.error);
+  // Reads of a past version carry the current version next to it
+  const versions = [
+    ...new Set(read.map((entry) => entry.currentVersion ?? entry.version)),
+  ].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return {
+    found: read.some((entry) => entry.exists),
+    inSync: versions.length <= 1,
+    versions,
+    unreachable: entries
+      .filter((entry) => entry.error)
+      .map((entry) => entry.chain),
+  };
+}
+
+class StateSyncClient {
+  /**
+   * @param {object} options
+   * @param {object} options.chains - Chain registry (chain key => config)
+   * @param {ethers.Signer} [options.signer] - Sends the writes, connected to
+   *   each chain's provider when it is not already
+   */
+  constructor({ chains, signer } = {}) {
+    if (!chains || Object.keys(chains).length === 0) {
+      throw new Error("StateSyncClient needs at least one chain");
+    }
+    this.chains = chains;
+    this.signer = signer;
+    // chain key => provider
+    this.providers = new Map();
+  }
+
+  /**
+   * Registry key and config of a chain
+   * @param {string|number} chain - Registry key or chain ID
+   * @returns {[string, object]}
+   */
+  resolveChain(chain) {
+    if (chain === undefined) {
+      throw new Error("No chain given");
+    }
+    const entry = Object.entries(this.chains).find(
+      ([key, config]) => key === chain || config.chainId === Number(chain)
+    );
+    if (!entry) {
+      throw new Error(`Unknown chain: ${chain}`);
+    }
+    return entry;
+  }
+
+  getProvider(chain) {
+    const [chainKey, config] = this.resolveChain(chain);
+    if (!this.providers.has(chainKey)) {
+      if (!config.provider && !config.rpcUrl) {
+        throw new Error(`No RPC configured for ${config.name || chainKey}`);
+      }
+      this.providers.set(
+        chainKey,
+        config.provider || new ethers.JsonRpcProvider(config.rpcUrl)
+      );
+    }
+    return this.providers.get(chainKey);
+  }
+
+  /**
+   * StateSync on a chain, read-only unless `runner` is given
+   */
+  getContract(chain, runner) {
+    const [chainKey, config] = this.resolveChain(chain);
+    if (!config.contractAddress) {
+      throw new Error(`No contract address for ${config.name || chainKey}`);
+    }
+    return new ethers.Contract(
+      config.contractAddress,
+      CONTRACT_ABI,
+      runner || this.getProvider(chainKey)
+    );
+  }
+
+  getSigner(chain) {
+    if (!this.signer) {
+      throw new Error("StateSyncClient needs a signer to write");
+    }
+    const provider = this.getProvider(chain);
+    return this.signer.provider === provider
+      ? this.signer
+      : this.signer.connect(provider);
+  }
+
+  /**
+   * Write a key on one chain. The relayer propagates it to the others
+   * @param {string} key
+   * @param {string|Uint8Array} value - Strings are stored as UTF-8
+   * @param {object} options
+   * @param {string|number} options.chain - Chain to write on
+   * @param {string} [options.namespace] - Owner of the key, defaults to the
+   *   signer (writing another namespace requires being its owner or a writer)
+   * @param {number|bigint} [options.expiresAt] - Unix timestamp from which
+   *   the value reads as absent on every chain
+   * @returns {Promise<object>} { chain, txHash, blockNumber, namespace, key,
+   *   hashedKey, version, expiresAt (0n when the value never expires) }
+   */
+  async set(key, value, { chain, namespace, expiresAt } = {}) {
+    const [chainKey, config] = this.resolveChain(chain);
+    const signer = this.getSigner(chainKey);
+    const contract = this.getContract(chainKey, signer);
+    const signerAddress = await signer.getAddress();
+    const owner = namespace ? ethers.getAddress(namespace) : signerAddress;
+    const bytes = encodeValue(value);
+
+    let tx;
+    if (expiresAt === undefined) {
+      tx =
+        owner === signerAddress
+          ? await contract.setValue(key, bytes)
+          : await contract.setValueFor(owner, key, bytes);
+    } else {
+      tx =
+        owner === signerAddress
+          ? await contract.setExpiringValue(key, bytes, expiresAt)
+          : await contract.setExpiringValueFor(owner, key, bytes, expiresAt);
+    }
+    const receipt = await tx.wait();
+    const [written] = getWrittenKeys(receipt, config.contractAddress);
+
+    return {
+      chain: chainKey,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      namespace: owner,
+      key,
+      hashedKey: written.hashedKey,
+      version: written.version,
+      expiresAt: BigInt(expiresAt ?? 0),
+    };
+  }
+
+  /**
+   * Check that a compare-and-swap write of a key on `chain` can go through:
+   * the key is at `expectedVersion` there, and no other chain that could be
+   * read is at a newer version (a write not delivered yet, which the chain
+   * would not see)
+   * @param {string} owner - Namespace of the key
+   * @param {string} key
+   * @param {object} options
+   * @param {string|number} options.chain - Chain to write on
+   * @param {number|bigint} [options.expectedVersion] - Defaults to the latest
+   *   version across chains, to write on top of whatever was read
+   * @returns {Promise<object>} { chain, expectedVersion, versions (chain key
+   *   => version), unreachable (chains that could not be checked) }
+   * @throws {VersionConflictError} When the key is at another version
+   */
+  async checkVersion(owner, key, { chain, expectedVersion } = {}) {
+    const [chainKey, config] = this.resolveChain(chain);
+    const entries = await this.getAll(owner, key);
+    const target = entries.find((entry) => entry.chain === chainKey);
+    if (target.error) {
+      throw new Error(
+        `Could not read ${config.name || chainKey}: ${target.error}`
+      );
+    }
+
+    const read = entries.filter((entry) => !entry.error);
+    const versions = Object.fromEntries(
+      read.map((entry) => [entry.chain, entry.version])
+    );
+    const latest = read.reduce(
+      (max, entry) => (entry.version > max ? entry.version : max),
+      0n
+    );
+    const expected =
+      expectedVersion === undefined ? latest : BigInt(expectedVersion);
+    const details = { chain: chainKey, expectedVersion: expected, versions };
+
+    if (latest !== expected) {
+      const newest = read.find((entry) => entry.version === latest);
+      throw new VersionConflictError(
+        `${key} is at version ${latest} on ${newest.chain}, expected ${expected}`,
+        details
+      );
+    }
+    if (target.version !== expected) {
+      throw new VersionConflictError(
+        `${key} is at version ${target.version} on ${chainKey}, which has not caught up with version ${expected} yet`,
+        details
+      );
+    }
+    return {
+      ...details,
+      unreachable: entries
+        .filter((entry) => entry.error)
+        .map((entry) => entry.chain),
+    };
+  }
+
+  /**
+   * Write a key on one chain only if nobody wrote it since `expectedVersion`
+   * (optimistic concurrency). The versions are checked across chains first
+   * (see checkVersion), then the contract checks the version of the chain
+   * written on again in the transaction, with setValueIfVersion
+   * @param {string} key
+   * @param {string|Uint8Array} value
+   * @param {object} options - Same as set, without expiresAt
+   * @param {number|bigint} [options.expectedVersion] - Defaults to the latest
+   *   version across chains
+   * @returns {Promise<object>} Same as set, with `expectedVersion` and
+   *   `unreachable` (chains whose version could not be checked)
+   * @throws {VersionConflictError} When the key is at another version
+   */
+  async setIfVersion(key, value, { chain, namespace, expectedVersion } = {}) {
+    const [chainKey, config] = this.resolveChain(chain);
+    const signer = this.getSigner(chainKey);
+    const contract = this.getContract(chainKey, signer);
+    const signerAddress = await signer.getAddress();
+    const owner = namespace ? ethers.getAddress(namespace) : signerAddress;
+    const bytes = encodeValue(value);
+
+    const check = await this.checkVersion(owner, key, {
+      chain: chainKey,
+      expectedVersion,
+    });
+    let receipt;
+    try {
+      const tx =
+        owner === signerAddress
+          ? await contract.setValueIfVersion(key, bytes, check.expectedVersion)
+          : await contract.setValueForIfVersion(
+              owner,
+              key,
+              bytes,
+              check.expectedVersion
+            );
+      receipt = await tx.wait();
+    } catch (error) {
+      if (isVersionMismatch(error)) {
+        throw new VersionConflictError(
+          `${key} was written on ${chainKey} after version ${check.expectedVersion} was read`,
+          { ...check, cause: error }
+        );
+      }
+      throw error;
+    }
+    const [written] = getWrittenKeys(receipt, config.contractAddress);
+
+    return {
+      chain: chainKey,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      namespace: owner,
+      key,
+      hashedKey: written.hashedKey,
+      version: written.version,
+      expiresAt: 0n,
+      expectedVersion: check.expectedVersion,
+      unreachable: check.unreachable,
+    };
+  }
+
+  /**
+   * Read a key on one chain
+   * @param {string} owner - Namespace of the key
+   * @param {string} key
+   * @param {object} options
+   * @param {string|number} options.chain
+   * @param {number|bigint} [options.version] - Read this past version
+   *   instead of the latest, see getByHash
+   * @returns {Promise<object>} { chain, hashedKey, owner, version,
+   *   aclVersion (version of the owner and writer list), deleted, expiresAt
+   *   (unix timestamp, 0n: never), expired, exists (false for deleted and
+   *   expired keys), value (hex), text (UTF-8, or null when not valid
+   *   UTF-8) }
+   */
+  async get(owner, key, { chain, version } = {}) {
+    return this.getByHash(hashKey(owner, key), { chain, version });
+  }
+
+  /**
+   * Read a key by its hashed key on one chain, without knowing its namespace
+   * or name
+   * @param {string} hashedKey
+   * @param {object} options
+   * @param {string|number} options.chain
+   * @param {number|bigint} [options.version] - Read this past version
+   *   instead of the latest. Only versions within the key's retention depth
+   *   are readable (see setKeyRetention in StateSync)
+   * @returns {Promise<object>} Same entry as get. With `version`, the entry
+   *   also has `currentVersion`, `retention` (depth) and `retained`, and
+   *   `exists` is false when that version is not retained on the chain
+   */
+  async getByHash(hashedKey, { chain, version: pastVersion } = {}) {
+    const [chainKey] = this.resolveChain(chain);
+    const contract = this.getContract(chainKey);
+    if (pastVersion !== undefined) {
+      return this.getByHashAtVersion(
+        contract,
+        chainKey,
+        hashedKey,
+        pastVersion
+      );
+    }
+
+    const [value, version, keyOwner, aclVersion, deleted, expiresAt, expired] =
+      await Promise.all([
+        contract.getValueByHash(hashedKey),
+        contract.getKeyVersionByHash(hashedKey),
+        contract.getKeyOwner(hashedKey),
+        contract.getKeyAclVersion(hashedKey),
+        contract.isDeletedByHash(hashedKey),
+        contract.getKeyExpiry(hashedKey),
+        contract.isExpiredByHash(hashedKey),
+      ]);
+
+    return {
+      chain: chainKey,
+      hashedKey,
+      owner: keyOwner,
+      version,
+      aclVersion,
+      deleted,
+      expiresAt,
+      expired,
+      exists: keyOwner !== ethers.ZeroAddress && !deleted && !expired,
+      value: ethers.hexlify(value),
+      text: decodeText(value),
+    };
+  }
+
+  // getByHash of a past version
+  async getByHashAtVersion(contract, chainKey, hashedKey, version) {
+    const [atVersion, currentVersion, keyOwner, aclVersion, retention] =
+      await Promise.all([
+        contract.getValueAtVersionByHash(hashedKey, version),
+        contract.getKeyVersionByHash(hashedKey),
+        contract.getKeyOwner(hashedKey),
+        contract.getKeyAclVersion(hashedKey),
+        contract.getKeyRetention(hashedKey),
+      ]);
+    const [value, deleted, retained] = atVersion;
+
+    return {
+      chain: chainKey,
+      hashedKey,
+      owner: keyOwner,
+      version: BigInt(version),
+      currentVersion,
+      aclVersion,
+      retention,
+      retained,
+      deleted,
+      exists: retained && keyOwner !== ethers.ZeroAddress && !deleted,
+      value: ethers.hexlify(value),
+      text: decodeText(value),
+    };
+  }
+
+  /**
+   * Read a key on every chain of the registry. A chain that cannot be read
+   * gives { chain, error } instead of failing the whole call
+   * @param {string} owner
+   * @param {string} key
+   * @param {object} [options]
+   * @param {number|bigint} [options.version] - Past version to read
+   * @returns {Promise<object[]>} One entry per chain, in registry order
+   */
+  getAll(owner, key, options = {}) {
+    return this.readAll((chain) => this.get(owner, key, { ...options, chain }));
+  }
+
+  /**
+   * getAll by hashed key
+   * @returns {Promise<object[]>}
+   */
+  getAllByHash(hashedKey, options = {}) {
+    return this.readAll((chain) =>
+      this.getByHash(hashedKey, { ...options, chain })
+    );
+  }
+
+  /**
+   * Keys an account owns on one chain, with the namespace and key string
+   * behind each hashed key. Includes deleted keys
+   * @param {string} account
+   * @param {object} options
+   * @param {string|number} options.chain
+   * @param {number} [options.pageSize] - Keys fetched per call
+   * @returns {Promise<object>} { chain, keys: [{ hashedKey, namespace, key }] }
+   */
+  async getOwnedKeys(account, { chain, pageSize = OWNED_KEYS_PAGE_SIZE } = {}) {
+    const [chainKey] = this.resolveChain(chain);
+    const contract = this.getContract(chainKey);
+
+    const count = await contract.getOwnedKeyCount(account);
+    const keys = [];
+    for (let offset = 0n; offset < count; offset += BigInt(pageSize)) {
+      const [hashedKeys, namespaces, names] = await contract.getOwnedKeys(
+        account,
+        offset,
+        pageSize
+      );
+      names.forEach((key, i) => {
+        keys.push({ hashedKey: hashedKeys[i], namespace: namespaces[i], key });
+      });
+    }
+    return { chain: chainKey, keys };
+  }
+
+  /**
+   * getOwnedKeys on every chain of the registry
+   * @returns {Promise<object[]>} One result per chain, or { chain, error }
+   */
+  getAllOwnedKeys(account, options = {}) {
+    return this.readAll((chain) =>
+      this.getOwnedKeys(account, { ...options, chain })
+    );
+  }
+
+  // Run `read` on every chain, turning failures into { chain, error }
+  readAll(read) {
+    return Promise.all(
+      Object.keys(this.chains).map((chainKey) =>
+        read(chainKey).catch((error) => ({
+          chain: chainKey,
+          error: error.message,
+        }))
+      )
+    );
+  }
+
+  /**
+   * Wait until every other chain has applied the keys written by a source
+   * transaction, i.e. emitted ValueUpdated (ValueRemoved for deletions) with
+   * the same hashed key and version
+   * @param {string} txHash - Source transaction
+   * @param {object} [options]
+   * @param {string|number} [options.chain] - Source chain, searched in the
+   *   registry when omitted
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.lookbackBlocks]
+   * @returns {Promise<object>} Destination chain key => one entry per written
+   *   key: { hashedKey, version, txHash, blockNumber, superseded }.
+   *   `superseded` entries were overtaken by a newer version before their own
+   *   delivery, so no matching event exists. txHash and blockNumber are null
+   *   when no matching event was found
+   */
+  async waitForPropagation(txHash, options = {}) {
+    const { timeoutMs, pollIntervalMs, lookbackBlocks } = {
+      ...DEFAULT_PROPAGATION_OPTIONS,
+      ...options,
+    };
+    const [sourceKey, receipt] = await this.findReceipt(txHash, options.chain);
+    const updates = getWrittenKeys(
+      receipt,
+      this.chains[sourceKey].contractAddress
+    );
+    if (updates.length === 0) {
+      throw new Error(`Transaction ${txHash} wrote no key on ${sourceKey}`);
+    }
+
+    const destinations = await Promise.all(
+      Object.keys(this.chains)
+        .filter((chainKey) => chainKey !== sourceKey)
+        .map(async (chainKey) => {
+          const latestBlock = await this.getProvider(chainKey).getBlockNumber();
+          return {
+            chainKey,
+            contract: this.getContract(chainKey),
+            fromBlock: Math.max(0, latestBlock - lookbackBlocks),
+            // hashedKey:version => delivery, once found
+            deliveries: new Map(),
+          };
+        })
+    );
+
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      await Promise.all(
+        destinations.map((destination) =>
+          Promise.all(
+            updates.map((update) => this.checkDelivery(destination, update))
+          )
+        )
+      );
+
+      const missing = destinations.filter(
+        (destination) => destination.deliveries.size < updates.length
+      );
+      if (missing.length === 0) {
+        return Object.fromEntries(
+          destinations.map(({ chainKey, deliveries }) => [
+            chainKey,
+            [...deliveries.values()],
+          ])
+        );
+      }
+      if (Date.now() + pollIntervalMs > deadline) {
+        throw new Error(
+          `Timed out waiting for ${txHash} to reach ${missing
+            .map(({ chainKey }) => chainKey)
+            .join(", ")}`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  // Source chain and receipt of a transaction
+  async findReceipt(txHash, chain) {
+    const chainKeys =
+      chain === undefined
+        ? Object.keys(this.chains)
+        : [this.resolveChain(chain)[0]];
+
+    for (const chainKey of chainKeys) {
+      const receipt = await this.getProvider(chainKey)
+        .getTransactionReceipt(txHash)
+        .catch(() => null);
+      if (receipt) {
+        return [chainKey, receipt];
+      }
+    }
+    throw new Error(
+      `Transaction ${txHash} not found on ${chainKeys.join(", ")}`
+    );
+  }
+
+  // Record the delivery of `update` to `destination` once it has landed
+  async checkDelivery(destination, update) {
+    const id = `${update.hashedKey}:${update.version}`;
+    if (destination.deliveries.has(id)) {
+      return;
+    }
+
+    const { contract, fromBlock, deliveries } = destination;
+    const version = await contract.getKeyVersionByHash(update.hashedKey);
+    if (version < update.version) {
+      return;
+    }
+
+    const events = await contract.queryFilter(
+      contract.filters[update.event](update.hashedKey),
+      fromBlock
+    );
+    const match = events.find((event) => event.args.version === update.version);
+    deliveries.set(id, {
+      hashedKey: update.hashedKey,
+      version: update.version,
+      txHash: match?.transactionHash ?? null,
+      blockNumber: match?.blockNumber ?? null,
+      // Without a match but at the same version, the delivery landed before
+      // the lookback window
+      superseded: !match && version > update.version,
+    });
+  }
+}
+
+module.exports = {
+  CONTRACT_ABI,
+  StateSyncClient,
+  VersionConflictError,
+  isVersionMismatch,
+  hashKey,
+  getWrittenKeys,
+  compareEntries,
+};
@@ -0,0 +1,344 @@
+/**
+ * Cross-chain consistency audit
+ * =============================
+ *
+ * Compares keys on every chain of a registry and repairs the chains that fell
+ * behind, without going through the relayer:
+ *
+ *   const client = new StateSyncClient({ chains: CHAINS, signer: wallet });
+ *   const { events } = await scanSourceEvents(client);
+ *   const reports = await auditKeys(client, discoverKeys(events));
+ *   await repairKeys(client, reports, events, { fetchProof });
+ *
+ * A chain lags on a key when its version, or the version of its owner and
+ * writer list (ACL version), is below the highest one read on any chain.
+ * Repairing delivers the source event of that highest version with
+ * setValueFromSource, exactly as the relayer would have. Chains at the highest
+ * versions that still disagree on the value or owner are reported as diverged:
+ * a proof cannot fix them, since deliveries must carry a newer version.
+ */
+
+const {
+  SOURCE_EVENT_TOPICS,
+  getLocalLogIndex,
+  getRecentLogs,
+} = require("./logs");
+const { ProofCache } = require("./proof-cache");
+const { classifyError, ERROR_KIND } = require("./retry");
+const { hashKey } = require("./state-sync-client");
+
+const DEFAULT_SCAN_OPTIONS = {
+  // How far back source events are searched, per chain
+  lookbackBlocks: 10000,
+  // Maximum number of blocks per getLogs request
+  blockRange: 1000,
+};
+
+// Status of a key, and of each chain for that key
+const AUDIT_STATUS = {
+  IN_SYNC: "in-sync",
+  // Some chains lag or diverged (keys only)
+  OUT_OF_SYNC: "out-of-sync",
+  // Version or ACL version below the highest one
+  LAGGING: "lagging",
+  // Highest versions, but a different value or owner
+  DIVERGED: "diverged",
+  UNREACHABLE: "unreachable",
+  // Never written on any chain that could be read (keys only)
+  NOT_FOUND: "not-found",
+};
+
+const REPAIR_STATUS = {
+  REPAIRED: "repaired",
+  // The chain caught up between the audit and the repair
+  ALREADY_APPLIED: "already-applied",
+  // No source event of the version within the scanned blocks
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+// One record per key written by a source log
+function parseSourceLog(contract, chainKey, log) {
+  const parsed = contract.interface.parseLog(log);
+  // KeyRetentionUpdated, retention depths are not audited
+  if (!parsed) {
+    return [];
+  }
+  const base = {
+    chain: chainKey,
+    event: parsed.name,
+    namespace: parsed.args.sender,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+
+  if (parsed.name === "ValuesSet") {
+    return parsed.args[1].map((key, i) => ({
+      ...base,
+      kind: "value",
+      key,
+      hashedKey: hashKey(parsed.args.sender, key),
+      version: parsed.args[5][i],
+    }));
+  }
+  return [
+    {
+      ...base,
+      kind: parsed.name === "KeyAclUpdated" ? "acl" : "value",
+      key: parsed.args.key,
+      hashedKey: parsed.args.hashedKey,
+      version: parsed.args.version,
+    },
+  ];
+}
+
+/**
+ * Source events (ValueSet, ValuesSet, ValueDeleted, KeyAclUpdated) emitted in
+ * the last `lookbackBlocks` blocks of every chain, one record per written key
+ * @param {StateSyncClient} client
+ * @param {object} [options]
+ * @param {number} [options.lookbackBlocks]
+ * @param {number} [options.blockRange]
+ * @returns {Promise<{ events: object[], errors: object[] }>} `events` are
+ *   { chain, event, kind ("value" or "acl"), namespace, key, hashedKey,
+ *   version, blockNumber, transactionHash, logIndex }, `errors` the chains
+ *   that could not be scanned as { chain, error }
+ */
+async function scanSourceEvents(client, options = {}) {
+  const { lookbackBlocks, blockRange } = {
+    ...DEFAULT_SCAN_OPTIONS,
+    ...options,
+  };
+
+  const scans = await Promise.all(
+    Object.keys(client.chains).map(async (chainKey) => {
+      try {
+        const contract = client.getContract(chainKey);
+        const logs = await getRecentLogs(
+          client.getProvider(chainKey),
+          {
+            address: await contract.getAddress(),
+            topics: [SOURCE_EVENT_TOPICS],
+          },
+          { lookbackBlocks, blockRange }
+        );
+        const events = logs.flatMap((log) =>
+          parseSourceLog(contract, chainKey, log)
+        );
+        return { events };
+      } catch (error) {
+        return { error: { chain: chainKey, error: error.message } };
+      }
+    })
+  );
+
+  return {
+    events: scans.flatMap((scan) => scan.events || []),
+    errors: scans.filter((scan) => scan.error).map((scan) => scan.error),
+  };
+}
+
+/**
+ * Distinct keys written by source events, in the order they were first seen
+ * @returns {{ namespace: string, key: string, hashedKey: string }[]}
+ */
+function discoverKeys(events) {
+  const keys = new Map();
+  for (const { namespace, key, hashedKey } of events) {
+    if (!keys.has(hashedKey)) {
+      keys.set(hashedKey, { namespace, key, hashedKey });
+    }
+  }
+  return [...keys.values()];
+}
+
+function max(values) {
+  return values.reduce((a, b) => (b > a ? b : a), 0n);
+}
+
+/**
+ * Compare one key across chains
+ * @param {{ namespace: string, key: string }} target
+ * @param {object[]} entries - Result of StateSyncClient.getAllByHash
+ * @returns {object} { namespace, key, hashedKey, status, version, aclVersion,
+ *   chains }, where `version` and `aclVersion` are the highest read and each
+ *   chain is its entry with a `status` and, when lagging, what it lags on
+ *   (`behind`: "value" and/or "acl")
+ */
+function compareKey(target, entries) {
+  const read = entries.filter((entry) => !entry.error);
+  const version = max(read.map((entry) => entry.version));
+  const aclVersion = max(read.map((entry) => entry.aclVersion));
+  // Chains holding the latest value and the latest owner, to compare against
+  const valueReference = read.find((entry) => entry.version === version);
+  const aclReference = read.find((entry) => entry.aclVersion === aclVersion);
+
+  const chains = entries.map((entry) => {
+    if (entry.error) {
+      return { ...entry, status: AUDIT_STATUS.UNREACHABLE };
+    }
+    const behind = [];
+    if (entry.version < version) {
+      behind.push("value");
+    }
+    if (entry.aclVersion < aclVersion) {
+      behind.push("acl");
+    }
+    if (behind.length > 0) {
+      return { ...entry, status: AUDIT_STATUS.LAGGING, behind };
+    }
+    const diverged =
+      entry.value !== valueReference.value ||
+      entry.deleted !== valueReference.deleted ||
+      entry.owner !== aclReference.owner;
+    return {
+      ...entry,
+      status: diverged ? AUDIT_STATUS.DIVERGED : AUDIT_STATUS.IN_SYNC,
+    };
+  });
+
+  let status = AUDIT_STATUS.IN_SYNC;
+  if (read.length > 0 && version === 0n && aclVersion === 0n) {
+    status = AUDIT_STATUS.NOT_FOUND;
+  } else if (
+    chains.some(
+      (chain) =>
+        chain.status === AUDIT_STATUS.LAGGING ||
+        chain.status === AUDIT_STATUS.DIVERGED
+    )
+  ) {
+    status = AUDIT_STATUS.OUT_OF_SYNC;
+  } else if (
+    chains.some((chain) => chain.status === AUDIT_STATUS.UNREACHABLE)
+  ) {
+    status = AUDIT_STATUS.UNREACHABLE;
+  }
+
+  return {
+    namespace: target.namespace,
+    key: target.key,
+    hashedKey: target.hashedKey ?? hashKey(target.namespace, target.key),
+    status,
+    version,
+    aclVersion,
+    chains,
+  };
+}
+
+/**
+ * Read and compare keys on every chain, one key at a time
+ * @param {StateSyncClient} client
+ * @param {{ namespace: string, key: string }[]} keys
+ * @returns {Promise<object[]>} One report per key, see compareKey
+ */
+async function auditKeys(client, keys) {
+  const reports = [];
+  for (const target of keys) {
+    const hashedKey = target.hashedKey ?? hashKey(target.namespace, target.key);
+    reports.push(
+      compareKey({ ...target, hashedKey }, await client.getAllByHash(hashedKey))
+    );
+  }
+  return reports;
+}
+
+/**
+ * Deliver the latest source events of audited keys to the chains lagging on
+ * them. Transactions are sent one at a time, and each proof is requested once
+ * however many chains it is delivered to
+ * @param {StateSyncClient} client - With a signer for the lagging chains
+ * @param {object[]} reports - Result of auditKeys
+ * @param {object[]} events - Source events from scanSourceEvents
+ * @param {object} options
+ * @param {(logId: object) => Promise<string>} options.fetchProof - Requests
+ *   and waits for the proof of a log (chainId, blockNumber, txIndex,
+ *   localLogIndex), resolving with the proof bytes as hex
+ * @param {(repair: object) => void} [options.onRepair] - Called after each
+ *   repair attempt
+ * @returns {Promise<object[]>} { hashedKey, key, chain, kind, version, status,
+ *   source (chain and transaction of the delivered event), txHash, error }
+ */
+async function repairKeys(client, reports, events, { fetchProof, onRepair }) {
+  const proofs = new ProofCache(fetchProof);
+  const repairs = [];
+
+  for (const report of reports) {
+    for (const chain of report.chains) {
+      for (const kind of chain.behind || []) {
+        const version = kind === "value" ? report.version : report.aclVersion;
+        const repair = {
+          hashedKey: report.hashedKey,
+          key: report.key,
+          chain: chain.chain,
+          kind,
+          version,
+          ...(await deliverLatest(client, proofs, events, chain.chain, {
+            hashedKey: report.hashedKey,
+            kind,
+            version,
+          })),
+        };
+        repairs.push(repair);
+        onRepair?.(repair);
+      }
+    }
+  }
+  return repairs;
+}
+
+// Deliver the source event that wrote `version` of a key to `chainKey`
+async function deliverLatest(client, proofs, events, chainKey, target) {
+  const event = events.find(
+    (event) =>
+      event.hashedKey === target.hashedKey &&
+      event.kind === target.kind &&
+      event.version === target.version
+  );
+  if (!event) {
+    return {
+      status: REPAIR_STATUS.SKIPPED,
+      error: `No source event of version ${target.version} in the scanned blocks`,
+    };
+  }
+  const source = { chain: event.chain, transactionHash: event.transactionHash };
+
+  try {
+    const receipt = await client
+      .getProvider(event.chain)
+      .getTransactionReceipt(event.transactionHash);
+    const proof = await proofs.get({
+      chainId: Number(client.chains[event.chain].chainId),
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      txIndex: receipt.index,
+      localLogIndex: getLocalLogIndex(receipt, event.logIndex),
+    });
+
+    const contract = client.getContract(chainKey, client.getSigner(chainKey));
+    const tx = await contract.setValueFromSource(proof);
+    await tx.wait();
+    return { status: REPAIR_STATUS.REPAIRED, source, txHash: tx.hash };
+  } catch (error) {
+    const { kind, reason } = classifyError(error);
+    return {
+      status:
+        kind === ERROR_KIND.BENIGN
+          ? REPAIR_STATUS.ALREADY_APPLIED
+          : REPAIR_STATUS.FAILED,
+      source,
+      error: reason,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_SCAN_OPTIONS,
+  AUDIT_STATUS,
+  REPAIR_STATUS,
+  scanSourceEvents,
+  discoverKeys,
+  compareKey,
+  auditKeys,
+  repairKeys,
+};
@@ -0,0 +1,213 @@
+// node scripts/acl.js <command> [options]
+//
+// Manage who can write a key, and how many of its versions are kept. Changes
+// are made on one chain and relayed to every other chain by the relayer, the
+// newest ACL (or retention) version wins everywhere.
+//
+// Usage:
+//   npm run acl -- show <key> [--namespace <address>]
+//   npm run acl -- transfer <key> <newOwner> --chain base-sepolia
+//   npm run acl -- add-writer <key> <writer> --chain base-sepolia
+//   npm run acl -- remove-writer <key> <writer> --chain base-sepolia
+//   npm run acl -- retention <key> <depth> --chain base-sepolia
+//
+// `retention` keeps the last <depth> versions of the key readable with
+// `get --version`, the latest included, 0 keeps only the latest.
+//
+// The namespace is the account that created the key and defaults to the
+// wallet address. Pass --namespace to manage a key you were handed over.
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+
+// Contract ABI
+const CONTRACT_ABI =
+  require("../artifacts/contracts/StateSync.sol/StateSync.json").abi;
+
+function getContract(chainConfig, wallet) {
+  const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+  return new ethers.Contract(
+    chainConfig.contractAddress,
+    CONTRACT_ABI,
+    wallet.connect(provider)
+  );
+}
+
+async function show(wallet, namespace, key) {
+  const hashedKey = ethers.keccak256(
+    ethers.solidityPacked(["address", "string"], [namespace, key])
+  );
+  console.log(chalk.cyan(`>  Namespace: ${namespace}`));
+  console.log(chalk.cyan(`>  Key: ${key}`));
+  console.log(chalk.cyan(`>  Hashed Key: ${hashedKey}`));
+
+  const results = await Promise.all(
+    Object.values(CHAINS)
+      .filter(
+        (chainConfig) => chainConfig.rpcUrl && chainConfig.contractAddress
+      )
+      .map(async (chainConfig) => {
+        try {
+          const contract = getContract(chainConfig, wallet);
+          const [owner, writers, aclVersion, retention] = await Promise.all([
+            contract.getKeyOwner(hashedKey),
+            contract.getKeyWriters(hashedKey),
+            contract.getKeyAclVersion(hashedKey),
+            contract.getKeyRetention(hashedKey),
+          ]);
+          return {
+            chain: chainConfig.name,
+            owner,
+            writers,
+            aclVersion,
+            retention,
+          };
+        } catch (error) {
+          return { chain: chainConfig.name, error: error.message };
+        }
+      })
+  );
+
+  for (const result of results) {
+    console.log(chalk.yellow(`\n${result.chain}:`));
+    if (result.error) {
+      console.log(chalk.red(`>  Error: ${result.error}`));
+      continue;
+    }
+    if (result.owner === ethers.ZeroAddress) {
+      console.log(chalk.yellow(`>  Key not yet initialized on this chain`));
+      continue;
+    }
+    console.log(chalk.cyan(`>  Owner: ${chalk.bold(result.owner)}`));
+    console.log(
+      chalk.cyan(`>  Writers: ${chalk.bold(result.writers.join(", ") || "-")}`)
+    );
+    console.log(chalk.cyan(`>  ACL Version: ${chalk.bold(result.aclVersion)}`));
+    console.log(
+      chalk.cyan(`>  Retention Depth: ${chalk.bold(result.retention)}`)
+    );
+  }
+
+  const versions = new Set(
+    results.filter((r) => !r.error).map((r) => r.aclVersion.toString())
+  );
+  if (versions.size > 1) {
+    console.log(
+      chalk.yellow(
+        `\n⚠️  Warning: ACL version mismatch detected across chains. Changes may still be in flight.`
+      )
+    );
+  }
+}
+
+async function update(wallet, chainKey, method, args) {
+  const chainConfig = CHAINS[chainKey];
+  if (!chainConfig) {
+    throw new Error(
+      `Specify the chain to make the change on with --chain (${Object.keys(
+        CHAINS
+      ).join(", ")})`
+    );
+  }
+  if (!chainConfig.rpcUrl || !chainConfig.contractAddress) {
+    throw new Error(`Missing RPC URL or contract address for ${chainKey}`);
+  }
+
+  const contract = getContract(chainConfig, wallet);
+  console.log(chalk.yellow(`\n🚀 Sending ${method} on ${chainConfig.name}...`));
+  const tx = await contract[method](...args);
+  console.log(chalk.cyan(`>  Tx hash: ${tx.hash}`));
+  const receipt = await tx.wait();
+
+  const events = receipt.logs.map((log) => contract.interface.parseLog(log));
+  const aclEvent = events.find((event) => event?.name === "KeyAclUpdated");
+  const retentionEvent = events.find(
+    (event) => event?.name === "KeyRetentionUpdated"
+  );
+  if (retentionEvent) {
+    console.log(chalk.green(`✅ Retention updated on ${chainConfig.name}`));
+    console.log(chalk.cyan(`>  Retention Depth: ${retentionEvent.args.depth}`));
+    console.log(
+      chalk.cyan(`>  Retention Version: ${retentionEvent.args.version}`)
+    );
+  } else {
+    console.log(chalk.green(`✅ ACL updated on ${chainConfig.name}`));
+  }
+  if (aclEvent) {
+    console.log(chalk.cyan(`>  Owner: ${aclEvent.args.owner}`));
+    console.log(
+      chalk.cyan(`>  Writers: ${aclEvent.args.writers.join(", ") || "-"}`)
+    );
+    console.log(chalk.cyan(`>  ACL Version: ${aclEvent.args.version}`));
+  }
+  console.log(
+    chalk.blue("ℹ️  The relayer will sync this change to the other chains")
+  );
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      chain: { type: "string" },
+      namespace: { type: "string" },
+    },
+  });
+  const [command, key, account] = positionals;
+
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing environment variable: PRIVATE_KEY");
+  }
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+  console.log(
+    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
+  );
+
+  if (!key) {
+    throw new Error("Specify a key");
+  }
+  const namespace = ethers.getAddress(values.namespace || wallet.address);
+
+  switch (command) {
+    case "show":
+      await show(wallet, namespace, key);
+      break;
+    case "transfer":
+    case "add-writer":
+    case "remove-writer": {
+      if (!account || !ethers.isAddress(account)) {
+        throw new Error(`Specify the account to ${command}`);
+      }
+      const method = {
+        transfer: "transferKeyOwnership",
+        "add-writer": "addKeyWriter",
+        "remove-writer": "removeKeyWriter",
+      }[command];
+      await update(wallet, values.chain, method, [namespace, key, account]);
+      break;
+    }
+    case "retention": {
+      const [, , depth] = positionals;
+      if (!depth || !/^\d+$/.test(depth)) {
+        throw new Error("Specify the number of versions to retain");
+      }
+      await update(wallet, values.chain, "setKeyRetention", [
+        namespace,
+        key,
+        depth,
+      ]);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red("❌ Error:"), error.shortMessage || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+require("dotenv").config();
+const ethers = require("ethers");
+const inquirer = require("inquirer");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+
+// Contract ABI
+const CONTRACT_ABI =
+  require("../artifacts/contracts/StateSync.sol/StateSync.json").abi;
+
+async function main() {
+  // Create wallet from private key
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+  console.log(
+    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
+  );
+
+  // Get user input
+  console.log(chalk.blue("\n📝 Please provide the following information:"));
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "chain",
+      message: "Select a chain:",
+      choices: Object.entries(CHAINS).map(([key, value]) => ({
+        name: value.name,
+        value: key,
+      })),
+    },
+    {
+      type: "input",
+      name: "namespace",
+      message: "Enter the key's namespace (leave empty for your own keys):",
+      validate: (input) => {
+        if (input.trim() && !ethers.isAddress(input.trim())) {
+          return "Namespace must be an address";
+        }
+        return true;
+      },
+    },
+    {
+      type: "input",
+      name: "key",
+      message: "Enter the key to delete:",
+      validate: (input) => {
+        if (!input.trim()) {
+          return "Key cannot be empty";
+        }
+        return true;
+      },
+    },
+  ]);
+
+  // Validate environment variables
+  const requiredEnvVars = [
+    "PRIVATE_KEY",
+    `${answers.chain.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`,
+    `${answers.chain.toUpperCase().replace("-", "_")}_RPC`,
+  ];
+
+  for (const envVar of requiredEnvVars) {
+    if (!process.env[envVar]) {
+      throw new Error(`Missing environment variable: ${envVar}`);
+    }
+  }
+
+  // Get chain configurations
+  const chainConfig = CHAINS[answers.chain];
+
+  // Keys of other namespaces are deleted with deleteValueFor
+  const namespace = answers.namespace.trim()
+    ? ethers.getAddress(answers.namespace.trim())
+    : wallet.address;
+
+  console.log(chalk.blue("\n📝 Transaction Details:"));
+  console.log(chalk.cyan(`>  Chain: ${chainConfig.name}`));
+  console.log(chalk.cyan(`>  Namespace: ${namespace}`));
+  console.log(chalk.cyan(`>  Key: ${answers.key}`));
+
+  // Confirm transaction
+  const confirmation = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "proceed",
+      message:
+        "Do you want to delete this key? The deletion is relayed to every chain",
+      default: false,
+    },
+  ]);
+
+  if (!confirmation.proceed) {
+    console.log("Transaction cancelled");
+    return;
+  }
+
+  try {
+    // Setup provider and contract
+    console.log(chalk.yellow(`\n🔄 Connecting to ${chainConfig.name}...`));
+    const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    console.log(chalk.green(`✅ Connected to ${chainConfig.name}`));
+    const connectedWallet = wallet.connect(provider);
+    const contract = new ethers.Contract(
+      chainConfig.contractAddress,
+      CONTRACT_ABI,
+      connectedWallet
+    );
+
+    const [method, args] =
+      namespace === wallet.address
+        ? ["deleteValue", [answers.key]]
+        : ["deleteValueFor", [namespace, answers.key]];
+
+    // Estimate gas
+    console.log(chalk.yellow("\n⛽️ Estimating gas..."));
+    const estimatedGas = await contract[method].estimateGas(...args);
+
+    console.log(
+      chalk.cyan(`>  Estimated gas: ${chalk.bold(estimatedGas.toString())}`)
+    );
+
+    // Send transaction
+    console.log(chalk.yellow("\n🚀 Sending transaction..."));
+    const tx = await contract[method](...args, {
+      gasLimit: estimatedGas,
+    });
+    console.log(chalk.green("✅ Transaction sent"));
+
+    console.log(chalk.cyan(`>  Tx hash: ${tx.hash}`));
+    console.log(chalk.yellow("\n⏳ Waiting for confirmation..."));
+    const receipt = await tx.wait();
+    console.log(chalk.green("🗑️  Value deleted successfully!"));
+    console.log(
+      chalk.green(
+        `✅ Transaction confirmed! Gas used: ${receipt.gasUsed.toString()}`
+      )
+    );
+
+    // Find the ValueDeleted event
+    const valueDeletedEvent = receipt.logs.find(
+      (log) => log.fragment?.name === "ValueDeleted"
+    );
+
+    if (valueDeletedEvent) {
+      const { sender, key, nonce, hashedKey, version } = valueDeletedEvent.args;
+
+      console.log(chalk.blue("\n📝 Event Details:"));
+      console.log(chalk.cyan(`>  Sender: ${sender}`));
+      console.log(chalk.cyan(`>  Key: ${key}`));
+      console.log(chalk.cyan(`>  Nonce: ${nonce}`));
+      console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+      console.log(chalk.cyan(`>  Version: ${version}`));
+    }
+  } catch (error) {
+    console.error(chalk.red("❌ Error:"), error.message);
+    if (error.data) {
+      console.error(chalk.red("❌ Error data:"), error.data);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red("❌ Error:"), error);
+  process.exit(1);
+});
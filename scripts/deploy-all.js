@@ -72,6 +72,9 @@ async function main() {
   const envPath = path.join(__dirname, "../.env");
   let envContent = fs.readFileSync(envPath, "utf8");
 
+  // Freshly deployed addresses, handed to the peer setup below
+  const deployedAddresses = {};
+
   for (const chain of CHAINS) {
     try {
       console.log(
@@ -97,6 +100,7 @@ async function main() {
       }
 
       const contractAddress = addressMatch[1];
+      deployedAddresses[chain.envKey] = contractAddress;
       console.log(
         chalk.green(
           `✅ Deployed to ${chalk.bold(chain.name)}: ${chalk.bold(
@@ -135,6 +139,25 @@ async function main() {
   console.log(
     chalk.cyan("📝 Contract addresses have been updated in .env file")
   );
+
+  if (Object.keys(deployedAddresses).length === 0) {
+    return;
+  }
+
+  // Register the deployments as trusted peers of each other.
+  // dotenv does not override variables that are already set, so pass the new
+  // addresses explicitly instead of relying on the rewritten .env file.
+  console.log(chalk.blue("\n🔗 Configuring trusted peers..."));
+  try {
+    execSync("node scripts/set-peers.js", {
+      stdio: "inherit",
+      env: { ...process.env, ...deployedAddresses },
+    });
+  } catch (error) {
+    console.error(
+      chalk.red("❌ Peer setup failed, re-run it with `npm run peers`")
+    );
+  }
 }
 
 main()
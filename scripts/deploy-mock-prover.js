@@ -0,0 +1,44 @@
+// npx hardhat run scripts/deploy-mock-prover.js --network <network>
+//
+// Deploy a MockPolymerProver accepting the proofs of the local proof API
+// (`npm run mock:polymer`). Use its address as the prover of the StateSync
+// deployments on local networks. Never deploy it on a live network: anyone can
+// sign proofs with the public test key.
+
+require("dotenv").config();
+const hre = require("hardhat");
+const chalk = require("chalk");
+
+const { getMockProverSigner } = require("../lib/mock-prover");
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(
+    chalk.blue(
+      `🌐 Deploying to network: ${chalk.bold(hre.network.name)} (${chainId})`
+    )
+  );
+
+  const signer = getMockProverSigner();
+  console.log(chalk.cyan(`🔑 Prover signer: ${chalk.bold(signer.address)}`));
+
+  console.log(chalk.yellow("📄 Deploying MockPolymerProver..."));
+  const MockPolymerProver = await hre.ethers.getContractFactory(
+    "MockPolymerProver"
+  );
+  const prover = await MockPolymerProver.deploy(signer.address);
+  await prover.waitForDeployment();
+
+  const address = await prover.getAddress();
+  console.log(
+    chalk.green(`✅ MockPolymerProver deployed to: ${chalk.bold(address)}`)
+  );
+  return address;
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(chalk.red("❌ Error:"), error);
+    process.exit(1);
+  });
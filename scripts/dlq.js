@@ -0,0 +1,130 @@
+// node scripts/dlq.js [list|requeue] [options]
+//
+// Inspect and requeue relayer deliveries that ended up in the dead-letter
+// queue (deliveries with status "failed").
+//
+// Usage:
+//   npm run dlq                                   # list dead-lettered deliveries
+//   npm run dlq -- requeue <eventId|txHash>       # requeue all destinations
+//   npm run dlq -- requeue <eventId|txHash> --destination 84532
+//   npm run dlq -- requeue --all                  # requeue everything
+//
+// A running relayer picks requeued deliveries up within 30 seconds.
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const { RelayerStore } = require("../lib/relayer-store");
+
+function chainName(chainId) {
+  const chain = Object.values(CHAINS).find(
+    (chain) => String(chain.chainId) === String(chainId)
+  );
+  return chain ? chain.name : `Chain ${chainId}`;
+}
+
+function list(store) {
+  const deadLetters = store.getDeadLetters();
+
+  if (deadLetters.length === 0) {
+    console.log(chalk.green("✅ The dead-letter queue is empty"));
+    return;
+  }
+
+  console.log(
+    chalk.blue(
+      `\n☠️  ${chalk.bold(
+        deadLetters.length
+      )} delivery(ies) in the dead-letter queue:`
+    )
+  );
+
+  for (const delivery of deadLetters) {
+    const event = store.getEvent(delivery.eventId) || {};
+    console.log(chalk.yellow(`\n${delivery.eventId}`));
+    console.log(
+      chalk.cyan(
+        `>  Route: ${chalk.bold(chainName(event.chainId))} → ${chalk.bold(
+          chainName(delivery.destination)
+        )}`
+      )
+    );
+    console.log(chalk.cyan(`>  Source Tx: ${event.transactionHash}`));
+    if (event.args) {
+      console.log(chalk.cyan(`>  Sender: ${event.args.sender}`));
+      if (event.args.keys) {
+        console.log(chalk.cyan(`>  Keys: ${event.args.keys.join(", ")}`));
+      } else {
+        console.log(chalk.cyan(`>  Key: ${event.args.key}`));
+        console.log(chalk.cyan(`>  Version: ${event.args.version}`));
+      }
+    }
+    console.log(chalk.cyan(`>  Attempts: ${delivery.attempts || 0}`));
+    console.log(
+      chalk.cyan(`>  Error (${delivery.errorKind}): `) +
+        chalk.red(delivery.error)
+    );
+    console.log(
+      chalk.cyan(`>  Failed At: ${new Date(delivery.updatedAt).toISOString()}`)
+    );
+  }
+}
+
+function requeue(store, target, { all, destination }) {
+  if (!all && !target) {
+    throw new Error("Specify an event ID or source tx hash, or use --all");
+  }
+
+  const deadLetters = store.getDeadLetters({
+    target: all ? undefined : target,
+    destination,
+  });
+
+  if (deadLetters.length === 0) {
+    console.log(chalk.yellow("⚠️  No matching deliveries in the queue"));
+    return;
+  }
+
+  for (const delivery of deadLetters) {
+    store.requeueDelivery(delivery.eventId, delivery.destination);
+    console.log(
+      chalk.green(
+        `🔁 Requeued delivery to ${chalk.bold(
+          chainName(delivery.destination)
+        )}: ${delivery.eventId}`
+      )
+    );
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: "boolean", default: false },
+      destination: { type: "string" },
+    },
+  });
+  const [command = "list", target] = positionals;
+
+  const store = new RelayerStore().load();
+  console.log(chalk.cyan(`📂 Relayer state: ${chalk.bold(store.filePath)}`));
+
+  switch (command) {
+    case "list":
+      list(store);
+      break;
+    case "requeue":
+      requeue(store, target, values);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red("❌ Error:"), error.message);
+  process.exit(1);
+});
@@ -1,28 +1,91 @@
+// node scripts/get.js [--key <key>] [--owner <owner>] [--chain <chain>]
+//                     [--version <n>] [--json]
+// node scripts/get.js --hashed-key <hash> [--chain <chain>] [--version <n>]
+//                     [--json]
+//
+// Read a key on every chain, or on one with --chain. Without flags, everything
+// is asked for interactively. Pass the key with --key, or pipe it through
+// stdin (--key - or no --key with piped input), or look it up by its hashed
+// key with --hashed-key.
+//
+// The namespace (--owner) is an address or a name of the address book (see
+// lib/address-book.js, --address-book to use another file), and defaults to
+// the wallet address. PRIVATE_KEY is only needed for that default: reading
+// another namespace or a hashed key works without a wallet.
+//
+// Values are decoded with --codec (see lib/codecs.js), or else with the codec
+// recorded in <key>#codec by `set --record-codec`, or else as UTF-8.
+//
+// --version reads the value the key had at that version instead of the
+// latest. Chains only keep past versions of keys with a retention depth (see
+// `acl -- retention`), and only the most recent ones.
+//
+// Keys written with an expiry (`set --expires-in`) read as absent once it
+// has passed, their stale value is not shown.
+//
+// Usage:
+//   npm run get
+//   npm run get -- --key fee-bps --json
+//   echo fee-bps | npm run get -- --owner treasury --chain base-sepolia
+//   npm run get -- --hashed-key 0x...
+//   npm run get -- --key limits --codec json --json
+//   npm run get -- --key fee-bps --version 3
+//
+// Exit codes: 0 when the key is set and in sync, 3 when it has no value on
+// any chain (deleted, expired, or with --version, not retained), 4 when the
+// chains are at different versions (their current ones, also with
+// --version), 5 when some chains could not be read, 2 for invalid flags and 1
+// for any other error.
+
 require("dotenv").config();
+const { parseArgs } = require("util");
 const ethers = require("ethers");
 const inquirer = require("inquirer");
 const chalk = require("chalk");
 
 const { CHAINS } = require("../config/chains");
+const {
+  StateSyncClient,
+  compareEntries,
+  hashKey,
+} = require("../lib/state-sync-client");
+const {
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+} = require("../lib/address-book");
+const {
+  DEFAULT_CODEC,
+  getCodec,
+  decodeValue,
+  formatValue,
+  codecKey,
+} = require("../lib/codecs");
+const {
+  EXIT_CODES,
+  UsageError,
+  readStdin,
+  answersFromFlags,
+  toJson,
+  reportError,
+} = require("../lib/cli");
 
-// Contract ABI
-const CONTRACT_ABI =
-  require("../artifacts/contracts/StateSync.sol/StateSync.json").abi;
-
-async function main() {
-  // Create wallet from private key
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-  console.log(
-    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
-  );
-
-  // Get user input
-  console.log(chalk.blue("\n📝 Please provide the following information:"));
-  const answers = await inquirer.prompt([
+function buildQuestions(book) {
+  return [
+    {
+      type: "list",
+      name: "lookup",
+      message: "Look the key up by:",
+      choices: [
+        { name: "Namespace and key", value: "key" },
+        { name: "Hashed key", value: "hash" },
+      ],
+    },
     {
       type: "input",
       name: "key",
       message: "Enter the key to query:",
+      when: (answers) => answers.lookup === "key",
       validate: (input) => {
         if (!input.trim()) {
           return "Key cannot be empty";
@@ -30,119 +93,212 @@ async function main() {
         return true;
       },
     },
-  ]);
-
-  // Use current wallet address if no sender address provided
-  const originalSender = wallet.address;
-
-  console.log(chalk.blue("\n📝 Query Details:"));
-  console.log(chalk.cyan(`>  Original Sender: ${originalSender}`));
-  console.log(chalk.cyan(`>  Key: ${answers.key}`));
-
-  // Query all chains in parallel
-  console.log(chalk.yellow("\n🔄 Querying all chains..."));
-
-  const results = await Promise.all(
-    Object.entries(CHAINS).map(async ([chainKey, chainConfig]) => {
-      try {
-        // Validate required environment variables for this chain
-        const requiredEnvVars = [
-          `${chainKey.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`,
-          `${chainKey.toUpperCase().replace("-", "_")}_RPC`,
-        ];
-
-        for (const envVar of requiredEnvVars) {
-          if (!process.env[envVar]) {
-            throw new Error(`Missing environment variable: ${envVar}`);
-          }
+    {
+      type: "input",
+      name: "owner",
+      message: process.env.PRIVATE_KEY
+        ? "Enter the key's namespace, an address or a name of the address book (leave empty for your own keys):"
+        : "Enter the key's namespace, an address or a name of the address book:",
+      when: (answers) => answers.lookup === "key",
+      validate: (input) => {
+        if (!input.trim()) {
+          return process.env.PRIVATE_KEY
+            ? true
+            : "Namespace cannot be empty without PRIVATE_KEY";
+        }
+        try {
+          resolveAddress(input.trim(), book);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: "input",
+      name: "hashedKey",
+      message: "Enter the hashed key:",
+      when: (answers) => answers.lookup === "hash",
+      validate: (input) => {
+        if (!ethers.isHexString(input.trim(), 32)) {
+          return "Hashed key must be 32 bytes of hex";
         }
+        return true;
+      },
+    },
+  ];
+}
 
-        // Setup provider and contract
-        const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
-        const contract = new ethers.Contract(
-          chainConfig.contractAddress,
-          CONTRACT_ABI,
-          provider
-        );
+function parseFlags() {
+  let flags;
+  try {
+    flags = parseArgs({
+      options: {
+        key: { type: "string" },
+        owner: { type: "string" },
+        "hashed-key": { type: "string" },
+        chain: { type: "string" },
+        codec: { type: "string" },
+        version: { type: "string" },
+        "address-book": { type: "string" },
+        json: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (
+    flags.version !== undefined &&
+    (!/^\d+$/.test(flags.version) || BigInt(flags.version) === 0n)
+  ) {
+    throw new UsageError("--version must be a positive version number");
+  }
+  return flags;
+}
 
-        // Calculate the hashed key (for display purposes only)
-        const hashedKey = ethers.keccak256(
-          ethers.solidityPacked(
-            ["address", "string"],
-            [originalSender, answers.key]
-          )
-        );
+async function getAnswers(flags, questions) {
+  const piped = !process.stdin.isTTY;
+  const interactive =
+    !piped &&
+    !flags.json &&
+    [flags.key, flags.owner, flags["hashed-key"], flags.chain].every(
+      (flag) => flag === undefined
+    );
 
-        // Get the value using originalSender and key
-        const value = await contract.getValue(originalSender, answers.key);
-
-        // Get the version using the hashed key for efficiency
-        const version = await contract.getKeyVersionByHash(hashedKey);
-
-        // Get the key owner
-        const keyOwner = await contract.getKeyOwner(hashedKey);
-
-        return {
-          chain: chainConfig.name,
-          hashedKey,
-          value,
-          version,
-          keyOwner,
-          error: null,
-        };
-      } catch (error) {
-        return {
-          chain: chainConfig.name,
-          hashedKey: null,
-          value: null,
-          version: null,
-          keyOwner: null,
-          error: error.message,
-        };
-      }
-    })
-  );
+  if (interactive) {
+    console.log(chalk.blue("\n📝 Please provide the following information:"));
+    return inquirer.prompt(questions);
+  }
 
+  if (flags.chain !== undefined && !CHAINS[flags.chain]) {
+    throw new UsageError(
+      `--chain must be one of: ${Object.keys(CHAINS).join(", ")}`
+    );
+  }
+  if (flags.codec !== undefined) {
+    try {
+      getCodec(flags.codec);
+    } catch (error) {
+      throw new UsageError(`--codec: ${error.message}`);
+    }
+  }
+  if (flags["hashed-key"] !== undefined) {
+    if (flags.key !== undefined || flags.owner !== undefined) {
+      throw new UsageError(
+        "--hashed-key cannot be combined with --key or --owner"
+      );
+    }
+    return {
+      ...(await answersFromFlags(questions, {
+        lookup: "hash",
+        hashedKey: flags["hashed-key"],
+      })),
+      chain: flags.chain,
+    };
+  }
+
+  const key =
+    flags.key === "-" || (flags.key === undefined && piped)
+      ? await readStdin()
+      : flags.key;
+  return {
+    ...(await answersFromFlags(questions, {
+      lookup: "key",
+      key,
+      owner: flags.owner ?? "",
+    })),
+    chain: flags.chain,
+  };
+}
+
+function formatExpiry(expiresAt) {
+  return `${new Date(Number(expiresAt) * 1000).toISOString()} (${expiresAt})`;
+}
+
+function printResults(results, book) {
   // Display results with enhanced V2 information
   console.log(chalk.blue("\n📊 Results:"));
   for (const result of results) {
-    console.log(chalk.yellow(`\n${result.chain}:`));
-    console.log(chalk.cyan(`>  Chain: ${chalk.bold(result.chain)}`));
-    console.log(chalk.cyan(`>  Hashed Key: ${chalk.bold(result.hashedKey)}`));
+    const chainName = CHAINS[result.chain].name;
+    console.log(chalk.yellow(`\n${chainName}:`));
+    console.log(chalk.cyan(`>  Chain: ${chalk.bold(chainName)}`));
+    console.log(
+      chalk.cyan(`>  Hashed Key: ${chalk.bold(result.hashedKey ?? null)}`)
+    );
     if (result.error) {
       console.log(chalk.red(`>  Error: ${result.error}`));
     } else {
-      if (result.keyOwner && result.keyOwner !== ethers.ZeroAddress) {
-        console.log(chalk.cyan(`>  Key Owner: ${chalk.bold(result.keyOwner)}`));
+      if (result.owner !== ethers.ZeroAddress) {
+        const name = lookupName(result.owner, book);
+        console.log(
+          chalk.cyan(
+            `>  Key Owner: ${chalk.bold(result.owner)}${
+              name ? ` (${name})` : ""
+            }`
+          )
+        );
       } else {
         console.log(chalk.yellow(`>  Key not yet initialized on this chain`));
         continue;
       }
 
-      console.log(
-        chalk.cyan(
-          `>  Value (bytes): ${chalk.bold(ethers.hexlify(result.value))}`
-        )
-      );
-      try {
-        const valueDecoded = ethers.toUtf8String(result.value);
-        console.log(chalk.cyan(`>  Value (utf8): ${chalk.bold(valueDecoded)}`));
-      } catch (error) {
+      if (result.retained === false) {
         console.log(
           chalk.yellow(
-            `>  Value could not be decoded as UTF-8: ${error.message}`
+            `>  Version ${result.version} not retained on this chain (current version ${result.currentVersion}, retention depth ${result.retention})`
+          )
+        );
+        continue;
+      }
+
+      if (result.deleted) {
+        console.log(chalk.yellow(`>  Key deleted`));
+      } else if (result.expired) {
+        console.log(
+          chalk.yellow(`>  Key expired at ${formatExpiry(result.expiresAt)}`)
+        );
+      } else {
+        console.log(
+          chalk.cyan(
+            `>  Value (bytes): ${chalk.bold(ethers.hexlify(result.value))}`
           )
         );
+        if (result.decodeError) {
+          console.log(chalk.yellow(`>  ${result.decodeError}`));
+        } else {
+          console.log(
+            chalk.cyan(
+              `>  Value (${result.codec}): ${chalk.bold(
+                formatValue(result.decoded)
+              )}`
+            )
+          );
+        }
+        if (result.expiresAt > 0n) {
+          console.log(
+            chalk.cyan(`>  Expires At: ${formatExpiry(result.expiresAt)}`)
+          );
+        }
       }
-      console.log(chalk.cyan(`>  Version: ${chalk.bold(result.version)}`));
+      console.log(
+        chalk.cyan(
+          `>  Version: ${chalk.bold(result.version)}${
+            result.currentVersion !== undefined
+              ? ` (current version ${result.currentVersion})`
+              : ""
+          }`
+        )
+      );
 
-      // Add warning if versions are different across chains
+      // Add warning if versions are different across chains (with
+      // --version, their current versions)
+      const currentVersion = (r) => r.currentVersion ?? r.version;
       if (
         results.some(
           (r) =>
-            r.version &&
-            result.version &&
-            r.version.toString() !== result.version.toString()
+            currentVersion(r) &&
+            currentVersion(result) &&
+            currentVersion(r).toString() !== currentVersion(result).toString()
         )
       ) {
         console.log(
@@ -155,7 +311,154 @@ async function main() {
   }
 }
 
-main().catch((error) => {
-  console.error(chalk.red("❌ Error:"), error);
-  process.exit(1);
-});
+// Decode the value of every entry with its codec: the --codec flag, the one
+// recorded on its chain, or UTF-8
+function decodeEntries(results, codecs) {
+  return results.map((result, i) => {
+    if (result.error || !result.exists) {
+      return result;
+    }
+    const codec = codecs[i] || DEFAULT_CODEC;
+    try {
+      return { ...result, codec, decoded: decodeValue(result.value, codec) };
+    } catch (error) {
+      return { ...result, codec, decoded: null, decodeError: error.message };
+    }
+  });
+}
+
+function getExitCode({ found, inSync, unreachable }) {
+  if (!found) {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (!inSync) {
+    return EXIT_CODES.OUT_OF_SYNC;
+  }
+  return unreachable.length > 0 ? EXIT_CODES.UNREACHABLE : EXIT_CODES.OK;
+}
+
+async function main() {
+  const flags = parseFlags();
+  // Progress goes to stderr when stdout carries the JSON result
+  const log = flags.json ? console.error : console.log;
+
+  const book = loadAddressBook(flags["address-book"]);
+  const answers = await getAnswers(flags, buildQuestions(book));
+  const client = new StateSyncClient({ chains: CHAINS });
+  const version =
+    flags.version === undefined ? undefined : BigInt(flags.version);
+
+  let originalSender = null;
+  let hashedKey;
+  let read;
+  if (answers.lookup === "hash") {
+    hashedKey = answers.hashedKey.trim();
+    log(chalk.blue("\n📝 Query Details:"));
+    log(chalk.cyan(`>  Hashed Key: ${hashedKey}`));
+    read = {
+      one: (chain) => client.getByHash(hashedKey, { chain, version }),
+      all: () => client.getAllByHash(hashedKey, { version }),
+    };
+  } else {
+    // Use current wallet address if no namespace provided
+    if (answers.owner.trim()) {
+      originalSender = resolveAddress(answers.owner.trim(), book);
+    } else {
+      if (!process.env.PRIVATE_KEY) {
+        throw new UsageError(
+          "Pass --owner, or set PRIVATE_KEY to read your own keys"
+        );
+      }
+      // Create wallet from private key
+      originalSender = new ethers.Wallet(process.env.PRIVATE_KEY).address;
+      log(chalk.cyan(`👛 Using wallet address: ${chalk.bold(originalSender)}`));
+    }
+    const name = lookupName(originalSender, book);
+    log(chalk.blue("\n📝 Query Details:"));
+    log(
+      chalk.cyan(
+        `>  Original Sender: ${originalSender}${name ? ` (${name})` : ""}`
+      )
+    );
+    log(chalk.cyan(`>  Key: ${answers.key}`));
+    hashedKey = hashKey(originalSender, answers.key);
+    read = {
+      one: (chain) =>
+        client.get(originalSender, answers.key, { chain, version }),
+      all: () => client.getAll(originalSender, answers.key, { version }),
+    };
+    if (!flags.codec) {
+      read.codecs = {
+        one: (chain) =>
+          client.get(originalSender, codecKey(answers.key), { chain }),
+        all: () => client.getAll(originalSender, codecKey(answers.key)),
+      };
+    }
+  }
+
+  if (version !== undefined) {
+    log(chalk.cyan(`>  Version: ${version}`));
+  }
+
+  let results;
+  // Codec of the value on each chain, when recorded
+  let codecs = [];
+  if (answers.chain) {
+    log(chalk.yellow(`\n🔄 Querying ${CHAINS[answers.chain].name}...`));
+    [results, codecs] = await Promise.all([
+      read.one(answers.chain).then((result) => [result]),
+      read.codecs?.one(answers.chain).then(
+        (entry) => [entry],
+        () => [null]
+      ),
+    ]);
+  } else {
+    // Query all chains in parallel
+    log(chalk.yellow("\n🔄 Querying all chains..."));
+    [results, codecs] = await Promise.all([read.all(), read.codecs?.all()]);
+  }
+  results = decodeEntries(
+    results,
+    results.map(
+      (result, i) =>
+        flags.codec ?? (codecs?.[i]?.exists ? codecs[i].text : null)
+    )
+  );
+
+  const comparison = compareEntries(results);
+  process.exitCode = getExitCode(comparison);
+
+  if (flags.json) {
+    console.log(
+      toJson({
+        owner: originalSender,
+        ownerName: originalSender && lookupName(originalSender, book),
+        key: answers.key ?? null,
+        hashedKey,
+        version: version ?? null,
+        found: comparison.found,
+        inSync: comparison.inSync,
+        versions: comparison.versions,
+        unreachable: comparison.unreachable,
+        chains: results.map((result) => ({
+          ...result,
+          name: CHAINS[result.chain].name,
+          chainId: CHAINS[result.chain].chainId,
+          ownerName: result.owner ? lookupName(result.owner, book) : undefined,
+        })),
+      })
+    );
+    return;
+  }
+  printResults(results, book);
+}
+
+main()
+  .catch((error) =>
+    reportError(error, {
+      json: process.argv.includes("--json"),
+      print: (error) => console.error(chalk.red("❌ Error:"), error),
+    })
+  )
+  // Providers of unreachable chains keep retrying in the background
+  .finally(() => process.exit());
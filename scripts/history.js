@@ -0,0 +1,253 @@
+// node scripts/history.js --key <key> [--owner <owner>] [--lookback <blocks>]
+// node scripts/history.js --hashed-key <hash> [--lookback <blocks>]
+//
+// Show how a key evolved: each version with its value, the chain and
+// transaction that wrote it, its block time, and how long every other chain
+// took to apply it. The history is rebuilt from the logs of the last
+// --lookback blocks (10000 by default) of every chain, see lib/key-history.js.
+//
+// The namespace (--owner) is an address or a name of the address book, and
+// defaults to the wallet address. Values are decoded with --codec, or else
+// with the codec recorded in <key>#codec, or else shown as text or hex.
+//
+// Usage:
+//   npm run history -- --key fee-bps
+//   npm run history -- --key fee-bps --owner treasury --lookback 50000
+//   npm run history -- --hashed-key 0x... --json
+//
+// Exit codes: 0 when versions were found, 3 when none were, 2 for invalid
+// flags and 1 for any other error.
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const { StateSyncClient, hashKey } = require("../lib/state-sync-client");
+const { VERSION_STATUS, getKeyHistory } = require("../lib/key-history");
+const { DEFAULT_SCAN_OPTIONS } = require("../lib/sync-audit");
+const {
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+} = require("../lib/address-book");
+const { getCodec, describeValue, codecKey } = require("../lib/codecs");
+const { EXIT_CODES, UsageError, toJson, reportError } = require("../lib/cli");
+
+const STATUS_COLORS = {
+  [VERSION_STATUS.DELIVERED]: chalk.green,
+  [VERSION_STATUS.SUPERSEDED]: chalk.gray,
+  [VERSION_STATUS.PENDING]: chalk.yellow,
+  [VERSION_STATUS.UNREACHABLE]: chalk.red,
+};
+
+function parseFlags() {
+  let flags;
+  try {
+    flags = parseArgs({
+      options: {
+        key: { type: "string" },
+        owner: { type: "string" },
+        "hashed-key": { type: "string" },
+        lookback: {
+          type: "string",
+          default: String(DEFAULT_SCAN_OPTIONS.lookbackBlocks),
+        },
+        codec: { type: "string" },
+        "address-book": { type: "string" },
+        json: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (flags["hashed-key"] !== undefined) {
+    if (flags.key !== undefined || flags.owner !== undefined) {
+      throw new UsageError(
+        "--hashed-key cannot be combined with --key or --owner"
+      );
+    }
+    if (!ethers.isHexString(flags["hashed-key"], 32)) {
+      throw new UsageError("--hashed-key must be 32 bytes of hex");
+    }
+  } else if (!flags.key?.trim()) {
+    throw new UsageError("Missing --key (or --hashed-key)");
+  }
+  if (!/^\d+$/.test(flags.lookback) || Number(flags.lookback) === 0) {
+    throw new UsageError("--lookback must be a positive number of blocks");
+  }
+  if (flags.codec !== undefined) {
+    try {
+      getCodec(flags.codec);
+    } catch (error) {
+      throw new UsageError(`--codec: ${error.message}`);
+    }
+  }
+  return flags;
+}
+
+function getNamespace(flags, book) {
+  if (flags.owner !== undefined) {
+    try {
+      return resolveAddress(flags.owner.trim(), book);
+    } catch (error) {
+      throw new UsageError(`--owner: ${error.message}`);
+    }
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new UsageError(
+      "Pass --owner, or set PRIVATE_KEY to read your own keys"
+    );
+  }
+  return new ethers.Wallet(process.env.PRIVATE_KEY).address;
+}
+
+// Codec recorded for the key on any chain, newest first
+async function getRecordedCodec(client, namespace, key) {
+  const entries = await client.getAll(namespace, codecKey(key));
+  const recorded = entries
+    .filter((entry) => entry.exists)
+    .sort((a, b) => (a.version < b.version ? 1 : -1))[0];
+  return recorded?.text ?? null;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+function formatLatency(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function printHistory(history, { codec, book }) {
+  const name = history.namespace && lookupName(history.namespace, book);
+  console.log(chalk.blue(`\n📜 History of ${history.key ?? "unknown key"}:`));
+  if (history.namespace) {
+    console.log(
+      chalk.cyan(
+        `>  Namespace: ${history.namespace}${name ? ` (${name})` : ""}`
+      )
+    );
+  }
+  console.log(chalk.cyan(`>  Hashed Key: ${history.hashedKey}`));
+  for (const { chain, error } of history.unreachable) {
+    console.log(chalk.red(`❌ Could not read ${CHAINS[chain].name}: ${error}`));
+  }
+
+  for (const version of history.versions) {
+    const value = version.deleted
+      ? chalk.yellow("deleted")
+      : chalk.bold(describeValue(version.value, codec));
+    console.log(`\n${chalk.bold(`v${version.version}`)}  ${value}`);
+
+    if (version.origin) {
+      const { chain, event, txHash, timestamp } = version.origin;
+      console.log(
+        chalk.cyan(
+          `>  Written on ${CHAINS[chain].name} (${event}) at ${formatTime(
+            timestamp
+          )}`
+        )
+      );
+      console.log(chalk.cyan(`>  Transaction: ${txHash}`));
+    } else {
+      console.log(chalk.gray(">  Written before the scanned blocks"));
+    }
+
+    for (const delivery of version.deliveries) {
+      const color = STATUS_COLORS[delivery.status];
+      let detail = "";
+      if (delivery.latencySeconds !== null) {
+        detail = ` after ${formatLatency(delivery.latencySeconds)}`;
+      } else if (delivery.timestamp !== null) {
+        detail = ` at ${formatTime(delivery.timestamp)}`;
+      }
+      console.log(
+        `   → ${CHAINS[delivery.chain].name}: ${color(
+          delivery.status
+        )}${detail}${
+          delivery.txHash ? chalk.gray(` (${delivery.txHash})`) : ""
+        }`
+      );
+    }
+  }
+}
+
+async function main() {
+  const flags = parseFlags();
+  // Progress goes to stderr when stdout carries the JSON result
+  const log = flags.json ? console.error : console.log;
+
+  const book = loadAddressBook(flags["address-book"]);
+  const client = new StateSyncClient({ chains: CHAINS });
+
+  let namespace = null;
+  let hashedKey = flags["hashed-key"];
+  if (!hashedKey) {
+    namespace = getNamespace(flags, book);
+    hashedKey = hashKey(namespace, flags.key);
+  }
+
+  log(
+    chalk.yellow(
+      `\n🔍 Searching the last ${flags.lookback} blocks of every chain...`
+    )
+  );
+  const [history, recordedCodec] = await Promise.all([
+    getKeyHistory(client, hashedKey, {
+      namespace,
+      lookbackBlocks: Number(flags.lookback),
+    }),
+    flags.codec || !namespace
+      ? null
+      : getRecordedCodec(client, namespace, flags.key).catch(() => null),
+  ]);
+  const codec = flags.codec ?? recordedCodec ?? undefined;
+
+  process.exitCode =
+    history.versions.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+
+  if (flags.json) {
+    console.log(
+      toJson({
+        ...history,
+        key: history.key ?? flags.key ?? null,
+        namespaceName: history.namespace && lookupName(history.namespace, book),
+        codec: codec ?? null,
+        versions: history.versions.map((version) => ({
+          ...version,
+          formatted: version.deleted
+            ? null
+            : describeValue(version.value, codec),
+        })),
+      })
+    );
+    return;
+  }
+
+  if (history.versions.length === 0) {
+    console.log(
+      chalk.yellow(`\nNo versions found in the last ${flags.lookback} blocks`)
+    );
+    return;
+  }
+  printHistory({ ...history, key: history.key ?? flags.key }, { codec, book });
+}
+
+main()
+  .catch((error) =>
+    reportError(error, {
+      json: process.argv.includes("--json"),
+      print: (error) => console.error(chalk.red("❌ Error:"), error),
+    })
+  )
+  // Providers of unreachable chains keep retrying in the background
+  .finally(() => process.exit());
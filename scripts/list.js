@@ -0,0 +1,206 @@
+// node scripts/list.js [--owner <owner>] [--chain <chain>] [--json]
+//
+// List every key an account owns, on every chain or on one with --chain,
+// with the key's namespace and its version on each chain. Keys are
+// enumerated on-chain (getOwnedKeys), so this also finds keys created by
+// someone else and transferred to the account, and keys only synced to a
+// chain by the relayer. Codec records (`<key>#codec`, see lib/codecs.js) are
+// not keys of their own and are left out.
+//
+// The account (--owner) is an address or a name of the address book (see
+// lib/address-book.js, --address-book to use another file), and defaults to
+// the wallet address.
+//
+// Usage:
+//   npm run list
+//   npm run list -- --owner treasury
+//   npm run list -- --owner 0x... --chain base-sepolia --json
+//
+// Exit codes: 0 when keys were listed, 3 when the account owns no key on any
+// chain that was read, 5 when some chains could not be read, 2 for invalid
+// flags and 1 for any other error.
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const { StateSyncClient } = require("../lib/state-sync-client");
+const {
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+} = require("../lib/address-book");
+const { EXIT_CODES, UsageError, toJson, reportError } = require("../lib/cli");
+const { isCodecKey } = require("../lib/codecs");
+
+function parseFlags() {
+  let flags;
+  try {
+    flags = parseArgs({
+      options: {
+        owner: { type: "string" },
+        chain: { type: "string" },
+        "address-book": { type: "string" },
+        json: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (flags.chain !== undefined && !CHAINS[flags.chain]) {
+    throw new UsageError(
+      `--chain must be one of: ${Object.keys(CHAINS).join(", ")}`
+    );
+  }
+  return flags;
+}
+
+function getAccount(flags, book) {
+  if (flags.owner !== undefined) {
+    try {
+      return resolveAddress(flags.owner.trim(), book);
+    } catch (error) {
+      throw new UsageError(`--owner: ${error.message}`);
+    }
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new UsageError("Pass --owner, or set PRIVATE_KEY to list your keys");
+  }
+  return new ethers.Wallet(process.env.PRIVATE_KEY).address;
+}
+
+// One entry per key owned on any chain, with its version and deletion state
+// on the chains it is owned on
+async function mergeOwnedKeys(client, results) {
+  const keys = new Map();
+  await Promise.all(
+    results
+      .filter((result) => !result.error)
+      .flatMap((result) =>
+        result.keys
+          .filter(({ key }) => !isCodecKey(key))
+          .map(async ({ hashedKey, namespace, key }) => {
+            const contract = client.getContract(result.chain);
+            const [version, deleted] = await Promise.all([
+              contract.getKeyVersionByHash(hashedKey),
+              contract.isDeletedByHash(hashedKey),
+            ]);
+            if (!keys.has(hashedKey)) {
+              keys.set(hashedKey, { hashedKey, namespace, key, chains: {} });
+            }
+            keys.get(hashedKey).chains[result.chain] = { version, deleted };
+          })
+      )
+  );
+  return [...keys.values()].sort(
+    (a, b) =>
+      a.namespace.localeCompare(b.namespace) || a.key.localeCompare(b.key)
+  );
+}
+
+function printKeys(account, keys, chainKeys, book) {
+  const name = lookupName(account, book);
+  console.log(
+    chalk.blue(
+      `\n📋 ${keys.length} key(s) owned by ${account}${
+        name ? ` (${name})` : ""
+      }:`
+    )
+  );
+  if (keys.length === 0) {
+    return;
+  }
+
+  const header = [
+    "Key",
+    "Namespace",
+    ...chainKeys.map((chainKey) => CHAINS[chainKey].name),
+  ];
+  const rows = keys.map((entry) => [
+    entry.key,
+    lookupName(entry.namespace, book) ||
+      `${entry.namespace.slice(0, 6)}…${entry.namespace.slice(-4)}`,
+    ...chainKeys.map((chainKey) => {
+      const state = entry.chains[chainKey];
+      if (!state) {
+        return "-";
+      }
+      return `v${state.version}${state.deleted ? " (deleted)" : ""}`;
+    }),
+  ]);
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((row) => row[i].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  console.log(chalk.gray(`\n  ${line(header)}`));
+  for (const row of rows) {
+    console.log(`  ${line(row)}`);
+  }
+  console.log(
+    chalk.gray("\n-: not owned by this account on that chain (or not synced)")
+  );
+}
+
+async function main() {
+  const flags = parseFlags();
+  // Progress goes to stderr when stdout carries the JSON result
+  const log = flags.json ? console.error : console.log;
+
+  const book = loadAddressBook(flags["address-book"]);
+  const account = getAccount(flags, book);
+  const client = new StateSyncClient({ chains: CHAINS });
+
+  let results;
+  if (flags.chain) {
+    log(chalk.yellow(`\n🔄 Listing keys on ${CHAINS[flags.chain].name}...`));
+    results = [await client.getOwnedKeys(account, { chain: flags.chain })];
+  } else {
+    log(chalk.yellow("\n🔄 Listing keys on all chains..."));
+    results = await client.getAllOwnedKeys(account);
+  }
+  const chainKeys = results.map((result) => result.chain);
+  const unreachable = results.filter((result) => result.error);
+  for (const { chain, error } of unreachable) {
+    log(chalk.red(`❌ Could not read ${CHAINS[chain].name}: ${error}`));
+  }
+
+  const keys = await mergeOwnedKeys(client, results);
+  if (unreachable.length > 0) {
+    process.exitCode = EXIT_CODES.UNREACHABLE;
+  } else if (keys.length === 0) {
+    process.exitCode = EXIT_CODES.NOT_FOUND;
+  }
+
+  if (flags.json) {
+    console.log(
+      toJson({
+        account,
+        accountName: lookupName(account, book),
+        keys: keys.map((entry) => ({
+          ...entry,
+          namespaceName: lookupName(entry.namespace, book),
+        })),
+        unreachable: unreachable.map((result) => result.chain),
+      })
+    );
+    return;
+  }
+  printKeys(account, keys, chainKeys, book);
+}
+
+main()
+  .catch((error) =>
+    reportError(error, {
+      json: process.argv.includes("--json"),
+      print: (error) => console.error(chalk.red("❌ Error:"), error),
+    })
+  )
+  // Providers of unreachable chains keep retrying in the background
+  .finally(() => process.exit());
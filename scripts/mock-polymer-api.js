@@ -0,0 +1,264 @@
+// node scripts/mock-polymer-api.js
+//
+// Local stand-in for the Polymer proof API (https://proof.testnet.polymer.zone)
+// so the relayer and the scripts under scripts/test/ can run against hardhat
+// nodes without an API key:
+//
+//   npm run mock:polymer
+//   POLYMER_API_URL=http://localhost:8550 npm run relayer
+//
+// It speaks the same JSON-RPC methods:
+// - log_requestProof [chainId, blockNumber, txIndex, localLogIndex] => job ID
+// - log_queryProof [jobId] => { jobID, status, proof, failureReason, ... }
+//
+// Jobs stay "pending" for MOCK_POLYMER_DELAY_MS, then turn "complete" with a
+// base64 proof, or "error" with a failureReason when the block, transaction or
+// log does not exist. Finished jobs are forgotten after
+// MOCK_POLYMER_JOB_TTL_MS. Requests for chains without an RPC are rejected
+// right away, like the real API does. Proofs are signed with the mock prover
+// key (lib/mock-prover.js): destination StateSync deployments must use a
+// MockPolymerProver deployed with that signer, see
+// scripts/deploy-mock-prover.js.
+//
+// Logs are read from the RPC of each activated chain in config/chains.js.
+//
+// Environment:
+// - MOCK_POLYMER_PORT: Port to listen on (default 8550)
+// - MOCK_POLYMER_DELAY_MS: How long jobs stay pending (default 2000)
+// - MOCK_POLYMER_ERROR_RATE: Share of jobs failing at random, between 0 and 1,
+//   to exercise retries (default 0)
+// - MOCK_POLYMER_JOB_TTL_MS: How long finished jobs can still be queried
+//   (default 600000, 10 minutes)
+// - MOCK_PROVER_KEY: Key signing the proofs (defaults to the public test key)
+
+require("dotenv").config();
+const http = require("http");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const { getMockProverSigner, encodeProof } = require("../lib/mock-prover");
+const { RPC_ERROR_CODES } = require("../lib/polymer-proof-client");
+
+const PORT = Number(process.env.MOCK_POLYMER_PORT || 8550);
+const DELAY_MS = Number(process.env.MOCK_POLYMER_DELAY_MS || 2000);
+const ERROR_RATE = Number(process.env.MOCK_POLYMER_ERROR_RATE || 0);
+const JOB_TTL_MS = Number(
+  process.env.MOCK_POLYMER_JOB_TTL_MS || 10 * 60 * 1000
+);
+
+const { PARSE_ERROR, METHOD_NOT_FOUND, INVALID_PARAMS, INTERNAL_ERROR } =
+  RPC_ERROR_CODES;
+
+// Raised for requests the API turns down, answered with a JSON-RPC error
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Map of chainId => provider, for the activated chains with an RPC
+const providers = new Map(
+  Object.values(CHAINS)
+    .filter((chainConfig) => chainConfig.rpcUrl)
+    .map((chainConfig) => [
+      chainConfig.chainId,
+      new ethers.JsonRpcProvider(chainConfig.rpcUrl),
+    ])
+);
+
+const signer = getMockProverSigner();
+
+// Map of job ID => job
+const jobs = new Map();
+let nextJobId = 1;
+
+/**
+ * Build the base64 proof of a log, as returned by the Polymer API
+ * @throws {Error} When the block, transaction or log does not exist, with
+ *   the message used as the job's failureReason
+ */
+async function generateProof({ chainId, blockNumber, txIndex, localLogIndex }) {
+  const provider = providers.get(chainId);
+
+  const block = await provider.getBlock(blockNumber);
+  if (!block) {
+    const latestBlock = await provider.getBlockNumber();
+    throw new Error(
+      `block ${blockNumber} not found on chain ${chainId}, latest block is ${latestBlock}`
+    );
+  }
+
+  const txHash = block.transactions[txIndex];
+  if (!txHash) {
+    throw new Error(
+      `receipt index ${txIndex} out of range, block ${blockNumber} has ${block.transactions.length} transactions`
+    );
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  const log = receipt.logs[localLogIndex];
+  if (!log) {
+    throw new Error(
+      `log index ${localLogIndex} out of range, receipt has ${receipt.logs.length} logs`
+    );
+  }
+
+  const proof = await encodeProof(
+    {
+      chainId,
+      emitter: log.address,
+      topics: ethers.concat(log.topics),
+      data: log.data,
+    },
+    signer
+  );
+  return Buffer.from(ethers.getBytes(proof)).toString("base64");
+}
+
+function requestProof(params) {
+  if (
+    !Array.isArray(params) ||
+    params.length !== 4 ||
+    !params.every((param) => Number.isSafeInteger(param) && param >= 0)
+  ) {
+    throw new RpcError(
+      INVALID_PARAMS,
+      "expected params [chainId, blockNumber, txIndex, localLogIndex]"
+    );
+  }
+  const [chainId, blockNumber, txIndex, localLogIndex] = params;
+  if (!providers.has(chainId)) {
+    throw new RpcError(INVALID_PARAMS, `unsupported chain id ${chainId}`);
+  }
+
+  const job = {
+    jobID: nextJobId++,
+    status: "pending",
+    chainId,
+    blockNumber,
+    txIndex,
+    localLogIndex,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  jobs.set(job.jobID, job);
+
+  console.log(
+    chalk.blue(
+      `📥 Job ${chalk.bold(
+        job.jobID
+      )}: proof of log ${chainId}/${blockNumber}/${txIndex}/${localLogIndex}`
+    )
+  );
+
+  setTimeout(() => {
+    const result =
+      Math.random() < ERROR_RATE
+        ? Promise.reject(new Error("proof generation failed (injected)"))
+        : generateProof(job);
+
+    result
+      .then((proof) => {
+        Object.assign(job, { status: "complete", proof });
+        console.log(chalk.green(`✅ Job ${chalk.bold(job.jobID)}: complete`));
+      })
+      .catch((error) => {
+        Object.assign(job, { status: "error", failureReason: error.message });
+        console.log(
+          chalk.red(`❌ Job ${chalk.bold(job.jobID)}: ${error.message}`)
+        );
+      })
+      .finally(() => {
+        job.updatedAt = Date.now();
+        // Keep the map from growing for as long as the API runs
+        setTimeout(() => jobs.delete(job.jobID), JOB_TTL_MS).unref();
+      });
+  }, DELAY_MS);
+
+  return job.jobID;
+}
+
+function queryProof(params) {
+  const job = jobs.get(Number(Array.isArray(params) ? params[0] : NaN));
+  if (!job) {
+    throw new RpcError(INVALID_PARAMS, "job not found");
+  }
+  return job;
+}
+
+const METHODS = {
+  log_requestProof: requestProof,
+  log_queryProof: queryProof,
+};
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    let request = {};
+    let response;
+    try {
+      try {
+        request = JSON.parse(body);
+      } catch {
+        throw new RpcError(PARSE_ERROR, "parse error");
+      }
+      const method = METHODS[request.method];
+      if (!method) {
+        throw new RpcError(
+          METHOD_NOT_FOUND,
+          `method ${request.method} not found`
+        );
+      }
+      response = {
+        status: 200,
+        body: {
+          jsonrpc: "2.0",
+          id: request.id,
+          result: method(request.params),
+        },
+      };
+    } catch (error) {
+      if (!(error instanceof RpcError)) {
+        console.error(chalk.red("❌ Error handling request:"), error);
+      }
+      response = {
+        status: error instanceof RpcError ? 400 : 500,
+        body: {
+          jsonrpc: "2.0",
+          id: request.id ?? null,
+          error: {
+            code: error instanceof RpcError ? error.code : INTERNAL_ERROR,
+            message: error.message,
+          },
+        },
+      };
+    }
+
+    res.writeHead(response.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response.body));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(
+    chalk.green(
+      `✅ Mock Polymer API listening on ${chalk.bold(
+        `http://localhost:${PORT}`
+      )}`
+    )
+  );
+  console.log(chalk.cyan(`>  Prover signer: ${chalk.bold(signer.address)}`));
+  console.log(
+    chalk.cyan(`>  Chains: ${chalk.bold([...providers.keys()].join(", "))}`)
+  );
+  console.log(chalk.cyan(`>  Proof delay: ${DELAY_MS}ms`));
+  if (ERROR_RATE > 0) {
+    console.log(chalk.yellow(`>  Failing ${ERROR_RATE * 100}% of jobs`));
+  }
+});
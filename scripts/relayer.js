@@ -1,26 +1,170 @@
-// node scripts/relayerV2.js
+// node scripts/relayer.js
 
 require("dotenv").config();
+const http = require("http");
 const ethers = require("ethers");
-const axios = require("axios");
 const chalk = require("chalk");
 
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone";
-
 const { CHAINS, activatedChains } = require("../config/chains");
+const { ProofCache } = require("../lib/proof-cache");
+const { PolymerProofClient } = require("../lib/polymer-proof-client");
+const { SOURCE_EVENT_TOPICS, getLocalLogIndex } = require("../lib/logs");
+const {
+  RelayerStore,
+  DELIVERY_STATUS,
+  TERMINAL_STATUSES,
+} = require("../lib/relayer-store");
+const {
+  ERROR_KIND,
+  getRetryPolicy,
+  getRetryDecision,
+} = require("../lib/retry");
+const {
+  recoverSigner,
+  parseSignedWrite,
+  SignedWriteQueue,
+} = require("../lib/signed-writes");
+const { describeValue, codecKey } = require("../lib/codecs");
+
+// Maximum number of blocks per getLogs request during catch-up
+const CATCH_UP_BLOCK_RANGE = 1000;
+// How many blocks back recorded events are re-checked for reorgs
+const REORG_WATCH_BLOCKS = 128;
+// How often the state file is re-read to pick up due and requeued deliveries
+const RETRY_SWEEP_INTERVAL_MS = 30 * 1000;
+// Port of the HTTP endpoint accepting signed writes. Anyone who can reach it
+// can make the relayer pay for their writes, so it only runs when a port is set
+const HTTP_PORT = process.env.RELAYER_HTTP_PORT
+  ? Number(process.env.RELAYER_HTTP_PORT)
+  : null;
+// Interface the endpoint listens on, only this machine by default
+const HTTP_HOST = process.env.RELAYER_HTTP_HOST || "127.0.0.1";
+// Largest request body the endpoint accepts
+const MAX_REQUEST_BYTES = 1024 * 1024;
+// Expiring values are not delivered when they would land less than this many
+// seconds before their expiry, which covers proof generation and inclusion
+const EXPIRY_MARGIN_SECONDS = Number(
+  process.env.RELAYER_EXPIRY_MARGIN_SECONDS || 60
+);
 
 // Contract ABI (only the events and functions we need)
 const CONTRACT_ABI = [
-  "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)",
+  "event ValuesSet(address indexed sender, string[] keys, bytes[] values, uint256 nonce, bytes32 indexed batchHash, uint256[] versions)",
+  "event ValueDeleted(address indexed sender, string key, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
   "event ValueUpdated(bytes32 indexed hashedKey, bytes value, uint256 version)",
+  "event ValueRemoved(bytes32 indexed hashedKey, uint256 version)",
+  "event KeyAclUpdated(address indexed sender, string key, address owner, address[] writers, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event KeyAclSynced(bytes32 indexed hashedKey, address owner, address[] writers, uint256 version)",
+  "event KeyRetentionUpdated(address indexed sender, string key, uint256 depth, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event KeyRetentionSynced(bytes32 indexed hashedKey, uint256 depth, uint256 version)",
   "function getValue(address originalSender, string memory key) public view returns (bytes memory)",
   "function setValue(string memory key, bytes memory value) public",
+  "function setValueWithSig(address signer, string calldata key, bytes calldata value, uint256 deadline, bytes calldata signature) external",
+  "function getNonce(address namespace) external view returns (uint256)",
+  "function getLiveValueByHash(bytes32 hashedKey) view returns (bytes value, bool found)",
   "function setValueFromSource(bytes calldata proof) external",
 ];
 
+// Polymer proof API, polled every 2 seconds up to 10 times per job
+const polymer = new PolymerProofClient();
+
+/**
+ * Request a proof for a source log from Polymer and wait until it is generated
+ * @returns {Promise<string>} Proof bytes as a hex string
+ */
+async function fetchProof(logId) {
+  const { chainId, blockNumber, txIndex, localLogIndex } = logId;
+  const logLabel = `${chainId}/${blockNumber}/${txIndex}/${localLogIndex}`;
+
+  console.log(
+    chalk.yellow(
+      `\n📤 Submitting proof request to Polymer for log ${chalk.bold(
+        logLabel
+      )}...`
+    )
+  );
+  console.log(chalk.cyan(`>  Block Number: ${blockNumber}`));
+  console.log(chalk.cyan(`>  Transaction Index: ${txIndex}`));
+  console.log(chalk.cyan(`>  Local Log Index: ${localLogIndex}`));
+
+  const proof = await polymer.fetchProof(logId, {
+    onRequested: (jobId) => {
+      console.log(
+        chalk.green(
+          `✅ Proof requested for log ${chalk.bold(
+            logLabel
+          )}. Job ID: ${chalk.bold(jobId)}`
+        )
+      );
+      console.log(chalk.yellow(`>  Waiting for proof to be generated...`));
+    },
+    onStatus: (job, { jobId, attempt, maxAttempts }) => {
+      console.log(
+        `>  Proof status for job ${chalk.bold(jobId)}: ${
+          job.status
+        }... (Attempt ${attempt}/${maxAttempts})`
+      );
+    },
+  });
+
+  console.log(
+    chalk.green(
+      `✅ Proof received for log ${chalk.bold(logLabel)}. Length: ${chalk.bold(
+        proof.size
+      )} bytes`
+    )
+  );
+
+  return proof.hex;
+}
+
+// Event arguments by name, with bigints as strings so they can be stored
+function serializeArgs({ fragment, args }) {
+  const toJson = (value) => {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+    if (Array.isArray(value)) {
+      return [...value].map(toJson);
+    }
+    return value;
+  };
+
+  return Object.fromEntries(
+    fragment.inputs.map((input, i) => [input.name, toJson(args[i])])
+  );
+}
+
+// Whether a ValueSet will have expired by the time it lands on the
+// destination. It is still delivered when the destination holds a live older
+// value of the key, which would otherwise stay readable
+async function expiresBeforeDelivery(data, contract, provider) {
+  const expiresAt = Number(data.args.expiresAt ?? 0);
+  if (data.eventName !== "ValueSet" || expiresAt === 0) {
+    return false;
+  }
+  const latest = await provider.getBlock("latest");
+  if (expiresAt > latest.timestamp + EXPIRY_MARGIN_SECONDS) {
+    return false;
+  }
+  const [, found] = await contract.getLiveValueByHash(data.args.hashedKey);
+  return !found;
+}
+
+// Unique identifier of a source log. It includes the block hash, so the same
+// transaction included in a different block after a reorg is a new event
+function getEventId(log) {
+  return `${log.blockHash}-${log.transactionHash}-${log.index}`;
+}
+
 class ChainListener {
-  constructor(chainConfig, wallet) {
+  constructor(chainConfig, wallet, proofCache, store) {
     this.config = chainConfig;
+    // Shared across listeners so each source log is proven only once
+    this.proofCache = proofCache;
+    // Durable record of source events and their deliveries
+    this.store = store;
     this.provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
     this.wallet = wallet.connect(this.provider);
     this.contract = new ethers.Contract(
@@ -29,8 +173,17 @@ class ChainListener {
       this.wallet
     );
 
-    // Keep track of processed events to avoid duplicates
-    this.processedEvents = new Set();
+    // Events being recorded right now, so catch-up and live listening do not
+    // pick up the same log twice
+    this.pendingEvents = new Set();
+    // Deliveries being worked on right now (`${eventId}:${destination}`)
+    this.activeDeliveries = new Set();
+    // Blocks an event must be buried under before it is recorded and proven
+    this.confirmations = Math.max(1, chainConfig.confirmations ?? 1);
+    // Live logs waiting for enough confirmations (eventId => log)
+    this.unconfirmedLogs = new Map();
+    // New blocks are processed one after the other
+    this.blockQueue = Promise.resolve();
   }
 
   async start() {
@@ -49,251 +202,695 @@ class ChainListener {
     console.log(
       chalk.yellow(`>  Current block number: ${chalk.bold(latestBlock)}`)
     );
+    console.log(
+      chalk.cyan(`>  Confirmations: ${chalk.bold(this.confirmations)}`)
+    );
 
-    // Listen for ValueSet events
-    this.contract.on(
+    // Pick up deliveries that were in flight when the relayer stopped
+    this.resumeDeliveries();
+
+    // Catch up on confirmed events emitted while the relayer was not running
+    const safeBlock = this.getSafeBlock(latestBlock);
+    const checkpoint = this.store.getCheckpoint(this.config.chainId);
+    if (checkpoint === undefined) {
+      console.log(
+        chalk.yellow(`>  No checkpoint found, starting from the current block`)
+      );
+      await this.catchUp(safeBlock, safeBlock);
+    } else {
+      await this.catchUp(checkpoint + 1, safeBlock);
+    }
+
+    // Live events are held back until they have enough confirmations
+    for (const eventName of [
       "ValueSet",
-      async (sender, key, value, nonce, hashedKey, version, event) => {
-        try {
-          // Create a unique event identifier
-          const eventId = `${event.log.blockHash}-${event.log.transactionHash}-${event.log.index}`;
+      "ValuesSet",
+      "ValueDeleted",
+      "KeyAclUpdated",
+      "KeyRetentionUpdated",
+    ]) {
+      this.contract.on(eventName, (...args) => {
+        const event = args[args.length - 1];
+        this.bufferSourceLog(event.log);
+      });
+    }
 
-          // Skip if we've already processed this event
-          if (this.processedEvents.has(eventId)) {
-            return;
-          }
+    // With every new block, record and deliver the events that reached the
+    // confirmation depth
+    this.provider.on("block", (blockNumber) => {
+      this.blockQueue = this.blockQueue
+        .then(() => this.processConfirmedBlocks(blockNumber))
+        .catch((error) => {
+          console.error(chalk.red("❌ Error processing new block:"), error);
+        });
+    });
+  }
+
+  /**
+   * Highest block that has the required number of confirmations
+   */
+  getSafeBlock(latestBlock) {
+    return Math.max(latestBlock - this.confirmations + 1, 0);
+  }
 
-          // Get the block details
-          const block = await this.provider.getBlock(event.log.blockNumber);
+  /**
+   * Hold a live log back until its block is deep enough
+   */
+  bufferSourceLog(log) {
+    const eventId = getEventId(log);
+    if (this.store.hasEvent(eventId) || this.unconfirmedLogs.has(eventId)) {
+      return;
+    }
+    this.unconfirmedLogs.set(eventId, log);
 
-          // Wait for the transaction receipt
-          const receipt = await event.log.getTransactionReceipt();
+    const { name } = this.contract.interface.parseLog(log);
+    console.log(
+      chalk.blue(
+        `\n🕒 ${name} event seen on ${chalk.bold(this.config.name)} in block ${
+          log.blockNumber
+        }, waiting for ${this.confirmations} confirmation(s)...`
+      )
+    );
+  }
 
-          // Get the position in the block
-          const positionInBlock = receipt.index;
+  /**
+   * Record and deliver the events of blocks that became safe, and drop
+   * buffered logs whose block did not make it
+   */
+  async processConfirmedBlocks(latestBlock) {
+    const safeBlock = this.getSafeBlock(latestBlock);
+    const checkpoint = this.store.getCheckpoint(this.config.chainId);
+    if (checkpoint !== undefined && checkpoint >= safeBlock) {
+      return;
+    }
 
-          console.log(
-            chalk.blue(
-              `\n🔔 New ValueSet event detected on ${chalk.bold(
-                this.config.name
-              )}:`
+    // getLogs only returns logs of the canonical chain
+    await this.catchUp(
+      checkpoint === undefined ? safeBlock : checkpoint + 1,
+      safeBlock
+    );
+
+    // A buffered log in the scanned range that was not recorded belongs to a
+    // block that was reorged out
+    for (const [eventId, log] of this.unconfirmedLogs) {
+      if (log.blockNumber > safeBlock) {
+        continue;
+      }
+      this.unconfirmedLogs.delete(eventId);
+
+      if (!this.store.hasEvent(eventId)) {
+        console.log(
+          chalk.yellow(
+            `⚠️  Dropped event from ${chalk.bold(this.config.name)} block ${
+              log.blockNumber
+            } (${log.blockHash}): block was reorged out`
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Scan a block range for source events (values, deletions and ACL
+   * changes) with getLogs, record and deliver them
+   */
+  async catchUp(fromBlock, toBlock) {
+    if (fromBlock > toBlock) {
+      return;
+    }
+
+    console.log(
+      chalk.yellow(
+        `>  Catching up on ${chalk.bold(
+          this.config.name
+        )} from block ${fromBlock} to ${toBlock}...`
+      )
+    );
+
+    for (
+      let start = fromBlock;
+      start <= toBlock;
+      start += CATCH_UP_BLOCK_RANGE
+    ) {
+      const end = Math.min(start + CATCH_UP_BLOCK_RANGE - 1, toBlock);
+      const events = await this.provider.getLogs({
+        address: this.config.contractAddress,
+        topics: [SOURCE_EVENT_TOPICS],
+        fromBlock: start,
+        toBlock: end,
+      });
+
+      // Record everything in the range before moving the checkpoint past it.
+      // One log at a time, in log order, so a busy range does not flood the
+      // RPC with block and receipt lookups
+      const recorded = [];
+      for (const event of events) {
+        recorded.push(await this.recordSourceLog(event));
+      }
+      this.store.setCheckpoint(this.config.chainId, end);
+
+      // Deliveries run in the background so catch-up is not held up by proofs
+      for (const event of recorded.filter(Boolean)) {
+        this.handleSourceEvent(event).catch((error) => {
+          console.error(chalk.red("❌ Error handling source event:"), error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Whether the block an event was recorded from is still part of the chain
+   */
+  async isCanonical(event) {
+    const block = await this.provider.getBlock(event.blockNumber);
+    return Boolean(block) && block.hash === event.blockHash;
+  }
+
+  /**
+   * Re-check the block hashes of recently recorded events, in case a reorg
+   * deeper than the confirmation depth replaced their blocks
+   */
+  async verifyRecentEvents() {
+    const latestBlock = await this.provider.getBlockNumber();
+    const recentEvents = this.store
+      .getEventsByChain(this.config.chainId)
+      .filter(
+        (event) =>
+          !event.orphaned &&
+          event.blockNumber > latestBlock - REORG_WATCH_BLOCKS
+      );
+
+    // blockNumber => canonical block hash
+    const blockHashes = new Map();
+    for (const event of recentEvents) {
+      if (!blockHashes.has(event.blockNumber)) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        blockHashes.set(event.blockNumber, block?.hash);
+      }
+      if (blockHashes.get(event.blockNumber) !== event.blockHash) {
+        this.markOrphaned(event);
+      }
+    }
+  }
+
+  /**
+   * Flag an event whose block was reorged out and cancel its unfinished
+   * deliveries. Deliveries that already landed cannot be undone, they are
+   * flagged for an operator to look at. The checkpoint is moved back so the
+   * logs that replaced it, such as the same transaction mined again, are
+   * recorded on the next scan
+   */
+  markOrphaned(event) {
+    if (this.store.getEvent(event.eventId)?.orphaned) {
+      return;
+    }
+    this.store.updateEvent(event.eventId, {
+      orphaned: true,
+      orphanedAt: Date.now(),
+    });
+
+    this.store.rewindCheckpoint(this.config.chainId, event.blockNumber - 1);
+    // A proof of the log, fetched or in flight, must never be submitted.
+    // Events recorded by older versions do not know their local log index
+    if (event.localLogIndex !== undefined) {
+      this.proofCache.invalidate(this.getLogId(event));
+    }
+
+    console.error(
+      chalk.red(
+        `\n🪦 Block ${event.blockNumber} on ${chalk.bold(
+          this.config.name
+        )} was reorged out, event ${event.eventId} is orphaned`
+      )
+    );
+
+    for (const destinationChain of this.getDestinationChains()) {
+      const destination = destinationChain.chainId;
+      const delivery = this.store.getDelivery(event.eventId, destination);
+      if (!delivery) {
+        continue;
+      }
+
+      if (!TERMINAL_STATUSES.includes(delivery.status)) {
+        this.store.updateDelivery(
+          event.eventId,
+          destination,
+          DELIVERY_STATUS.CANCELLED,
+          { nextAttemptAt: null, note: "Source block reorged out" }
+        );
+        console.log(
+          chalk.yellow(
+            `>  Cancelled delivery to ${chalk.bold(destinationChain.name)}`
+          )
+        );
+      } else if (delivery.status === DELIVERY_STATUS.CONFIRMED) {
+        this.store.updateDelivery(
+          event.eventId,
+          destination,
+          DELIVERY_STATUS.CONFIRMED,
+          { orphaned: true }
+        );
+        console.error(
+          chalk.red(
+            `>  Already delivered to ${chalk.bold(
+              destinationChain.name
+            )}, key(s) "${event.args.key ?? event.args.keys.join('", "')}" of ${
+              event.args.sender
+            } may hold state that no longer exists on the source chain`
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Re-run deliveries of this chain's events that did not finish and are due,
+   * including deliveries requeued from the dead-letter queue
+   */
+  resumeDeliveries() {
+    const now = Date.now();
+    const eventIds = new Set(
+      this.store
+        .getUnfinishedDeliveries()
+        .filter(
+          (delivery) =>
+            !(delivery.nextAttemptAt > now) &&
+            !this.activeDeliveries.has(
+              `${delivery.eventId}:${delivery.destination}`
             )
-          );
-          console.log(chalk.cyan(`>  Sender: ${chalk.bold(sender)}`));
-          console.log(chalk.cyan(`>  Key: ${chalk.bold(key)}`));
-          console.log(
-            chalk.cyan(`>  Value (bytes): ${chalk.bold(ethers.hexlify(value))}`)
-          );
+        )
+        .map((delivery) => this.store.getEvent(delivery.eventId))
+        .filter(
+          (event) =>
+            event && String(event.chainId) === String(this.config.chainId)
+        )
+        .map((event) => event.eventId)
+    );
 
-          const valueDecoded = ethers.toUtf8String(value);
-          console.log(
-            chalk.cyan(`>  Value (utf8): ${chalk.bold(valueDecoded)}`)
-          );
+    if (eventIds.size === 0) {
+      return;
+    }
 
-          console.log(chalk.cyan(`>  Nonce: ${chalk.bold(nonce)}`));
-          console.log(chalk.cyan(`>  HashedKey: ${chalk.bold(hashedKey)}`));
-          console.log(chalk.cyan(`>  Version: ${chalk.bold(version)}`));
-          console.log(
-            chalk.cyan(`>  Block Number: ${chalk.bold(event.log.blockNumber)}`)
-          );
-          console.log(
-            chalk.cyan(`>  Block Hash: ${chalk.bold(event.log.blockHash)}`)
-          );
+    console.log(
+      chalk.yellow(
+        `>  Resuming ${chalk.bold(eventIds.size)} unfinished event(s) from ${
+          this.config.name
+        }`
+      )
+    );
+
+    for (const eventId of eventIds) {
+      this.handleSourceEvent(this.store.getEvent(eventId)).catch((error) => {
+        console.error(chalk.red("❌ Error resuming source event:"), error);
+      });
+    }
+  }
+
+  /**
+   * Decide what happens to a delivery after it failed: done (benign), retry
+   * with backoff, or dead-letter queue
+   * @param {object} [logId] - Log whose proof was submitted, if it got that far
+   */
+  handleDeliveryError(data, destinationChain, error, logId) {
+    const destination = destinationChain.chainId;
+    const delivery = this.store.getDelivery(data.eventId, destination);
+    if (delivery?.status === DELIVERY_STATUS.CANCELLED) {
+      return;
+    }
+    const attempts = (delivery?.attempts || 0) + 1;
+    const policy = getRetryPolicy(destinationChain);
+    const { kind, reason, deadLetter, delay } = getRetryDecision(
+      error,
+      attempts,
+      policy
+    );
+
+    if (kind === ERROR_KIND.BENIGN) {
+      // The destination already has this update or a newer one
+      this.store.updateDelivery(
+        data.eventId,
+        destination,
+        DELIVERY_STATUS.CONFIRMED,
+        { attempts, outcome: "already-applied", note: reason }
+      );
+      console.log(
+        chalk.yellow(
+          `⏭️  Nothing to deliver to ${chalk.bold(
+            destinationChain.name
+          )}: ${reason}`
+        )
+      );
+      return;
+    }
+
+    // The next attempt fetches a fresh proof rather than resubmitting one the
+    // destination rejected
+    if (logId) {
+      this.proofCache.invalidate(logId);
+    }
+
+    if (deadLetter) {
+      this.store.updateDelivery(
+        data.eventId,
+        destination,
+        DELIVERY_STATUS.FAILED,
+        { attempts, error: reason, errorKind: kind, nextAttemptAt: null }
+      );
+      console.error(
+        chalk.red(
+          `☠️  Delivery to ${chalk.bold(
+            destinationChain.name
+          )} moved to the dead-letter queue after ${attempts} attempt(s): ${reason}`
+        )
+      );
+      return;
+    }
+
+    this.store.updateDelivery(
+      data.eventId,
+      destination,
+      DELIVERY_STATUS.PENDING,
+      {
+        attempts,
+        error: reason,
+        errorKind: kind,
+        nextAttemptAt: Date.now() + delay,
+      }
+    );
+    console.log(
+      chalk.yellow(
+        `🔁 Retrying delivery to ${chalk.bold(destinationChain.name)} in ${(
+          delay / 1000
+        ).toFixed(1)}s (attempt ${attempts + 1}/${policy.maxAttempts})`
+      )
+    );
+
+    setTimeout(() => {
+      const event = this.store.getEvent(data.eventId);
+      if (!event) {
+        return;
+      }
+      this.handleSourceEvent(event).catch((error) => {
+        console.error(chalk.red("❌ Error retrying source event:"), error);
+      });
+    }, delay);
+  }
+
+  /**
+   * Record a source event log and its pending deliveries in the store
+   * @returns {Promise<object|null>} The recorded event, or null if the log was
+   *   already known
+   */
+  async recordSourceLog(log) {
+    const eventId = getEventId(log);
+
+    // Skip if we've already recorded this event
+    if (this.store.hasEvent(eventId) || this.pendingEvents.has(eventId)) {
+      return null;
+    }
+    this.pendingEvents.add(eventId);
+
+    try {
+      // Named plain args: on an ethers Result, `keys` and `values` would be
+      // the Array methods rather than the ValuesSet fields
+      const parsedLog = this.contract.interface.parseLog(log);
+      const eventName = parsedLog.name;
+      const args = serializeArgs(parsedLog);
+
+      // Get the block details
+      const block = await this.provider.getBlock(log.blockNumber);
+
+      // Wait for the transaction receipt
+      const receipt = await this.provider.getTransactionReceipt(
+        log.transactionHash
+      );
+
+      // Get the position in the block
+      const positionInBlock = receipt.index;
+
+      console.log(
+        chalk.blue(
+          `\n🔔 New ${eventName} event detected on ${chalk.bold(
+            this.config.name
+          )}:`
+        )
+      );
+      console.log(chalk.cyan(`>  Sender: ${chalk.bold(args.sender)}`));
+      if (eventName === "ValuesSet") {
+        console.log(chalk.cyan(`>  Entries: ${chalk.bold(args.keys.length)}`));
+        // Codecs recorded in the same batch (set --record-codec)
+        const valuesByKey = new Map(
+          args.keys.map((key, i) => [key, args.values[i]])
+        );
+        args.keys.forEach((key, i) => {
+          const codec = valuesByKey.get(codecKey(key));
           console.log(
             chalk.cyan(
-              `>  Transaction Hash: ${chalk.bold(event.log.transactionHash)}`
+              `>    ${chalk.bold(key)} = ${chalk.bold(
+                describeValue(args.values[i], codec && describeValue(codec))
+              )} (version ${args.versions[i]})`
             )
           );
+        });
+        console.log(chalk.cyan(`>  BatchHash: ${chalk.bold(args.batchHash)}`));
+      } else {
+        console.log(chalk.cyan(`>  Key: ${chalk.bold(args.key)}`));
+      }
+      if (eventName === "ValueSet") {
+        console.log(
+          chalk.cyan(
+            `>  Value (bytes): ${chalk.bold(ethers.hexlify(args.value))}`
+          )
+        );
+        console.log(
+          chalk.cyan(
+            `>  Value (utf8): ${chalk.bold(describeValue(args.value))}`
+          )
+        );
+        if (args.expiresAt !== "0") {
           console.log(
-            chalk.cyan(`>  Log Index: ${chalk.bold(event.log.index)}`)
-          );
-          console.log(
-            chalk.cyan(`>  Position in Block: ${chalk.bold(positionInBlock)}`)
+            chalk.cyan(
+              `>  Expires At: ${chalk.bold(
+                new Date(Number(args.expiresAt) * 1000).toISOString()
+              )}`
+            )
           );
-          if (block) {
-            console.log(
-              chalk.cyan(
-                `>  Block Time: ${chalk.bold(
-                  new Date(block.timestamp * 1000).toISOString()
-                )}`
-              )
-            );
-          }
-
-          try {
-            await this.handleValueSetEvent({
-              args: {
-                sender,
-                key,
-                value,
-                nonce,
-                hashedKey,
-                version,
-              },
-              blockHash: event.log.blockHash,
-              blockNumber: event.log.blockNumber,
-              transactionHash: event.log.transactionHash,
-              logIndex: event.log.index,
-              positionInBlock,
-            });
-            this.processedEvents.add(eventId);
-          } catch (error) {
-            console.error(
-              chalk.red("❌ Error handling ValueSet event:"),
-              error
-            );
-          }
-        } catch (error) {
-          console.error(chalk.red("❌ Error processing event:"), error);
         }
       }
-    );
+      if (eventName === "KeyAclUpdated") {
+        console.log(chalk.cyan(`>  Owner: ${chalk.bold(args.owner)}`));
+        console.log(
+          chalk.cyan(
+            `>  Writers: ${chalk.bold(args.writers.join(", ") || "-")}`
+          )
+        );
+      }
+      if (eventName === "KeyRetentionUpdated") {
+        console.log(
+          chalk.cyan(`>  Retention Depth: ${chalk.bold(args.depth)}`)
+        );
+      }
+
+      console.log(chalk.cyan(`>  Nonce: ${chalk.bold(args.nonce)}`));
+      if (eventName !== "ValuesSet") {
+        console.log(chalk.cyan(`>  HashedKey: ${chalk.bold(args.hashedKey)}`));
+        console.log(chalk.cyan(`>  Version: ${chalk.bold(args.version)}`));
+      }
+      console.log(
+        chalk.cyan(`>  Block Number: ${chalk.bold(log.blockNumber)}`)
+      );
+      console.log(chalk.cyan(`>  Block Hash: ${chalk.bold(log.blockHash)}`));
+      console.log(
+        chalk.cyan(`>  Transaction Hash: ${chalk.bold(log.transactionHash)}`)
+      );
+      console.log(chalk.cyan(`>  Log Index: ${chalk.bold(log.index)}`));
+      console.log(
+        chalk.cyan(`>  Position in Block: ${chalk.bold(positionInBlock)}`)
+      );
+      if (block) {
+        console.log(
+          chalk.cyan(
+            `>  Block Time: ${chalk.bold(
+              new Date(block.timestamp * 1000).toISOString()
+            )}`
+          )
+        );
+      }
+
+      const event = {
+        eventId,
+        eventName,
+        chainId: this.config.chainId,
+        args,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        localLogIndex: getLocalLogIndex(receipt, log.index),
+        positionInBlock,
+      };
+
+      this.store.recordEvent(
+        event,
+        this.getDestinationChains().map((chain) => chain.chainId)
+      );
+
+      return this.store.getEvent(eventId);
+    } finally {
+      this.pendingEvents.delete(eventId);
+    }
   }
 
-  async handleValueSetEvent(data) {
-    // Get all other chains except the source chain
-    const otherChains = Object.values(CHAINS).filter(
+  // Identifier of the log an event was recorded from, to request its proof
+  getLogId(event) {
+    return {
+      chainId: this.config.chainId,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      txIndex: event.positionInBlock,
+      localLogIndex: event.localLogIndex,
+    };
+  }
+
+  // Get all other chains except the source chain
+  getDestinationChains() {
+    return Object.values(CHAINS).filter(
       (chain) => chain.chainId.toString() !== this.config.chainId.toString()
     );
+  }
+
+  async handleSourceEvent(data) {
+    const otherChains = this.getDestinationChains();
 
     if (otherChains.length === 0) {
       console.error("No other chains configured to send proofs to");
       return;
     }
 
+    // Never prove a log that is no longer part of the source chain
+    if (this.store.getEvent(data.eventId)?.orphaned) {
+      return;
+    }
+    if (!(await this.isCanonical(data))) {
+      this.markOrphaned(data);
+      return;
+    }
+
+    // Events recorded by older versions look up their local log index in the
+    // receipt. A transaction can emit several source events, so match on the
+    // event's own global log index
+    const localLogIndex =
+      data.localLogIndex ??
+      getLocalLogIndex(
+        await this.provider.getTransactionReceipt(data.transactionHash),
+        data.logIndex
+      );
+
+    // The proof is the same for every destination, so it is requested once
+    const logId = this.getLogId({ ...data, localLogIndex });
+
     // Process all chains in parallel
     await Promise.all(
       otherChains.map(async (destinationChain) => {
-        try {
-          // Get the transaction receipt to find local log index
-          const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
-          const txReceipt = await provider.getTransactionReceipt(
-            data.transactionHash
-          );
+        const destination = destinationChain.chainId;
+        const delivery = this.store.getDelivery(data.eventId, destination);
 
-          // Find the local log index of our ValueSet event
-          const valueSetEventSignature =
-            "ValueSet(address,string,bytes,uint256,bytes32,uint256)";
-          const valueSetTopic = ethers.id(valueSetEventSignature);
-          const localLogIndex = txReceipt.logs.findIndex(
-            (log) => log.topics[0] === valueSetTopic
-          );
+        // Skip deliveries that are already done or handled elsewhere
+        const activeKey = `${data.eventId}:${destination}`;
+        if (
+          !delivery ||
+          TERMINAL_STATUSES.includes(delivery.status) ||
+          delivery.nextAttemptAt > Date.now() ||
+          this.activeDeliveries.has(activeKey)
+        ) {
+          return;
+        }
+        this.activeDeliveries.add(activeKey);
 
-          console.log(
-            chalk.yellow(
-              `\n📤 Submitting proof request to Polymer for ${chalk.bold(
-                destinationChain.name
-              )}...`
-            )
+        let proofInBytes;
+        try {
+          // Setup destination chain contract
+          const destinationProvider = new ethers.JsonRpcProvider(
+            destinationChain.rpcUrl
           );
-          console.log(chalk.cyan(`>  Block Number: ${data.blockNumber}`));
-          console.log(
-            chalk.cyan(`>  Transaction Index: ${data.positionInBlock}`)
+          const destinationWallet = this.wallet.connect(destinationProvider);
+          const destinationContract = new ethers.Contract(
+            destinationChain.contractAddress,
+            CONTRACT_ABI,
+            destinationWallet
           );
-          console.log(chalk.cyan(`>  Local Log Index: ${localLogIndex}`));
 
-          // Request proof from Polymer API with local log index
-          const proofRequest = await axios.post(
-            POLYMER_API_URL,
-            {
-              jsonrpc: "2.0",
-              id: 1,
-              method: "log_requestProof",
-              params: [
-                this.config.chainId,
-                data.blockNumber,
-                data.positionInBlock,
-                localLogIndex, // Using local log index instead of global
-              ],
-            },
-            {
-              headers: {
-                Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-              },
+          // A transaction from before a restart may already have landed
+          if (
+            delivery.status === DELIVERY_STATUS.SUBMITTED &&
+            delivery.txHash
+          ) {
+            const previousReceipt =
+              await destinationProvider.getTransactionReceipt(delivery.txHash);
+            if (previousReceipt && previousReceipt.status === 1) {
+              this.store.updateDelivery(
+                data.eventId,
+                destination,
+                DELIVERY_STATUS.CONFIRMED
+              );
+              console.log(
+                chalk.green(
+                  `✅ Previously submitted transaction confirmed on ${chalk.bold(
+                    destinationChain.name
+                  )}: ${chalk.bold(delivery.txHash)}`
+                )
+              );
+              return;
             }
-          );
-
-          if (proofRequest.status !== 200) {
-            throw new Error(
-              `Failed to get proof from Polymer API. Status code: ${proofRequest.status}`
-            );
           }
 
-          const jobId = proofRequest.data.result;
-
-          console.log(
-            chalk.green(
-              `✅ Proof requested for ${chalk.bold(
-                destinationChain.name
-              )}. Job ID: ${chalk.bold(jobId)}`
-            )
-          );
-
-          // Wait for the proof to be generated
-          console.log(
-            chalk.yellow(
-              `>  Waiting for proof for ${chalk.bold(
-                destinationChain.name
-              )} to be generated...`
+          if (
+            await expiresBeforeDelivery(
+              data,
+              destinationContract,
+              destinationProvider
             )
-          );
-
-          // Check proof more frequently (500ms intervals)
-          let proofResponse;
-          let attempts = 0;
-          const maxAttempts = 10;
-
-          while (
-            !proofResponse?.data?.result?.proof &&
-            attempts < maxAttempts
           ) {
-            attempts++;
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-
-            proofResponse = await axios.post(
-              POLYMER_API_URL,
-              {
-                jsonrpc: "2.0",
-                id: 1,
-                method: "log_queryProof",
-                params: [jobId],
-              },
-              {
-                headers: {
-                  Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-                },
-              }
+            const note = `Value expires at ${data.args.expiresAt}, before it could be delivered`;
+            this.store.updateDelivery(
+              data.eventId,
+              destination,
+              DELIVERY_STATUS.CONFIRMED,
+              { outcome: "expired", note }
             );
-
             console.log(
-              `>  Proof status for ${chalk.bold(destinationChain.name)}: ${
-                proofResponse.data.result.status
-              }... (Attempt ${attempts}/${maxAttempts})`
+              chalk.yellow(
+                `⏭️  Nothing to deliver to ${chalk.bold(
+                  destinationChain.name
+                )}: ${note}`
+              )
             );
+            return;
           }
 
-          const proof = proofResponse.data.result.proof;
           console.log(
-            chalk.green(
-              `✅ Proof received for ${chalk.bold(
+            chalk.yellow(
+              `\n⏳ Waiting for proof for ${chalk.bold(
                 destinationChain.name
-              )}. Length: ${chalk.bold(proof.length)} bytes`
+              )}...`
             )
           );
 
-          const proofInBytes = `0x${Buffer.from(proof, "base64").toString(
-            "hex"
-          )}`;
-
-          // Setup destination chain contract
-          const destinationProvider = new ethers.JsonRpcProvider(
-            destinationChain.rpcUrl
+          this.store.updateDelivery(
+            data.eventId,
+            destination,
+            DELIVERY_STATUS.PROOF_REQUESTED
           );
-          const destinationWallet = this.wallet.connect(destinationProvider);
-          const destinationContract = new ethers.Contract(
-            destinationChain.contractAddress,
-            CONTRACT_ABI,
-            destinationWallet
+          proofInBytes = await this.proofCache.get(logId);
+
+          // The event may have been orphaned while the proof was generated
+          if (this.store.getEvent(data.eventId)?.orphaned) {
+            return;
+          }
+          this.store.updateDelivery(
+            data.eventId,
+            destination,
+            DELIVERY_STATUS.PROOF_READY
           );
 
           // Submit proof to destination chain using new method
@@ -323,6 +920,12 @@ class ChainListener {
               gasLimit: estimatedGas,
             }
           );
+          this.store.updateDelivery(
+            data.eventId,
+            destination,
+            DELIVERY_STATUS.SUBMITTED,
+            { txHash: tx.hash }
+          );
 
           console.log(
             chalk.green(
@@ -334,13 +937,67 @@ class ChainListener {
 
           // After transaction confirmation
           const receipt = await tx.wait();
+          this.store.updateDelivery(
+            data.eventId,
+            destination,
+            DELIVERY_STATUS.CONFIRMED
+          );
 
           // Find the ValueUpdated event
           const valueUpdatedEvent = receipt.logs.find(
             (log) => log.fragment?.name === "ValueUpdated"
           );
 
-          if (valueUpdatedEvent) {
+          // Or the ValueRemoved event, for deletions
+          const valueRemovedEvent = receipt.logs.find(
+            (log) => log.fragment?.name === "ValueRemoved"
+          );
+          // Or the KeyAclSynced event, for owner and writer changes
+          const keyAclSyncedEvent = receipt.logs.find(
+            (log) => log.fragment?.name === "KeyAclSynced"
+          );
+          if (keyAclSyncedEvent) {
+            const { hashedKey, owner, writers, version } =
+              keyAclSyncedEvent.args;
+            console.log(chalk.blue("\n🔑 KeyAclSynced Event Details:"));
+            console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+            console.log(chalk.cyan(`>  Owner: ${owner}`));
+            console.log(chalk.cyan(`>  Writers: ${writers.join(", ") || "-"}`));
+            console.log(chalk.cyan(`>  ACL Version: ${version}`));
+          }
+          // Or the KeyRetentionSynced event, for retention depth changes
+          const keyRetentionSyncedEvent = receipt.logs.find(
+            (log) => log.fragment?.name === "KeyRetentionSynced"
+          );
+          if (keyRetentionSyncedEvent) {
+            const { hashedKey, depth, version } = keyRetentionSyncedEvent.args;
+            console.log(chalk.blue("\n🗄️  KeyRetentionSynced Event Details:"));
+            console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+            console.log(chalk.cyan(`>  Retention Depth: ${depth}`));
+            console.log(chalk.cyan(`>  Retention Version: ${version}`));
+          }
+
+          if (valueRemovedEvent) {
+            const { hashedKey, version } = valueRemovedEvent.args;
+            console.log(chalk.blue("\n🗑️  ValueRemoved Event Details:"));
+            console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+            console.log(chalk.cyan(`>  Version: ${version}`));
+          }
+
+          // A batch emits one ValueUpdated per applied entry, stale entries
+          // are skipped by the destination
+          if (data.eventName === "ValuesSet") {
+            const applied = receipt.logs.filter(
+              (log) => log.fragment?.name === "ValueUpdated"
+            ).length;
+            console.log(
+              chalk.blue(
+                `\n📦 Batch applied: ${chalk.bold(applied)} of ${chalk.bold(
+                  data.args.keys.length
+                )} entries updated`
+              )
+            );
+          } else if (valueUpdatedEvent) {
             const {
               hashedKey,
               value: eventValue,
@@ -348,9 +1005,7 @@ class ChainListener {
             } = valueUpdatedEvent.args;
             console.log(chalk.blue("\n📝 ValueUpdated Event Details:"));
             console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
-            console.log(
-              chalk.cyan(`>  Value: ${ethers.toUtf8String(eventValue)}`)
-            );
+            console.log(chalk.cyan(`>  Value: ${describeValue(eventValue)}`));
             console.log(chalk.cyan(`>  Version: ${version}`));
 
             // Try to get value with both parameters
@@ -364,7 +1019,7 @@ class ChainListener {
               );
               console.log(
                 chalk.cyan(">  Retrieved value:"),
-                ethers.toUtf8String(value)
+                describeValue(value)
               );
             } catch (error) {
               console.log(
@@ -388,10 +1043,159 @@ class ChainListener {
             ),
             error
           );
+          // A failed proof request is evicted by the cache itself
+          this.handleDeliveryError(
+            data,
+            destinationChain,
+            error,
+            proofInBytes && logId
+          );
+        } finally {
+          this.activeDeliveries.delete(activeKey);
         }
       })
     );
   }
+
+  // Reject signed writes that are bound to revert before paying gas for them
+  async checkSignedWrite(write) {
+    if (BigInt(write.deadline) < BigInt(Math.floor(Date.now() / 1000))) {
+      throw new Error("Signature expired");
+    }
+    if (recoverSigner(write, this.config.contractAddress) !== write.owner) {
+      throw new Error("Invalid signature");
+    }
+
+    const nonce = await this.contract.getNonce(write.owner);
+    if (BigInt(write.nonce) < nonce) {
+      throw new Error(
+        `Nonce ${write.nonce} already used, the current nonce is ${nonce}`
+      );
+    }
+  }
+
+  async submitSignedWrite(write) {
+    console.log(
+      chalk.yellow(
+        `\n✍️  Submitting signed write of "${chalk.bold(write.key)}" by ${
+          write.owner
+        } on ${chalk.bold(this.config.name)}...`
+      )
+    );
+    const tx = await this.contract.setValueWithSig(
+      write.owner,
+      write.key,
+      write.value,
+      write.deadline,
+      write.signature
+    );
+    console.log(chalk.cyan(`>  Tx hash: ${chalk.bold(tx.hash)}`));
+    return tx;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_REQUEST_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Accept signed writes over HTTP and submit them with setValueWithSig. The
+ * resulting ValueSet events are relayed like any other.
+ *
+ * POST /signed-writes      Body: a signed write from `npm run set`. Replies
+ *                          202 with a status record
+ * GET  /signed-writes/:id  Status of a write: queued, submitted, confirmed or
+ *                          failed
+ *
+ * Queued writes are kept in memory only. A write lost in a restart can be
+ * posted again, its signature stays valid until the deadline. When the port
+ * cannot be listened on, relaying goes on without the endpoint.
+ */
+function startSignedWriteServer(listeners) {
+  const listenersByChainId = new Map(
+    listeners.map((listener) => [listener.config.chainId, listener])
+  );
+  const queue = new SignedWriteQueue((write) =>
+    listenersByChainId.get(write.chainId).submitSignedWrite(write)
+  );
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (statusCode, body) => {
+      res.writeHead(statusCode, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const statusMatch = pathname.match(/^\/signed-writes\/([\w-]+)$/);
+
+    if (req.method === "POST" && pathname === "/signed-writes") {
+      try {
+        const write = parseSignedWrite(JSON.parse(await readBody(req)));
+        const listener = listenersByChainId.get(write.chainId);
+        if (!listener) {
+          reply(404, { error: `Chain ${write.chainId} is not relayed` });
+          return;
+        }
+        await listener.checkSignedWrite(write);
+
+        const record = queue.enqueue(write);
+        console.log(
+          chalk.blue(
+            `\n📨 Signed write ${chalk.bold(record.id)} queued for ${
+              listener.config.name
+            }`
+          )
+        );
+        reply(202, record);
+      } catch (error) {
+        reply(400, { error: error.shortMessage || error.message });
+      }
+      return;
+    }
+
+    if (req.method === "GET" && statusMatch) {
+      const record = queue.get(statusMatch[1]);
+      if (record) {
+        reply(200, record);
+      } else {
+        reply(404, { error: "Unknown signed write" });
+      }
+      return;
+    }
+
+    reply(404, { error: "Not found" });
+  });
+
+  server.on("error", (error) => {
+    console.error(
+      chalk.red(
+        `❌ Signed write endpoint unavailable on ${HTTP_HOST}:${HTTP_PORT}:`
+      ),
+      error.message
+    );
+  });
+  server.listen(HTTP_PORT, HTTP_HOST, () => {
+    console.log(
+      chalk.cyan(
+        `>  Accepting signed writes on ${chalk.bold(
+          `http://${HTTP_HOST}:${HTTP_PORT}/signed-writes`
+        )}`
+      )
+    );
+  });
+  return server;
 }
 
 async function main() {
@@ -426,6 +1230,14 @@ async function main() {
     )
   );
 
+  // One proof cache for all listeners
+  const proofCache = new ProofCache(fetchProof);
+
+  // Load the relayer state left behind by previous runs
+  const store = new RelayerStore().load();
+  store.compact();
+  console.log(chalk.cyan(`>  Relayer state: ${chalk.bold(store.filePath)}`));
+
   // Create listeners for each chain
   const listeners = [];
   for (const [chainKey, chainConfig] of Object.entries(CHAINS)) {
@@ -434,11 +1246,39 @@ async function main() {
         `\n🎯 Setting up listener for ${chalk.bold(chainConfig.name)}...`
       )
     );
-    const listener = new ChainListener(chainConfig, wallet);
+    const listener = new ChainListener(chainConfig, wallet, proofCache, store);
     listeners.push(listener);
     await listener.start();
   }
 
+  // Pick up due retries, and deliveries requeued with `npm run dlq`
+  setInterval(() => {
+    try {
+      store.load();
+      // Keep the file, and the time it takes to reload, from growing unbounded
+      if (store.needsCompaction()) {
+        store.compact();
+      }
+    } catch (error) {
+      console.error(chalk.red("❌ Error reloading relayer state:"), error);
+      return;
+    }
+    for (const listener of listeners) {
+      // Queued behind block processing, so a scan in progress does not move
+      // the checkpoint past the blocks of an orphaned event again
+      listener.blockQueue = listener.blockQueue
+        .then(() => listener.verifyRecentEvents())
+        .catch((error) => {
+          console.error(chalk.red("❌ Error checking for reorgs:"), error);
+        });
+      listener.resumeDeliveries();
+    }
+  }, RETRY_SWEEP_INTERVAL_MS);
+
+  if (HTTP_PORT !== null) {
+    startSignedWriteServer(listeners);
+  }
+
   console.log(chalk.green("\n✅ All listeners started successfully"));
   console.log(chalk.blue("👀 Watching for events..."));
 }
@@ -0,0 +1,182 @@
+// node scripts/set-batch.js <file.json> --chain <chain> [--namespace <address>]
+//                           [--codec <codec>] [--record-codec]
+//
+// Write many keys at once with setValues. The file holds a JSON object of
+// key => UTF-8 string value:
+//
+//   { "fee-bps": "30", "paused": "false", "oracle": "0x..." }
+//
+// With --codec, every value is encoded with that codec instead (see
+// lib/codecs.js). With --codec json, values can be any JSON value. With
+// --record-codec, each key's codec is written to <key>#codec in the same
+// transaction.
+//
+// Each transaction emits a single ValuesSet event, so the relayer delivers a
+// whole batch with one proof. Files larger than the contract's
+// MAX_BATCH_SIZE are split into several transactions.
+//
+// Usage:
+//   npm run set:batch -- config.json --chain optimism-sepolia
+//   npm run set:batch -- config.json --chain optimism-sepolia --namespace 0x...
+//   npm run set:batch -- limits.json --chain optimism-sepolia --codec json
+
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs } = require("util");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const {
+  CODEC_KEY_SUFFIX,
+  getCodec,
+  encodeValue,
+  codecKey,
+  isCodecKey,
+} = require("../lib/codecs");
+
+// Contract ABI
+const CONTRACT_ABI =
+  require("../artifacts/contracts/StateSync.sol/StateSync.json").abi;
+
+function readEntries(filePath, codec) {
+  const entries = Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8")));
+
+  if (entries.length === 0) {
+    throw new Error(`No entries in ${filePath}`);
+  }
+  for (const [key, value] of entries) {
+    if (!key.trim()) {
+      throw new Error("Key cannot be empty");
+    }
+    if (isCodecKey(key)) {
+      throw new Error(
+        `Key "${key}": keys ending in "${CODEC_KEY_SUFFIX}" are reserved for recorded codecs`
+      );
+    }
+    if (typeof value !== "string" && codec !== "json") {
+      throw new Error(`Value of "${key}" must be a string`);
+    }
+  }
+
+  // JSON values are encoded as the documents they are
+  return codec === "json"
+    ? entries.map(([key, value]) => [key, JSON.stringify(value)])
+    : entries;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      chain: { type: "string" },
+      namespace: { type: "string" },
+      codec: { type: "string", default: "utf8" },
+      "record-codec": { type: "boolean", default: false },
+    },
+  });
+  const [filePath] = positionals;
+
+  if (!filePath) {
+    throw new Error("Specify a JSON file of key => value entries");
+  }
+  const chainConfig = CHAINS[values.chain];
+  if (!chainConfig) {
+    throw new Error(
+      `Specify the chain to write on with --chain (${Object.keys(CHAINS).join(
+        ", "
+      )})`
+    );
+  }
+
+  // Validate environment variables
+  const requiredEnvVars = [
+    "PRIVATE_KEY",
+    `${values.chain.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`,
+    `${values.chain.toUpperCase().replace("-", "_")}_RPC`,
+  ];
+  for (const envVar of requiredEnvVars) {
+    if (!process.env[envVar]) {
+      throw new Error(`Missing environment variable: ${envVar}`);
+    }
+  }
+
+  getCodec(values.codec);
+  // Each key is followed by its codec, so both land in the same transaction
+  // (batch sizes are even)
+  const entries = readEntries(filePath, values.codec).flatMap(
+    ([key, value]) => {
+      const entry = [key, encodeValue(value, values.codec)];
+      return values["record-codec"]
+        ? [entry, [codecKey(key), ethers.toUtf8Bytes(values.codec)]]
+        : [entry];
+    }
+  );
+
+  const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const contract = new ethers.Contract(
+    chainConfig.contractAddress,
+    CONTRACT_ABI,
+    wallet
+  );
+  const namespace = ethers.getAddress(values.namespace || wallet.address);
+
+  console.log(
+    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
+  );
+  console.log(chalk.blue("\n📝 Batch Details:"));
+  console.log(chalk.cyan(`>  Chain: ${chainConfig.name}`));
+  console.log(chalk.cyan(`>  Namespace: ${namespace}`));
+  console.log(chalk.cyan(`>  Entries: ${entries.length}`));
+  console.log(chalk.cyan(`>  Codec: ${values.codec}`));
+
+  const batchSize = Number(await contract.MAX_BATCH_SIZE());
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const batch = entries.slice(start, start + batchSize);
+    const keys = batch.map(([key]) => key);
+    const valueBytes = batch.map(([, value]) => value);
+
+    const [method, args] =
+      namespace === wallet.address
+        ? ["setValues", [keys, valueBytes]]
+        : ["setValuesFor", [namespace, keys, valueBytes]];
+
+    console.log(
+      chalk.yellow(
+        `\n🚀 Writing entries ${start + 1}-${start + batch.length} of ${
+          entries.length
+        }...`
+      )
+    );
+    const estimatedGas = await contract[method].estimateGas(...args);
+    const tx = await contract[method](...args, { gasLimit: estimatedGas });
+    console.log(chalk.cyan(`>  Tx hash: ${tx.hash}`));
+
+    const receipt = await tx.wait();
+    const valuesSetEvent = receipt.logs.find(
+      (log) => log.fragment?.name === "ValuesSet"
+    );
+    console.log(
+      chalk.green(
+        `✅ Transaction confirmed! Gas used: ${receipt.gasUsed.toString()}`
+      )
+    );
+
+    if (valuesSetEvent) {
+      const { nonce, batchHash, versions } = valuesSetEvent.args;
+      console.log(chalk.cyan(`>  Nonce: ${nonce}`));
+      console.log(chalk.cyan(`>  BatchHash: ${batchHash}`));
+      keys.forEach((key, i) => {
+        console.log(chalk.cyan(`>    ${key}: version ${versions[i]}`));
+      });
+    }
+  }
+
+  console.log(chalk.green("\n🎉 All values set successfully!"));
+}
+
+main().catch((error) => {
+  console.error(chalk.red("❌ Error:"), error.shortMessage || error.message);
+  process.exit(1);
+});
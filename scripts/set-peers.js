@@ -0,0 +1,115 @@
+// node scripts/set-peers.js
+//
+// Registers every StateSync deployment in config/chains.js as a trusted peer
+// of every other deployment, so setValueFromSource accepts their proofs.
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+
+const CONTRACT_ABI = [
+  "function owner() view returns (address)",
+  "function peers(uint32 chainId) view returns (address)",
+  "function setPeer(uint32 chainId, address peer) external",
+];
+
+async function main() {
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing environment variable: PRIVATE_KEY");
+  }
+
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+  console.log(
+    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
+  );
+
+  // Only chains with a deployed contract can take part in the mesh
+  const deployedChains = Object.values(CHAINS).filter((chain) => {
+    if (!chain.rpcUrl || !chain.contractAddress) {
+      console.log(
+        chalk.yellow(
+          `⚠️  Skipping ${chalk.bold(
+            chain.name
+          )}: missing RPC URL or contract address`
+        )
+      );
+      return false;
+    }
+    return true;
+  });
+
+  if (deployedChains.length < 2) {
+    console.log(chalk.yellow("⚠️  Need at least two deployments to wire up"));
+    return;
+  }
+
+  let failures = 0;
+
+  for (const chain of deployedChains) {
+    console.log(
+      chalk.blue(`\n🔗 Configuring peers on ${chalk.bold(chain.name)}`)
+    );
+
+    try {
+      const provider = new ethers.JsonRpcProvider(chain.rpcUrl);
+      const contract = new ethers.Contract(
+        chain.contractAddress,
+        CONTRACT_ABI,
+        wallet.connect(provider)
+      );
+
+      const owner = await contract.owner();
+      if (owner !== wallet.address) {
+        throw new Error(`Wallet is not the contract owner (owner: ${owner})`);
+      }
+
+      for (const peer of deployedChains) {
+        if (peer.chainId === chain.chainId) {
+          continue;
+        }
+
+        const currentPeer = await contract.peers(peer.chainId);
+        if (currentPeer === ethers.getAddress(peer.contractAddress)) {
+          console.log(
+            chalk.gray(`>  ${peer.name} (${peer.chainId}) already trusted`)
+          );
+          continue;
+        }
+
+        const tx = await contract.setPeer(peer.chainId, peer.contractAddress);
+        console.log(
+          chalk.yellow(
+            `>  Setting ${chalk.bold(peer.name)} (${peer.chainId}) => ${
+              peer.contractAddress
+            }: ${tx.hash}`
+          )
+        );
+        await tx.wait();
+        console.log(chalk.green(`✅ ${peer.name} trusted`));
+      }
+    } catch (error) {
+      failures++;
+      console.error(
+        chalk.red(`❌ Error configuring peers on ${chalk.bold(chain.name)}:`),
+        error.message
+      );
+      // Continue with next chain even if this one fails
+      continue;
+    }
+  }
+
+  if (failures > 0) {
+    throw new Error(`Failed to configure peers on ${failures} chain(s)`);
+  }
+
+  console.log(chalk.green("\n✅ All peers configured"));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(chalk.red("❌ Error:"), error);
+    process.exit(1);
+  });
@@ -1,182 +1,625 @@
+// node scripts/set.js [--chain <chain> --key <key> --value <value>] [options]
+//
+// Write a key on one chain, the relayer propagates it to the others. Without
+// flags, everything is asked for interactively. With flags, nothing is asked
+// except the confirmation, which --yes skips (required when stdin is not a
+// terminal or with --json).
+//
+// Options:
+//   --value -            Read the value from stdin (also when --value is
+//                        omitted and input is piped)
+//   --codec <codec>      How the value is encoded: utf8 (default), hex,
+//                        json, number, abi:<type> or file (see lib/codecs.js)
+//   --value-file <path>  Store the bytes of a file, same as --codec file
+//                        --value <path>
+//   --record-codec       Also write the codec to <key>#codec, in the same
+//                        transaction, for readers to decode the value
+//   --expires-in <secs>  Make the value read as absent on every chain this
+//                        many seconds after the chain's latest block
+//   --if-version <n>     Only write if the key is still at version n (0 for
+//                        a new key): every chain is checked first, then the
+//                        contract checks the chain written on again
+//   --owner <address>    Namespace of the key, defaults to the wallet
+//                        (--namespace works too)
+//   --sign               Sign the write for a relayer instead of sending it
+//   --valid-minutes <n>  Validity of the signature (60 by default)
+//   --json               Print the result as JSON, progress goes to stderr
+//
+// Usage:
+//   npm run set
+//   npm run set -- --chain optimism-sepolia --key fee-bps --value 30 --yes
+//   cat config.txt | npm run set -- --chain base-sepolia --key config --yes --json
+//   npm run set -- --chain base-sepolia --key limits --codec json --value '{"max":10}' --record-codec --yes
+//   npm run set -- --chain optimism-sepolia --key session --value open --expires-in 3600 --yes
+//   npm run set -- --chain base-sepolia --key config --value v2 --if-version 4 --yes
+//
+// Exit codes: 0 on success or when cancelled at the prompt, 6 when the key is
+// not at the --if-version version, 2 for invalid flags and 1 for any other
+// error.
+
 require("dotenv").config();
+const { parseArgs } = require("util");
 const ethers = require("ethers");
+const axios = require("axios");
 const inquirer = require("inquirer");
 const chalk = require("chalk");
 
 const { CHAINS } = require("../config/chains");
+const { signSetValue } = require("../lib/signed-writes");
+const {
+  StateSyncClient,
+  VersionConflictError,
+  isVersionMismatch,
+  getWrittenKeys,
+} = require("../lib/state-sync-client");
+const {
+  DEFAULT_CODEC,
+  CODEC_NAMES,
+  CODEC_KEY_SUFFIX,
+  getCodec,
+  encodeValue,
+  describeValue,
+  codecKey,
+  isCodecKey,
+} = require("../lib/codecs");
+const {
+  EXIT_CODES,
+  UsageError,
+  readStdin,
+  answersFromFlags,
+  toJson,
+  reportError,
+} = require("../lib/cli");
 
 // Contract ABI
 const CONTRACT_ABI =
   require("../artifacts/contracts/StateSync.sol/StateSync.json").abi;
 
-async function main() {
-  // Create wallet from private key
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-  console.log(
-    chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`)
-  );
-
-  // Get user input
-  console.log(chalk.blue("\n📝 Please provide the following information:"));
-  const answers = await inquirer.prompt([
-    {
-      type: "list",
-      name: "chain",
-      message: "Select a chain:",
-      choices: Object.entries(CHAINS).map(([key, value]) => ({
-        name: value.name,
-        value: key,
-      })),
+const questions = [
+  {
+    type: "list",
+    name: "mode",
+    message: "How should the value be written?",
+    choices: [
+      { name: "Send the transaction (pays gas)", value: "send" },
+      { name: "Sign it for a relayer to submit (gasless)", value: "sign" },
+    ],
+  },
+  {
+    type: "list",
+    name: "chain",
+    message: "Select a chain:",
+    choices: Object.entries(CHAINS).map(([key, value]) => ({
+      name: value.name,
+      value: key,
+    })),
+  },
+  {
+    type: "input",
+    name: "namespace",
+    message: "Enter the key's namespace (leave empty for your own keys):",
+    // Signed writes always target the signer's own namespace
+    when: (answers) => answers.mode === "send",
+    validate: (input) => {
+      if (input.trim() && !ethers.isAddress(input.trim())) {
+        return "Namespace must be an address";
+      }
+      return true;
     },
-    {
-      type: "input",
-      name: "key",
-      message: "Enter the key:",
-      validate: (input) => {
-        if (!input.trim()) {
-          return "Key cannot be empty";
-        }
+  },
+  {
+    type: "input",
+    name: "key",
+    message: "Enter the key:",
+    validate: (input) => {
+      if (!input.trim()) {
+        return "Key cannot be empty";
+      }
+      if (isCodecKey(input)) {
+        return `Keys ending in "${CODEC_KEY_SUFFIX}" are reserved for recorded codecs`;
+      }
+      return true;
+    },
+  },
+  {
+    type: "input",
+    name: "codec",
+    message: `How should the value be encoded? (${CODEC_NAMES.join(", ")})`,
+    default: DEFAULT_CODEC,
+    validate: (input) => {
+      try {
+        getCodec(input);
         return true;
-      },
+      } catch (error) {
+        return error.message;
+      }
     },
-    {
-      type: "input",
-      name: "value",
-      message: "Enter the value:",
-      validate: (input) => {
-        if (!input.trim()) {
-          return "Value cannot be empty";
-        }
+  },
+  {
+    type: "input",
+    name: "value",
+    message: (answers) =>
+      answers.codec === "file"
+        ? "Enter the path of the file:"
+        : "Enter the value:",
+    validate: (input, answers) => {
+      if (!input.trim()) {
+        return "Value cannot be empty";
+      }
+      try {
+        encodeValue(input, answers.codec);
         return true;
-      },
+      } catch (error) {
+        return error.message;
+      }
     },
-  ]);
+  },
+  {
+    type: "confirm",
+    name: "recordCodec",
+    message:
+      "Record the codec in <key>#codec, for readers to decode the value?",
+    default: false,
+    // Signed writes carry a single value
+    when: (answers) => answers.mode === "send",
+  },
+  {
+    type: "input",
+    name: "expiresIn",
+    message:
+      "Expire the value after how many seconds? (leave empty to never expire)",
+    default: "",
+    // Signed writes and batches carry no expiry
+    when: (answers) => answers.mode === "send" && !answers.recordCodec,
+    validate: (input) => {
+      if (input.trim() && !/^[1-9]\d*$/.test(input.trim())) {
+        return "Enter a positive number of seconds";
+      }
+      return true;
+    },
+  },
+  {
+    type: "input",
+    name: "ifVersion",
+    message:
+      "Only write if the key is at version (leave empty to write unconditionally):",
+    default: "",
+    when: (answers) =>
+      answers.mode === "send" &&
+      !answers.recordCodec &&
+      !answers.expiresIn?.trim(),
+    validate: (input) => {
+      if (input.trim() && !/^\d+$/.test(input.trim())) {
+        return "Enter a version number (0 for a new key)";
+      }
+      return true;
+    },
+  },
+  {
+    type: "input",
+    name: "validMinutes",
+    message: "How many minutes should the signature stay valid?",
+    default: "60",
+    when: (answers) => answers.mode === "sign",
+    validate: (input) => {
+      if (!(Number(input) > 0)) {
+        return "Enter a positive number of minutes";
+      }
+      return true;
+    },
+  },
+];
 
-  // Validate environment variables
-  const requiredEnvVars = ["PRIVATE_KEY"];
+function parseFlags() {
+  try {
+    return parseArgs({
+      options: {
+        chain: { type: "string" },
+        key: { type: "string" },
+        value: { type: "string" },
+        codec: { type: "string" },
+        "value-file": { type: "string" },
+        "record-codec": { type: "boolean", default: false },
+        "expires-in": { type: "string" },
+        "if-version": { type: "string" },
+        owner: { type: "string" },
+        namespace: { type: "string" },
+        sign: { type: "boolean", default: false },
+        "valid-minutes": { type: "string" },
+        yes: { type: "boolean", short: "y", default: false },
+        json: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
 
-  requiredEnvVars.push(
-    `${answers.chain.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`
-  );
-  requiredEnvVars.push(`${answers.chain.toUpperCase().replace("-", "_")}_RPC`);
+// Answers from the prompts, or from the flags when any is given
+async function getAnswers(flags, log) {
+  const piped = !process.stdin.isTTY;
+  const flagged = [
+    "chain",
+    "key",
+    "value",
+    "value-file",
+    "codec",
+    "owner",
+    "namespace",
+  ].some((name) => flags[name] !== undefined);
 
-  for (const envVar of requiredEnvVars) {
-    if (!process.env[envVar]) {
-      throw new Error(`Missing environment variable: ${envVar}`);
-    }
+  if (!piped && !flagged && !flags.sign && !flags.json) {
+    log(chalk.blue("\n📝 Please provide the following information:"));
+    return inquirer.prompt(questions);
   }
 
-  // Get chain configurations
-  const chainConfig = CHAINS[answers.chain];
-
-  console.log(chalk.blue("\n📝 Transaction Details:"));
-  console.log(chalk.cyan(`>  Chain: ${chainConfig.name}`));
-  console.log(chalk.cyan(`>  Key: ${answers.key}`));
-  console.log(chalk.cyan(`>  Value (utf8): ${answers.value}`));
+  if (flags["value-file"] !== undefined) {
+    if (flags.value !== undefined || flags.codec !== undefined) {
+      throw new UsageError(
+        "--value-file cannot be combined with --value or --codec"
+      );
+    }
+    flags = { ...flags, codec: "file", value: flags["value-file"] };
+  }
+  if (flags.sign && flags["record-codec"]) {
+    throw new UsageError("--record-codec cannot be combined with --sign");
+  }
+  // Signed writes always target the signer's own namespace
+  if (
+    flags.sign &&
+    (flags.owner !== undefined || flags.namespace !== undefined)
+  ) {
+    throw new UsageError(
+      "--owner and --namespace cannot be combined with --sign"
+    );
+  }
+  if (
+    flags["expires-in"] !== undefined &&
+    (flags.sign || flags["record-codec"])
+  ) {
+    throw new UsageError(
+      "--expires-in cannot be combined with --sign or --record-codec"
+    );
+  }
+  if (
+    flags["if-version"] !== undefined &&
+    (flags.sign || flags["record-codec"] || flags["expires-in"] !== undefined)
+  ) {
+    throw new UsageError(
+      "--if-version cannot be combined with --sign, --record-codec or --expires-in"
+    );
+  }
 
-  const bytesValue = ethers.toUtf8Bytes(answers.value);
-  console.log(
-    chalk.cyan(`>  Value (bytes): 0x${Buffer.from(bytesValue).toString("hex")}`)
-  );
+  const value =
+    flags.value === "-" || (flags.value === undefined && piped)
+      ? await readStdin()
+      : flags.value;
+  return answersFromFlags(questions, {
+    mode: flags.sign ? "sign" : "send",
+    chain: flags.chain,
+    namespace: flags.namespace ?? flags.owner ?? "",
+    key: flags.key,
+    codec: flags.codec,
+    value,
+    recordCodec: flags["record-codec"],
+    expiresIn: flags["expires-in"],
+    ifVersion: flags["if-version"],
+    validMinutes: flags["valid-minutes"],
+  });
+}
 
-  // Confirm transaction
+// Whether to go ahead: --yes, or a confirmation prompt in a terminal
+async function confirm(flags, mode) {
+  if (flags.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY || flags.json) {
+    throw new UsageError("Pass --yes to write without a confirmation prompt");
+  }
   const confirmation = await inquirer.prompt([
     {
       type: "confirm",
       name: "proceed",
-      message: "Do you want to proceed with this transaction?",
+      message:
+        mode === "sign"
+          ? "Do you want to sign this write?"
+          : "Do you want to proceed with this transaction?",
       default: false,
     },
   ]);
+  return confirmation.proceed;
+}
 
-  if (!confirmation.proceed) {
-    console.log("Transaction cancelled");
-    return;
-  }
+// Sign the write instead of sending it, for the relayer to submit with
+// setValueWithSig. Only the namespace nonce is read from the chain
+async function signForRelayer(wallet, chainConfig, answers, value, log) {
+  const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+  const contract = new ethers.Contract(
+    chainConfig.contractAddress,
+    CONTRACT_ABI,
+    provider
+  );
+  const nonce = await contract.getNonce(wallet.address);
+  const deadline =
+    Math.floor(Date.now() / 1000) + Number(answers.validMinutes) * 60;
 
-  try {
-    // Setup provider and contract
-    console.log(chalk.yellow(`\n🔄 Connecting to ${chainConfig.name}...`));
-    const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
-    console.log(chalk.green(`✅ Connected to ${chainConfig.name}`));
-    const connectedWallet = wallet.connect(provider);
-    const contract = new ethers.Contract(
-      chainConfig.contractAddress,
-      CONTRACT_ABI,
-      connectedWallet
+  const signedWrite = await signSetValue(wallet, {
+    chainId: chainConfig.chainId,
+    contractAddress: chainConfig.contractAddress,
+    key: answers.key,
+    value,
+    nonce,
+    deadline,
+  });
+  log(chalk.green("\n✍️  Write signed"));
+  log(chalk.cyan(`>  Nonce: ${nonce}`));
+  log(chalk.cyan(`>  Valid until: ${new Date(deadline * 1000).toISOString()}`));
+  log(chalk.blue("\n📝 Signed write:"));
+  log(JSON.stringify(signedWrite, null, 2));
+
+  const result = { mode: "sign", signedWrite, relayer: null };
+  if (!process.env.RELAYER_URL) {
+    log(
+      chalk.blue(
+        "\nℹ️  POST it to a relayer's /signed-writes endpoint, or set RELAYER_URL to submit it from here"
+      )
     );
-    console.log(chalk.green("✅ Contract instance created"));
+    return result;
+  }
+
+  log(chalk.yellow(`\n🚀 Submitting to ${process.env.RELAYER_URL}...`));
+  const url = `${process.env.RELAYER_URL.replace(/\/$/, "")}/signed-writes`;
+  const { data } = await axios.post(url, signedWrite, {
+    validateStatus: () => true,
+  });
+  if (data.error) {
+    throw new Error(`Relayer rejected the write: ${data.error}`);
+  }
+  log(chalk.green(`✅ Queued by the relayer`));
+  log(chalk.cyan(`>  Status: ${url}/${data.id}`));
+  return {
+    ...result,
+    relayer: { id: data.id, statusUrl: `${url}/${data.id}` },
+  };
+}
 
-    // Convert value to bytes
-    const valueBytes = ethers.toUtf8Bytes(answers.value);
+function formatExpiry(expiresAt) {
+  return `${new Date(Number(expiresAt) * 1000).toISOString()} (${expiresAt})`;
+}
 
-    // Estimate gas
-    console.log(chalk.yellow("\n⛽️ Estimating gas..."));
-    const estimatedGas = await contract.setValue.estimateGas(
-      answers.key,
-      valueBytes
-    );
+async function sendWrite(wallet, chainConfig, namespace, answers, value, log) {
+  // Setup provider and contract
+  log(chalk.yellow(`\n🔄 Connecting to ${chainConfig.name}...`));
+  const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+  log(chalk.green(`✅ Connected to ${chainConfig.name}`));
+  const connectedWallet = wallet.connect(provider);
+  const contract = new ethers.Contract(
+    chainConfig.contractAddress,
+    CONTRACT_ABI,
+    connectedWallet
+  );
+  log(chalk.green("✅ Contract instance created"));
 
-    console.log(
-      chalk.cyan(`>  Estimated gas: ${chalk.bold(estimatedGas.toString())}`)
-    );
+  // The codec goes in the same batch, so it reaches every chain with the value
+  const entries = answers.recordCodec
+    ? [
+        [answers.key, codecKey(answers.key)],
+        [value, ethers.toUtf8Bytes(answers.codec)],
+      ]
+    : [answers.key, value];
+  const own = namespace === wallet.address;
+  let [method, args] = answers.recordCodec
+    ? [own ? "setValues" : "setValuesFor", entries]
+    : [own ? "setValue" : "setValueFor", entries];
+  if (!own) {
+    args.unshift(namespace);
+  }
+
+  // The expiry counts from the chain's clock, which may differ from ours
+  let expiresAt = 0;
+  if (answers.expiresIn?.trim()) {
+    const latest = await provider.getBlock("latest");
+    expiresAt = latest.timestamp + Number(answers.expiresIn.trim());
+    method = own ? "setExpiringValue" : "setExpiringValueFor";
+    args.push(expiresAt);
+  }
 
-    // Send transaction
-    console.log(chalk.yellow("\n🚀 Sending transaction..."));
-    const tx = await contract.setValue(answers.key, valueBytes, {
-      gasLimit: estimatedGas,
+  // Compare-and-swap: a write made on another chain but not delivered here
+  // yet would go unnoticed by the contract, so every chain is read first
+  let expectedVersion = null;
+  if (answers.ifVersion?.trim()) {
+    log(chalk.yellow("\n🔍 Checking the key's version on every chain..."));
+    const client = new StateSyncClient({ chains: CHAINS });
+    const check = await client.checkVersion(namespace, answers.key, {
+      chain: answers.chain,
+      expectedVersion: answers.ifVersion.trim(),
     });
-    console.log(chalk.green("✅ Transaction sent"));
-
-    console.log(chalk.cyan(`>  Tx hash: ${tx.hash}`));
-    console.log(chalk.yellow("\n⏳ Waiting for confirmation..."));
-    const receipt = await tx.wait();
-    console.log(chalk.green("🎉 Value set successfully!"));
-    console.log(
-      chalk.green(
-        `✅ Transaction confirmed! Gas used: ${receipt.gasUsed.toString()}`
+    expectedVersion = check.expectedVersion;
+    log(chalk.green(`✅ Key at version ${expectedVersion}`));
+    for (const chain of check.unreachable) {
+      log(chalk.yellow(`⚠️  Could not check ${CHAINS[chain].name}`));
+    }
+    method = own ? "setValueIfVersion" : "setValueForIfVersion";
+    args.push(expectedVersion);
+  }
+
+  // Estimate gas
+  log(chalk.yellow("\n⛽️ Estimating gas..."));
+  const estimatedGas = await contract[method].estimateGas(...args);
+
+  log(chalk.cyan(`>  Estimated gas: ${chalk.bold(estimatedGas.toString())}`));
+
+  // Send transaction
+  log(chalk.yellow("\n🚀 Sending transaction..."));
+  const tx = await contract[method](...args, {
+    gasLimit: estimatedGas,
+  });
+  log(chalk.green("✅ Transaction sent"));
+
+  log(chalk.cyan(`>  Tx hash: ${tx.hash}`));
+  log(chalk.yellow("\n⏳ Waiting for confirmation..."));
+  const receipt = await tx.wait();
+  log(chalk.green("🎉 Value set successfully!"));
+  log(
+    chalk.green(
+      `✅ Transaction confirmed! Gas used: ${receipt.gasUsed.toString()}`
+    )
+  );
+
+  const result = {
+    mode: "send",
+    chain: answers.chain,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    namespace,
+    key: answers.key,
+    codec: answers.codec,
+    expectedVersion,
+  };
+
+  // Find the ValueSet event
+  const valueSetEvent = receipt.logs.find(
+    (log) => log.fragment?.name === "ValueSet"
+  );
+
+  if (valueSetEvent) {
+    const { sender, key, value, nonce, hashedKey, version, expiresAt } =
+      valueSetEvent.args;
+    Object.assign(result, { hashedKey, version, nonce, expiresAt });
+
+    log(chalk.blue("\n📝 Event Details:"));
+    log(chalk.cyan(`>  Sender: ${sender}`));
+    log(chalk.cyan(`>  Key: ${key}`));
+    log(chalk.cyan(`>  Value: ${describeValue(value, answers.codec)}`));
+    log(chalk.cyan(`>  Nonce: ${nonce}`));
+    log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+    log(chalk.cyan(`>  Version: ${version}`));
+    if (expiresAt > 0n) {
+      log(chalk.cyan(`>  Expires At: ${formatExpiry(expiresAt)}`));
+    }
+
+    // Also log the OnlyTopics event if found
+    const onlyTopicsEvent = receipt.logs.find(
+      (log) => log.fragment?.name === "OnlyTopics"
+    );
+    if (onlyTopicsEvent) {
+      log(chalk.blue("\n📝 OnlyTopics Event Details:"));
+      log(chalk.cyan(`>  Sender: ${onlyTopicsEvent.args.sender}`));
+      log(chalk.cyan(`>  HashedKey: ${onlyTopicsEvent.args.hashedKey}`));
+      log(chalk.cyan(`>  Version: ${onlyTopicsEvent.args.version}`));
+    }
+  } else {
+    // setValues emits a single ValuesSet for the value and its codec
+    const [written, codecWritten] = getWrittenKeys(
+      receipt,
+      chainConfig.contractAddress
+    );
+    Object.assign(result, {
+      hashedKey: written.hashedKey,
+      version: written.version,
+      codecVersion: codecWritten.version,
+    });
+    log(chalk.blue("\n📝 Event Details:"));
+    log(chalk.cyan(`>  HashedKey: ${written.hashedKey}`));
+    log(chalk.cyan(`>  Version: ${written.version}`));
+    log(
+      chalk.cyan(
+        `>  Codec: ${answers.codec} (${codecKey(answers.key)}, version ${
+          codecWritten.version
+        })`
       )
     );
+  }
+  return result;
+}
 
-    // Find the ValueSet event
-    const valueSetEvent = receipt.logs.find(
-      (log) => log.fragment?.name === "ValueSet"
-    );
+async function main() {
+  const flags = parseFlags();
+  // Progress goes to stderr when stdout carries the JSON result
+  const log = flags.json ? console.error : console.log;
 
-    if (valueSetEvent) {
-      const { sender, key, value, nonce, hashedKey, version } =
-        valueSetEvent.args;
-
-      console.log(chalk.blue("\n📝 Event Details:"));
-      console.log(chalk.cyan(`>  Sender: ${sender}`));
-      console.log(chalk.cyan(`>  Key: ${key}`));
-      console.log(chalk.cyan(`>  Value: ${ethers.toUtf8String(value)}`));
-      console.log(chalk.cyan(`>  Nonce: ${nonce}`));
-      console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
-      console.log(chalk.cyan(`>  Version: ${version}`));
-
-      // Also log the OnlyTopics event if found
-      const onlyTopicsEvent = receipt.logs.find(
-        (log) => log.fragment?.name === "OnlyTopics"
-      );
-      if (onlyTopicsEvent) {
-        console.log(chalk.blue("\n📝 OnlyTopics Event Details:"));
-        console.log(chalk.cyan(`>  Sender: ${onlyTopicsEvent.args.sender}`));
-        console.log(
-          chalk.cyan(`>  HashedKey: ${onlyTopicsEvent.args.hashedKey}`)
-        );
-        console.log(chalk.cyan(`>  Version: ${onlyTopicsEvent.args.version}`));
-      }
-    }
-  } catch (error) {
-    console.error(chalk.red("❌ Error:"), error.message);
-    if (error.data) {
-      console.error(chalk.red("❌ Error data:"), error.data);
+  // Validate environment variables
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing environment variable: PRIVATE_KEY");
+  }
+
+  // Create wallet from private key
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+  log(chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`));
+
+  // Get user input
+  const answers = await getAnswers(flags, log);
+
+  const requiredEnvVars = [
+    `${answers.chain.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`,
+    `${answers.chain.toUpperCase().replace("-", "_")}_RPC`,
+  ];
+
+  for (const envVar of requiredEnvVars) {
+    if (!process.env[envVar]) {
+      throw new Error(`Missing environment variable: ${envVar}`);
     }
   }
+
+  // Get chain configurations
+  const chainConfig = CHAINS[answers.chain];
+
+  // Keys of other namespaces are written with setValueFor, as owner or writer
+  const namespace = answers.namespace?.trim()
+    ? ethers.getAddress(answers.namespace.trim())
+    : wallet.address;
+
+  log(chalk.blue("\n📝 Transaction Details:"));
+  log(chalk.cyan(`>  Chain: ${chainConfig.name}`));
+  log(chalk.cyan(`>  Namespace: ${namespace}`));
+  log(chalk.cyan(`>  Key: ${answers.key}`));
+  log(chalk.cyan(`>  Value (${answers.codec}): ${answers.value}`));
+
+  const value = encodeValue(answers.value, answers.codec);
+  log(chalk.cyan(`>  Value (bytes): ${ethers.hexlify(value)}`));
+
+  // Confirm transaction
+  if (!(await confirm(flags, answers.mode))) {
+    log("Transaction cancelled");
+    return;
+  }
+
+  const result =
+    answers.mode === "sign"
+      ? await signForRelayer(wallet, chainConfig, answers, value, log)
+      : await sendWrite(wallet, chainConfig, namespace, answers, value, log);
+
+  if (flags.json) {
+    console.log(toJson(result));
+  }
+}
+
+// Compare-and-swap writes that lost the race, before or in the transaction
+function withExitCode(error) {
+  if (error instanceof VersionConflictError || isVersionMismatch(error)) {
+    error.exitCode = EXIT_CODES.CONFLICT;
+  }
+  return error;
 }
 
-main().catch((error) => {
-  console.error(chalk.red("❌ Error:"), error);
-  process.exit(1);
-});
+main()
+  .catch((error) =>
+    reportError(withExitCode(error), {
+      json: process.argv.includes("--json"),
+      print: (error) => {
+        if (error.exitCode === EXIT_CODES.CONFLICT) {
+          console.error(
+            chalk.red("❌ Version conflict:"),
+            error.reason || error.message
+          );
+          return;
+        }
+        console.error(chalk.red("❌ Error:"), error.shortMessage || error);
+        if (error.data) {
+          console.error(chalk.red("❌ Error data:"), error.data);
+        }
+      },
+    })
+  )
+  .finally(() => process.exit());
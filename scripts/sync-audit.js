@@ -0,0 +1,326 @@
+// node scripts/sync-audit.js [--key <key> ...] [--owner <owner>]
+//                            [--lookback <blocks>] [--repair] [--json]
+//
+// Compare keys on every chain of config/chains.js: value, version, and owner
+// with the version of its owner and writer list (ACL version). Pass the keys
+// with --key (repeatable) in the namespace given by --owner, which defaults to
+// the wallet address. Without --key, every key written by a source event in
+// the last --lookback blocks (10000 by default) of any chain is audited,
+// optionally only those of --owner. --owner takes an address or a name of the
+// address book (see lib/address-book.js).
+//
+// With --repair, the source event of each key's latest version (or ACL
+// version) is proven again with the Polymer API and submitted with
+// setValueFromSource to the chains lagging on it, then the keys are audited
+// again. Repairs need PRIVATE_KEY, POLYMER_API_KEY, and the source event
+// within the scanned blocks. Chains at the latest version but with another
+// value or owner are reported as diverged, proofs cannot repair them.
+//
+// Usage:
+//   npm run sync:audit
+//   npm run sync:audit -- --key fee-bps --key paused --owner treasury
+//   npm run sync:audit -- --lookback 50000 --repair
+//   npm run sync:audit -- --json > audit.json
+//
+// Exit codes: 0 when every key is in sync, 4 when some are still out of sync,
+// 5 when some chains could not be read or scanned, 3 when a key passed with
+// --key is not set on any chain, 2 for invalid flags and 1 for any other
+// error.
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const { CHAINS } = require("../config/chains");
+const { StateSyncClient } = require("../lib/state-sync-client");
+const { PolymerProofClient } = require("../lib/polymer-proof-client");
+const {
+  DEFAULT_SCAN_OPTIONS,
+  AUDIT_STATUS,
+  REPAIR_STATUS,
+  scanSourceEvents,
+  discoverKeys,
+  auditKeys,
+  repairKeys,
+} = require("../lib/sync-audit");
+const {
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+} = require("../lib/address-book");
+const { describeValue } = require("../lib/codecs");
+const { EXIT_CODES, UsageError, toJson, reportError } = require("../lib/cli");
+
+const STATUS_COLORS = {
+  [AUDIT_STATUS.IN_SYNC]: chalk.green,
+  [AUDIT_STATUS.OUT_OF_SYNC]: chalk.red,
+  [AUDIT_STATUS.LAGGING]: chalk.red,
+  [AUDIT_STATUS.DIVERGED]: chalk.red,
+  [AUDIT_STATUS.UNREACHABLE]: chalk.yellow,
+  [AUDIT_STATUS.NOT_FOUND]: chalk.yellow,
+  [REPAIR_STATUS.REPAIRED]: chalk.green,
+  [REPAIR_STATUS.ALREADY_APPLIED]: chalk.green,
+  [REPAIR_STATUS.SKIPPED]: chalk.yellow,
+  [REPAIR_STATUS.FAILED]: chalk.red,
+};
+
+function parseFlags() {
+  let flags;
+  try {
+    flags = parseArgs({
+      options: {
+        key: { type: "string", multiple: true },
+        owner: { type: "string" },
+        lookback: {
+          type: "string",
+          default: String(DEFAULT_SCAN_OPTIONS.lookbackBlocks),
+        },
+        repair: { type: "boolean", default: false },
+        "address-book": { type: "string" },
+        json: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (!/^\d+$/.test(flags.lookback) || Number(flags.lookback) === 0) {
+    throw new UsageError("--lookback must be a positive number of blocks");
+  }
+  if (flags.key?.some((key) => !key.trim())) {
+    throw new UsageError("--key cannot be empty");
+  }
+  return flags;
+}
+
+function getWallet() {
+  if (!process.env.PRIVATE_KEY) {
+    return null;
+  }
+  return new ethers.Wallet(process.env.PRIVATE_KEY);
+}
+
+// Namespace of the keys: --owner, or the wallet for keys passed with --key
+function getNamespace(flags, book, wallet) {
+  if (flags.owner !== undefined) {
+    try {
+      return resolveAddress(flags.owner.trim(), book);
+    } catch (error) {
+      throw new UsageError(`--owner: ${error.message}`);
+    }
+  }
+  if (!flags.key) {
+    return null;
+  }
+  if (!wallet) {
+    throw new UsageError("Pass --owner, or set PRIVATE_KEY to audit your keys");
+  }
+  return wallet.address;
+}
+
+// Request a proof from Polymer and wait until it is generated
+function createProofFetcher(log) {
+  const polymer = new PolymerProofClient();
+  return async (logId) => {
+    const { chainId, blockNumber, txIndex, localLogIndex } = logId;
+    const logLabel = `${chainId}/${blockNumber}/${txIndex}/${localLogIndex}`;
+    log(
+      chalk.yellow(`\n📤 Requesting proof for log ${chalk.bold(logLabel)}...`)
+    );
+    const proof = await polymer.fetchProof(logId, {
+      onRequested: (jobId) => log(chalk.cyan(`>  Job ID: ${jobId}`)),
+    });
+    log(chalk.green(`✅ Proof received (${proof.size} bytes)`));
+    return proof.hex;
+  };
+}
+
+function formatOwner(owner, book) {
+  if (owner === ethers.ZeroAddress) {
+    return "-";
+  }
+  return lookupName(owner, book) || `${owner.slice(0, 6)}…${owner.slice(-4)}`;
+}
+
+function formatEntryValue(entry) {
+  if (entry.owner === ethers.ZeroAddress) {
+    return "-";
+  }
+  if (entry.deleted) {
+    return "(deleted)";
+  }
+  const value = describeValue(entry.value);
+  return value.length > 24 ? `${value.slice(0, 23)}…` : value;
+}
+
+function printReport(report, book) {
+  const color = STATUS_COLORS[report.status];
+  const name = lookupName(report.namespace, book);
+  console.log(
+    `\n${chalk.bold(report.key)}  ${color(report.status)} ${chalk.gray(
+      `(version ${report.version}, ACL version ${report.aclVersion})`
+    )}`
+  );
+  console.log(
+    chalk.cyan(`>  Namespace: ${report.namespace}${name ? ` (${name})` : ""}`)
+  );
+
+  const rows = report.chains.map((chain) => [
+    CHAINS[chain.chain].name,
+    chain.error ? "-" : String(chain.version),
+    chain.error ? "-" : String(chain.aclVersion),
+    chain.error ? "-" : formatOwner(chain.owner, book),
+    chain.error ? chain.error : formatEntryValue(chain),
+    chain.behind
+      ? `${chain.status} (${chain.behind.join(", ")})`
+      : chain.status,
+  ]);
+  const header = ["Chain", "Version", "ACL", "Owner", "Value", "Status"];
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((row) => row[i].length))
+  );
+  // Every column padded but the last, the status, which is colored
+  const line = (cells) =>
+    cells
+      .slice(0, -1)
+      .map((cell, i) => `${cell.padEnd(widths[i])}  `)
+      .join("");
+
+  console.log(chalk.gray(`  ${line(header)}Status`));
+  report.chains.forEach((chain, i) => {
+    console.log(`  ${line(rows[i])}${STATUS_COLORS[chain.status](rows[i][5])}`);
+  });
+}
+
+function printRepair(repair, log) {
+  const color = STATUS_COLORS[repair.status];
+  const target = `${repair.key} (${repair.kind} version ${repair.version}) → ${
+    CHAINS[repair.chain].name
+  }`;
+  log(`${color(`🔧 ${repair.status}:`)} ${target}`);
+  if (repair.txHash) {
+    log(chalk.cyan(`>  Transaction: ${repair.txHash}`));
+  }
+  if (repair.error) {
+    log(chalk.cyan(">  Reason: ") + color(repair.error));
+  }
+}
+
+function getExitCode(reports, scanErrors) {
+  const statuses = reports.map((report) => report.status);
+  if (statuses.includes(AUDIT_STATUS.OUT_OF_SYNC)) {
+    return EXIT_CODES.OUT_OF_SYNC;
+  }
+  if (statuses.includes(AUDIT_STATUS.UNREACHABLE) || scanErrors.length > 0) {
+    return EXIT_CODES.UNREACHABLE;
+  }
+  if (statuses.includes(AUDIT_STATUS.NOT_FOUND)) {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  return EXIT_CODES.OK;
+}
+
+async function main() {
+  const flags = parseFlags();
+  // Progress goes to stderr when stdout carries the JSON report
+  const log = flags.json ? console.error : console.log;
+
+  const book = loadAddressBook(flags["address-book"]);
+  const wallet = getWallet();
+  if (flags.repair && !wallet) {
+    throw new UsageError("--repair needs PRIVATE_KEY to submit proofs");
+  }
+  const namespace = getNamespace(flags, book, wallet);
+  const client = new StateSyncClient({ chains: CHAINS, signer: wallet });
+  const lookbackBlocks = Number(flags.lookback);
+
+  // Source events are needed to discover keys and to repair them
+  const scan = !flags.key || flags.repair;
+  let events = [];
+  let scanErrors = [];
+  if (scan) {
+    log(
+      chalk.yellow(
+        `\n🔍 Scanning the last ${lookbackBlocks} blocks of every chain...`
+      )
+    );
+    ({ events, errors: scanErrors } = await scanSourceEvents(client, {
+      lookbackBlocks,
+    }));
+    for (const { chain, error } of scanErrors) {
+      log(chalk.red(`❌ Could not scan ${CHAINS[chain].name}: ${error}`));
+    }
+  }
+
+  const keys = flags.key
+    ? flags.key.map((key) => ({ namespace, key }))
+    : discoverKeys(events).filter(
+        (key) => !namespace || key.namespace === namespace
+      );
+  if (keys.length === 0) {
+    log(chalk.yellow(`No keys written in the last ${lookbackBlocks} blocks`));
+  }
+
+  log(chalk.yellow(`\n🔄 Auditing ${keys.length} key(s)...`));
+  let reports = await auditKeys(client, keys);
+
+  let repairs = [];
+  const outOfSync = reports.filter(
+    (report) => report.status === AUDIT_STATUS.OUT_OF_SYNC
+  );
+  if (flags.repair && outOfSync.length > 0) {
+    log(chalk.blue(`\n🔧 Repairing ${outOfSync.length} key(s)...`));
+    repairs = await repairKeys(client, outOfSync, events, {
+      fetchProof: createProofFetcher(log),
+      onRepair: (repair) => printRepair(repair, log),
+    });
+
+    log(chalk.yellow("\n🔄 Auditing the keys again..."));
+    reports = await auditKeys(client, keys);
+  }
+
+  process.exitCode = getExitCode(reports, scanErrors);
+
+  if (flags.json) {
+    console.log(
+      toJson({
+        lookbackBlocks: scan ? lookbackBlocks : null,
+        scanErrors,
+        keys: reports.map((report) => ({
+          ...report,
+          namespaceName: lookupName(report.namespace, book),
+          chains: report.chains.map((chain) => ({
+            ...chain,
+            name: CHAINS[chain.chain].name,
+            chainId: CHAINS[chain.chain].chainId,
+          })),
+        })),
+        repairs,
+      })
+    );
+    return;
+  }
+
+  if (reports.length > 0) {
+    console.log(chalk.blue("\n📊 Audit:"));
+  }
+  for (const report of reports) {
+    printReport(report, book);
+  }
+  const inSync = reports.filter(
+    (report) => report.status === AUDIT_STATUS.IN_SYNC
+  ).length;
+  console.log(
+    chalk.blue(`\n${inSync}/${reports.length} key(s) in sync across chains`)
+  );
+}
+
+main()
+  .catch((error) =>
+    reportError(error, {
+      json: process.argv.includes("--json"),
+      print: (error) => console.error(chalk.red("❌ Error:"), error),
+    })
+  )
+  // Providers of unreachable chains keep retrying in the background
+  .finally(() => process.exit());
@@ -16,33 +16,30 @@
  * - BASE_SEPOLIA_RPC
  */
 
-const axios = require("axios");
 const chalk = require("chalk");
 const inquirer = require("inquirer");
 const { ethers } = require("ethers");
 require("dotenv").config();
 
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone/";
+const { PolymerProofClient } = require("../../lib/polymer-proof-client");
 const BASE_CHAIN_ID = 84532; // Base Sepolia
 
+const polymer = new PolymerProofClient();
+
 async function testApiCall(description, requestData) {
   console.log(chalk.yellow(`\n🧪 Testing: ${description}`));
   console.log(chalk.gray("Request:"), JSON.stringify(requestData, null, 2));
 
   try {
-    const response = await axios.post(POLYMER_API_URL, requestData, {
-      headers: {
-        Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-    });
+    const result = await polymer.call(requestData.method, requestData.params);
     console.log(chalk.green("✅ Success:"));
-    console.log(chalk.gray("Response:"), response.data);
-    return response.data;
+    console.log(chalk.gray("Result:"), result);
+    return { result };
   } catch (error) {
-    console.log(chalk.red("❌ Error:"));
-    console.log(chalk.cyan(">  Status:"), error.response?.status);
-    console.log(chalk.cyan(">  Error:"), error.response?.data);
+    console.log(chalk.red(`❌ ${error.name}:`), error.message);
+    console.log(chalk.cyan(">  Status:"), error.status);
+    console.log(chalk.cyan(">  Code:"), error.code);
+    console.log(chalk.cyan(">  Data:"), error.data);
     return null;
   }
 }
@@ -30,9 +30,9 @@
  */
 
 const { ethers } = require("hardhat");
-const axios = require("axios");
 const chalk = require("chalk");
 const { CHAINS } = require("../../config/chains");
+const { PolymerProofClient } = require("../../lib/polymer-proof-client");
 
 // Get chain from environment variable, default to optimism-sepolia if none provided
 const chainArg = process.env.TEST_CHAIN || "optimism-sepolia";
@@ -52,8 +52,6 @@ const SOURCE_CHAIN = {
   rpcEnvKey: chainArg.toUpperCase().replace(/-/g, "_") + "_RPC",
 };
 
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone/";
-
 async function retryWithDelay(fn, retries = 3, delay = 5000) {
   for (let i = 0; i < retries; i++) {
     try {
@@ -62,7 +60,7 @@ async function retryWithDelay(fn, retries = 3, delay = 5000) {
       if (i === retries - 1) throw error;
       console.log(
         chalk.yellow(
-          `\nAPI returned ${error.response?.status}. Retrying in ${
+          `\nAPI returned ${error.status}. Retrying in ${
             delay / 1000
           } seconds... (Attempt ${i + 2}/${retries})`
         )
@@ -147,37 +145,23 @@ async function main() {
 
   // Test Polymer API
   console.log(chalk.yellow("\n📤 Testing Polymer API..."));
+  const polymer = new PolymerProofClient({
+    polling: { intervalMs: 500, maxAttempts: 20 },
+  });
   try {
     const startTime = Date.now();
-    const proofRequest = await retryWithDelay(
-      async () => {
-        return axios.post(
-          POLYMER_API_URL,
-          {
-            jsonrpc: "2.0",
-            id: 1,
-            method: "log_requestProof",
-            params: [
-              SOURCE_CHAIN.id, // srcChainId [uint32]
-              block.number, // srcBlockNumber [uint64]
-              receipt.index, // txIndex [uint32]
-              0, // localLogIndex [uint32]
-            ],
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-              "Content-Type": "application/json",
-              Accept: "application/json",
-            },
-          }
-        );
-      },
+    const jobId = await retryWithDelay(
+      () =>
+        polymer.requestProof({
+          chainId: SOURCE_CHAIN.id, // srcChainId [uint32]
+          blockNumber: block.number, // srcBlockNumber [uint64]
+          txIndex: receipt.index, // txIndex [uint32]
+          localLogIndex: 0, // localLogIndex [uint32]
+        }),
       3,
       2000
     ); // Reduced to 3 retries, 2 second delay
 
-    const jobId = proofRequest.data.result;
     const requestTime = (Date.now() - startTime) / 1000;
     console.log(chalk.green("\n✅ Proof Request Submitted:"));
     console.log("Job ID:", chalk.cyan(jobId));
@@ -185,84 +169,36 @@ async function main() {
 
     // Poll for proof completion
     console.log(chalk.yellow("\n⏳ Waiting for Proof Generation..."));
-    let proofResponse;
-    let attempts = 0;
-    const maxAttempts = 20; // Increased max attempts since we're polling faster
-
-    while (attempts < maxAttempts) {
-      attempts++;
-      console.log(chalk.yellow(`\nPolling Attempt ${attempts}/${maxAttempts}`));
-
-      try {
-        proofResponse = await axios.post(
-          POLYMER_API_URL,
-          {
-            jsonrpc: "2.0",
-            id: 1,
-            method: "log_queryProof",
-            params: [jobId],
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-              "Content-Type": "application/json",
-              Accept: "application/json",
-            },
-          }
-        );
-
-        const result = proofResponse.data.result;
+    const proof = await polymer.waitForProof(jobId, {
+      onStatus: (job, { attempt, maxAttempts }) => {
         const currentTime = (Date.now() - startTime) / 1000;
-        console.log("Status:", chalk.cyan(result.status));
+        console.log(
+          chalk.yellow(`\nPolling Attempt ${attempt}/${maxAttempts}`)
+        );
+        console.log("Status:", chalk.cyan(job.status));
         console.log("Time Elapsed:", chalk.cyan(`${currentTime.toFixed(2)}s`));
+      },
+    });
 
-        if (result.status === "complete" && result.proof) {
-          const totalTime = (Date.now() - startTime) / 1000;
-          const proofHex =
-            "0x" + Buffer.from(result.proof, "base64").toString("hex");
-          const decodedLength = Buffer.from(result.proof, "base64").length;
-
-          console.log(chalk.green("\n✅ Proof Generation Complete!"));
-          console.log("Total Time:", chalk.cyan(`${totalTime.toFixed(2)}s`));
-          console.log("Proof Size:", chalk.cyan(`${decodedLength} bytes`));
-
-          console.log("\nProof (base64):");
-          console.log(chalk.gray(result.proof.slice(0, 100) + "...")); // Show first 100 chars
-
-          console.log("\nProof (hex):");
-          console.log(
-            chalk.gray(
-              "Note: Convert base64 to hex format when passing proof to on-chain functions"
-            )
-          );
-          console.log(chalk.gray(proofHex.slice(0, 100) + "...")); // Show first 100 chars
-          break;
-        } else if (result.status === "error") {
-          console.error(chalk.red("\n❌ Proof Generation Failed:"));
-          console.error(result.error || "Unknown error");
-          process.exit(1);
-        }
+    const totalTime = (Date.now() - startTime) / 1000;
+    console.log(chalk.green("\n✅ Proof Generation Complete!"));
+    console.log("Total Time:", chalk.cyan(`${totalTime.toFixed(2)}s`));
+    console.log("Proof Size:", chalk.cyan(`${proof.size} bytes`));
 
-        // Reduced wait time between polls
-        await new Promise((resolve) => setTimeout(resolve, 500)); // 500ms delay
-      } catch (error) {
-        console.error(chalk.red("\n❌ Polling Error:"));
-        console.error("Status:", error.response?.status);
-        console.error("Data:", error.response?.data);
-        throw error;
-      }
-    }
+    console.log("\nProof (base64):");
+    console.log(chalk.gray(proof.base64.slice(0, 100) + "...")); // Show first 100 chars
 
-    if (attempts >= maxAttempts) {
-      const timeoutTime = (Date.now() - startTime) / 1000;
-      console.error(chalk.red("\n❌ Timeout waiting for proof generation"));
-      console.error("Time Elapsed:", chalk.cyan(`${timeoutTime.toFixed(2)}s`));
-      process.exit(1);
-    }
+    console.log("\nProof (hex):");
+    console.log(
+      chalk.gray(
+        "Note: Convert base64 to hex format when passing proof to on-chain functions"
+      )
+    );
+    console.log(chalk.gray(proof.hex.slice(0, 100) + "...")); // Show first 100 chars
   } catch (error) {
-    console.error(chalk.red("\n❌ API Error:"));
-    console.error("Status:", error.response?.status);
-    console.error("Data:", error.response?.data);
+    console.error(chalk.red(`\n❌ API Error (${error.name}):`));
+    console.error("Status:", error.status);
+    console.error("Data:", error.data);
     throw error;
   }
 }
@@ -24,12 +24,12 @@
  * ```
  */
 
-// Make sure to install axios: npm install axios
-const axios = require("axios");
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { PolymerProofClient } = require("../../lib/polymer-proof-client");
 const hre = require("hardhat");
 const chalk = require("chalk");
+const { getLocalLogIndex } = require("../../lib/logs");
 
 /**
  * Summary of Steps:
@@ -154,13 +154,13 @@ async function main() {
 
   // Create interface for decoding
   const eventInterface = new ethers.Interface([
-    "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+    "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)",
   ]);
 
   console.log(chalk.yellow("Event Structure:"));
   console.log(
     chalk.gray(
-      "ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)"
+      "ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)"
     )
   );
 
@@ -190,6 +190,11 @@ async function main() {
   console.log("4. Nonce:", chalk.cyan(decodedEvent.nonce.toString()));
   console.log("5. Hashed Key:", chalk.cyan(decodedEvent.hashedKey));
   console.log("6. Version:", chalk.cyan(decodedEvent.version.toString()));
+  console.log(
+    "7. Expires At:",
+    chalk.cyan(decodedEvent.expiresAt.toString()),
+    chalk.gray("(unix timestamp, 0: never)")
+  );
 
   console.log(chalk.yellow("\n📝 Summary on Source Chain:"));
   console.log(chalk.gray("----------------------------------------"));
@@ -213,13 +218,8 @@ async function main() {
   const blockNumber = receipt.blockNumber;
   const transactionIndex = receipt.index;
 
-  // Calculate event position
-  const valueSetEventSignature =
-    "ValueSet(address,string,bytes,uint256,bytes32,uint256)";
-  const valueSetTopic = ethers.id(valueSetEventSignature);
-  const localLogIndex = receipt.logs.findIndex(
-    (log) => log.topics[0] === valueSetTopic
-  );
+  // Calculate event position within the receipt
+  const localLogIndex = getLocalLogIndex(receipt, event.index);
 
   console.log(
     chalk.yellow("\n🔄 Polymer Prove API Parameters (transaction identifiers):")
@@ -242,22 +242,14 @@ async function main() {
   console.log(chalk.yellow("\n📤 Requesting Proof from Polymer API..."));
   const startTime = Date.now();
   let proofStartTime = startTime;
-  let proofEndTime = null;
-
-  const proofRequest = await axios.post(
-    "https://proof.testnet.polymer.zone",
-    {
-      jsonrpc: "2.0",
-      id: 1,
-      method: "log_requestProof",
-      params: [sourceChainId, blockNumber, transactionIndex, localLogIndex],
-    },
-    {
-      headers: { Authorization: `Bearer ${process.env.POLYMER_API_KEY}` },
-    }
-  );
 
-  const jobId = proofRequest.data.result;
+  const polymer = new PolymerProofClient();
+  const jobId = await polymer.requestProof({
+    chainId: sourceChainId,
+    blockNumber,
+    txIndex: transactionIndex,
+    localLogIndex,
+  });
   const requestTime = (Date.now() - startTime) / 1000;
   console.log(chalk.green("\n✅ Proof Request Submitted:"));
   console.log("Job ID:", chalk.cyan(jobId));
@@ -265,260 +257,212 @@ async function main() {
 
   // Poll for proof completion
   console.log(chalk.yellow("\n⏳ Waiting for Proof Generation..."));
-  let proofResponse;
-  let attempts = 0;
-  const maxAttempts = 10;
-
-  while (!proofResponse?.data?.result?.proof && attempts < maxAttempts) {
-    attempts++;
-    const currentTime = Date.now();
-    const elapsedTime = (currentTime - startTime) / 1000;
-
-    console.log(chalk.yellow(`\nAttempt ${attempts}/${maxAttempts}`));
-    console.log("Time Elapsed:", chalk.cyan(`${elapsedTime.toFixed(2)}s`));
-
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    proofResponse = await axios.post(
-      "https://proof.testnet.polymer.zone",
-      {
-        jsonrpc: "2.0",
-        id: 1,
-        method: "log_queryProof",
-        params: [jobId],
-      },
-      {
-        headers: { Authorization: `Bearer ${process.env.POLYMER_API_KEY}` },
+  const proof = await polymer.waitForProof(jobId, {
+    onStatus: (job, { attempt, maxAttempts }) => {
+      const currentTime = Date.now();
+      const elapsedTime = (currentTime - startTime) / 1000;
+
+      console.log(chalk.yellow(`\nAttempt ${attempt}/${maxAttempts}`));
+      console.log("Time Elapsed:", chalk.cyan(`${elapsedTime.toFixed(2)}s`));
+      console.log("Status:", chalk.cyan(job.status));
+
+      // Track when proof generation actually starts
+      if (job.status === "generating" && proofStartTime === startTime) {
+        proofStartTime = currentTime;
+        console.log(chalk.cyan("\n🔄 Proof generation started..."));
       }
+    },
+  });
+
+  const proofEndTime = Date.now();
+  const totalTime = (proofEndTime - startTime) / 1000;
+  const queueTime = (proofStartTime - startTime) / 1000;
+  const generationTime = (proofEndTime - proofStartTime) / 1000;
+
+  const proofHex = proof.hex;
+
+  console.log(chalk.green(`\n✅ Proof Generation Complete!`));
+  console.log("Request Time:", chalk.cyan(`${requestTime.toFixed(2)}s`));
+  if (queueTime > 0 && proofStartTime !== startTime) {
+    console.log("Queue Time:", chalk.cyan(`${queueTime.toFixed(2)}s`));
+  }
+  console.log("Generation Time:", chalk.cyan(`${generationTime.toFixed(2)}s`));
+  // console.log('Total Time:', chalk.cyan(`${totalTime.toFixed(2)}s`));
+  console.log(
+    "Proof Size:",
+    chalk.cyan(`${proof.size.toLocaleString()} bytes`)
+  );
+
+  console.log(chalk.yellow("\n🔍 Validating Proof on Base Sepolia..."));
+  const validationStartTime = Date.now();
+
+  const baseProvider = new ethers.JsonRpcProvider(process.env.BASE_SEPOLIA_RPC);
+  const proverAddress =
+    process.env.POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS;
+  if (!proverAddress) {
+    throw new Error("Polymer prover contract address not found in .env");
+  }
+
+  const polymerProver = new ethers.Contract(
+    proverAddress,
+    ["function validateEvent(bytes) view returns (uint32,address,bytes,bytes)"],
+    baseProvider
+  );
+
+  try {
+    // Start timing the validation
+    const validationStartTime = Date.now();
+
+    // Validate the proof
+    const validationResult = await polymerProver.validateEvent(proofHex);
+
+    // Calculate validation time
+    const validationTime = (Date.now() - validationStartTime) / 1000;
+
+    console.log(chalk.green("\n✅ Proof Validation Successful!"));
+    console.log(
+      "Validation Time:",
+      chalk.cyan(`${validationTime.toFixed(2)}s`)
     );
 
-    // Track when proof generation actually starts
-    if (
-      proofResponse.data.result.status === "generating" &&
-      proofStartTime === startTime
-    ) {
-      proofStartTime = currentTime;
-      console.log(chalk.cyan("\n🔄 Proof generation started..."));
-    }
+    // Start timing the decoding process
+    const decodingStartTime = Date.now();
+
+    // Define the event interface for decoding
+    const eventInterface = new ethers.Interface([
+      "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)",
+    ]);
+
+    // Decode the event data
+    console.log(
+      chalk.yellow("\n📋 Decoded Params returned by the Prover Contract:")
+    );
+    console.log(chalk.gray("----------------------------------------"));
+
+    const [chainId, emittingContract, topics, unindexedData] = validationResult;
 
-    if (proofResponse.data.result.proof) {
-      proofEndTime = Date.now();
-      const totalTime = (proofEndTime - startTime) / 1000;
-      const queueTime = (proofStartTime - startTime) / 1000;
-      const generationTime = (proofEndTime - proofStartTime) / 1000;
+    console.log(
+      "Chain ID:",
+      chalk.cyan(chainId.toString()),
+      chalk.gray("(Optimism Sepolia)")
+    );
+    console.log(
+      "Emitting Contract:",
+      chalk.cyan(emittingContract),
+      chalk.gray("(Original source contract)")
+    );
+    console.log("\nRaw Topics Hex:", chalk.gray("(Concatenated event topics)"));
+    console.log(chalk.cyan(topics));
+    console.log(
+      "\nRaw Unindexed Data:",
+      chalk.gray("(ABI-encoded non-indexed parameters)")
+    );
+    console.log(chalk.cyan(unindexedData));
 
-      const proof = proofResponse.data.result.proof;
-      const proofBytes = Buffer.from(proof, "base64");
-      const proofHex = `0x${proofBytes.toString("hex")}`;
+    try {
+      // Split the topics string into individual topics (each 32 bytes/64 chars + '0x')
+      console.log(chalk.yellow("\n🔍 Split Topics Analysis:"));
+      console.log(chalk.gray("Each topic is 32 bytes (64 characters) long\n"));
 
-      console.log(chalk.green(`\n✅ Proof Generation Complete!`));
-      console.log("Request Time:", chalk.cyan(`${requestTime.toFixed(2)}s`));
-      if (queueTime > 0 && proofStartTime !== startTime) {
-        console.log("Queue Time:", chalk.cyan(`${queueTime.toFixed(2)}s`));
+      const topicsArray = [];
+      const rawTopics = topics.slice(2);
+      for (let i = 0; i < rawTopics.length; i += 64) {
+        topicsArray.push("0x" + rawTopics.slice(i, i + 64));
       }
+
+      console.log("Topic[0]:", chalk.cyan(topicsArray[0]));
       console.log(
-        "Generation Time:",
-        chalk.cyan(`${generationTime.toFixed(2)}s`)
+        chalk.gray(
+          '↳ Event signature: keccak256("ValueSet(address,string,bytes,uint256,bytes32,uint256,uint256)")'
+        )
       );
-      // console.log('Total Time:', chalk.cyan(`${totalTime.toFixed(2)}s`));
+
+      console.log("\nTopic[1]:", chalk.cyan(topicsArray[1]));
+      console.log(chalk.gray("↳ Indexed sender address (padded to 32 bytes)"));
+
+      console.log("\nTopic[2]:", chalk.cyan(topicsArray[2]));
       console.log(
-        "Proof Size:",
-        chalk.cyan(`${proofBytes.length.toLocaleString()} bytes`)
+        chalk.gray("↳ Indexed hashedKey (bytes32 hash of the key parameter)")
       );
 
-      console.log(chalk.yellow("\n🔍 Validating Proof on Base Sepolia..."));
-      const validationStartTime = Date.now();
+      // Decoding event data
+      console.log(chalk.yellow("\n📦 Decoded Event Data:"));
+      console.log(chalk.gray("----------------------------------------"));
+      const decodedData = eventInterface.decodeEventLog(
+        "ValueSet",
+        unindexedData,
+        topicsArray
+      );
 
-      const baseProvider = new ethers.JsonRpcProvider(
-        process.env.BASE_SEPOLIA_RPC
+      console.log("1. Sender:", chalk.cyan(decodedData[0]));
+      console.log(chalk.gray("   ↳ Address that initiated the state update"));
+
+      console.log("\n2. Key:", chalk.cyan(decodedData[1]));
+      console.log(chalk.gray("   ↳ String identifier for the stored value"));
+
+      console.log(
+        "\n3. Value:",
+        chalk.cyan(ethers.toUtf8String(decodedData[2]))
       );
-      const proverAddress =
-        process.env.POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS;
-      if (!proverAddress) {
-        throw new Error("Polymer prover contract address not found in .env");
-      }
+      console.log(chalk.gray("   ↳ UTF8 decoded content of the stored bytes"));
 
-      const polymerProver = new ethers.Contract(
-        proverAddress,
-        [
-          "function validateEvent(bytes) view returns (uint32,address,bytes,bytes)",
-        ],
-        baseProvider
+      console.log(
+        "\n4. Nonce:",
+        chalk.cyan(decodedData[3].toString()),
+        chalk.gray("(7n means BigNumber 7)")
       );
+      console.log(chalk.gray("   ↳ Sequential counter for this key"));
 
-      try {
-        // Start timing the validation
-        const validationStartTime = Date.now();
-
-        // Validate the proof
-        const validationResult = await polymerProver.validateEvent(proofHex);
-
-        // Calculate validation time
-        const validationTime = (Date.now() - validationStartTime) / 1000;
-
-        console.log(chalk.green("\n✅ Proof Validation Successful!"));
-        console.log(
-          "Validation Time:",
-          chalk.cyan(`${validationTime.toFixed(2)}s`)
-        );
-
-        // Start timing the decoding process
-        const decodingStartTime = Date.now();
-
-        // Define the event interface for decoding
-        const eventInterface = new ethers.Interface([
-          "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
-        ]);
-
-        // Decode the event data
-        console.log(
-          chalk.yellow("\n📋 Decoded Params returned by the Prover Contract:")
-        );
-        console.log(chalk.gray("----------------------------------------"));
-
-        const [chainId, emittingContract, topics, unindexedData] =
-          validationResult;
-
-        console.log(
-          "Chain ID:",
-          chalk.cyan(chainId.toString()),
-          chalk.gray("(Optimism Sepolia)")
-        );
-        console.log(
-          "Emitting Contract:",
-          chalk.cyan(emittingContract),
-          chalk.gray("(Original source contract)")
-        );
-        console.log(
-          "\nRaw Topics Hex:",
-          chalk.gray("(Concatenated event topics)")
-        );
-        console.log(chalk.cyan(topics));
-        console.log(
-          "\nRaw Unindexed Data:",
-          chalk.gray("(ABI-encoded non-indexed parameters)")
-        );
-        console.log(chalk.cyan(unindexedData));
-
-        try {
-          // Split the topics string into individual topics (each 32 bytes/64 chars + '0x')
-          console.log(chalk.yellow("\n🔍 Split Topics Analysis:"));
-          console.log(
-            chalk.gray("Each topic is 32 bytes (64 characters) long\n")
-          );
-
-          const topicsArray = [];
-          const rawTopics = topics.slice(2);
-          for (let i = 0; i < rawTopics.length; i += 64) {
-            topicsArray.push("0x" + rawTopics.slice(i, i + 64));
-          }
-
-          console.log("Topic[0]:", chalk.cyan(topicsArray[0]));
-          console.log(
-            chalk.gray(
-              '↳ Event signature: keccak256("ValueSet(address,string,bytes,uint256,bytes32,uint256)")'
-            )
-          );
-
-          console.log("\nTopic[1]:", chalk.cyan(topicsArray[1]));
-          console.log(
-            chalk.gray("↳ Indexed sender address (padded to 32 bytes)")
-          );
-
-          console.log("\nTopic[2]:", chalk.cyan(topicsArray[2]));
-          console.log(
-            chalk.gray(
-              "↳ Indexed hashedKey (bytes32 hash of the key parameter)"
-            )
-          );
-
-          // Decoding event data
-          console.log(chalk.yellow("\n📦 Decoded Event Data:"));
-          console.log(chalk.gray("----------------------------------------"));
-          const decodedData = eventInterface.decodeEventLog(
-            "ValueSet",
-            unindexedData,
-            topicsArray
-          );
-
-          console.log("1. Sender:", chalk.cyan(decodedData[0]));
-          console.log(
-            chalk.gray("   ↳ Address that initiated the state update")
-          );
-
-          console.log("\n2. Key:", chalk.cyan(decodedData[1]));
-          console.log(
-            chalk.gray("   ↳ String identifier for the stored value")
-          );
-
-          console.log(
-            "\n3. Value:",
-            chalk.cyan(ethers.toUtf8String(decodedData[2]))
-          );
-          console.log(
-            chalk.gray("   ↳ UTF8 decoded content of the stored bytes")
-          );
-
-          console.log(
-            "\n4. Nonce:",
-            chalk.cyan(decodedData[3].toString()),
-            chalk.gray("(7n means BigNumber 7)")
-          );
-          console.log(chalk.gray("   ↳ Sequential counter for this key"));
-
-          console.log("\n5. HashedKey:", chalk.cyan(decodedData[4]));
-          console.log(
-            chalk.gray("   ↳ Keccak256 hash of the key for indexed searching")
-          );
-
-          console.log(
-            "\n6. Version:",
-            chalk.cyan(decodedData[5].toString()),
-            chalk.gray("(1n means BigNumber 1)")
-          );
-          console.log(chalk.gray("   ↳ Protocol version number"));
-
-          // Extract values for summary
-          const decodedValue = ethers.toUtf8String(decodedData.value);
-
-          console.log(
-            chalk.yellow("\n📊 Event Summary Proven on Destination Chain")
-          );
-          console.log(chalk.gray("----------------------------------------"));
-          console.log(
-            `A state update was made by ${chalk.cyan(decodedData.sender)}`
-          );
-          console.log(
-            `Key "${chalk.cyan(decodedData.key)}" was set to "${chalk.cyan(
-              decodedValue
-            )}"`
-          );
-          console.log(
-            `This was update number ${chalk.cyan(
-              decodedData.nonce.toString()
-            )} for version ${chalk.cyan(decodedData.version.toString())}`
-          );
-          console.log(
-            `Emitted on chain ${chalk.cyan(chainId)} from contract ${chalk.cyan(
-              emittingContract
-            )}`
-          );
-        } catch (decodeError) {
-          console.error("Error decoding event data:", decodeError);
-          console.log("Raw unindexedData:", unindexedData);
-        }
-      } catch (validationError) {
-        console.log(chalk.red("\n❌ Proof Validation Failed:"));
-        console.error("Error:", validationError.message);
-        throw validationError;
-      }
-    } else {
-      console.log("Status:", chalk.cyan(proofResponse.data.result.status));
-    }
-  }
+      console.log("\n5. HashedKey:", chalk.cyan(decodedData[4]));
+      console.log(
+        chalk.gray("   ↳ Keccak256 hash of the key for indexed searching")
+      );
 
-  if (!proofResponse?.data?.result?.proof) {
-    throw new Error("Failed to get proof after maximum attempts");
+      console.log(
+        "\n6. Version:",
+        chalk.cyan(decodedData[5].toString()),
+        chalk.gray("(1n means BigNumber 1)")
+      );
+      console.log(chalk.gray("   ↳ Protocol version number"));
+
+      console.log("\n7. Expires At:", chalk.cyan(decodedData[6].toString()));
+      console.log(
+        chalk.gray("   ↳ Unix timestamp the value expires at (0: never)")
+      );
+
+      // Extract values for summary
+      const decodedValue = ethers.toUtf8String(decodedData.value);
+
+      console.log(
+        chalk.yellow("\n📊 Event Summary Proven on Destination Chain")
+      );
+      console.log(chalk.gray("----------------------------------------"));
+      console.log(
+        `A state update was made by ${chalk.cyan(decodedData.sender)}`
+      );
+      console.log(
+        `Key "${chalk.cyan(decodedData.key)}" was set to "${chalk.cyan(
+          decodedValue
+        )}"`
+      );
+      console.log(
+        `This was update number ${chalk.cyan(
+          decodedData.nonce.toString()
+        )} for version ${chalk.cyan(decodedData.version.toString())}`
+      );
+      console.log(
+        `Emitted on chain ${chalk.cyan(chainId)} from contract ${chalk.cyan(
+          emittingContract
+        )}`
+      );
+    } catch (decodeError) {
+      console.error("Error decoding event data:", decodeError);
+      console.log("Raw unindexedData:", unindexedData);
+    }
+  } catch (validationError) {
+    console.log(chalk.red("\n❌ Proof Validation Failed:"));
+    console.error("Error:", validationError.message);
+    throw validationError;
   }
 }
 
@@ -13,13 +13,12 @@
  */
 
 const { ethers } = require("hardhat");
-const axios = require("axios");
 const chalk = require("chalk");
 const inquirer = require("inquirer");
 require("dotenv").config();
+const { PolymerProofClient } = require("../../lib/polymer-proof-client");
 
 // Configuration
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone/";
 const PROVER_ADDRESS = process.env.POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS;
 
 // ABI for the new functions
@@ -60,67 +59,17 @@ async function main() {
 
     // Poll for proof
     console.log(chalk.yellow("\n⏳ Polling for proof..."));
-    let proof;
-    let attempts = 0;
-    const maxAttempts = 20;
-
-    while (attempts < maxAttempts) {
-      attempts++;
-      try {
-        const response = await axios.post(
-          POLYMER_API_URL,
-          {
-            jsonrpc: "2.0",
-            id: 1,
-            method: "log_queryProof",
-            params: [JOB_ID],
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-              "Content-Type": "application/json",
-            },
-          }
-        );
-
-        console.log(`\nAttempt ${attempts}/${maxAttempts}`);
-        console.log("Response:", response.data); // Debug the full response
-
-        if (!response.data || !response.data.result) {
-          console.log(chalk.yellow("No result in response"));
-          continue;
-        }
-
-        const result = response.data.result;
-        console.log("Status:", chalk.cyan(result.status));
-
-        if (result.status === "complete" && result.proof) {
-          proof = "0x" + Buffer.from(result.proof, "base64").toString("hex");
-          console.log(chalk.green("\n✅ Proof received!"));
-          console.log(
-            "Size:",
-            chalk.cyan(`${Math.floor(proof.length / 2)} bytes`)
-          );
-          break;
-        } else if (result.status === "error") {
-          throw new Error(
-            `Proof generation failed: ${result.error || "Unknown error"}`
-          );
-        }
-      } catch (error) {
-        console.error(chalk.red(`❌ Error in attempt ${attempts}:`));
-        if (error.response) {
-          console.error("API Error:", error.response.data);
-        } else {
-          console.error(error.message);
-        }
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
-    }
-
-    if (!proof) {
-      throw new Error("Failed to get proof after maximum attempts");
-    }
+    const polymer = new PolymerProofClient({
+      polling: { intervalMs: 1000, maxAttempts: 20 },
+    });
+    const { hex: proof, size } = await polymer.waitForProof(JOB_ID, {
+      onStatus: (job, { attempt, maxAttempts }) => {
+        console.log(`\nAttempt ${attempt}/${maxAttempts}`);
+        console.log("Status:", chalk.cyan(job.status));
+      },
+    });
+    console.log(chalk.green("\n✅ Proof received!"));
+    console.log("Size:", chalk.cyan(`${size} bytes`));
 
     // Inspect Log Identifier
     console.log(chalk.yellow("\n📋 Inspecting Log Identifier"));
@@ -140,11 +89,7 @@ async function main() {
     console.log("Signature:", chalk.cyan(state[2]));
   } catch (error) {
     console.error(chalk.red("\n❌ Error:"));
-    if (error.response) {
-      console.error("API Error:", error.response.data);
-    } else {
-      console.error(error.message);
-    }
+    console.error(error.message);
     process.exit(1);
   }
 }
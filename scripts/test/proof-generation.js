@@ -6,36 +6,15 @@
  * Usage: npm run test:proof
  */
 
-const axios = require("axios");
 const chalk = require("chalk");
 const inquirer = require("inquirer");
 const { ethers } = require("ethers");
 require("dotenv").config();
 const { CHAINS } = require("../../config/chains");
-
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone/";
-
-async function testApiCall(description, requestData) {
-  console.log(chalk.yellow(`\n🧪 Testing: ${description}`));
-  console.log(chalk.gray("Request:"), JSON.stringify(requestData, null, 2));
-
-  try {
-    const response = await axios.post(POLYMER_API_URL, requestData, {
-      headers: {
-        Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-    });
-    console.log(chalk.green("✅ Success:"));
-    console.log(chalk.gray("Response:"), response.data);
-    return response.data;
-  } catch (error) {
-    console.log(chalk.red("❌ Error:"));
-    console.log(chalk.cyan(">  Status:"), error.response?.status);
-    console.log(chalk.cyan(">  Error:"), error.response?.data);
-    return null;
-  }
-}
+const {
+  PolymerProofClient,
+  ProofJobFailedError,
+} = require("../../lib/polymer-proof-client");
 
 async function findBlockWithReceipts(provider, startBlock) {
   console.log(chalk.yellow("\n🔍 Searching for a block with receipts..."));
@@ -140,86 +119,48 @@ async function main() {
   );
 
   // Request proof with validated indices
+  const polymer = new PolymerProofClient({
+    polling: { intervalMs: 1000, maxAttempts: Infinity, timeoutMs: 60 * 1000 },
+  });
+  const startTime = Date.now();
   try {
-    const response = await testApiCall("Proof with Confirmations", {
-      jsonrpc: "2.0",
-      id: 1,
-      method: "log_requestProof",
-      params: [chainId, blockNumber, txIndex, logIndex],
+    console.log(chalk.yellow("\n🧪 Testing: Proof with Confirmations"));
+    const jobId = await polymer.requestProof({
+      chainId,
+      blockNumber,
+      txIndex,
+      localLogIndex: logIndex,
     });
+    console.log(chalk.yellow("\n🔍 Got job ID:", jobId));
 
-    const jobId = response?.result;
-    if (jobId) {
-      console.log(chalk.yellow("\n🔍 Got job ID:", jobId));
-
-      // Poll for result
-      console.log(chalk.yellow("\n🔍 Polling proof status for 1 minute..."));
-      const startTime = Date.now();
-      const timeoutMs = 60 * 1000; // 1 minute timeout
-
-      // First poll after 2 seconds
-      console.log(chalk.gray("\n>  Waiting initial 2 seconds..."));
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      while (Date.now() - startTime < timeoutMs) {
-        console.log(chalk.gray("\n>  Checking status..."));
-        const statusResponse = await testApiCall(
-          `Query Proof Status for Job ${jobId}`,
-          {
-            jsonrpc: "2.0",
-            id: 1,
-            method: "log_queryProof",
-            params: [jobId],
-          }
-        );
-
-        if (statusResponse?.result?.status === "error") {
-          console.log(chalk.red("\n❌ Proof Generation Failed:"));
-          console.log(
-            chalk.cyan(">  Reason:"),
-            statusResponse.result.failureReason
-          );
-          const duration = (Date.now() - startTime) / 1000;
-          console.log(
-            chalk.cyan(">  Time to Error:"),
-            `${duration.toFixed(2)} seconds`
-          );
-          break;
-        }
-
-        if (statusResponse?.result?.status === "complete") {
-          console.log(chalk.green("\n✅ Proof Generation Successful!"));
-          console.log(
-            chalk.cyan(">  Block Number:"),
-            statusResponse.result.blockNumber
-          );
-          console.log(
-            chalk.cyan(">  Chain ID:"),
-            statusResponse.result.chainId
-          );
-          console.log(
-            chalk.cyan(">  Receipt Index:"),
-            statusResponse.result.receiptIndex
-          );
-          console.log(
-            chalk.cyan(">  Log Index:"),
-            statusResponse.result.logIndex
-          );
-          const duration = (Date.now() - startTime) / 1000;
-          console.log(
-            chalk.cyan(">  Time to Complete:"),
-            `${duration.toFixed(2)} seconds`
-          );
-          break;
-        }
+    // Poll for result
+    console.log(chalk.yellow("\n🔍 Polling proof status for 1 minute..."));
+    const proof = await polymer.waitForProof(jobId, {
+      onStatus: (job) => console.log(chalk.gray(`>  Status: ${job.status}`)),
+    });
 
-        // Wait 1 second before next check
-        console.log(chalk.gray(">  Waiting 1 second..."));
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
-    }
+    console.log(chalk.green("\n✅ Proof Generation Successful!"));
+    console.log(chalk.cyan(">  Block Number:"), proof.metadata.blockNumber);
+    console.log(chalk.cyan(">  Chain ID:"), proof.metadata.chainId);
+    console.log(chalk.cyan(">  Receipt Index:"), proof.metadata.receiptIndex);
+    console.log(chalk.cyan(">  Log Index:"), proof.metadata.logIndex);
+    const duration = (Date.now() - startTime) / 1000;
+    console.log(
+      chalk.cyan(">  Time to Complete:"),
+      `${duration.toFixed(2)} seconds`
+    );
   } catch (error) {
-    console.log(chalk.red("\n❌ Test failed"));
+    if (error instanceof ProofJobFailedError) {
+      console.log(chalk.red("\n❌ Proof Generation Failed:"));
+      console.log(chalk.cyan(">  Reason:"), error.failureReason);
+      const duration = (Date.now() - startTime) / 1000;
+      console.log(
+        chalk.cyan(">  Time to Error:"),
+        `${duration.toFixed(2)} seconds`
+      );
+      return;
+    }
+    console.log(chalk.red(`\n❌ Test failed (${error.name}):`), error.message);
   }
 }
 
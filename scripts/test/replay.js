@@ -15,6 +15,12 @@
  * TX_HASH=0x123456789...012 npm run test:replay -- --network optimismSepolia
  * ```
  *
+ * If the transaction emitted several ValueSet events, pick one with its global
+ * log index (defaults to the first ValueSet emitted by our contract):
+ * ```bash
+ * TX_HASH=0x123456789...012 LOG_INDEX=7 npm run test:replay -- --network optimismSepolia
+ * ```
+ *
  * Expected Outcome:
  * - If replay protection works: Shows "Test Passed!" with "Proof already used" message
  * - If something's wrong: Shows unexpected error details
@@ -26,14 +32,16 @@
  * - POLYMER_API_KEY: API key for Polymer proof service
  * - PRIVATE_KEY: Wallet private key for submitting transactions
  * - TX_HASH: Transaction hash to test
+ * - OPTIMISM_SEPOLIA_CONTRACT_ADDRESS: Source contract address
+ * - LOG_INDEX (optional): Global log index of the ValueSet event to replay
  */
 
-const axios = require("axios");
 const { ethers } = require("hardhat");
 require("dotenv").config();
 const chalk = require("chalk");
+const { findValueSetLogs } = require("../../lib/logs");
 
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone";
+const { PolymerProofClient } = require("../../lib/polymer-proof-client");
 
 async function main() {
   // Get transaction hash from environment variable
@@ -55,78 +63,60 @@ async function main() {
     throw new Error("Transaction not found");
   }
 
-  // Find ValueSet event
-  const valueSetEventSignature =
-    "ValueSet(address,string,bytes,uint256,bytes32,uint256)";
-  const valueSetTopic = ethers.id(valueSetEventSignature);
-  const localLogIndex = receipt.logs.findIndex(
-    (log) => log.topics[0] === valueSetTopic
+  // Find the ValueSet events emitted by our contract
+  const valueSetLogs = findValueSetLogs(
+    receipt,
+    process.env.OPTIMISM_SEPOLIA_CONTRACT_ADDRESS
   );
 
-  if (localLogIndex === -1) {
+  if (valueSetLogs.length === 0) {
     throw new Error("ValueSet event not found in transaction");
   }
 
+  const selected = process.env.LOG_INDEX
+    ? valueSetLogs.find(
+        ({ log }) => log.index === Number(process.env.LOG_INDEX)
+      )
+    : valueSetLogs[0];
+
+  if (!selected) {
+    throw new Error(
+      `No ValueSet event with log index ${process.env.LOG_INDEX} in transaction`
+    );
+  }
+
+  if (valueSetLogs.length > 1) {
+    console.log(
+      chalk.yellow(
+        `>  Transaction contains ${valueSetLogs.length} ValueSet events, using log index ${selected.log.index}`
+      )
+    );
+  }
+
+  const { localLogIndex } = selected;
+
   console.log(chalk.yellow("\n📤 Requesting Proof from Polymer..."));
   console.log(chalk.cyan(">  Block Number:"), receipt.blockNumber);
   console.log(chalk.cyan(">  Transaction Index:"), receipt.index);
   console.log(chalk.cyan(">  Log Index:"), localLogIndex);
 
-  // Request proof
-  const proofRequest = await axios.post(
-    POLYMER_API_URL,
+  const polymer = new PolymerProofClient({ polling: { intervalMs: 500 } });
+  const proof = await polymer.fetchProof(
     {
-      jsonrpc: "2.0",
-      id: 1,
-      method: "log_requestProof",
-      params: [
-        11155420, // Optimism Sepolia Chain ID
-        receipt.blockNumber,
-        receipt.index,
-        localLogIndex,
-      ],
+      chainId: 11155420, // Optimism Sepolia Chain ID
+      blockNumber: receipt.blockNumber,
+      txIndex: receipt.index,
+      localLogIndex,
     },
     {
-      headers: { Authorization: `Bearer ${process.env.POLYMER_API_KEY}` },
+      onRequested: (jobId) => console.log(chalk.cyan(">  Job ID:"), jobId),
+      onStatus: (job, { attempt, maxAttempts }) =>
+        console.log(
+          chalk.cyan(`>  Attempt ${attempt}/${maxAttempts}:`),
+          job.status
+        ),
     }
   );
-
-  const jobId = proofRequest.data.result;
-  console.log(chalk.cyan(">  Job ID:"), jobId);
-
-  // Poll for proof
-  let proofResponse;
-  let attempts = 0;
-  const maxAttempts = 10;
-
-  while (!proofResponse?.data?.result?.proof && attempts < maxAttempts) {
-    attempts++;
-    await new Promise((resolve) => setTimeout(resolve, 500));
-
-    proofResponse = await axios.post(
-      POLYMER_API_URL,
-      {
-        jsonrpc: "2.0",
-        id: 1,
-        method: "log_queryProof",
-        params: [jobId],
-      },
-      {
-        headers: { Authorization: `Bearer ${process.env.POLYMER_API_KEY}` },
-      }
-    );
-
-    console.log(
-      chalk.cyan(`>  Attempt ${attempts}/${maxAttempts}:`),
-      proofResponse.data.result.status
-    );
-  }
-
-  if (!proofResponse?.data?.result?.proof) {
-    throw new Error("Failed to get proof after maximum attempts");
-  }
-
-  const proof = proofResponse.data.result.proof;
   console.log(chalk.green("\n✅ Proof Generated!"));
 
   // Submit to destination chain
@@ -142,7 +132,7 @@ async function main() {
     wallet
   );
 
-  const proofBytes = `0x${Buffer.from(proof, "base64").toString("hex")}`;
+  const proofBytes = proof.hex;
 
   // Estimate gas
   const estimatedGas = await destinationContract.setValueFromSource.estimateGas(
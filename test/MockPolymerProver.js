@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  deployMockProver,
+  findLog,
+  encodeProof,
+  buildProof,
+} = require("./helpers/polymer-proof");
+
+// Chain ID the source deployment pretends to live on
+const SOURCE_CHAIN_ID = 11155420;
+
+describe("MockPolymerProver", function () {
+  let prover;
+  let source;
+  let destination;
+  let sender;
+  let log;
+
+  beforeEach(async function () {
+    [sender] = await ethers.getSigners();
+    prover = await deployMockProver();
+
+    const StateSync = await ethers.getContractFactory("StateSync");
+    source = await StateSync.deploy(await prover.getAddress());
+    destination = await StateSync.deploy(await prover.getAddress());
+    await destination.setPeer(SOURCE_CHAIN_ID, await source.getAddress());
+
+    const receipt = await (
+      await source.setValue("greeting", ethers.toUtf8Bytes("hello"))
+    ).wait();
+    log = findLog(receipt, source, "ValueSet");
+  });
+
+  it("returns the fields of the proven log", async function () {
+    const proof = await buildProof(log, { chainId: SOURCE_CHAIN_ID });
+    const [chainId, emitter, topics, data] = await prover.validateEvent(proof);
+
+    expect(chainId).to.equal(SOURCE_CHAIN_ID);
+    expect(emitter).to.equal(await source.getAddress());
+    expect(topics).to.equal(ethers.concat(log.topics));
+    expect(data).to.equal(log.data);
+  });
+
+  it("rejects proofs signed by another key", async function () {
+    const proof = await buildProof(log, {
+      chainId: SOURCE_CHAIN_ID,
+      signer: ethers.Wallet.createRandom(),
+    });
+
+    await expect(prover.validateEvent(proof)).to.be.revertedWith(
+      "Invalid proof"
+    );
+  });
+
+  it("rejects proofs whose fields were altered after signing", async function () {
+    const signed = await buildProof(log, { chainId: SOURCE_CHAIN_ID });
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const [chainId, emitter, topics, , signature] = coder.decode(
+      ["uint32", "address", "bytes", "bytes", "bytes"],
+      signed
+    );
+    const tampered = coder.encode(
+      ["uint32", "address", "bytes", "bytes", "bytes"],
+      [chainId, emitter, topics, "0x", signature]
+    );
+
+    await expect(prover.validateEvent(tampered)).to.be.revertedWith(
+      "Invalid proof"
+    );
+  });
+
+  it("delivers a ValueSet event through setValueFromSource", async function () {
+    const proof = await buildProof(log, { chainId: SOURCE_CHAIN_ID });
+    const hashedKey = ethers.keccak256(
+      ethers.solidityPacked(["address", "string"], [sender.address, "greeting"])
+    );
+
+    await expect(destination.setValueFromSource(proof))
+      .to.emit(destination, "ValueUpdated")
+      .withArgs(hashedKey, ethers.hexlify(ethers.toUtf8Bytes("hello")), 1);
+    expect(
+      ethers.toUtf8String(
+        await destination.getValue(sender.address, "greeting")
+      )
+    ).to.equal("hello");
+  });
+
+  it("leaves the peer check to StateSync", async function () {
+    const proof = await encodeProof({
+      chainId: SOURCE_CHAIN_ID,
+      emitter: ethers.Wallet.createRandom().address,
+      topics: ethers.concat(log.topics),
+      data: log.data,
+    });
+
+    await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+      "Untrusted source contract"
+    );
+  });
+});
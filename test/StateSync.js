@@ -0,0 +1,1254 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const {
+  deployMockProver,
+  findLog,
+  encodeProof,
+  buildProof,
+} = require("./helpers/polymer-proof");
+const { signSetValue } = require("../lib/signed-writes");
+
+// Chain ID the source deployment pretends to live on
+const SOURCE_CHAIN_ID = 11155420;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function hashKey(namespace, key) {
+  return ethers.keccak256(
+    ethers.solidityPacked(["address", "string"], [namespace, key])
+  );
+}
+
+function utf8(value) {
+  return ethers.hexlify(ethers.toUtf8Bytes(value));
+}
+
+// A source and a destination deployment on the in-process network, the
+// destination trusting the source as SOURCE_CHAIN_ID
+async function deployFixture() {
+  const [deployer, alice, bob, carol] = await ethers.getSigners();
+  const prover = await deployMockProver();
+
+  const StateSync = await ethers.getContractFactory("StateSync");
+  const source = await StateSync.deploy(await prover.getAddress());
+  const destination = await StateSync.deploy(await prover.getAddress());
+  await destination.setPeer(SOURCE_CHAIN_ID, await source.getAddress());
+
+  return { deployer, alice, bob, carol, prover, source, destination };
+}
+
+// Run a transaction on the source and prove the first `eventName` log it
+// emitted
+async function proveTx(source, txPromise, eventName) {
+  const receipt = await (await txPromise).wait();
+  return buildProof(findLog(receipt, source, eventName), {
+    chainId: SOURCE_CHAIN_ID,
+  });
+}
+
+describe("StateSync", function () {
+  describe("deployment", function () {
+    it("sets the prover and the deployer as owner", async function () {
+      const { deployer, prover, source } = await loadFixture(deployFixture);
+
+      expect(await source.polymerProver()).to.equal(await prover.getAddress());
+      expect(await source.owner()).to.equal(deployer.address);
+    });
+
+    it("emits OwnershipTransferred from the zero address", async function () {
+      const { deployer, prover } = await loadFixture(deployFixture);
+      const StateSync = await ethers.getContractFactory("StateSync");
+      const contract = await StateSync.deploy(await prover.getAddress());
+
+      await expect(contract.deploymentTransaction())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(ethers.ZeroAddress, deployer.address);
+    });
+  });
+
+  describe("ownership and peers", function () {
+    it("transfers ownership", async function () {
+      const { deployer, alice, source } = await loadFixture(deployFixture);
+
+      await expect(source.transferOwnership(alice.address))
+        .to.emit(source, "OwnershipTransferred")
+        .withArgs(deployer.address, alice.address);
+      expect(await source.owner()).to.equal(alice.address);
+    });
+
+    it("rejects ownership transfers to the zero address", async function () {
+      const { source } = await loadFixture(deployFixture);
+
+      await expect(
+        source.transferOwnership(ethers.ZeroAddress)
+      ).to.be.revertedWith("New owner is the zero address");
+    });
+
+    it("only lets the owner manage ownership and peers", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+
+      await expect(asAlice.transferOwnership(alice.address)).to.be.revertedWith(
+        "Caller is not the owner"
+      );
+      await expect(asAlice.setPeer(1, alice.address)).to.be.revertedWith(
+        "Caller is not the owner"
+      );
+      await expect(asAlice.removePeer(1)).to.be.revertedWith(
+        "Caller is not the owner"
+      );
+    });
+
+    it("sets and removes peers", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+
+      await expect(source.setPeer(1, alice.address))
+        .to.emit(source, "PeerSet")
+        .withArgs(1, alice.address);
+      expect(await source.peers(1)).to.equal(alice.address);
+
+      await expect(source.removePeer(1))
+        .to.emit(source, "PeerRemoved")
+        .withArgs(1, alice.address);
+      expect(await source.peers(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("rejects zero address peers", async function () {
+      const { source } = await loadFixture(deployFixture);
+
+      await expect(source.setPeer(1, ethers.ZeroAddress)).to.be.revertedWith(
+        "Peer is the zero address"
+      );
+    });
+
+    it("rejects removing a peer that is not set", async function () {
+      const { source } = await loadFixture(deployFixture);
+
+      await expect(source.removePeer(1)).to.be.revertedWith("Peer not set");
+    });
+  });
+
+  describe("setValue", function () {
+    it("stores the value and makes the caller the key owner", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const hashedKey = hashKey(alice.address, "greeting");
+
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+
+      expect(await source.getValue(alice.address, "greeting")).to.equal(
+        utf8("hello")
+      );
+      expect(await source.getKeyOwner(hashedKey)).to.equal(alice.address);
+      expect(await source.getKeyVersion(alice.address, "greeting")).to.equal(1);
+    });
+
+    it("reads values by hashed key", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const hashedKey = hashKey(alice.address, "greeting");
+
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+
+      expect(await source.getValueByHash(hashedKey)).to.equal(utf8("hello"));
+      expect(await source.isDeletedByHash(hashedKey)).to.equal(false);
+    });
+
+    it("emits OnlyTopics, ValueSet and OnlyData", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const hashedKey = hashKey(alice.address, "greeting");
+
+      await expect(source.connect(alice).setValue("greeting", utf8("hello")))
+        .to.emit(source, "OnlyTopics")
+        .withArgs(alice.address, hashedKey, 1)
+        .and.to.emit(source, "ValueSet")
+        .withArgs(alice.address, "greeting", utf8("hello"), 0, hashedKey, 1, 0)
+        .and.to.emit(source, "OnlyData")
+        .withArgs("greeting", utf8("hello"), 0, "State updated successfully");
+    });
+
+    it("increments the key version and the namespace nonce", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "greeting");
+
+      await asAlice.setValue("greeting", utf8("hello"));
+      await asAlice.setValue("other", utf8("value"));
+      await expect(asAlice.setValue("greeting", utf8("hi")))
+        .to.emit(source, "ValueSet")
+        .withArgs(alice.address, "greeting", utf8("hi"), 2, hashedKey, 2, 0);
+
+      expect(await source.getKeyVersionByHash(hashedKey)).to.equal(2);
+      expect(await source.getNonce(alice.address)).to.equal(3);
+    });
+
+    it("keeps the same key of different senders apart", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+
+      await source.connect(alice).setValue("greeting", utf8("alice"));
+      await source.connect(bob).setValue("greeting", utf8("bob"));
+
+      expect(await source.getValue(alice.address, "greeting")).to.equal(
+        utf8("alice")
+      );
+      expect(await source.getValue(bob.address, "greeting")).to.equal(
+        utf8("bob")
+      );
+    });
+
+    it("rejects writes by accounts that are neither owner nor writer", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+
+      await expect(
+        source.connect(bob).setValueFor(alice.address, "greeting", utf8("hi"))
+      ).to.be.revertedWith("Not authorized to update this key");
+    });
+
+    it("rejects creating keys in another namespace", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+
+      await expect(
+        source.connect(bob).setValueFor(alice.address, "new", utf8("hi"))
+      ).to.be.revertedWith("Not authorized to update this key");
+    });
+  });
+
+  describe("setValues", function () {
+    it("writes every entry and emits a single ValuesSet", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("b", utf8("old"));
+      const keys = ["a", "b"];
+      const batchHash = ethers.keccak256(
+        coder.encode(["address", "string[]"], [alice.address, keys])
+      );
+
+      await expect(asAlice.setValues(keys, [utf8("1"), utf8("2")]))
+        .to.emit(source, "ValuesSet")
+        .withArgs(
+          alice.address,
+          keys,
+          [utf8("1"), utf8("2")],
+          1,
+          batchHash,
+          [1, 2]
+        )
+        .and.not.to.emit(source, "ValueSet");
+
+      expect(await source.getValue(alice.address, "a")).to.equal(utf8("1"));
+      expect(await source.getValue(alice.address, "b")).to.equal(utf8("2"));
+      expect(await source.getNonce(alice.address)).to.equal(2);
+    });
+
+    it("writes keys of another namespace as a writer", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("a", utf8("1"));
+      await source.connect(alice).addKeyWriter(alice.address, "a", bob.address);
+
+      await source.connect(bob).setValuesFor(alice.address, ["a"], [utf8("2")]);
+
+      expect(await source.getValue(alice.address, "a")).to.equal(utf8("2"));
+    });
+
+    it("reverts the whole batch if one key is not writable", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("a", utf8("1"));
+
+      await expect(
+        source
+          .connect(bob)
+          .setValuesFor(alice.address, ["a", "b"], [utf8("2"), utf8("3")])
+      ).to.be.revertedWith("Not authorized to update this key");
+    });
+
+    it("rejects mismatched, empty and oversized batches", async function () {
+      const { source } = await loadFixture(deployFixture);
+      const maxBatchSize = Number(await source.MAX_BATCH_SIZE());
+      const keys = Array.from({ length: maxBatchSize + 1 }, (_, i) => `k${i}`);
+
+      await expect(source.setValues(["a"], [])).to.be.revertedWith(
+        "Keys and values length mismatch"
+      );
+      await expect(source.setValues([], [])).to.be.revertedWith("Empty batch");
+      await expect(
+        source.setValues(
+          keys,
+          keys.map(() => "0x01")
+        )
+      ).to.be.revertedWith("Batch too large");
+    });
+  });
+
+  describe("deleteValue", function () {
+    it("clears the value, bumps the version and emits ValueDeleted", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "greeting");
+      await asAlice.setValue("greeting", utf8("hello"));
+
+      await expect(asAlice.deleteValue("greeting"))
+        .to.emit(source, "ValueDeleted")
+        .withArgs(alice.address, "greeting", 1, hashedKey, 2);
+
+      expect(await source.getValue(alice.address, "greeting")).to.equal("0x");
+      expect(await source.isDeleted(alice.address, "greeting")).to.equal(true);
+      expect(await source.isDeletedByHash(hashedKey)).to.equal(true);
+      expect(await source.getKeyOwner(hashedKey)).to.equal(alice.address);
+    });
+
+    it("revives a deleted key on the next write", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("greeting", utf8("hello"));
+      await asAlice.deleteValue("greeting");
+
+      await asAlice.setValue("greeting", utf8("again"));
+
+      expect(await source.isDeleted(alice.address, "greeting")).to.equal(false);
+      expect(await source.getKeyVersion(alice.address, "greeting")).to.equal(3);
+    });
+
+    it("lets writers delete keys of another namespace", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+      await source
+        .connect(alice)
+        .addKeyWriter(alice.address, "greeting", bob.address);
+
+      await source.connect(bob).deleteValueFor(alice.address, "greeting");
+
+      expect(await source.isDeleted(alice.address, "greeting")).to.equal(true);
+    });
+
+    it("rejects deleting keys that do not exist", async function () {
+      const { source } = await loadFixture(deployFixture);
+
+      await expect(source.deleteValue("missing")).to.be.revertedWith(
+        "Key does not exist"
+      );
+    });
+
+    it("rejects deletions by accounts that are neither owner nor writer", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+
+      await expect(
+        source.connect(bob).deleteValueFor(alice.address, "greeting")
+      ).to.be.revertedWith("Not authorized to update this key");
+    });
+
+    it("rejects deleting a key twice", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("greeting", utf8("hello"));
+      await asAlice.deleteValue("greeting");
+
+      await expect(asAlice.deleteValue("greeting")).to.be.revertedWith(
+        "Key already deleted"
+      );
+    });
+  });
+
+  describe("key owners and writers", function () {
+    async function withKeyFixture() {
+      const fixture = await deployFixture();
+      const { alice, source } = fixture;
+      await source.connect(alice).setValue("greeting", utf8("hello"));
+      return { ...fixture, hashedKey: hashKey(alice.address, "greeting") };
+    }
+
+    it("transfers key ownership and emits KeyAclUpdated", async function () {
+      const { alice, bob, source, hashedKey } = await loadFixture(
+        withKeyFixture
+      );
+      const asAlice = source.connect(alice);
+
+      await expect(
+        asAlice.transferKeyOwnership(alice.address, "greeting", bob.address)
+      )
+        .to.emit(source, "KeyAclUpdated")
+        .withArgs(alice.address, "greeting", bob.address, [], 1, hashedKey, 1);
+
+      expect(await source.getKeyOwner(hashedKey)).to.equal(bob.address);
+      await expect(
+        asAlice.setValue("greeting", utf8("mine"))
+      ).to.be.revertedWith("Not authorized to update this key");
+      await source
+        .connect(bob)
+        .setValueFor(alice.address, "greeting", utf8("bob's now"));
+    });
+
+    it("rejects ownership transfers to the zero address", async function () {
+      const { alice, source } = await loadFixture(withKeyFixture);
+
+      await expect(
+        source
+          .connect(alice)
+          .transferKeyOwnership(alice.address, "greeting", ethers.ZeroAddress)
+      ).to.be.revertedWith("New owner is the zero address");
+    });
+
+    it("only lets the key owner manage the key", async function () {
+      const { alice, bob, source } = await loadFixture(withKeyFixture);
+      const asBob = source.connect(bob);
+
+      await expect(
+        asBob.transferKeyOwnership(alice.address, "greeting", bob.address)
+      ).to.be.revertedWith("Caller is not the key owner");
+      await expect(
+        asBob.addKeyWriter(alice.address, "greeting", bob.address)
+      ).to.be.revertedWith("Caller is not the key owner");
+      await expect(
+        asBob.removeKeyWriter(alice.address, "greeting", bob.address)
+      ).to.be.revertedWith("Caller is not the key owner");
+    });
+
+    it("adds and removes writers", async function () {
+      const { alice, bob, carol, source, hashedKey } = await loadFixture(
+        withKeyFixture
+      );
+      const asAlice = source.connect(alice);
+
+      await asAlice.addKeyWriter(alice.address, "greeting", bob.address);
+      await expect(
+        asAlice.addKeyWriter(alice.address, "greeting", carol.address)
+      )
+        .to.emit(source, "KeyAclUpdated")
+        .withArgs(
+          alice.address,
+          "greeting",
+          alice.address,
+          [bob.address, carol.address],
+          2,
+          hashedKey,
+          2
+        );
+      expect(await source.canWrite(hashedKey, bob.address)).to.equal(true);
+      await source
+        .connect(bob)
+        .setValueFor(alice.address, "greeting", utf8("from bob"));
+
+      await asAlice.removeKeyWriter(alice.address, "greeting", bob.address);
+
+      expect(await source.getKeyWriters(hashedKey)).to.deep.equal([
+        carol.address,
+      ]);
+      expect(await source.canWrite(hashedKey, bob.address)).to.equal(false);
+      expect(await source.getKeyAclVersion(hashedKey)).to.equal(3);
+      await expect(
+        source.connect(bob).setValueFor(alice.address, "greeting", utf8("no"))
+      ).to.be.revertedWith("Not authorized to update this key");
+    });
+
+    it("rejects zero address, duplicate and unknown writers", async function () {
+      const { alice, bob, source } = await loadFixture(withKeyFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.addKeyWriter(alice.address, "greeting", bob.address);
+
+      await expect(
+        asAlice.addKeyWriter(alice.address, "greeting", ethers.ZeroAddress)
+      ).to.be.revertedWith("Writer is the zero address");
+      await expect(
+        asAlice.addKeyWriter(alice.address, "greeting", bob.address)
+      ).to.be.revertedWith("Already a writer");
+      await expect(
+        asAlice.removeKeyWriter(alice.address, "greeting", alice.address)
+      ).to.be.revertedWith("Not a writer");
+    });
+
+    it("caps the number of writers", async function () {
+      const { alice, source } = await loadFixture(withKeyFixture);
+      const asAlice = source.connect(alice);
+      const maxWriters = Number(await source.MAX_KEY_WRITERS());
+
+      for (let i = 0; i < maxWriters; i++) {
+        await asAlice.addKeyWriter(
+          alice.address,
+          "greeting",
+          ethers.Wallet.createRandom().address
+        );
+      }
+
+      await expect(
+        asAlice.addKeyWriter(
+          alice.address,
+          "greeting",
+          ethers.Wallet.createRandom().address
+        )
+      ).to.be.revertedWith("Too many writers");
+    });
+  });
+
+  describe("setValueWithSig", function () {
+    async function sign(source, signer, overrides = {}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      return signSetValue(signer, {
+        chainId: Number(chainId),
+        contractAddress: await source.getAddress(),
+        key: "greeting",
+        value: utf8("signed"),
+        nonce: await source.getNonce(signer.address),
+        deadline: timestamp + 3600,
+        ...overrides,
+      });
+    }
+
+    function submit(source, write, signature = write.signature) {
+      return source.setValueWithSig(
+        write.owner,
+        write.key,
+        write.value,
+        write.deadline,
+        signature
+      );
+    }
+
+    it("writes on behalf of the signer", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      const write = await sign(source, alice);
+
+      await expect(submit(source.connect(bob), write))
+        .to.emit(source, "ValueSet")
+        .withArgs(
+          alice.address,
+          "greeting",
+          utf8("signed"),
+          0,
+          hashKey(alice.address, "greeting"),
+          1,
+          0
+        );
+      expect(
+        await source.getKeyOwner(hashKey(alice.address, "greeting"))
+      ).to.equal(alice.address);
+    });
+
+    it("rejects replayed signatures", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const write = await sign(source, alice);
+      await submit(source, write);
+
+      await expect(submit(source, write)).to.be.revertedWith(
+        "Invalid signature"
+      );
+    });
+
+    it("rejects expired signatures", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const write = await sign(source, alice, { deadline: 1 });
+
+      await expect(submit(source, write)).to.be.revertedWith(
+        "Signature expired"
+      );
+    });
+
+    it("rejects signatures by another account", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      const write = await sign(source, bob);
+
+      await expect(
+        submit(source, { ...write, owner: alice.address })
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects malformed and malleable signatures", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const write = await sign(source, alice);
+      const { r, s, v } = ethers.Signature.from(write.signature);
+      const flippedS = ethers.N - BigInt(s);
+
+      await expect(submit(source, write, "0x1234")).to.be.revertedWith(
+        "Invalid signature length"
+      );
+      await expect(
+        submit(
+          source,
+          write,
+          ethers.concat([
+            r,
+            ethers.toBeHex(flippedS, 32),
+            v === 27 ? "0x1c" : "0x1b",
+          ])
+        )
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        submit(source, write, ethers.concat([r, s, "0x00"]))
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("exposes the EIP-712 domain separator", async function () {
+      const { source } = await loadFixture(deployFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(await source.DOMAIN_SEPARATOR()).to.equal(
+        ethers.TypedDataEncoder.hashDomain({
+          name: "StateSync",
+          version: "1",
+          chainId,
+          verifyingContract: await source.getAddress(),
+        })
+      );
+    });
+  });
+
+  describe("setValueFromSource", function () {
+    it("applies a ValueSet from the trusted peer", async function () {
+      const { alice, source, destination } = await loadFixture(deployFixture);
+      const hashedKey = hashKey(alice.address, "greeting");
+      const proof = await proveTx(
+        source,
+        source.connect(alice).setValue("greeting", utf8("hello")),
+        "ValueSet"
+      );
+
+      await expect(destination.setValueFromSource(proof))
+        .to.emit(destination, "ValueUpdated")
+        .withArgs(hashedKey, utf8("hello"), 1);
+
+      expect(await destination.getValue(alice.address, "greeting")).to.equal(
+        utf8("hello")
+      );
+      expect(await destination.getKeyVersionByHash(hashedKey)).to.equal(1);
+      expect(await destination.getKeyOwner(hashedKey)).to.equal(alice.address);
+    });
+
+    it("rejects proofs from chains without a peer", async function () {
+      const { source, destination } = await loadFixture(deployFixture);
+      const receipt = await (await source.setValue("a", "0x01")).wait();
+      const proof = await buildProof(findLog(receipt, source, "ValueSet"), {
+        chainId: 1,
+      });
+
+      await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+        "Unknown source chain"
+      );
+    });
+
+    it("rejects proofs of contracts other than the peer", async function () {
+      const { prover, destination } = await loadFixture(deployFixture);
+      const StateSync = await ethers.getContractFactory("StateSync");
+      const impostor = await StateSync.deploy(await prover.getAddress());
+      const proof = await proveTx(
+        impostor,
+        impostor.setValue("a", "0x01"),
+        "ValueSet"
+      );
+
+      await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+        "Untrusted source contract"
+      );
+    });
+
+    it("rejects proofs with fewer than three topics", async function () {
+      const { source, destination } = await loadFixture(deployFixture);
+      const receipt = await (await source.setValue("a", "0x01")).wait();
+      const log = findLog(receipt, source, "ValueSet");
+      const proof = await encodeProof({
+        chainId: SOURCE_CHAIN_ID,
+        emitter: log.address,
+        topics: ethers.concat(log.topics.slice(0, 2)),
+        data: log.data,
+      });
+
+      await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+        "Invalid topics length"
+      );
+    });
+
+    it("rejects events other than the synced ones", async function () {
+      const { source, destination } = await loadFixture(deployFixture);
+      const proof = await proveTx(
+        source,
+        source.setValue("a", "0x01"),
+        "OnlyTopics"
+      );
+
+      await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+        "Invalid event signature"
+      );
+    });
+
+    it("rejects replayed proofs", async function () {
+      const { source, destination } = await loadFixture(deployFixture);
+      const proof = await proveTx(
+        source,
+        source.setValue("a", "0x01"),
+        "ValueSet"
+      );
+      await destination.setValueFromSource(proof);
+
+      await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+        "hashKey already used"
+      );
+    });
+
+    it("rejects versions older than the current one", async function () {
+      const { deployer, source, destination } = await loadFixture(
+        deployFixture
+      );
+      const first = await proveTx(
+        source,
+        source.setValue("a", "0x01"),
+        "ValueSet"
+      );
+      const second = await proveTx(
+        source,
+        source.setValue("a", "0x02"),
+        "ValueSet"
+      );
+      await destination.setValueFromSource(second);
+
+      await expect(destination.setValueFromSource(first)).to.be.revertedWith(
+        "Version must be newer than current version"
+      );
+      expect(await destination.getValue(deployer.address, "a")).to.equal(
+        "0x02"
+      );
+    });
+
+    it("applies deletions and emits ValueRemoved", async function () {
+      const { alice, source, destination } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "greeting");
+      await destination.setValueFromSource(
+        await proveTx(source, asAlice.setValue("greeting", "0x01"), "ValueSet")
+      );
+      const proof = await proveTx(
+        source,
+        asAlice.deleteValue("greeting"),
+        "ValueDeleted"
+      );
+
+      await expect(destination.setValueFromSource(proof))
+        .to.emit(destination, "ValueRemoved")
+        .withArgs(hashedKey, 2);
+
+      expect(await destination.getValue(alice.address, "greeting")).to.equal(
+        "0x"
+      );
+      expect(await destination.isDeleted(alice.address, "greeting")).to.equal(
+        true
+      );
+    });
+
+    describe("batches", function () {
+      it("applies every entry of a ValuesSet", async function () {
+        const { alice, source, destination } = await loadFixture(deployFixture);
+        const proof = await proveTx(
+          source,
+          source.connect(alice).setValues(["a", "b"], ["0x01", "0x02"]),
+          "ValuesSet"
+        );
+
+        await expect(destination.setValueFromSource(proof))
+          .to.emit(destination, "ValueUpdated")
+          .withArgs(hashKey(alice.address, "a"), "0x01", 1)
+          .and.to.emit(destination, "ValueUpdated")
+          .withArgs(hashKey(alice.address, "b"), "0x02", 1);
+
+        expect(await destination.getValue(alice.address, "b")).to.equal("0x02");
+        expect(
+          await destination.getKeyOwner(hashKey(alice.address, "a"))
+        ).to.equal(alice.address);
+      });
+
+      it("skips entries that are already newer on the destination", async function () {
+        const { alice, source, destination } = await loadFixture(deployFixture);
+        const asAlice = source.connect(alice);
+        const batch = await proveTx(
+          source,
+          asAlice.setValues(["a", "b"], ["0x01", "0x01"]),
+          "ValuesSet"
+        );
+        await destination.setValueFromSource(
+          await proveTx(source, asAlice.setValue("a", "0x02"), "ValueSet")
+        );
+
+        await expect(destination.setValueFromSource(batch))
+          .to.emit(destination, "ValueUpdated")
+          .withArgs(hashKey(alice.address, "b"), "0x01", 1);
+
+        expect(await destination.getValue(alice.address, "a")).to.equal("0x02");
+      });
+
+      it("rejects replayed batches", async function () {
+        const { source, destination } = await loadFixture(deployFixture);
+        const proof = await proveTx(
+          source,
+          source.setValues(["a"], ["0x01"]),
+          "ValuesSet"
+        );
+        await destination.setValueFromSource(proof);
+
+        await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+          "hashKey already used"
+        );
+      });
+
+      it("rejects batches whose arrays do not line up", async function () {
+        const { source, destination } = await loadFixture(deployFixture);
+        const receipt = await (
+          await source.setValues(["a", "b"], ["0x01", "0x02"])
+        ).wait();
+        const log = findLog(receipt, source, "ValuesSet");
+        const proof = await encodeProof({
+          chainId: SOURCE_CHAIN_ID,
+          emitter: log.address,
+          topics: ethers.concat(log.topics),
+          data: coder.encode(
+            ["string[]", "bytes[]", "uint256", "uint256[]"],
+            [["a", "b"], ["0x01", "0x02"], 0, [1]]
+          ),
+        });
+
+        await expect(destination.setValueFromSource(proof)).to.be.revertedWith(
+          "Keys and values length mismatch"
+        );
+      });
+    });
+
+    describe("key owners and writers", function () {
+      it("replaces the owner and writers with a newer list", async function () {
+        const { alice, bob, carol, source, destination } = await loadFixture(
+          deployFixture
+        );
+        const asAlice = source.connect(alice);
+        const hashedKey = hashKey(alice.address, "greeting");
+        await asAlice.setValue("greeting", "0x01");
+        await asAlice.addKeyWriter(alice.address, "greeting", bob.address);
+        await destination.setValueFromSource(
+          await proveTx(
+            source,
+            asAlice.addKeyWriter(alice.address, "greeting", carol.address),
+            "KeyAclUpdated"
+          )
+        );
+        const proof = await proveTx(
+          source,
+          asAlice.transferKeyOwnership(alice.address, "greeting", bob.address),
+          "KeyAclUpdated"
+        );
+
+        await expect(destination.setValueFromSource(proof))
+          .to.emit(destination, "KeyAclSynced")
+          .withArgs(hashedKey, bob.address, [bob.address, carol.address], 3);
+
+        expect(await destination.getKeyOwner(hashedKey)).to.equal(bob.address);
+        expect(await destination.getKeyWriters(hashedKey)).to.deep.equal([
+          bob.address,
+          carol.address,
+        ]);
+        expect(await destination.getKeyAclVersion(hashedKey)).to.equal(3);
+      });
+
+      it("rejects ACL versions older than the current one", async function () {
+        const { alice, bob, source, destination } = await loadFixture(
+          deployFixture
+        );
+        const asAlice = source.connect(alice);
+        await asAlice.setValue("greeting", "0x01");
+        const older = await proveTx(
+          source,
+          asAlice.addKeyWriter(alice.address, "greeting", bob.address),
+          "KeyAclUpdated"
+        );
+        await destination.setValueFromSource(
+          await proveTx(
+            source,
+            asAlice.removeKeyWriter(alice.address, "greeting", bob.address),
+            "KeyAclUpdated"
+          )
+        );
+
+        await expect(destination.setValueFromSource(older)).to.be.revertedWith(
+          "ACL version must be newer than current version"
+        );
+      });
+
+      it("keeps the value version separate from the ACL version", async function () {
+        const { alice, bob, source, destination } = await loadFixture(
+          deployFixture
+        );
+        const asAlice = source.connect(alice);
+        const hashedKey = hashKey(alice.address, "greeting");
+        const write = await proveTx(
+          source,
+          asAlice.setValue("greeting", "0x01"),
+          "ValueSet"
+        );
+        const acl = await proveTx(
+          source,
+          asAlice.addKeyWriter(alice.address, "greeting", bob.address),
+          "KeyAclUpdated"
+        );
+
+        await expect(destination.setValueFromSource(acl))
+          .to.emit(destination, "KeyAclSynced")
+          .withArgs(hashedKey, alice.address, [bob.address], anyValue);
+        await destination.setValueFromSource(write);
+
+        expect(await destination.getKeyVersionByHash(hashedKey)).to.equal(1);
+        expect(await destination.getKeyAclVersion(hashedKey)).to.equal(1);
+      });
+    });
+  });
+
+  describe("key enumeration", function () {
+    // Keys of a getOwnedKeys page as [namespace, key] pairs
+    async function listOwned(contract, account, offset = 0, limit = 100) {
+      const [hashedKeys, namespaces, keys] = await contract.getOwnedKeys(
+        account,
+        offset,
+        limit
+      );
+      keys.forEach((key, i) =>
+        expect(hashedKeys[i]).to.equal(hashKey(namespaces[i], key))
+      );
+      return keys.map((key, i) => [namespaces[i], key]);
+    }
+
+    it("lists the keys an account created, a page at a time", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("a", "0x01");
+      await asAlice.setValues(["b", "c"], ["0x02", "0x03"]);
+      await asAlice.setValue("a", "0x04");
+      await asAlice.deleteValue("b");
+
+      expect(await source.getOwnedKeyCount(alice.address)).to.equal(3);
+      expect(await listOwned(source, alice.address, 0, 2)).to.deep.equal([
+        [alice.address, "a"],
+        [alice.address, "b"],
+      ]);
+      expect(await listOwned(source, alice.address, 2, 2)).to.deep.equal([
+        [alice.address, "c"],
+      ]);
+      expect(await listOwned(source, alice.address, 3, 2)).to.deep.equal([]);
+      expect(
+        await source.getKeyName(hashKey(alice.address, "c"))
+      ).to.deep.equal([alice.address, "c"]);
+    });
+
+    it("moves keys to their new owner on transfer", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValues(["a", "b", "c"], ["0x01", "0x02", "0x03"]);
+
+      await asAlice.transferKeyOwnership(alice.address, "a", bob.address);
+
+      expect(await listOwned(source, alice.address)).to.deep.equal([
+        [alice.address, "c"],
+        [alice.address, "b"],
+      ]);
+      expect(await listOwned(source, bob.address)).to.deep.equal([
+        [alice.address, "a"],
+      ]);
+
+      await source
+        .connect(bob)
+        .transferKeyOwnership(alice.address, "a", alice.address);
+      expect(await source.getOwnedKeyCount(bob.address)).to.equal(0);
+      expect(await listOwned(source, alice.address)).to.deep.equal([
+        [alice.address, "c"],
+        [alice.address, "b"],
+        [alice.address, "a"],
+      ]);
+    });
+
+    it("lists keys synced from other chains", async function () {
+      const { alice, bob, source, destination } = await loadFixture(
+        deployFixture
+      );
+      const asAlice = source.connect(alice);
+      const proofs = [
+        await proveTx(source, asAlice.setValue("a", "0x01"), "ValueSet"),
+        await proveTx(
+          source,
+          asAlice.setValues(["b", "c"], ["0x02", "0x03"]),
+          "ValuesSet"
+        ),
+      ];
+      await asAlice.setValue("d", "0x04");
+      const deletion = await proveTx(
+        source,
+        asAlice.deleteValue("d"),
+        "ValueDeleted"
+      );
+      await asAlice.setValue("e", "0x05");
+      const transfer = await proveTx(
+        source,
+        asAlice.transferKeyOwnership(alice.address, "e", bob.address),
+        "KeyAclUpdated"
+      );
+
+      for (const proof of [...proofs, deletion, transfer]) {
+        await destination.setValueFromSource(proof);
+      }
+
+      expect(await listOwned(destination, alice.address)).to.deep.equal([
+        [alice.address, "a"],
+        [alice.address, "b"],
+        [alice.address, "c"],
+        [alice.address, "d"],
+      ]);
+      expect(await listOwned(destination, bob.address)).to.deep.equal([
+        [alice.address, "e"],
+      ]);
+    });
+  });
+
+  describe("version retention", function () {
+    it("keeps the last versions of a key once retention is set", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("fee", "0x01");
+      await asAlice.setValue("fee", "0x02");
+
+      await expect(asAlice.setKeyRetention(alice.address, "fee", 3))
+        .to.emit(source, "KeyRetentionUpdated")
+        .withArgs(alice.address, "fee", 3, 2, hashKey(alice.address, "fee"), 1);
+      await asAlice.deleteValue("fee");
+      await asAlice.setValues(["fee"], ["0x04"]);
+
+      const atVersion = (version) =>
+        source.getValueAtVersion(alice.address, "fee", version);
+      // Written before retention was set
+      expect(await atVersion(1)).to.deep.equal(["0x", false, false]);
+      expect(await atVersion(2)).to.deep.equal(["0x02", false, true]);
+      expect(await atVersion(3)).to.deep.equal(["0x", true, true]);
+      expect(await atVersion(4)).to.deep.equal(["0x04", false, true]);
+      expect(await atVersion(0)).to.deep.equal(["0x", false, false]);
+      expect(await atVersion(5)).to.deep.equal(["0x", false, false]);
+
+      // Out of the depth once newer versions are written
+      await asAlice.setValue("fee", "0x05");
+      expect(await atVersion(2)).to.deep.equal(["0x", false, false]);
+      expect(
+        await source.getValueAtVersionByHash(hashKey(alice.address, "fee"), 3)
+      ).to.deep.equal(["0x", true, true]);
+    });
+
+    it("only keeps the latest version without retention", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("fee", "0x01");
+      await asAlice.setValue("fee", "0x02");
+
+      expect(
+        await source.getValueAtVersion(alice.address, "fee", 1)
+      ).to.deep.equal(["0x", false, false]);
+      expect(
+        await source.getValueAtVersion(alice.address, "fee", 2)
+      ).to.deep.equal(["0x02", false, true]);
+      expect(
+        await source.getKeyRetention(hashKey(alice.address, "fee"))
+      ).to.equal(0);
+    });
+
+    it("lets only the key owner set retention, up to the maximum depth", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("fee", "0x01");
+      const maxDepth = await source.MAX_RETENTION_DEPTH();
+
+      await expect(
+        source.connect(bob).setKeyRetention(alice.address, "fee", 2)
+      ).to.be.revertedWith("Caller is not the key owner");
+      await expect(
+        source
+          .connect(alice)
+          .setKeyRetention(alice.address, "fee", maxDepth + 1n)
+      ).to.be.revertedWith("Retention depth too large");
+    });
+
+    it("retains versions delivered from other chains", async function () {
+      const { alice, source, destination } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "fee");
+      await asAlice.setValue("fee", "0x01");
+      const older = await proveTx(
+        source,
+        asAlice.setKeyRetention(alice.address, "fee", 2),
+        "KeyRetentionUpdated"
+      );
+      const retention = await proveTx(
+        source,
+        asAlice.setKeyRetention(alice.address, "fee", 5),
+        "KeyRetentionUpdated"
+      );
+      const proofs = [
+        await proveTx(source, asAlice.setValue("fee", "0x02"), "ValueSet"),
+        await proveTx(source, asAlice.deleteValue("fee"), "ValueDeleted"),
+        await proveTx(
+          source,
+          asAlice.setValues(["fee"], ["0x04"]),
+          "ValuesSet"
+        ),
+      ];
+
+      await expect(destination.setValueFromSource(retention))
+        .to.emit(destination, "KeyRetentionSynced")
+        .withArgs(hashedKey, 5, 2);
+      await expect(destination.setValueFromSource(older)).to.be.revertedWith(
+        "Retention version must be newer than current version"
+      );
+      for (const proof of proofs) {
+        await destination.setValueFromSource(proof);
+      }
+
+      expect(await destination.getKeyRetention(hashedKey)).to.equal(5);
+      expect(await destination.getKeyRetentionVersion(hashedKey)).to.equal(2);
+      expect(await destination.getKeyOwner(hashedKey)).to.equal(alice.address);
+      expect(
+        await destination.getValueAtVersionByHash(hashedKey, 2)
+      ).to.deep.equal(["0x02", false, true]);
+      expect(
+        await destination.getValueAtVersionByHash(hashedKey, 3)
+      ).to.deep.equal(["0x", true, true]);
+      expect(
+        await destination.getValueAtVersionByHash(hashedKey, 4)
+      ).to.deep.equal(["0x04", false, true]);
+      // Never delivered to the destination
+      expect(
+        await destination.getValueAtVersionByHash(hashedKey, 1)
+      ).to.deep.equal(["0x", false, false]);
+    });
+  });
+  describe("key expiry", function () {
+    it("reads expiring keys as absent once their expiry has passed", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "session");
+      const expiresAt = (await time.latest()) + 100;
+
+      await expect(asAlice.setExpiringValue("session", "0x01", expiresAt))
+        .to.emit(source, "ValueSet")
+        .withArgs(alice.address, "session", "0x01", 0, hashedKey, 1, expiresAt);
+      expect(await source.getKeyExpiry(hashedKey)).to.equal(expiresAt);
+      expect(await source.getLiveValue(alice.address, "session")).to.deep.equal(
+        ["0x01", true]
+      );
+      expect(await source.isExpired(alice.address, "session")).to.equal(false);
+
+      await time.increaseTo(expiresAt);
+      expect(await source.getLiveValue(alice.address, "session")).to.deep.equal(
+        ["0x", false]
+      );
+      expect(await source.getLiveValueByHash(hashedKey)).to.deep.equal([
+        "0x",
+        false,
+      ]);
+      expect(await source.isExpiredByHash(hashedKey)).to.equal(true);
+      // The stored value and version are kept
+      expect(await source.getValue(alice.address, "session")).to.equal("0x01");
+      expect(await source.getKeyVersionByHash(hashedKey)).to.equal(1);
+    });
+
+    it("clears the expiry when the key is written again", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      await asAlice.setValue("session", "0x00");
+      await asAlice.addKeyWriter(alice.address, "session", bob.address);
+      const hashedKey = hashKey(alice.address, "session");
+      const expiresAt = (await time.latest()) + 100;
+      await source
+        .connect(bob)
+        .setExpiringValueFor(alice.address, "session", "0x01", expiresAt);
+      expect(await source.getKeyExpiry(hashedKey)).to.equal(expiresAt);
+
+      await asAlice.setValue("session", "0x02");
+      await time.increaseTo(expiresAt);
+
+      expect(await source.getKeyExpiry(hashedKey)).to.equal(0);
+      expect(await source.getLiveValue(alice.address, "session")).to.deep.equal(
+        ["0x02", true]
+      );
+      expect(await source.getLiveValue(alice.address, "none")).to.deep.equal([
+        "0x",
+        false,
+      ]);
+    });
+
+    it("rejects expiries that are not in the future", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+
+      await expect(
+        source
+          .connect(alice)
+          .setExpiringValue("session", "0x01", await time.latest())
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("delivers the expiry to other chains, even once it has passed", async function () {
+      const { alice, source, destination } = await loadFixture(deployFixture);
+      const hashedKey = hashKey(alice.address, "session");
+      const expiresAt = (await time.latest()) + 100;
+      const proof = await proveTx(
+        source,
+        source.connect(alice).setExpiringValue("session", "0x01", expiresAt),
+        "ValueSet"
+      );
+      await destination.setValueFromSource(proof);
+
+      expect(await destination.getKeyExpiry(hashedKey)).to.equal(expiresAt);
+      expect(await destination.getLiveValueByHash(hashedKey)).to.deep.equal([
+        "0x01",
+        true,
+      ]);
+
+      const late = await proveTx(
+        source,
+        source.connect(alice).setExpiringValue("session", "0x02", expiresAt),
+        "ValueSet"
+      );
+      await time.increaseTo(expiresAt);
+      await expect(destination.setValueFromSource(late))
+        .to.emit(destination, "ValueUpdated")
+        .withArgs(hashedKey, "0x02", 2);
+      expect(await destination.getLiveValueByHash(hashedKey)).to.deep.equal([
+        "0x",
+        false,
+      ]);
+    });
+  });
+  describe("compare-and-swap writes", function () {
+    it("writes only when the key is at the expected version", async function () {
+      const { alice, source } = await loadFixture(deployFixture);
+      const asAlice = source.connect(alice);
+      const hashedKey = hashKey(alice.address, "config");
+
+      await expect(asAlice.setValueIfVersion("config", "0x01", 0))
+        .to.emit(source, "ValueSet")
+        .withArgs(alice.address, "config", "0x01", 0, hashedKey, 1, 0);
+      await asAlice.setValue("config", "0x02");
+
+      await expect(
+        asAlice.setValueIfVersion("config", "0x03", 1)
+      ).to.be.revertedWith("Key version mismatch");
+      await asAlice.setValueIfVersion("config", "0x03", 2);
+      expect(await source.getValue(alice.address, "config")).to.equal("0x03");
+      expect(await source.getKeyVersionByHash(hashedKey)).to.equal(3);
+    });
+
+    it("checks the version of the namespace written for", async function () {
+      const { alice, bob, source } = await loadFixture(deployFixture);
+      await source.connect(alice).setValue("config", "0x01");
+      await source
+        .connect(alice)
+        .addKeyWriter(alice.address, "config", bob.address);
+      const asBob = source.connect(bob);
+
+      await expect(
+        asBob.setValueForIfVersion(alice.address, "config", "0x02", 0)
+      ).to.be.revertedWith("Key version mismatch");
+      await asBob.setValueForIfVersion(alice.address, "config", "0x02", 1);
+      expect(await source.getValue(alice.address, "config")).to.equal("0x02");
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  loadAddressBook,
+  resolveAddress,
+  lookupName,
+} = require("../lib/address-book");
+
+const TREASURY = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("address book", function () {
+  let dir;
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "address-book-"));
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeBook(name, entries) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(entries));
+    return file;
+  }
+
+  it("resolves names case-insensitively and addresses as they are", function () {
+    const book = loadAddressBook(
+      writeBook("book.json", { "Treasury.ops": TREASURY.toLowerCase() })
+    );
+
+    expect(resolveAddress("treasury.OPS", book)).to.equal(TREASURY);
+    expect(resolveAddress(TREASURY.toLowerCase(), book)).to.equal(TREASURY);
+    expect(lookupName(TREASURY, book)).to.equal("treasury.ops");
+    expect(() => resolveAddress("oracle", book)).to.throw(
+      '"oracle" is neither an address nor a name of the address book'
+    );
+  });
+
+  it("rejects entries that are not addresses", function () {
+    const file = writeBook("invalid.json", { treasury: "0x1234" });
+
+    expect(() => loadAddressBook(file)).to.throw(
+      `Invalid address for "treasury" in ${file}`
+    );
+  });
+
+  it("fails on a missing file it was asked to read", function () {
+    expect(() => loadAddressBook(path.join(dir, "missing.json"))).to.throw(
+      "ENOENT"
+    );
+  });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { Readable } = require("stream");
+
+const {
+  EXIT_CODES,
+  UsageError,
+  readStdin,
+  answersFromFlags,
+  toJson,
+} = require("../lib/cli");
+
+const questions = [
+  {
+    type: "list",
+    name: "mode",
+    choices: [
+      { name: "Send", value: "send" },
+      { name: "Sign", value: "sign" },
+    ],
+  },
+  {
+    type: "input",
+    name: "key",
+    validate: (input) => (input.trim() ? true : "Key cannot be empty"),
+  },
+  {
+    type: "input",
+    name: "validMinutes",
+    default: "60",
+    when: (answers) => answers.mode === "sign",
+  },
+];
+
+describe("cli", function () {
+  describe("answersFromFlags", function () {
+    it("answers the questions that are asked, with their defaults", async function () {
+      expect(
+        await answersFromFlags(questions, { mode: "send", key: "fee-bps" })
+      ).to.deep.equal({ mode: "send", key: "fee-bps" });
+      expect(
+        await answersFromFlags(questions, { mode: "sign", key: "fee-bps" })
+      ).to.deep.equal({ mode: "sign", key: "fee-bps", validMinutes: "60" });
+    });
+
+    it("rejects missing and invalid flags as usage errors", async function () {
+      const missing = await answersFromFlags(questions, { mode: "send" }).catch(
+        (error) => error
+      );
+      expect(missing).to.be.instanceOf(UsageError);
+      expect(missing.message).to.equal("Missing --key");
+      expect(missing.exitCode).to.equal(EXIT_CODES.USAGE);
+
+      await expect(
+        answersFromFlags(questions, { mode: "send", key: " " })
+      ).to.be.rejectedWith("--key: Key cannot be empty");
+      await expect(
+        answersFromFlags(questions, { mode: "burn", key: "fee-bps" })
+      ).to.be.rejectedWith('--mode must be one of: send, sign (got "burn")');
+    });
+  });
+
+  it("reads piped input without its trailing newline", async function () {
+    expect(await readStdin(Readable.from(["line 1\n", "line 2\n"]))).to.equal(
+      "line 1\nline 2"
+    );
+  });
+
+  it("prints bigints as decimal strings", function () {
+    expect(JSON.parse(toJson({ version: 12n, key: "fee-bps" }))).to.deep.equal({
+      version: "12",
+      key: "fee-bps",
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const {
+  getCodec,
+  encodeValue,
+  decodeValue,
+  formatValue,
+  describeValue,
+  codecKey,
+  isCodecKey,
+} = require("../lib/codecs");
+
+// Encode then decode, as a value goes through set and get
+function roundTrip(input, codec) {
+  return decodeValue(ethers.hexlify(encodeValue(input, codec)), codec);
+}
+
+describe("codecs", function () {
+  it("round-trips every codec", function () {
+    expect(roundTrip("héllo", "utf8")).to.equal("héllo");
+    expect(roundTrip("0xff00", "hex")).to.equal("0xff00");
+    expect(roundTrip('{ "max": 10, "tags": ["a"] }', "json")).to.deep.equal({
+      max: 10,
+      tags: ["a"],
+    });
+    expect(roundTrip("-42", "number")).to.equal(-42n);
+  });
+
+  it("stores JSON compactly and numbers as int256", function () {
+    expect(ethers.toUtf8String(encodeValue('{ "max": 10 }', "json"))).to.equal(
+      '{"max":10}'
+    );
+    expect(encodeValue("1", "number")).to.have.length(32);
+  });
+
+  it("ABI-encodes values of any type", function () {
+    const owner = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const codec = "abi:(address owner,uint256[] limits)";
+
+    expect(roundTrip(`["${owner}", [1, "2"]]`, codec)).to.deep.equal([
+      owner,
+      [1n, 2n],
+    ]);
+    // Single values need no JSON quoting
+    expect(roundTrip(owner, "abi:address")).to.equal(owner);
+    expect(ethers.hexlify(encodeValue("7", "abi:uint256"))).to.equal(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [7])
+    );
+  });
+
+  it("reads the bytes of a file", function () {
+    const file = path.join(os.tmpdir(), `codecs-${process.pid}.bin`);
+    fs.writeFileSync(file, Buffer.from([0xde, 0xad, 0xbe, 0xef]));
+    try {
+      expect(ethers.hexlify(encodeValue(file, "file"))).to.equal("0xdeadbeef");
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  it("rejects unknown codecs and invalid input", function () {
+    expect(() => getCodec("base64")).to.throw('Unknown codec "base64"');
+    expect(() => getCodec("abi:uint257")).to.throw(
+      'Invalid ABI type "uint257"'
+    );
+    expect(() => encodeValue("0xf", "hex")).to.throw("Invalid hex value");
+    expect(() => encodeValue("1.5", "number")).to.throw(
+      "Invalid number value: Expected an integer"
+    );
+    expect(() => decodeValue("0xff", "utf8")).to.throw(
+      "Value is not valid utf8"
+    );
+  });
+
+  it("describes values for logs without throwing", function () {
+    expect(describeValue(encodeValue("hello"))).to.equal("hello");
+    expect(describeValue("0xff00")).to.equal("0xff00");
+    expect(describeValue(encodeValue("12", "number"), "number")).to.equal("12");
+    // A wrong codec falls back to guessing
+    expect(describeValue("0xff00", "json")).to.equal("0xff00");
+    expect(formatValue({ version: 3n })).to.equal('{"version":"3"}');
+    expect(codecKey("limits")).to.equal("limits#codec");
+    expect(isCodecKey("limits#codec")).to.equal(true);
+    expect(isCodecKey("limits")).to.equal(false);
+    expect(isCodecKey("#codec.limits")).to.equal(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Offline Polymer proofs for hardhat tests
+ * ========================================
+ *
+ * Builds proofs accepted by contracts/test/MockPolymerProver.sol from logs of
+ * a local transaction, so setValueFromSource can be exercised without the
+ * Polymer API or live RPCs:
+ *
+ *   const prover = await deployMockProver();
+ *   const source = await StateSync.deploy(await prover.getAddress());
+ *   ...
+ *   const receipt = await (await source.setValue("key", "0x01")).wait();
+ *   const log = findLog(receipt, source, "ValueSet");
+ *   await destination.setValueFromSource(await buildProof(log));
+ *
+ * Source and destination live on the same hardhat network, so the source
+ * chain ID written into the proof is picked by the test (it defaults to the
+ * network's chain ID) and must match the peer registered on the destination.
+ */
+
+const { ethers } = require("hardhat");
+
+const mockProver = require("../../lib/mock-prover");
+
+// Fixed test key standing in for Polymer's attestation
+const PROVER_SIGNER = new ethers.Wallet(mockProver.MOCK_PROVER_KEY);
+
+async function deployMockProver(signer = PROVER_SIGNER) {
+  const MockPolymerProver = await ethers.getContractFactory(
+    "MockPolymerProver"
+  );
+  const prover = await MockPolymerProver.deploy(signer.address);
+  await prover.waitForDeployment();
+  return prover;
+}
+
+/**
+ * The first log of `eventName` emitted by `contract` in a receipt
+ * @param {object} receipt - Transaction receipt
+ * @param {ethers.BaseContract} contract - Emitting contract
+ * @param {string} eventName - e.g. "ValueSet"
+ */
+function findLog(receipt, contract, eventName) {
+  const { topicHash } = contract.interface.getEvent(eventName);
+  const address = contract.target.toLowerCase();
+  const log = receipt.logs.find(
+    (log) =>
+      log.address.toLowerCase() === address && log.topics[0] === topicHash
+  );
+
+  if (!log) {
+    throw new Error(`No ${eventName} log in transaction ${receipt.hash}`);
+  }
+  return log;
+}
+
+/**
+ * Encode and sign a proof of arbitrary fields, e.g. to test tampered logs
+ * @param {object} fields
+ * @param {number|bigint} fields.chainId - Source chain ID
+ * @param {string} fields.emitter - Address that emitted the log
+ * @param {string} fields.topics - Concatenated topics
+ * @param {string} fields.data - Unindexed log data
+ * @param {ethers.Signer} [signer] - Defaults to PROVER_SIGNER
+ * @returns {Promise<string>} Proof bytes
+ */
+function encodeProof(fields, signer = PROVER_SIGNER) {
+  return mockProver.encodeProof(fields, signer);
+}
+
+/**
+ * Build the proof of a log, as the Polymer API would return it
+ * @param {object} log - Log from a hardhat receipt
+ * @param {object} [options]
+ * @param {number|bigint} [options.chainId] - Source chain ID to claim,
+ *   defaults to the hardhat network's
+ * @param {ethers.Signer} [options.signer] - Defaults to PROVER_SIGNER
+ * @returns {Promise<string>} Proof bytes for setValueFromSource
+ */
+async function buildProof(log, { chainId, signer } = {}) {
+  const sourceChainId = chainId ?? (await ethers.provider.getNetwork()).chainId;
+
+  return encodeProof(
+    {
+      chainId: sourceChainId,
+      emitter: log.address,
+      topics: ethers.concat(log.topics),
+      data: log.data,
+    },
+    signer
+  );
+}
+
+module.exports = {
+  PROVER_SIGNER,
+  deployMockProver,
+  findLog,
+  encodeProof,
+  buildProof,
+};
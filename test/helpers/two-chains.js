@@ -0,0 +1,74 @@
+/**
+ * Two registered chains for client tests
+ * ======================================
+ *
+ * Deploys a source and a destination StateSync on the in-process hardhat
+ * network and registers them as two chains of a StateSyncClient, so reads and
+ * audits across chains can be tested without live RPCs:
+ *
+ *   const { alice, source, destination, client } =
+ *     await loadFixture(deployFixture);
+ *   const write = await client.set("key", "value", { chain: "optimism-sepolia" });
+ *   await relay(source, destination, write.txHash, "ValueSet");
+ */
+
+const { ethers } = require("hardhat");
+
+const { deployMockProver, findLog, buildProof } = require("./polymer-proof");
+const { StateSyncClient } = require("../../lib/state-sync-client");
+
+// Chain ID the source deployment pretends to live on
+const SOURCE_CHAIN_ID = 11155420;
+
+/**
+ * Fixture for loadFixture. The client writes as alice
+ */
+async function deployFixture() {
+  const [deployer, alice, bob] = await ethers.getSigners();
+  const prover = await deployMockProver();
+
+  const StateSync = await ethers.getContractFactory("StateSync");
+  const source = await StateSync.deploy(await prover.getAddress());
+  const destination = await StateSync.deploy(await prover.getAddress());
+  await destination.setPeer(SOURCE_CHAIN_ID, await source.getAddress());
+
+  const chains = {
+    "optimism-sepolia": {
+      name: "Optimism Sepolia",
+      chainId: SOURCE_CHAIN_ID,
+      contractAddress: await source.getAddress(),
+      provider: ethers.provider,
+    },
+    "base-sepolia": {
+      name: "Base Sepolia",
+      chainId: 84532,
+      contractAddress: await destination.getAddress(),
+      provider: ethers.provider,
+    },
+  };
+  const client = new StateSyncClient({ chains, signer: alice });
+
+  return { deployer, alice, bob, source, destination, chains, client };
+}
+
+/**
+ * Deliver the first `eventName` log of a source transaction
+ * @param {ethers.BaseContract} source - Contract that emitted the log
+ * @param {ethers.BaseContract} destination - Contract to deliver it to
+ * @param {string} txHash - Source transaction
+ * @param {string} eventName - e.g. "ValueSet"
+ * @returns {Promise<object>} Receipt of the delivery
+ */
+async function relay(source, destination, txHash, eventName) {
+  const receipt = await ethers.provider.getTransactionReceipt(txHash);
+  const proof = await buildProof(findLog(receipt, source, eventName), {
+    chainId: SOURCE_CHAIN_ID,
+  });
+  return (await destination.setValueFromSource(proof)).wait();
+}
+
+module.exports = {
+  SOURCE_CHAIN_ID,
+  deployFixture,
+  relay,
+};
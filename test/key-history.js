@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployFixture, relay } = require("./helpers/two-chains");
+const { StateSyncClient, hashKey } = require("../lib/state-sync-client");
+const { VERSION_STATUS, getKeyHistory } = require("../lib/key-history");
+
+describe("getKeyHistory", function () {
+  it("lists every version with its origin and deliveries", async function () {
+    const { alice, source, destination, client } = await loadFixture(
+      deployFixture
+    );
+    const write = await source.connect(alice).setValue("fee", "0x01");
+    const written = await write.wait();
+    const origin = await ethers.provider.getBlock(written.blockNumber);
+    await time.setNextBlockTimestamp(origin.timestamp + 30);
+    const delivery = await relay(source, destination, write.hash, "ValueSet");
+    const batch = await source
+      .connect(alice)
+      .setValues(["fee", "other"], ["0x02", "0x03"]);
+    const deletion = await source.connect(alice).deleteValue("fee");
+    await relay(source, destination, deletion.hash, "ValueDeleted");
+
+    const history = await getKeyHistory(client, hashKey(alice.address, "fee"), {
+      namespace: alice.address,
+    });
+
+    expect(history).to.deep.include({
+      namespace: alice.address,
+      key: "fee",
+      unreachable: [],
+    });
+    expect(
+      history.versions.map(({ version, value, deleted, origin }) => [
+        version,
+        value,
+        deleted,
+        origin.event,
+      ])
+    ).to.deep.equal([
+      [1n, "0x01", false, "ValueSet"],
+      [2n, "0x02", false, "ValuesSet"],
+      [3n, null, true, "ValueDeleted"],
+    ]);
+    expect(history.versions[0].origin).to.deep.equal({
+      chain: "optimism-sepolia",
+      event: "ValueSet",
+      txHash: written.hash,
+      blockNumber: written.blockNumber,
+      timestamp: origin.timestamp,
+    });
+    expect(history.versions[0].deliveries).to.deep.equal([
+      {
+        chain: "base-sepolia",
+        status: VERSION_STATUS.DELIVERED,
+        txHash: delivery.hash,
+        blockNumber: delivery.blockNumber,
+        timestamp: origin.timestamp + 30,
+        latencySeconds: 30,
+      },
+    ]);
+    // The batch was never delivered, the deletion overtook it
+    expect(history.versions[1].origin.txHash).to.equal(batch.hash);
+    expect(history.versions[1].deliveries[0]).to.include({
+      status: VERSION_STATUS.SUPERSEDED,
+      txHash: null,
+      latencySeconds: null,
+    });
+    expect(history.versions[2].deliveries[0].status).to.equal(
+      VERSION_STATUS.DELIVERED
+    );
+  });
+
+  it("reports versions not applied yet as pending", async function () {
+    const { alice, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("fee", "0x01");
+
+    const history = await getKeyHistory(client, hashKey(alice.address, "fee"));
+
+    expect(history.versions[0].deliveries[0]).to.include({
+      chain: "base-sepolia",
+      status: VERSION_STATUS.PENDING,
+    });
+  });
+
+  it("lists versions written before the window from their deliveries", async function () {
+    const { alice, source, destination, client } = await loadFixture(
+      deployFixture
+    );
+    const write = await source.connect(alice).setValue("fee", "0x01");
+    await write.wait();
+    await time.increase(60);
+    const delivery = await relay(source, destination, write.hash, "ValueSet");
+    const latest = await ethers.provider.getBlockNumber();
+
+    const history = await getKeyHistory(client, hashKey(alice.address, "fee"), {
+      lookbackBlocks: latest - delivery.blockNumber + 1,
+    });
+
+    expect(history).to.deep.include({ namespace: null, key: null });
+    expect(history.versions).to.have.length(1);
+    expect(history.versions[0]).to.deep.include({
+      version: 1n,
+      value: "0x01",
+      origin: null,
+    });
+    expect(
+      history.versions[0].deliveries.map(({ chain, status }) => [chain, status])
+    ).to.deep.equal([
+      ["optimism-sepolia", VERSION_STATUS.DELIVERED],
+      ["base-sepolia", VERSION_STATUS.DELIVERED],
+    ]);
+  });
+
+  it("lists unreachable chains", async function () {
+    const { alice, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("fee", "0x01");
+    const withUnreachable = new StateSyncClient({
+      chains: {
+        ...client.chains,
+        "mode-sepolia": { name: "Mode Sepolia", chainId: 919 },
+      },
+    });
+
+    const history = await getKeyHistory(
+      withUnreachable,
+      hashKey(alice.address, "fee")
+    );
+
+    expect(history.unreachable).to.deep.equal([
+      { chain: "mode-sepolia", error: "No contract address for Mode Sepolia" },
+    ]);
+    expect(history.versions[0].deliveries[1]).to.include({
+      chain: "mode-sepolia",
+      status: VERSION_STATUS.UNREACHABLE,
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  VALUE_SET_TOPIC,
+  VALUE_DELETED_TOPIC,
+  getLocalLogIndex,
+  findValueSetLogs,
+  findSourceLogs,
+} = require("../lib/logs");
+
+const EVENTS = new ethers.Interface([
+  "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version, uint256 expiresAt)",
+  "event ValueDeleted(address indexed sender, string key, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event OnlyTopics(address indexed sender, bytes32 indexed hashedKey, uint256 indexed version)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+const STATE_SYNC = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OTHER_CONTRACT = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const SENDER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+function valueSetLog(address, key, nonce) {
+  const hashedKey = ethers.keccak256(
+    ethers.solidityPacked(["address", "string"], [SENDER, key])
+  );
+  return {
+    address,
+    ...EVENTS.encodeEventLog("ValueSet", [
+      SENDER,
+      key,
+      ethers.toUtf8Bytes(`value-${key}`),
+      nonce,
+      hashedKey,
+      1,
+      0,
+    ]),
+  };
+}
+
+// Build a receipt whose logs start at `firstLogIndex` within the block, like a
+// transaction that is not the first one in its block
+function buildReceipt(logs, firstLogIndex = 12) {
+  return {
+    hash: ethers.id("tx"),
+    logs: logs.map((log, i) => ({ ...log, index: firstLogIndex + i })),
+  };
+}
+
+describe("logs", function () {
+  // Mirrors a batch/multicall transaction: an unrelated event, a look-alike
+  // ValueSet from another contract, then two ValueSet events from StateSync
+  const receipt = buildReceipt([
+    {
+      address: OTHER_CONTRACT,
+      ...EVENTS.encodeEventLog("Transfer", [SENDER, STATE_SYNC, 1]),
+    },
+    valueSetLog(OTHER_CONTRACT, "spoofed", 0),
+    valueSetLog(STATE_SYNC, "first", 0),
+    {
+      address: STATE_SYNC,
+      ...EVENTS.encodeEventLog("OnlyTopics", [SENDER, ethers.ZeroHash, 1]),
+    },
+    valueSetLog(STATE_SYNC, "second", 1),
+  ]);
+
+  describe("getLocalLogIndex", function () {
+    it("maps each global log index to its position in the receipt", function () {
+      receipt.logs.forEach((log, localLogIndex) => {
+        expect(getLocalLogIndex(receipt, log.index)).to.equal(localLogIndex);
+      });
+    });
+
+    it("distinguishes several ValueSet events in the same transaction", function () {
+      const indexes = receipt.logs
+        .filter((log) => log.topics[0] === VALUE_SET_TOPIC)
+        .map((log) => getLocalLogIndex(receipt, log.index));
+
+      expect(indexes).to.deep.equal([1, 2, 4]);
+    });
+
+    it("accepts log indexes given as strings or bigints", function () {
+      expect(getLocalLogIndex(receipt, "16")).to.equal(4);
+      expect(getLocalLogIndex(receipt, 16n)).to.equal(4);
+    });
+
+    it("throws when the log is not part of the receipt", function () {
+      expect(() => getLocalLogIndex(receipt, 3)).to.throw(
+        /Log 3 not found in transaction/
+      );
+    });
+  });
+
+  describe("findValueSetLogs", function () {
+    it("returns every ValueSet log with its local log index", function () {
+      const found = findValueSetLogs(receipt);
+
+      expect(found.map(({ localLogIndex }) => localLogIndex)).to.deep.equal([
+        1, 2, 4,
+      ]);
+    });
+
+    it("only returns logs emitted by the given contract", function () {
+      const found = findValueSetLogs(receipt, STATE_SYNC.toLowerCase());
+
+      expect(found.map(({ log }) => log.index)).to.deep.equal([14, 16]);
+      expect(
+        found.map(({ log }) => EVENTS.parseLog(log).args.key)
+      ).to.deep.equal(["first", "second"]);
+    });
+  });
+
+  describe("findSourceLogs", function () {
+    it("returns ValueSet and ValueDeleted logs in receipt order", function () {
+      const withDeletion = buildReceipt([
+        valueSetLog(STATE_SYNC, "first", 0),
+        {
+          address: STATE_SYNC,
+          ...EVENTS.encodeEventLog("ValueDeleted", [
+            SENDER,
+            "first",
+            1,
+            ethers.ZeroHash,
+            2,
+          ]),
+        },
+      ]);
+
+      const found = findSourceLogs(withDeletion, STATE_SYNC);
+
+      expect(found.map(({ log }) => log.topics[0])).to.deep.equal([
+        VALUE_SET_TOPIC,
+        VALUE_DELETED_TOPIC,
+      ]);
+      expect(found.map(({ localLogIndex }) => localLogIndex)).to.deep.equal([
+        0, 1,
+      ]);
+    });
+  });
+});
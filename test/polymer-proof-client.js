@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const http = require("http");
+
+const {
+  RPC_ERROR_CODES,
+  PolymerProofClient,
+  PolymerRpcError,
+  PolymerInvalidParamsError,
+  PolymerAuthError,
+  PolymerHttpError,
+  ProofJobFailedError,
+  ProofTimeoutError,
+  ProofCancelledError,
+} = require("../lib/polymer-proof-client");
+
+const LOG_ID = {
+  chainId: 84532,
+  blockNumber: 100,
+  txIndex: 1,
+  localLogIndex: 0,
+};
+const PROOF = Buffer.from("proof bytes");
+
+// Fast polling so the tests do not wait on real intervals
+const POLLING = { intervalMs: 5, maxAttempts: 5 };
+
+describe("PolymerProofClient", function () {
+  let server;
+  let url;
+  // Answers the next request: (request) => { status, body }
+  let respond;
+  let requests;
+
+  before(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        const request = JSON.parse(body);
+        requests.push({ ...request, authorization: req.headers.authorization });
+        const { status = 200, body: answer } = respond(request);
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(answer === undefined ? "" : JSON.stringify(answer));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  function client(options = {}) {
+    return new PolymerProofClient({
+      url,
+      apiKey: "test-key",
+      polling: POLLING,
+      ...options,
+    });
+  }
+
+  // Job answers: pending `pendingFor` times, then `final`
+  function jobApi(final, pendingFor = 1) {
+    let queries = 0;
+    return ({ id, method }) => {
+      if (method === "log_requestProof") {
+        return { body: { jsonrpc: "2.0", id, result: 7 } };
+      }
+      queries++;
+      const job =
+        queries <= pendingFor ? { jobID: 7, status: "pending" } : final;
+      return { body: { jsonrpc: "2.0", id, result: job } };
+    };
+  }
+
+  it("requests a proof and polls until it is complete", async function () {
+    respond = jobApi({
+      jobID: 7,
+      status: "complete",
+      blockNumber: 100,
+      proof: PROOF.toString("base64"),
+    });
+
+    const proof = await client().fetchProof(LOG_ID);
+
+    expect(proof.jobId).to.equal(7);
+    expect(proof.hex).to.equal(`0x${PROOF.toString("hex")}`);
+    expect(proof.base64).to.equal(PROOF.toString("base64"));
+    expect(Buffer.from(proof.bytes)).to.deep.equal(PROOF);
+    expect(proof.size).to.equal(PROOF.length);
+    expect(proof.metadata).to.deep.equal({
+      jobID: 7,
+      status: "complete",
+      blockNumber: 100,
+    });
+    expect(proof.attempts).to.equal(2);
+
+    expect(requests[0].method).to.equal("log_requestProof");
+    expect(requests[0].params).to.deep.equal([84532, 100, 1, 0]);
+    expect(requests[0].authorization).to.equal("Bearer test-key");
+    expect(requests[1].method).to.equal("log_queryProof");
+    expect(requests[1].params).to.deep.equal([7]);
+  });
+
+  it("reports every status answer", async function () {
+    respond = jobApi(
+      { jobID: 7, status: "complete", proof: PROOF.toString("base64") },
+      2
+    );
+    const seen = [];
+
+    await client().fetchProof(LOG_ID, {
+      onRequested: (jobId) => seen.push(`requested ${jobId}`),
+      onStatus: (job, { attempt, maxAttempts }) =>
+        seen.push(`${job.status} ${attempt}/${maxAttempts}`),
+    });
+
+    expect(seen).to.deep.equal([
+      "requested 7",
+      "pending 1/5",
+      "pending 2/5",
+      "complete 3/5",
+    ]);
+  });
+
+  it("throws typed errors for JSON-RPC errors", async function () {
+    respond = ({ id }) => ({
+      status: 400,
+      body: {
+        jsonrpc: "2.0",
+        id,
+        error: {
+          code: RPC_ERROR_CODES.INVALID_PARAMS,
+          message: "unsupported chain id 123456789",
+        },
+      },
+    });
+
+    const error = await client()
+      .requestProof({ ...LOG_ID, chainId: 123456789 })
+      .catch((error) => error);
+
+    expect(error).to.be.instanceOf(PolymerInvalidParamsError);
+    expect(error).to.be.instanceOf(PolymerRpcError);
+    expect(error.name).to.equal("PolymerInvalidParamsError");
+    expect(error.code).to.equal(-32602);
+    expect(error.status).to.equal(400);
+    expect(error.message).to.include("unsupported chain id 123456789");
+  });
+
+  it("throws PolymerAuthError when the API key is rejected", async function () {
+    respond = () => ({ status: 401 });
+
+    const error = await client()
+      .requestProof(LOG_ID)
+      .catch((error) => error);
+
+    expect(error).to.be.instanceOf(PolymerAuthError);
+    expect(error.status).to.equal(401);
+  });
+
+  it("throws PolymerHttpError when the API cannot be reached", async function () {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    const error = await client({ url: `http://127.0.0.1:${port}` })
+      .requestProof(LOG_ID)
+      .catch((error) => error);
+
+    expect(error).to.be.instanceOf(PolymerHttpError);
+    expect(error.cause).to.exist;
+  });
+
+  it("stops polling as soon as the job fails", async function () {
+    respond = jobApi({
+      jobID: 7,
+      status: "error",
+      failureReason: "block 100 not found",
+    });
+
+    const error = await client()
+      .fetchProof(LOG_ID)
+      .catch((error) => error);
+
+    expect(error).to.be.instanceOf(ProofJobFailedError);
+    expect(error.jobId).to.equal(7);
+    expect(error.failureReason).to.equal("block 100 not found");
+    // One request, one pending answer, one error answer
+    expect(requests).to.have.length(3);
+  });
+
+  it("times out after the last attempt", async function () {
+    respond = jobApi(null, Infinity);
+
+    const error = await client()
+      .fetchProof(LOG_ID)
+      .catch((error) => error);
+
+    expect(error).to.be.instanceOf(ProofTimeoutError);
+    expect(error.attempts).to.equal(POLLING.maxAttempts);
+    expect(requests).to.have.length(1 + POLLING.maxAttempts);
+  });
+
+  it("can be cancelled while waiting", async function () {
+    respond = jobApi(null, Infinity);
+    const controller = new AbortController();
+
+    const pending = client({ polling: { intervalMs: 1000 } })
+      .waitForProof(7, { signal: controller.signal })
+      .catch((error) => error);
+    controller.abort();
+
+    expect(await pending).to.be.instanceOf(ProofCancelledError);
+    expect(requests).to.be.empty;
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+
+const { ProofCache } = require("../lib/proof-cache");
+
+const LOG = {
+  chainId: 11155420,
+  blockNumber: 100,
+  blockHash: "0xblock",
+  txIndex: 2,
+  localLogIndex: 1,
+};
+const OTHER_LOG = { ...LOG, localLogIndex: 0 };
+
+// Stands in for the Polymer API, settled by the test
+function deferredFetch() {
+  const calls = [];
+  const fetchProof = (logId) =>
+    new Promise((resolve, reject) => calls.push({ logId, resolve, reject }));
+  return { calls, fetchProof };
+}
+
+describe("ProofCache", function () {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(function () {
+    now = 1000000;
+    Date.now = () => now;
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+  });
+
+  it("shares one fetch between concurrent callers of the same log", async function () {
+    const { calls, fetchProof } = deferredFetch();
+    const cache = new ProofCache(fetchProof);
+
+    const first = cache.get(LOG);
+    const second = cache.get({ ...LOG });
+    const other = cache.get(OTHER_LOG);
+    expect(calls.map((call) => call.logId)).to.deep.equal([LOG, OTHER_LOG]);
+    expect(cache.has(LOG)).to.equal(true);
+
+    calls[0].resolve("0xproof");
+    expect(await first).to.equal("0xproof");
+    expect(await second).to.equal("0xproof");
+    expect(await cache.get(LOG)).to.equal("0xproof");
+    expect(calls).to.have.length(2);
+
+    calls[1].resolve("0xother");
+    expect(await other).to.equal("0xother");
+  });
+
+  it("does not share a proof with a log of a reorged-out block", async function () {
+    const { calls, fetchProof } = deferredFetch();
+    const cache = new ProofCache(fetchProof);
+
+    const orphan = cache.get(LOG);
+    calls[0].resolve("0xorphan");
+    await orphan;
+
+    // Same position in the block that replaced it
+    const replacement = cache.get({ ...LOG, blockHash: "0xreplacement" });
+    expect(calls).to.have.length(2);
+    calls[1].resolve("0xreplacement");
+    expect(await replacement).to.equal("0xreplacement");
+    expect(await cache.get(LOG)).to.equal("0xorphan");
+  });
+
+  it("evicts a failed fetch so the next caller retries", async function () {
+    const { calls, fetchProof } = deferredFetch();
+    const cache = new ProofCache(fetchProof);
+
+    const first = cache.get(LOG);
+    const second = cache.get(LOG);
+    calls[0].reject(new Error("Proof job 3 failed"));
+    await expect(first).to.be.rejectedWith("Proof job 3 failed");
+    await expect(second).to.be.rejectedWith("Proof job 3 failed");
+    expect(cache.has(LOG)).to.equal(false);
+
+    const retry = cache.get(LOG);
+    expect(calls).to.have.length(2);
+    calls[1].resolve("0xproof");
+    expect(await retry).to.equal("0xproof");
+  });
+
+  it("keeps a newer request when an older one fails", async function () {
+    const { calls, fetchProof } = deferredFetch();
+    const cache = new ProofCache(fetchProof);
+
+    const stale = cache.get(LOG);
+    cache.invalidate(LOG);
+    const fresh = cache.get(LOG);
+    calls[0].reject(new Error("rejected by the destination"));
+    await expect(stale).to.be.rejected;
+
+    expect(cache.has(LOG)).to.equal(true);
+    calls[1].resolve("0xproof");
+    expect(await fresh).to.equal("0xproof");
+  });
+
+  it("fetches a proof again once it expired", async function () {
+    const { calls, fetchProof } = deferredFetch();
+    const cache = new ProofCache(fetchProof, { ttlMs: 1000 });
+
+    const first = cache.get(LOG);
+    // In-flight requests do not expire
+    now += 5000;
+    expect(cache.get(LOG)).to.equal(first);
+    calls[0].resolve("0xold");
+    await first;
+
+    now += 999;
+    expect(await cache.get(LOG)).to.equal("0xold");
+    now += 1;
+    expect(cache.has(LOG)).to.equal(false);
+
+    const refreshed = cache.get(LOG);
+    expect(calls).to.have.length(2);
+    calls[1].resolve("0xnew");
+    expect(await refreshed).to.equal("0xnew");
+  });
+
+  it("prunes expired proofs of other logs", async function () {
+    const cache = new ProofCache(async () => "0xproof", { ttlMs: 1000 });
+
+    await cache.get(LOG);
+    now += 1000;
+    await cache.get(OTHER_LOG);
+
+    expect([...cache.entries.keys()]).to.deep.equal([
+      ProofCache.keyOf(OTHER_LOG),
+    ]);
+  });
+});
@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { RelayerStore, DELIVERY_STATUS } = require("../lib/relayer-store");
+
+const EVENT = {
+  eventId: "0xblock-0xtx-1",
+  chainId: 11155420,
+  blockNumber: 100,
+  transactionHash: "0xtx",
+};
+
+// The in-memory state as it is written to the file, to compare stores
+function snapshot(store) {
+  return JSON.parse(
+    JSON.stringify({
+      checkpoints: Object.fromEntries(store.checkpoints),
+      events: Object.fromEntries(store.events),
+      deliveries: Object.fromEntries(store.deliveries),
+    })
+  );
+}
+
+describe("relayer store", function () {
+  let dir;
+  let file;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-store-"));
+    file = path.join(dir, "state.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("checkpoints", function () {
+    it("only move forward when set", function () {
+      const store = new RelayerStore(file);
+      store.setCheckpoint(10, 120);
+      store.setCheckpoint(10, 100);
+
+      expect(store.getCheckpoint(10)).to.equal(120);
+      expect(store.getCheckpoint("10")).to.equal(120);
+      expect(store.getCheckpoint(20)).to.equal(undefined);
+    });
+
+    it("move back when rewound, across a reload", function () {
+      const store = new RelayerStore(file);
+      store.setCheckpoint(10, 120);
+      store.rewindCheckpoint(10, 99);
+      // Never forward, nor for a chain without a checkpoint
+      store.rewindCheckpoint(10, 150);
+      store.rewindCheckpoint(20, 5);
+
+      expect(store.getCheckpoint(10)).to.equal(99);
+      expect(new RelayerStore(file).load().getCheckpoint(10)).to.equal(99);
+      expect(store.getCheckpoint(20)).to.equal(undefined);
+    });
+  });
+
+  describe("load", function () {
+    it("replays events, deliveries and checkpoints", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532, 919]);
+      store.setCheckpoint(EVENT.chainId, 100);
+      store.updateDelivery(EVENT.eventId, 84532, DELIVERY_STATUS.SUBMITTED, {
+        txHash: "0xdelivery",
+      });
+      store.updateEvent(EVENT.eventId, { orphaned: true });
+
+      const loaded = new RelayerStore(file).load();
+      expect(snapshot(loaded)).to.deep.equal(snapshot(store));
+      expect(loaded.getEvent(EVENT.eventId)).to.include({
+        ...EVENT,
+        orphaned: true,
+      });
+      expect(loaded.getDelivery(EVENT.eventId, "84532")).to.include({
+        status: DELIVERY_STATUS.SUBMITTED,
+        txHash: "0xdelivery",
+      });
+      expect(loaded.getDelivery(EVENT.eventId, 919).status).to.equal(
+        DELIVERY_STATUS.PENDING
+      );
+      expect(loaded.getCheckpoint(EVENT.chainId)).to.equal(100);
+    });
+
+    it("starts empty without a state file", function () {
+      const store = new RelayerStore(file).load();
+      expect(store.hasEvent(EVENT.eventId)).to.equal(false);
+      expect(store.getUnfinishedDeliveries()).to.deep.equal([]);
+    });
+
+    it("skips a truncated last line left by a crash", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      fs.appendFileSync(file, '{"type":"delivery","eventId":"0xbl');
+
+      const loaded = new RelayerStore(file).load();
+      expect(snapshot(loaded)).to.deep.equal(snapshot(store));
+      // Readers leave the file alone
+      expect(fs.readFileSync(file, "utf8")).to.match(/"0xbl$/);
+
+      // The next append replaces the truncated line
+      loaded.setCheckpoint(EVENT.chainId, 120);
+      expect(
+        new RelayerStore(file).load().getCheckpoint(EVENT.chainId)
+      ).to.equal(120);
+    });
+
+    it("leaves a last line alone that another process finished since", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      const record = JSON.stringify({
+        type: "delivery",
+        eventId: EVENT.eventId,
+        destination: "84532",
+        status: DELIVERY_STATUS.CONFIRMED,
+      });
+      fs.appendFileSync(file, record.slice(0, 20));
+
+      const loaded = new RelayerStore(file).load();
+      fs.appendFileSync(file, `${record.slice(20)}\n`);
+      loaded.setCheckpoint(EVENT.chainId, 120);
+
+      const reloaded = new RelayerStore(file).load();
+      expect(reloaded.getDelivery(EVENT.eventId, 84532).status).to.equal(
+        DELIVERY_STATUS.CONFIRMED
+      );
+      expect(reloaded.getCheckpoint(EVENT.chainId)).to.equal(120);
+    });
+
+    it("refuses a corrupt line that is not the unfinished last one", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      const lines = fs.readFileSync(file, "utf8").split("\n");
+
+      lines[0] = lines[0].slice(0, 10);
+      fs.writeFileSync(file, lines.join("\n"));
+      expect(() => new RelayerStore(file).load()).to.throw(
+        `Corrupt relayer state at ${file}:1`
+      );
+
+      // Ends with a newline, so it was written in full
+      fs.writeFileSync(file, `${lines.slice(1).join("\n")}{"type":\n`);
+      expect(() => new RelayerStore(file).load()).to.throw(
+        `Corrupt relayer state at ${file}:2`
+      );
+    });
+  });
+
+  describe("compact", function () {
+    it("keeps only the latest records and the same state", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      for (const status of [
+        DELIVERY_STATUS.PROOF_REQUESTED,
+        DELIVERY_STATUS.PROOF_READY,
+        DELIVERY_STATUS.SUBMITTED,
+        DELIVERY_STATUS.CONFIRMED,
+      ]) {
+        store.updateDelivery(EVENT.eventId, 84532, status);
+      }
+      store.setCheckpoint(EVENT.chainId, 100);
+      store.setCheckpoint(EVENT.chainId, 110);
+
+      store.compact();
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+      expect(lines).to.have.length(3);
+      expect(snapshot(new RelayerStore(file).load())).to.deep.equal(
+        snapshot(store)
+      );
+    });
+
+    it("keeps the records other processes appended", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      store.updateDelivery(EVENT.eventId, 84532, DELIVERY_STATUS.FAILED);
+      new RelayerStore(file).load().requeueDelivery(EVENT.eventId, 84532);
+
+      expect(store.compact()).to.equal(true);
+      expect(
+        new RelayerStore(file).load().getDelivery(EVENT.eventId, 84532).status
+      ).to.equal(DELIVERY_STATUS.PENDING);
+    });
+
+    it("is needed once most records are superseded", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      for (let block = 1; block <= 1000; block++) {
+        store.setCheckpoint(EVENT.chainId, block);
+      }
+      expect(store.needsCompaction()).to.equal(true);
+      expect(new RelayerStore(file).load().needsCompaction()).to.equal(true);
+
+      store.compact();
+      expect(store.needsCompaction()).to.equal(false);
+      expect(new RelayerStore(file).load().needsCompaction()).to.equal(false);
+    });
+  });
+
+  describe("deliveries", function () {
+    it("merge details, clearing the error of the previous status", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      store.updateDelivery(EVENT.eventId, 84532, DELIVERY_STATUS.PENDING, {
+        attempts: 2,
+        error: "socket hang up",
+        nextAttemptAt: 1000,
+      });
+      store.updateDelivery(EVENT.eventId, 84532, DELIVERY_STATUS.PROOF_READY);
+
+      expect(store.getDelivery(EVENT.eventId, 84532)).to.include({
+        status: DELIVERY_STATUS.PROOF_READY,
+        attempts: 2,
+        error: undefined,
+        // Kept until something resets it
+        nextAttemptAt: 1000,
+      });
+    });
+
+    it("are reset when requeued from the dead-letter queue", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532]);
+      store.updateDelivery(EVENT.eventId, 84532, DELIVERY_STATUS.FAILED, {
+        attempts: 5,
+        error: "Unknown source chain",
+        errorKind: "permanent",
+        nextAttemptAt: null,
+      });
+
+      store.requeueDelivery(EVENT.eventId, 84532);
+
+      const delivery = new RelayerStore(file)
+        .load()
+        .getDelivery(EVENT.eventId, 84532);
+      expect(delivery).to.include({
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: null,
+      });
+      expect(delivery).to.not.have.property("error");
+    });
+
+    it("are listed by status", function () {
+      const store = new RelayerStore(file);
+      store.recordEvent(EVENT, [84532, 919, 1]);
+      store.updateDelivery(EVENT.eventId, 919, DELIVERY_STATUS.FAILED);
+      store.updateDelivery(EVENT.eventId, 1, DELIVERY_STATUS.CONFIRMED);
+
+      const destinations = (deliveries) =>
+        deliveries.map((delivery) => delivery.destination);
+      expect(
+        destinations(store.getDeliveriesByStatus(DELIVERY_STATUS.PENDING))
+      ).to.deep.equal(["84532"]);
+      expect(
+        destinations(store.getDeliveriesByStatus(DELIVERY_STATUS.FAILED))
+      ).to.deep.equal(["919"]);
+      expect(store.getDeliveriesByStatus(DELIVERY_STATUS.SUBMITTED)).to.be
+        .empty;
+      expect(destinations(store.getUnfinishedDeliveries())).to.deep.equal([
+        "84532",
+      ]);
+    });
+
+    it("only take known statuses", function () {
+      const store = new RelayerStore(file);
+      expect(() => store.updateDelivery(EVENT.eventId, 84532, "lost")).to.throw(
+        "Unknown delivery status: lost"
+      );
+      expect(() => store.updateEvent("0xnone", {})).to.throw(
+        "Unknown event: 0xnone"
+      );
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  ERROR_KIND,
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  getBackoffDelay,
+  classifyError,
+  getRetryDecision,
+} = require("../lib/retry");
+const {
+  PolymerAuthError,
+  PolymerHttpError,
+  ProofJobFailedError,
+  ProofTimeoutError,
+} = require("../lib/polymer-proof-client");
+const { RelayerStore, DELIVERY_STATUS } = require("../lib/relayer-store");
+
+// Error thrown by ethers when setValueFromSource reverts with `reason`
+function revert(reason) {
+  return ethers.makeError(`execution reverted: "${reason}"`, "CALL_EXCEPTION", {
+    reason,
+  });
+}
+
+const POLICY = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 10000 };
+
+describe("retry", function () {
+  describe("classifyError", function () {
+    it("treats updates the destination already has as benign", function () {
+      for (const reason of [
+        "hashKey already used",
+        "Version must be newer than current version",
+        "ACL version must be newer than current version",
+        "Retention version must be newer than current version",
+      ]) {
+        expect(classifyError(revert(reason))).to.deep.equal({
+          kind: ERROR_KIND.BENIGN,
+          reason,
+        });
+      }
+    });
+
+    it("treats proofs the destination will never accept as permanent", function () {
+      for (const reason of [
+        "Invalid event signature",
+        "Invalid topics length",
+        "Unknown source chain",
+        "Untrusted source contract",
+      ]) {
+        expect(classifyError(revert(reason)).kind).to.equal(
+          ERROR_KIND.PERMANENT
+        );
+      }
+      // Matched in the message too, e.g. from an estimateGas failure
+      expect(
+        classifyError(new Error("reverted: Untrusted source contract")).kind
+      ).to.equal(ERROR_KIND.PERMANENT);
+    });
+
+    it("retries nonce, network and Polymer API errors and other reverts", function () {
+      const errors = [
+        ethers.makeError("nonce has already been used", "NONCE_EXPIRED"),
+        ethers.makeError("replacement fee too low", "REPLACEMENT_UNDERPRICED"),
+        Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:8545"), {
+          code: "ECONNREFUSED",
+        }),
+        new PolymerHttpError("Polymer API unreachable", { status: 502 }),
+        new PolymerAuthError("Polymer API key rejected", { status: 401 }),
+        new ProofJobFailedError(7, { failureReason: "block not found" }),
+        new ProofTimeoutError(7, { attempts: 10, elapsedMs: 60000 }),
+        revert("Source chain is paused"),
+      ];
+
+      for (const error of errors) {
+        expect(classifyError(error).kind).to.equal(ERROR_KIND.RETRYABLE);
+      }
+      expect(classifyError(errors[5]).reason).to.equal(
+        "Proof job 7 failed: block not found"
+      );
+    });
+
+    it("falls back to a readable reason", function () {
+      expect(classifyError("socket hang up")).to.deep.equal({
+        kind: ERROR_KIND.RETRYABLE,
+        reason: "socket hang up",
+      });
+      expect(classifyError(undefined).reason).to.equal("Unknown error");
+    });
+  });
+
+  describe("getBackoffDelay", function () {
+    it("doubles the delay with every attempt up to the cap", function () {
+      // With no jitter, the delay is half of the capped backoff
+      const delays = [1, 2, 3, 4, 5, 6].map((attempt) =>
+        getBackoffDelay(attempt, POLICY, () => 0)
+      );
+      expect(delays).to.deep.equal([500, 1000, 2000, 4000, 5000, 5000]);
+    });
+
+    it("keeps the jitter between half and all of the backoff", function () {
+      for (const attempt of [1, 3, 10]) {
+        const capped = Math.min(1000 * 2 ** (attempt - 1), 10000);
+        expect(getBackoffDelay(attempt, POLICY, () => 0)).to.equal(capped / 2);
+        expect(getBackoffDelay(attempt, POLICY, () => 0.999999)).to.equal(
+          capped
+        );
+
+        for (let i = 0; i < 50; i++) {
+          const delay = getBackoffDelay(attempt, POLICY);
+          expect(delay).to.be.within(capped / 2, capped);
+        }
+      }
+    });
+  });
+
+  describe("getRetryPolicy", function () {
+    it("overrides the defaults per chain", function () {
+      expect(getRetryPolicy()).to.deep.equal(DEFAULT_RETRY_POLICY);
+      expect(getRetryPolicy({ retry: { maxAttempts: 10 } })).to.deep.equal({
+        ...DEFAULT_RETRY_POLICY,
+        maxAttempts: 10,
+      });
+    });
+  });
+
+  describe("getRetryDecision", function () {
+    const networkError = new Error("socket hang up");
+
+    it("retries with backoff until maxAttempts, then dead-letters", function () {
+      expect(getRetryDecision(networkError, 1, POLICY, () => 0)).to.deep.equal({
+        kind: ERROR_KIND.RETRYABLE,
+        reason: "socket hang up",
+        deadLetter: false,
+        delay: 500,
+      });
+      expect(getRetryDecision(networkError, 4, POLICY).deadLetter).to.equal(
+        false
+      );
+
+      const last = getRetryDecision(networkError, 5, POLICY);
+      expect(last).to.deep.equal({
+        kind: ERROR_KIND.RETRYABLE,
+        reason: "socket hang up",
+        deadLetter: true,
+      });
+    });
+
+    it("dead-letters permanent errors on the first attempt", function () {
+      expect(
+        getRetryDecision(revert("Unknown source chain"), 1, POLICY)
+      ).to.include({ kind: ERROR_KIND.PERMANENT, deadLetter: true });
+    });
+
+    it("neither retries nor dead-letters benign errors", function () {
+      expect(
+        getRetryDecision(revert("hashKey already used"), 5, POLICY)
+      ).to.deep.equal({
+        kind: ERROR_KIND.BENIGN,
+        reason: "hashKey already used",
+        deadLetter: false,
+      });
+    });
+  });
+
+  describe("dead-letter queue", function () {
+    const EVENT = {
+      eventId: "0xblock-0xtx-1",
+      chainId: 11155420,
+      transactionHash: "0xAbC",
+    };
+    let dir;
+    let store;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "retry-"));
+      store = new RelayerStore(path.join(dir, "state.jsonl"));
+      store.recordEvent(EVENT, [84532, 919]);
+      store.recordEvent(
+        { ...EVENT, eventId: "0xother", transactionHash: "0x1" },
+        [84532]
+      );
+      for (const [eventId, destination] of [
+        [EVENT.eventId, 84532],
+        [EVENT.eventId, 919],
+        ["0xother", 84532],
+      ]) {
+        store.updateDelivery(eventId, destination, DELIVERY_STATUS.FAILED, {
+          attempts: 5,
+          error: "socket hang up",
+          errorKind: ERROR_KIND.RETRYABLE,
+        });
+      }
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("finds failed deliveries by event ID, source tx hash and destination", function () {
+      const ids = (filter) =>
+        store
+          .getDeadLetters(filter)
+          .map(({ eventId, destination }) => `${eventId}:${destination}`);
+
+      expect(ids()).to.have.length(3);
+      expect(ids({ target: EVENT.eventId })).to.deep.equal([
+        `${EVENT.eventId}:84532`,
+        `${EVENT.eventId}:919`,
+      ]);
+      expect(ids({ target: "0xabc", destination: 919 })).to.deep.equal([
+        `${EVENT.eventId}:919`,
+      ]);
+      expect(ids({ target: "0xunknown" })).to.deep.equal([]);
+    });
+
+    it("requeues a delivery with a fresh set of attempts", function () {
+      store.requeueDelivery(EVENT.eventId, 919);
+
+      const delivery = new RelayerStore(store.filePath)
+        .load()
+        .getDelivery(EVENT.eventId, 919);
+      expect(delivery).to.include({
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: null,
+        errorKind: ERROR_KIND.RETRYABLE,
+      });
+      expect(delivery.error).to.equal(undefined);
+      expect(delivery.requeuedAt).to.be.a("number");
+      expect(store.getDeadLetters({ target: EVENT.eventId })).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  SIGNED_WRITE_STATUS,
+  signSetValue,
+  recoverSigner,
+  parseSignedWrite,
+  SignedWriteQueue,
+} = require("../lib/signed-writes");
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OWNER = new ethers.Wallet(
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+);
+const OTHER = new ethers.Wallet(
+  "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a"
+);
+
+function sign(signer = OWNER, overrides = {}) {
+  return signSetValue(signer, {
+    chainId: 11155420,
+    contractAddress: CONTRACT,
+    key: "greeting",
+    value: ethers.toUtf8Bytes("signed"),
+    nonce: 3,
+    deadline: 2000000000,
+    ...overrides,
+  });
+}
+
+// Transaction whose receipt arrives when `mined` resolves
+function fakeTx(hash, mined = Promise.resolve()) {
+  return { hash, wait: () => mined.then(() => ({ blockNumber: 7 })) };
+}
+
+// Let queued promise chains run
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("signed writes", function () {
+  describe("signSetValue and recoverSigner", function () {
+    it("recovers the owner of a signed write", async function () {
+      const write = await sign();
+
+      expect(write).to.deep.include({
+        chainId: 11155420,
+        owner: OWNER.address,
+        value: ethers.hexlify(ethers.toUtf8Bytes("signed")),
+        nonce: "3",
+        deadline: "2000000000",
+      });
+      expect(recoverSigner(write, CONTRACT)).to.equal(OWNER.address);
+    });
+
+    it("does not recover the owner from a bad signature", async function () {
+      const write = await sign();
+      const forged = await sign(OTHER);
+
+      expect(
+        recoverSigner({ ...write, signature: forged.signature }, CONTRACT)
+      ).to.not.equal(OWNER.address);
+      // Signed for another value, or for another deployment
+      expect(recoverSigner({ ...write, value: "0x01" }, CONTRACT)).to.not.equal(
+        OWNER.address
+      );
+      expect(recoverSigner(write, OTHER.address)).to.not.equal(OWNER.address);
+    });
+  });
+
+  describe("parseSignedWrite", function () {
+    it("normalizes a valid write", async function () {
+      const write = await sign();
+
+      expect(
+        parseSignedWrite({
+          ...write,
+          chainId: "11155420",
+          owner: write.owner.toLowerCase(),
+          nonce: 3,
+        })
+      ).to.deep.equal(write);
+    });
+
+    it("rejects missing and malformed fields", async function () {
+      const write = await sign();
+      const cases = [
+        [null, "Expected a JSON object"],
+        [{ ...write, chainId: "optimism" }, "chainId must be a number"],
+        [{ ...write, owner: "0x1234" }, "owner must be an address"],
+        [{ ...write, key: " " }, "key cannot be empty"],
+        [{ ...write, value: "signed" }, "value must be a hex string"],
+        [{ ...write, nonce: "-1" }, "nonce must be a non-negative integer"],
+        [
+          { ...write, deadline: undefined },
+          "deadline must be a non-negative integer",
+        ],
+        [
+          { ...write, signature: "0x1234" },
+          "signature must be 65 bytes of hex",
+        ],
+      ];
+
+      for (const [body, message] of cases) {
+        expect(() => parseSignedWrite(body)).to.throw(message);
+      }
+    });
+  });
+
+  describe("SignedWriteQueue", function () {
+    it("tracks a write until it is confirmed", async function () {
+      let mine;
+      const mined = new Promise((resolve) => (mine = resolve));
+      const queue = new SignedWriteQueue(async () => fakeTx("0xaa", mined));
+
+      const record = queue.enqueue(await sign());
+      expect(record.status).to.equal(SIGNED_WRITE_STATUS.QUEUED);
+      expect(queue.get(record.id)).to.equal(record);
+
+      await settle();
+      expect(record).to.include({
+        status: SIGNED_WRITE_STATUS.SUBMITTED,
+        txHash: "0xaa",
+      });
+      mine();
+      await settle();
+      expect(record).to.include({
+        status: SIGNED_WRITE_STATUS.CONFIRMED,
+        blockNumber: 7,
+      });
+      expect(queue.get("unknown")).to.equal(null);
+    });
+
+    it("submits the writes of a chain one after the other, in nonce order", async function () {
+      const submitted = [];
+      const receipts = [];
+      const queue = new SignedWriteQueue(async (write) => {
+        submitted.push(`${write.chainId}:${write.nonce}`);
+        const mined = new Promise((resolve) => receipts.push(resolve));
+        return fakeTx(`0x${write.nonce}`, mined);
+      });
+
+      queue.enqueue(await sign(OWNER, { nonce: 3 }));
+      queue.enqueue(await sign(OWNER, { nonce: 4 }));
+      queue.enqueue(await sign(OWNER, { nonce: 0, chainId: 84532 }));
+      await settle();
+
+      // The second write of the first chain waits for the first receipt,
+      // the other chain is not held up
+      expect(submitted).to.deep.equal(["11155420:3", "84532:0"]);
+      receipts[0]();
+      await settle();
+      await settle();
+      expect(submitted).to.deep.equal(["11155420:3", "84532:0", "11155420:4"]);
+    });
+
+    it("marks failed writes and goes on with the next one", async function () {
+      const queue = new SignedWriteQueue(async (write) => {
+        if (write.nonce === "3") {
+          const error = new Error("execution reverted");
+          error.shortMessage = 'execution reverted: "Invalid signature"';
+          throw error;
+        }
+        return fakeTx("0xbb");
+      });
+
+      const failed = queue.enqueue(await sign(OWNER, { nonce: 3 }));
+      const next = queue.enqueue(await sign(OWNER, { nonce: 4 }));
+      await settle();
+      await settle();
+
+      expect(failed).to.include({
+        status: SIGNED_WRITE_STATUS.FAILED,
+        error: 'execution reverted: "Invalid signature"',
+      });
+      expect(next.status).to.equal(SIGNED_WRITE_STATUS.CONFIRMED);
+    });
+
+    it("forgets the oldest finished writes beyond maxRecords", async function () {
+      const queue = new SignedWriteQueue(async () => fakeTx("0xcc"), {
+        maxRecords: 2,
+      });
+
+      const first = queue.enqueue(await sign(OWNER, { nonce: 1 }));
+      await settle();
+      queue.enqueue(await sign(OWNER, { nonce: 2 }));
+      queue.enqueue(await sign(OWNER, { nonce: 3 }));
+
+      expect(queue.get(first.id)).to.equal(null);
+      expect(queue.records.size).to.equal(2);
+    });
+  });
+});
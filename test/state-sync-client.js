@@ -0,0 +1,451 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+  SOURCE_CHAIN_ID,
+  deployFixture,
+  relay,
+} = require("./helpers/two-chains");
+const {
+  StateSyncClient,
+  VersionConflictError,
+  hashKey,
+  compareEntries,
+} = require("../lib/state-sync-client");
+
+// Fast polling so the tests do not wait on real intervals
+const FAST = { pollIntervalMs: 10, timeoutMs: 5000 };
+
+describe("StateSyncClient", function () {
+  describe("set and get", function () {
+    it("writes in the signer's namespace and reads it back", async function () {
+      const { alice, client } = await loadFixture(deployFixture);
+
+      const write = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+
+      expect(write.chain).to.equal("optimism-sepolia");
+      expect(write.namespace).to.equal(alice.address);
+      expect(write.hashedKey).to.equal(hashKey(alice.address, "greeting"));
+      expect(write.version).to.equal(1n);
+
+      const entry = await client.get(alice.address, "greeting", {
+        chain: SOURCE_CHAIN_ID,
+      });
+      expect(entry).to.deep.include({
+        chain: "optimism-sepolia",
+        owner: alice.address,
+        version: 1n,
+        deleted: false,
+        exists: true,
+        value: ethers.hexlify(ethers.toUtf8Bytes("hello")),
+        text: "hello",
+      });
+    });
+
+    it("writes raw bytes and other namespaces", async function () {
+      const { alice, bob, source, client } = await loadFixture(deployFixture);
+      await source
+        .connect(bob)
+        .setValue("config", ethers.toUtf8Bytes("initial"));
+      await source.connect(bob).addKeyWriter(bob.address, "config", alice);
+
+      const write = await client.set("config", new Uint8Array([0xff, 0x00]), {
+        chain: "optimism-sepolia",
+        namespace: bob.address,
+      });
+
+      expect(write.namespace).to.equal(bob.address);
+      expect(write.version).to.equal(2n);
+      const entry = await client.get(bob.address, "config", {
+        chain: "optimism-sepolia",
+      });
+      expect(entry.value).to.equal("0xff00");
+      expect(entry.text).to.equal(null);
+      expect(entry.owner).to.equal(bob.address);
+    });
+
+    it("reads a key on every chain", async function () {
+      const { alice, chains } = await loadFixture(deployFixture);
+      const client = new StateSyncClient({
+        chains: {
+          ...chains,
+          "mode-sepolia": { name: "Mode Sepolia", chainId: 919 },
+        },
+        signer: alice,
+      });
+      await client.set("greeting", "hello", { chain: "optimism-sepolia" });
+
+      const [source, destination, unreachable] = await client.getAll(
+        alice.address,
+        "greeting"
+      );
+
+      expect(source.text).to.equal("hello");
+      expect(destination).to.deep.include({
+        chain: "base-sepolia",
+        version: 0n,
+        exists: false,
+      });
+      expect(unreachable).to.deep.equal({
+        chain: "mode-sepolia",
+        error: "No contract address for Mode Sepolia",
+      });
+    });
+
+    it("reads a key by its hashed key", async function () {
+      const { alice, chains } = await loadFixture(deployFixture);
+      // Reads need no signer
+      const reader = new StateSyncClient({ chains });
+      const write = await new StateSyncClient({ chains, signer: alice }).set(
+        "greeting",
+        "hello",
+        { chain: "optimism-sepolia" }
+      );
+
+      const [source, destination] = await reader.getAllByHash(write.hashedKey);
+
+      expect(source).to.deep.equal(
+        await reader.get(alice.address, "greeting", {
+          chain: "optimism-sepolia",
+        })
+      );
+      expect(source).to.deep.include({ owner: alice.address, text: "hello" });
+      expect(destination).to.deep.include({ version: 0n, exists: false });
+    });
+
+    it("compares the entries of every chain", async function () {
+      const { alice, source, destination, client } = await loadFixture(
+        deployFixture
+      );
+      const write = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+
+      const diverged = compareEntries(
+        await client.getAll(alice.address, "greeting")
+      );
+      expect(diverged).to.deep.equal({
+        found: true,
+        inSync: false,
+        versions: [0n, 1n],
+        unreachable: [],
+      });
+
+      await relay(source, destination, write.txHash, "ValueSet");
+      const entries = await client.getAll(alice.address, "greeting");
+      expect(compareEntries(entries).inSync).to.equal(true);
+      expect(
+        compareEntries([...entries, { chain: "mode-sepolia", error: "down" }])
+      ).to.deep.include({ inSync: true, unreachable: ["mode-sepolia"] });
+      expect(
+        compareEntries(await client.getAll(alice.address, "missing")).found
+      ).to.equal(false);
+    });
+
+    it("lists the keys an account owns on every chain", async function () {
+      const { alice, source, destination, chains, client } = await loadFixture(
+        deployFixture
+      );
+      const tx = await source
+        .connect(alice)
+        .setValues(["a", "b", "c"], ["0x01", "0x02", "0x03"]);
+      await relay(source, destination, tx.hash, "ValuesSet");
+      await client.set("d", "0x04", { chain: "optimism-sepolia" });
+
+      const owned = await new StateSyncClient({
+        chains: {
+          ...chains,
+          "mode-sepolia": { name: "Mode Sepolia", chainId: 919 },
+        },
+      }).getAllOwnedKeys(alice.address, { pageSize: 2 });
+
+      expect(owned[0].keys.map(({ key }) => key)).to.deep.equal([
+        "a",
+        "b",
+        "c",
+        "d",
+      ]);
+      expect(owned[1]).to.deep.equal({
+        chain: "base-sepolia",
+        keys: ["a", "b", "c"].map((key) => ({
+          hashedKey: hashKey(alice.address, key),
+          namespace: alice.address,
+          key,
+        })),
+      });
+      expect(owned[2].error).to.equal("No contract address for Mode Sepolia");
+    });
+
+    it("reads past versions of keys that retain them", async function () {
+      const { alice, source, client } = await loadFixture(deployFixture);
+      await client.set("greeting", "hello", { chain: "optimism-sepolia" });
+      await source.connect(alice).setKeyRetention(alice.address, "greeting", 2);
+      await client.set("greeting", "bye", { chain: "optimism-sepolia" });
+
+      const [first, destination] = await client.getAll(
+        alice.address,
+        "greeting",
+        { version: 1 }
+      );
+
+      expect(first).to.deep.include({
+        version: 1n,
+        currentVersion: 2n,
+        retention: 2n,
+        retained: true,
+        exists: true,
+        text: "hello",
+      });
+      expect(destination).to.deep.include({
+        version: 1n,
+        currentVersion: 0n,
+        retained: false,
+        exists: false,
+      });
+      // The chains are compared on their current versions
+      expect(compareEntries([first, destination])).to.deep.equal({
+        found: true,
+        inSync: false,
+        versions: [0n, 2n],
+        unreachable: [],
+      });
+      expect(
+        compareEntries(
+          await client.getAll(alice.address, "greeting", { version: 3 })
+        ).found
+      ).to.equal(false);
+    });
+
+    it("writes keys that read as absent once expired", async function () {
+      const { alice, client } = await loadFixture(deployFixture);
+      const expiresAt = (await time.latest()) + 100;
+
+      const write = await client.set("session", "open", {
+        chain: "optimism-sepolia",
+        expiresAt,
+      });
+      expect(write.expiresAt).to.equal(BigInt(expiresAt));
+
+      const read = () =>
+        client.get(alice.address, "session", { chain: "optimism-sepolia" });
+      expect(await read()).to.deep.include({
+        expiresAt: BigInt(expiresAt),
+        expired: false,
+        exists: true,
+        text: "open",
+      });
+      await time.increaseTo(expiresAt);
+      expect(await read()).to.deep.include({
+        version: 1n,
+        expired: true,
+        exists: false,
+      });
+    });
+
+    it("writes on top of the version read across chains", async function () {
+      const { alice, client } = await loadFixture(deployFixture);
+      await client.set("config", "v1", { chain: "base-sepolia" });
+      await client.set("config", "v1", { chain: "optimism-sepolia" });
+
+      const write = await client.setIfVersion("config", "v2", {
+        chain: "optimism-sepolia",
+      });
+      expect(write).to.deep.include({
+        expectedVersion: 1n,
+        version: 2n,
+        unreachable: [],
+      });
+      await client.setIfVersion("config", "v3", {
+        chain: "optimism-sepolia",
+        expectedVersion: 2,
+      });
+      expect(
+        (await client.get(alice.address, "config", { chain: SOURCE_CHAIN_ID }))
+          .text
+      ).to.equal("v3");
+    });
+
+    it("refuses writes that would overwrite a version not seen", async function () {
+      const { client } = await loadFixture(deployFixture);
+      await client.set("config", "v1", { chain: "optimism-sepolia" });
+
+      // Written since version 0 was read
+      const stale = client.setIfVersion("config", "v2", {
+        chain: "optimism-sepolia",
+        expectedVersion: 0,
+      });
+      await expect(stale).to.be.rejectedWith(
+        VersionConflictError,
+        "config is at version 1 on optimism-sepolia, expected 0"
+      );
+      // Base has not received version 1 yet
+      const lagging = client.setIfVersion("config", "v2", {
+        chain: "base-sepolia",
+      });
+      await expect(lagging).to.be.rejectedWith(
+        VersionConflictError,
+        "config is at version 0 on base-sepolia, which has not caught up with version 1 yet"
+      );
+      const error = await lagging.catch((error) => error);
+      expect(error.versions).to.deep.equal({
+        "optimism-sepolia": 1n,
+        "base-sepolia": 0n,
+      });
+    });
+
+    it("turns a version mismatch in the transaction into a conflict", async function () {
+      const { alice, source, chains, client } = await loadFixture(
+        deployFixture
+      );
+      await client.set("config", "v1", { chain: "optimism-sepolia" });
+      // Another writer lands between the check and the transaction
+      const racing = new StateSyncClient({ chains, signer: alice });
+      racing.checkVersion = async (...args) => {
+        const check = await client.checkVersion(...args);
+        await source.connect(alice).setValue("config", "0x01");
+        return check;
+      };
+
+      await expect(
+        racing.setIfVersion("config", "v2", { chain: "optimism-sepolia" })
+      ).to.be.rejectedWith(
+        VersionConflictError,
+        "config was written on optimism-sepolia after version 1 was read"
+      );
+    });
+
+    it("rejects unknown chains", async function () {
+      const { alice, client } = await loadFixture(deployFixture);
+
+      await expect(
+        client.get(alice.address, "greeting", { chain: "mainnet" })
+      ).to.be.rejectedWith("Unknown chain: mainnet");
+    });
+  });
+
+  describe("waitForPropagation", function () {
+    it("resolves once the destination emitted ValueUpdated for the version", async function () {
+      const { alice, source, destination, client } = await loadFixture(
+        deployFixture
+      );
+      const write = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+
+      const waiting = client.waitForPropagation(write.txHash, FAST);
+      const delivery = await relay(
+        source,
+        destination,
+        write.txHash,
+        "ValueSet"
+      );
+
+      expect(await waiting).to.deep.equal({
+        "base-sepolia": [
+          {
+            hashedKey: hashKey(alice.address, "greeting"),
+            version: 1n,
+            txHash: delivery.hash,
+            blockNumber: delivery.blockNumber,
+            superseded: false,
+          },
+        ],
+      });
+    });
+
+    it("tracks every key of a batch", async function () {
+      const { alice, source, destination, client } = await loadFixture(
+        deployFixture
+      );
+      const tx = await source
+        .connect(alice)
+        .setValues(["a", "b"], [ethers.toUtf8Bytes("1"), "0x02"]);
+      await relay(source, destination, tx.hash, "ValuesSet");
+
+      const result = await client.waitForPropagation(tx.hash, FAST);
+
+      expect(
+        result["base-sepolia"].map(({ hashedKey }) => hashedKey)
+      ).to.deep.equal([
+        hashKey(alice.address, "a"),
+        hashKey(alice.address, "b"),
+      ]);
+    });
+
+    it("waits for ValueRemoved after a deletion", async function () {
+      const { alice, source, destination, client } = await loadFixture(
+        deployFixture
+      );
+      const write = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+      await relay(source, destination, write.txHash, "ValueSet");
+      const tx = await source.connect(alice).deleteValue("greeting");
+      await relay(source, destination, tx.hash, "ValueDeleted");
+
+      const result = await client.waitForPropagation(tx.hash, {
+        ...FAST,
+        chain: "optimism-sepolia",
+      });
+
+      expect(result["base-sepolia"][0].version).to.equal(2n);
+      expect(result["base-sepolia"][0].superseded).to.equal(false);
+    });
+
+    it("reports versions overtaken before their delivery as superseded", async function () {
+      const { source, destination, client } = await loadFixture(deployFixture);
+      const first = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+      const second = await client.set("greeting", "hello again", {
+        chain: "optimism-sepolia",
+      });
+      await relay(source, destination, second.txHash, "ValueSet");
+
+      const result = await client.waitForPropagation(first.txHash, FAST);
+
+      expect(result["base-sepolia"][0]).to.deep.include({
+        version: 1n,
+        txHash: null,
+        superseded: true,
+      });
+    });
+
+    it("times out when a destination never applies the write", async function () {
+      const { client } = await loadFixture(deployFixture);
+      const write = await client.set("greeting", "hello", {
+        chain: "optimism-sepolia",
+      });
+
+      await expect(
+        client.waitForPropagation(write.txHash, {
+          pollIntervalMs: 10,
+          timeoutMs: 100,
+        })
+      ).to.be.rejectedWith(
+        `Timed out waiting for ${write.txHash} to reach base-sepolia`
+      );
+    });
+
+    it("rejects transactions that wrote no key", async function () {
+      const { deployer, destination, client } = await loadFixture(
+        deployFixture
+      );
+      const tx = await destination
+        .connect(deployer)
+        .setPeer(1, deployer.address);
+
+      await expect(
+        client.waitForPropagation(tx.hash, { chain: "base-sepolia" })
+      ).to.be.rejectedWith(
+        `Transaction ${tx.hash} wrote no key on base-sepolia`
+      );
+    });
+  });
+});
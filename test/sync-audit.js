@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { buildProof } = require("./helpers/polymer-proof");
+const { SOURCE_CHAIN_ID, deployFixture } = require("./helpers/two-chains");
+const { hashKey } = require("../lib/state-sync-client");
+const {
+  AUDIT_STATUS,
+  REPAIR_STATUS,
+  scanSourceEvents,
+  discoverKeys,
+  compareKey,
+  auditKeys,
+  repairKeys,
+} = require("../lib/sync-audit");
+
+// Stands in for the Polymer API: proves the log with the mock prover
+async function fetchProof({ blockNumber, txIndex, localLogIndex }) {
+  const block = await ethers.provider.getBlock(blockNumber);
+  const receipt = await ethers.provider.getTransactionReceipt(
+    block.transactions[txIndex]
+  );
+  return buildProof(receipt.logs[localLogIndex], { chainId: SOURCE_CHAIN_ID });
+}
+
+describe("sync audit", function () {
+  it("discovers the keys of every source event", async function () {
+    const { alice, bob, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("a", "0x01");
+    await source.connect(alice).setValues(["a", "b"], ["0x02", "0x03"]);
+    await source.connect(alice).deleteValue("b");
+    await source.connect(alice).addKeyWriter(alice.address, "a", bob.address);
+
+    const { events, errors } = await scanSourceEvents(client);
+
+    expect(errors).to.deep.equal([]);
+    expect(
+      events.map(({ event, kind, key, version }) => [event, kind, key, version])
+    ).to.deep.equal([
+      ["ValueSet", "value", "a", 1n],
+      ["ValuesSet", "value", "a", 2n],
+      ["ValuesSet", "value", "b", 1n],
+      ["ValueDeleted", "value", "b", 2n],
+      ["KeyAclUpdated", "acl", "a", 1n],
+    ]);
+    expect(events[0]).to.include({
+      chain: "optimism-sepolia",
+      namespace: alice.address,
+      hashedKey: hashKey(alice.address, "a"),
+    });
+    expect(discoverKeys(events)).to.deep.equal([
+      {
+        namespace: alice.address,
+        key: "a",
+        hashedKey: hashKey(alice.address, "a"),
+      },
+      {
+        namespace: alice.address,
+        key: "b",
+        hashedKey: hashKey(alice.address, "b"),
+      },
+    ]);
+  });
+
+  it("reports chains that lag on the value or the owner", async function () {
+    const { alice, bob, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("a", "0x01");
+    await source
+      .connect(alice)
+      .transferKeyOwnership(alice.address, "a", bob.address);
+
+    const [report, missing] = await auditKeys(client, [
+      { namespace: alice.address, key: "a" },
+      { namespace: alice.address, key: "missing" },
+    ]);
+
+    expect(report).to.deep.include({
+      status: AUDIT_STATUS.OUT_OF_SYNC,
+      version: 1n,
+      aclVersion: 1n,
+    });
+    expect(report.chains[0]).to.include({
+      status: AUDIT_STATUS.IN_SYNC,
+      owner: bob.address,
+    });
+    expect(report.chains[1].status).to.equal(AUDIT_STATUS.LAGGING);
+    expect(report.chains[1].behind).to.deep.equal(["value", "acl"]);
+    expect(missing.status).to.equal(AUDIT_STATUS.NOT_FOUND);
+  });
+
+  it("reports diverged values and unreachable chains", function () {
+    const entry = {
+      owner: ethers.ZeroAddress,
+      version: 2n,
+      aclVersion: 0n,
+      deleted: false,
+      value: "0x01",
+    };
+    const target = { namespace: ethers.ZeroAddress, key: "a" };
+
+    const diverged = compareKey(target, [
+      { ...entry, chain: "optimism-sepolia" },
+      { ...entry, chain: "base-sepolia", value: "0x02" },
+    ]);
+    expect(diverged.status).to.equal(AUDIT_STATUS.OUT_OF_SYNC);
+    expect(diverged.chains[1].status).to.equal(AUDIT_STATUS.DIVERGED);
+
+    const unreachable = compareKey(target, [
+      { ...entry, chain: "optimism-sepolia" },
+      { chain: "base-sepolia", error: "down" },
+    ]);
+    expect(unreachable.status).to.equal(AUDIT_STATUS.UNREACHABLE);
+  });
+
+  it("delivers the latest source events to lagging chains", async function () {
+    const { alice, bob, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("a", "0x01");
+    await source.connect(alice).setValues(["a", "b"], ["0x02", "0x03"]);
+    await source
+      .connect(alice)
+      .transferKeyOwnership(alice.address, "a", bob.address);
+    const { events } = await scanSourceEvents(client);
+    const keys = discoverKeys(events);
+
+    const requested = [];
+    const repairs = await repairKeys(
+      client,
+      await auditKeys(client, keys),
+      events,
+      {
+        fetchProof: (logId) => {
+          requested.push(logId);
+          return fetchProof(logId);
+        },
+      }
+    );
+
+    expect(
+      repairs.map(({ key, chain, kind, version, status }) => [
+        key,
+        chain,
+        kind,
+        version,
+        status,
+      ])
+    ).to.deep.equal([
+      ["a", "base-sepolia", "value", 2n, REPAIR_STATUS.REPAIRED],
+      ["a", "base-sepolia", "acl", 1n, REPAIR_STATUS.REPAIRED],
+      // Already written by the batch delivered for "a"
+      ["b", "base-sepolia", "value", 1n, REPAIR_STATUS.ALREADY_APPLIED],
+    ]);
+    expect(repairs[0].source.chain).to.equal("optimism-sepolia");
+    // The batch was proven once for both keys
+    expect(requested).to.have.length(2);
+
+    const after = await auditKeys(client, keys);
+    expect(after.map(({ status }) => status)).to.deep.equal([
+      AUDIT_STATUS.IN_SYNC,
+      AUDIT_STATUS.IN_SYNC,
+    ]);
+    expect(after[0].chains[1]).to.include({
+      owner: bob.address,
+      value: "0x02",
+    });
+  });
+
+  it("skips versions whose source event was not scanned", async function () {
+    const { alice, source, client } = await loadFixture(deployFixture);
+    await source.connect(alice).setValue("a", "0x01");
+    const reports = await auditKeys(client, [
+      { namespace: alice.address, key: "a" },
+    ]);
+
+    const [repair] = await repairKeys(client, reports, [], { fetchProof });
+
+    expect(repair).to.include({
+      status: REPAIR_STATUS.SKIPPED,
+      error: "No source event of version 1 in the scanned blocks",
+    });
+  });
+});